@@ -0,0 +1,61 @@
+/**
+ * Hub Configuration Core for Node.js
+ * Loads the DOM-free modules the documentation site uses, so pipelines validate configs,
+ * estimate costs, predict names and generate scripts exactly as the web page does.
+ * The browser scripts find each other as globals, so each one is published on globalThis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const scriptsDir = path.join(__dirname, '..', 'docs', 'js');
+
+// Modules by global name, in the order docs/index.html loads them
+const modules = {
+  FinOpsUtils: 'utils.js',
+  Currency: 'currency.js',
+  TemplateSchema: 'template-schema.js',
+  ArmExpressions: 'arm-expressions.js',
+  ResourceNames: 'resource-names.js',
+  ResourcePreview: 'resource-preview.js',
+  DriftReport: 'drift-report.js',
+  NamingRules: 'naming-rules.js',
+  PricingCatalog: 'pricing-catalog.js',
+  CostModel: 'cost-model.js',
+  ConfigShare: 'config-share.js',
+  ConfigProfiles: 'config-profiles.js',
+  DeploymentSnippets: 'deployment-snippets.js',
+  TagRules: 'tag-rules.js',
+  NetworkPlanner: 'network-planner.js',
+  RuleEngine: 'rule-engine.js',
+  ConfigRules: 'config-rules.js',
+  HubConfig: 'hub-config.js',
+  ExportScripts: 'export-scripts.js'
+};
+
+const core = {};
+Object.keys(modules).forEach(name => {
+  core[name] = require(path.join(scriptsDir, modules[name]));
+  globalThis[name] = core[name];
+});
+
+// Template deployed by the Deploy to Azure button
+core.templatePath = path.join(__dirname, '..', 'template.json');
+
+/**
+ * Reads and parses an ARM template
+ * @param {string} file - Path to template.json (default: the repository's template)
+ * @returns {Object} {parameters, deployment} (see TemplateSchema.read)
+ * @throws {Error} If the file can't be read or isn't JSON
+ */
+core.readTemplate = function(file = core.templatePath) {
+  let template;
+  try {
+    template = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read the template ${file}: ${e.message}`);
+  }
+  return core.TemplateSchema.read(template);
+};
+
+module.exports = core;
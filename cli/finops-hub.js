@@ -0,0 +1,603 @@
+#!/usr/bin/env node
+/**
+ * FinOps Hub Command Line
+ * Builds the same parameters files, checks, cost estimates, names and scripts as the
+ * documentation site's Configuration Builder and Export Wizard, for use in pipelines.
+ *
+ *   finops-hub config --hub-name contoso --region westeurope --out params.json
+ *
+ * Exit codes: 0 success, 1 the configuration has errors (or drifted), 2 usage or file errors
+ */
+
+const fs = require('fs');
+const core = require('./core');
+
+const { FinOpsUtils, TemplateSchema, ConfigShare, ConfigProfiles, TagRules, NamingRules, HubConfig, ResourcePreview, DriftReport, ExportScripts, DeploymentSnippets } = core;
+
+// Options that never take a value
+const switches = ['json', 'force', 'portal', 'all', 'help'];
+
+// Options every command accepts besides config values
+const commonOptions = ['template', 'profile', 'share', 'tag-policy', 'out', 'json', 'help'];
+
+// Config fields that aren't template parameters, with how to check them
+const extraFields = {
+  analyticsBackend: value => HubConfig.analyticsBackends.some(backend => backend.value === value)
+    ? { valid: true, message: '' }
+    : { valid: false, message: `Must be one of: ${HubConfig.analyticsBackends.map(backend => backend.value).join(', ')}` },
+  dataVolumeBasis: value => ['spend', 'rows'].includes(value)
+    ? { valid: true, message: '' }
+    : { valid: false, message: 'Must be spend or rows' },
+  resourceGroupName: value => HubConfig.validateDeploymentTarget('resourceGroupName', value),
+  subscriptionId: value => HubConfig.validateDeploymentTarget('subscriptionId', value)
+};
+
+// Cost lines in the order the builder shows them; optional lines are hidden when zero
+const costLines = [
+  { key: 'storage', label: 'Storage Account' },
+  { key: 'dataFactory', label: 'Data Factory' },
+  { key: 'keyVault', label: 'Key Vault' },
+  { key: 'eventGrid', label: 'Event Grid' },
+  { key: 'dataExplorer', label: 'Data Explorer', optional: true },
+  { key: 'fabric', label: 'Fabric Capacity', optional: true },
+  { key: 'remoteHub', label: 'Remote Hub Push', optional: true },
+  { key: 'dataTransfer', label: 'Data Transfer' }
+];
+
+const usage = `Usage: finops-hub <command> [options]
+
+Commands:
+  config      Write the ARM parameters file (azuredeploy.parameters.json)
+  validate    Check the configuration and list errors and recommendations
+  names       Predict the resource names the template will create
+  resources   List the resources the template deploys and their dependencies (a local what-if)
+  drift       Compare a deployed hub with the configuration: --deployed <file> (repeatable) with
+              the JSON output of az deployment group show and/or az resource list
+  costs       Estimate monthly costs
+  snippet     Print a deployment command: --format cli|powershell|bicep|terraform
+  schema      Write the parsed template the documentation site ships (docs/data/template-schema.json)
+  exports     Generate the Cost Management export script: --subscriptions <ids> [--portal], or
+              --scope-type <type> --scopes <ids> for management group, EA and MCA billing scopes
+
+Configuration:
+  --<parameter> <value>   Any template parameter, by builder or template name in kebab-case,
+                          e.g. --hub-name, --region (or --location), --storage-sku,
+                          --enable-public-access false, --scopes-to-monitor <id>,<id>,
+                          --tags '{"Owner":"finops"}'
+  --analytics-backend     storage, dataExplorer or fabric
+  --subscription-count, --monthly-spend, --monthly-row-count, --data-volume-basis spend|rows,
+  --commitment-share, --idle-share, --setup-cost
+                          Estimation inputs, as in the builder
+  --resource-group-name, --subscription-id
+                          Deployment target used for name prediction and snippets
+  --profile <file>        Start from a profile exported by the builder
+  --share <url>           Start from a builder share link (or its token)
+  --tag-policy <file>     Check tags against a required-tags policy
+  --template <file>       template.json to read (default: the one in this repository)
+
+Output:
+  --out <file>            Write to a file instead of standard output
+  --json                  Machine-readable output for validate, names, resources, drift and costs
+  --all                   resources: include skipped resources
+  --force                 config: write the file even when the configuration has errors`;
+
+/**
+ * Creates an error that ends the command with an exit code
+ * @param {string} message - Message for standard error
+ * @param {number} exitCode - Process exit code
+ * @returns {Error} Error to throw
+ */
+function failure(message, exitCode = 2) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+/**
+ * Converts a config field or parameter name to its option name
+ * @param {string} name - e.g. 'exportRetentionInDays'
+ * @returns {string} e.g. 'export-retention-in-days'
+ */
+function toOptionName(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Splits command-line arguments into the command and options
+ * Options repeated on the command line are collected into a list
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} {command, options}
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    let name = arg.slice(2);
+    let value = true;
+    const equals = name.indexOf('=');
+    if (equals !== -1) {
+      value = name.slice(equals + 1);
+      name = name.slice(0, equals);
+    } else if (!switches.includes(name) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      value = argv[++i];
+    }
+
+    options[name] = Object.prototype.hasOwnProperty.call(options, name) ? [].concat(options[name], value) : value;
+  }
+
+  if (positional.length > 1) {
+    throw failure(`Unexpected argument: ${positional[1]}`);
+  }
+  return { command: positional[0], options: options };
+}
+
+/**
+ * Gets a single-valued option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @returns {*} Value, or undefined when not given
+ */
+function getOption(options, name) {
+  const value = options[name];
+  if (Array.isArray(value)) {
+    throw failure(`--${name} was given more than once`);
+  }
+  if (value === true && !switches.includes(name)) {
+    throw failure(`--${name} needs a value`);
+  }
+  return value;
+}
+
+/**
+ * Reads a text file named by an option
+ * @param {string} file - Path
+ * @returns {string} Contents
+ */
+function readFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw failure(`Could not read ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Builds the configuration the way the builder does: defaults, then a profile or
+ * share link, then values from the command line
+ * @param {Object} schema - Parsed template
+ * @param {Object} options - Parsed options
+ * @param {Array} extraOptions - Command-specific option names
+ * @returns {Object} {config, inputErrors}; inputErrors lists values that were rejected
+ */
+function buildConfig(schema, options, extraOptions) {
+  let config = HubConfig.getDefaultConfig(schema);
+  const inputErrors = [];
+
+  const profileFile = getOption(options, 'profile');
+  if (profileFile) {
+    try {
+      config = { ...config, ...ConfigProfiles.parseProfileFile(readFile(profileFile), schema, config).config };
+    } catch (e) {
+      throw failure(e.exitCode ? e.message : `${profileFile}: ${e.message}`);
+    }
+  }
+
+  const share = getOption(options, 'share');
+  if (share) {
+    let shared;
+    try {
+      const hash = share.includes('#') ? share.slice(share.indexOf('#')) : ConfigShare.fragmentPrefix + share;
+      shared = ConfigShare.readFragment(hash);
+    } catch (e) {
+      throw failure(`The share link could not be opened: ${e.message}`);
+    }
+    const { config: values, invalid } = HubConfig.sanitizeConfig(schema, shared || {}, config);
+    config = { ...config, ...values };
+    invalid.forEach(entry => inputErrors.push({ field: entry.field, label: `--share ${entry.label}`, message: entry.message }));
+  }
+
+  // Option names for template parameters (builder and template names) and other config fields
+  const targets = {};
+  schema.parameters.forEach(param => {
+    targets[toOptionName(HubConfig.fieldFor(param))] = { param: param };
+    targets[toOptionName(param.name)] = { param: param };
+  });
+  Object.keys(HubConfig.estimationInputs).forEach(field => {
+    targets[toOptionName(field)] = { field: field, estimation: true };
+  });
+  Object.keys(extraFields).forEach(field => {
+    targets[toOptionName(field)] = { field: field, validate: extraFields[field] };
+  });
+
+  Object.keys(options).forEach(name => {
+    const target = targets[name];
+    if (!target) {
+      if (commonOptions.includes(name) || extraOptions.includes(name)) return;
+      throw failure(`Unknown option: --${name}`);
+    }
+
+    if (target.param) {
+      const param = target.param;
+      const list = HubConfig.getHint(param.name).widget === 'list';
+      const raw = list && Array.isArray(options[name]) ? options[name].join('\n') : getOption(options, name);
+      if (param.type === 'bool' && ![true, 'true', 'false'].includes(raw)) {
+        throw failure(`--${name} must be true or false`);
+      }
+      if (raw === true && param.type !== 'bool') {
+        throw failure(`--${name} needs a value`);
+      }
+
+      const value = HubConfig.coerce(param, raw);
+      if (value === undefined) {
+        inputErrors.push({ field: HubConfig.fieldFor(param), label: `--${name}`, message: TemplateSchema.validate(param, value).message });
+      } else {
+        config[HubConfig.fieldFor(param)] = value;
+      }
+      return;
+    }
+
+    const raw = getOption(options, name);
+    if (target.estimation) {
+      const value = /^\d+$/.test(raw) ? parseInt(raw, 10) : NaN;
+      const result = HubConfig.validateEstimationInput(target.field, value);
+      if (result.valid) {
+        config[target.field] = value;
+      } else {
+        inputErrors.push({ field: target.field, label: `--${name}`, message: result.message });
+      }
+      return;
+    }
+
+    const result = target.validate(raw);
+    if (result.valid) {
+      config[target.field] = raw;
+    } else {
+      inputErrors.push({ field: target.field, label: `--${name}`, message: result.message });
+    }
+  });
+
+  return { config: config, inputErrors: inputErrors };
+}
+
+/**
+ * Formats errors for standard error
+ * @param {Array} errors - [{label, message}]
+ * @returns {string} One line per error
+ */
+function formatErrors(errors) {
+  return errors.map(error => `✗ ${error.label}: ${error.message}`).join('\n');
+}
+
+/**
+ * Writes command output to --out or standard output
+ * @param {Object} options - Parsed options
+ * @param {string} text - Output
+ */
+function writeOutput(options, text) {
+  const file = getOption(options, 'out');
+  if (file) {
+    try {
+      fs.writeFileSync(file, text);
+    } catch (e) {
+      throw failure(`Could not write ${file}: ${e.message}`);
+    }
+    console.error(`Wrote ${file}`);
+  } else {
+    process.stdout.write(text.endsWith('\n') ? text : text + '\n');
+  }
+}
+
+const commands = {
+  // Parameters file, as the builder's "Download parameters file" button saves it
+  config: {
+    options: ['force'],
+    run: function(context) {
+      const errors = [...context.inputErrors, ...HubConfig.validateAll(context.schema, context.config, context.ruleOptions)];
+      const warnings = HubConfig.evaluateRules(context.schema, context.config, context.ruleOptions)
+        .filter(result => result.severity === 'warning');
+
+      if (warnings.length > 0) {
+        console.error(warnings.map(warning => warning.message).join('\n'));
+      }
+      if (errors.length > 0) {
+        console.error(formatErrors(errors));
+        if (!getOption(context.options, 'force')) {
+          throw failure('The configuration has errors; no parameters file was written. Use --force to write it anyway.', 1);
+        }
+      }
+
+      const deployTimeParameters = HubConfig.getDeployTimeParameters(context.schema, context.config);
+      if (deployTimeParameters.length > 0) {
+        console.error(`Secure parameters are left out of the parameters file; pass them when you deploy: ${deployTimeParameters.join(', ')}`);
+      }
+
+      writeOutput(context.options, JSON.stringify(HubConfig.buildParametersFile(context.schema, context.config), null, 2));
+    }
+  },
+
+  // Errors the builder would block deployment on, and its recommendations
+  validate: {
+    options: [],
+    run: function(context) {
+      const errors = [...context.inputErrors, ...HubConfig.validateAll(context.schema, context.config, context.ruleOptions)];
+      const recommendations = HubConfig.evaluateRules(context.schema, context.config, context.ruleOptions)
+        .filter(result => result.severity !== 'error')
+        .map(result => ({ type: result.severity, message: result.message, docUrl: result.docUrl }));
+
+      if (getOption(context.options, 'json')) {
+        writeOutput(context.options, JSON.stringify({ valid: errors.length === 0, errors: errors, recommendations: recommendations }, null, 2));
+      } else {
+        const lines = errors.length > 0 ? [formatErrors(errors)] : ['✓ The configuration is valid'];
+        recommendations.forEach(recommendation => {
+          lines.push(recommendation.docUrl ? `${recommendation.message} (${recommendation.docUrl})` : recommendation.message);
+        });
+        writeOutput(context.options, lines.join('\n'));
+      }
+
+      if (errors.length > 0) {
+        process.exitCode = 1;
+      }
+    }
+  },
+
+  // Names the template will generate, checked against Azure naming rules
+  names: {
+    options: [],
+    run: function(context) {
+      let entries;
+      try {
+        entries = NamingRules.validateAll(HubConfig.getDerivedNames(context.schema, context.config));
+      } catch (e) {
+        throw failure(`Could not predict resource names: ${e.message}`);
+      }
+
+      if (getOption(context.options, 'json')) {
+        writeOutput(context.options, JSON.stringify(entries.map(entry => ({
+          id: entry.id,
+          label: entry.label,
+          name: entry.name,
+          valid: entry.valid,
+          errors: entry.errors
+        })), null, 2));
+      } else {
+        const width = Math.max(...entries.map(entry => entry.label.length));
+        writeOutput(context.options, entries.map(entry => {
+          const line = `${entry.label.padEnd(width)}  ${entry.name}`;
+          return entry.valid ? line : `${line}  ✗ ${entry.errors.join('; ')}`;
+        }).join('\n'));
+      }
+
+      if (entries.some(entry => !entry.valid)) {
+        process.exitCode = 1;
+      }
+    }
+  },
+
+  // Resources the template deploys, as in the builder's what-if preview
+  resources: {
+    options: ['all'],
+    run: function(context) {
+      let resources;
+      try {
+        resources = HubConfig.previewResources(context.schema, context.config);
+      } catch (e) {
+        throw failure(`Could not preview resources: ${e.message}`);
+      }
+      const summary = ResourcePreview.summarize(resources);
+      if (!getOption(context.options, 'all')) {
+        resources = resources.filter(resource => resource.status !== 'skip');
+      }
+
+      if (getOption(context.options, 'json')) {
+        writeOutput(context.options, JSON.stringify({ summary: summary, resources: resources }, null, 2));
+        return;
+      }
+
+      const labels = {};
+      resources.forEach(resource => {
+        labels[resource.id] = resource.label;
+      });
+      const lines = resources.map(resource => {
+        const indent = '  '.repeat(resource.path.length);
+        const after = resource.dependsOn.length > 0 ? `  (after ${resource.dependsOn.map(id => labels[id]).join(', ')})` : '';
+        return `${indent}${ResourcePreview.statuses[resource.status].icon} ${resource.label}  ${resource.type}  ${resource.name === null ? '?' : resource.name}${after}`;
+      });
+      lines.push('', `${summary.create} resources in ${summary.deployments} nested deployments; ` +
+        `${summary.existing} existing, ${summary.unknown} decided during deployment, ${summary.skip} skipped`);
+      writeOutput(context.options, lines.join('\n'));
+    }
+  },
+
+  // Differences between a deployed hub and the configuration, as in the builder's drift check
+  drift: {
+    options: ['deployed'],
+    run: function(context) {
+      const files = [].concat(context.options.deployed || []).filter(file => file !== true);
+      if (files.length === 0) {
+        throw failure('--deployed needs the output of az deployment group show or az resource list');
+      }
+
+      let report;
+      try {
+        const snapshot = DriftReport.merge(files.map(file => {
+          try {
+            return DriftReport.parse(readFile(file));
+          } catch (e) {
+            throw failure(e.exitCode ? e.message : `${file}: ${e.message}`);
+          }
+        }));
+        report = HubConfig.checkDrift(context.schema, context.config, snapshot);
+      } catch (e) {
+        throw failure(e.exitCode ? e.message : `Could not check for drift: ${e.message}`);
+      }
+
+      if (getOption(context.options, 'json')) {
+        writeOutput(context.options, JSON.stringify(report, null, 2));
+      } else {
+        const format = value => value === undefined ? '(none)' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        const lines = [];
+        report.target.forEach(entry => lines.push(`✗ ${entry.field}: ${format(entry.expected)} in the configuration, deployed to ${format(entry.actual)}`));
+        report.parameters.forEach(entry => lines.push(`✗ Parameter ${entry.name}: ${format(entry.expected)} → deployed ${format(entry.actual)}`));
+        report.missing.forEach(entry => lines.push(`✗ Missing ${entry.type} ${entry.name}`));
+        report.skus.forEach(entry => lines.push(`✗ SKU ${entry.property} of ${entry.name}: ${format(entry.expected)} → deployed ${format(entry.actual)}`));
+        report.tags.forEach(entry => lines.push(`✗ Tag ${entry.tag} on ${entry.name}: ${format(entry.expected)} → deployed ${format(entry.actual)}`));
+        if (lines.length === 0) lines.push('✓ The deployed hub matches the configuration');
+        if (!report.checked.parameters) lines.push('Parameters weren\'t compared: add --deployed with az deployment group show output');
+        if (!report.checked.details) lines.push('SKUs and tags weren\'t compared: add --deployed with az resource list output');
+        writeOutput(context.options, lines.join('\n'));
+      }
+
+      if (report.count > 0) {
+        process.exitCode = 1;
+      }
+    }
+  },
+
+  // Monthly cost estimate, as in the builder's cost breakdown
+  costs: {
+    options: [],
+    run: function(context) {
+      const costs = HubConfig.calculateCosts(context.config);
+
+      if (getOption(context.options, 'json')) {
+        writeOutput(context.options, JSON.stringify(costs, null, 2));
+        return;
+      }
+
+      const lines = costLines
+        .filter(line => !line.optional || costs[line.key] > 0)
+        .map(line => ({ label: line.label, amount: `${FinOpsUtils.formatCurrency(costs[line.key])}/mo` }));
+      lines.push({ label: 'Total', amount: `${FinOpsUtils.formatCurrency(costs.total)}/mo` });
+
+      const width = Math.max(...lines.map(line => line.label.length));
+      const amountWidth = Math.max(...lines.map(line => line.amount.length));
+      writeOutput(context.options, lines.map(line => `${line.label.padEnd(width)}  ${line.amount.padStart(amountWidth)}`).join('\n'));
+    }
+  },
+
+  // Deployment command, as on the builder's deployment summary tabs
+  snippet: {
+    options: ['format', 'template-uri'],
+    run: function(context) {
+      const format = getOption(context.options, 'format') || 'cli';
+      if (!DeploymentSnippets.formats.some(entry => entry.id === format)) {
+        throw failure(`--format must be one of: ${DeploymentSnippets.formats.map(entry => entry.id).join(', ')}`);
+      }
+
+      const errors = [...context.inputErrors, ...HubConfig.validateAll(context.schema, context.config, context.ruleOptions)];
+      if (errors.length > 0) {
+        console.error(formatErrors(errors));
+        throw failure('The configuration has errors; fix them before deploying.', 1);
+      }
+
+      const snippets = HubConfig.buildSnippets(context.schema, context.config, getOption(context.options, 'template-uri') || HubConfig.templateUri);
+      writeOutput(context.options, snippets[format]);
+    }
+  },
+
+  // Template parameters and hub deployment, as the builder renders the form from them
+  schema: {
+    options: [],
+    run: function(context) {
+      writeOutput(context.options, JSON.stringify(context.schema, null, 2) + '\n');
+    }
+  },
+
+  // Export script or portal instructions, as the Export Wizard generates them
+  exports: {
+    options: ['subscriptions', 'scopes', 'scope-type', 'portal'],
+    run: function(context) {
+      const hubName = context.config.hubName;
+      const hubNameResult = FinOpsUtils.validateHubName(hubName);
+      if (!hubNameResult.valid) {
+        throw failure(`--hub-name: ${hubNameResult.message}`, 1);
+      }
+
+      let scopeType;
+      try {
+        scopeType = ExportScripts.getScopeType(getOption(context.options, 'scope-type') || 'subscription');
+      } catch (e) {
+        throw failure(`--scope-type: ${e.message}`);
+      }
+
+      // --subscriptions is the same as --scopes for subscriptions
+      if (context.options.subscriptions && scopeType.value !== 'subscription') {
+        throw failure(`--subscriptions can't be used with --scope-type ${scopeType.value}; use --scopes`);
+      }
+      const raw = [].concat(context.options.scopes || [], context.options.subscriptions || []);
+      const ids = FinOpsUtils.parseIdList(raw.filter(value => value !== true).join('\n'));
+      if (ids.length === 0) {
+        throw failure(scopeType.value === 'subscription' ? '--subscriptions needs at least one subscription ID' : `--scopes needs at least one ${scopeType.noun} ID`);
+      }
+      const invalid = ids.filter(id => !ExportScripts.validateScope(scopeType.value, id));
+      if (invalid.length > 0) {
+        throw failure(`Invalid ${scopeType.noun} ID(s): ${invalid.join(', ')}`, 1);
+      }
+
+      const options = { scopeType: scopeType.value };
+      writeOutput(context.options, getOption(context.options, 'portal')
+        ? ExportScripts.generatePortalInstructions(hubName, ids, options)
+        : ExportScripts.generatePowerShellScript(hubName, ids, options));
+    }
+  }
+};
+
+/**
+ * Runs the command line
+ * @param {Array} argv - Arguments after the script name
+ */
+function main(argv) {
+  const { command, options } = parseArgs(argv);
+
+  if (!command || options.help) {
+    console.log(usage);
+    return;
+  }
+  if (!commands[command]) {
+    throw failure(`Unknown command: ${command}\n\n${usage}`);
+  }
+
+  let schema;
+  try {
+    schema = core.readTemplate(getOption(options, 'template'));
+  } catch (e) {
+    throw failure(e.message);
+  }
+
+  const policyFile = getOption(options, 'tag-policy');
+  let tagPolicy = null;
+  if (policyFile) {
+    try {
+      tagPolicy = TagRules.parsePolicy(readFile(policyFile));
+    } catch (e) {
+      throw failure(e.exitCode ? e.message : `${policyFile}: ${e.message}`);
+    }
+  }
+
+  const { config, inputErrors } = buildConfig(schema, options, commands[command].options);
+  commands[command].run({
+    schema: schema,
+    config: config,
+    inputErrors: inputErrors,
+    options: options,
+    ruleOptions: { tagPolicy: tagPolicy }
+  });
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.exitCode ? e.message : e.stack);
+    process.exitCode = e.exitCode || 2;
+  }
+}
+
+module.exports = { main, parseArgs, buildConfig };
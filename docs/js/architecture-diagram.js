@@ -4,12 +4,13 @@
  */
 
 const ArchitectureDiagram = {
-  // Component details
+  // Component details. Priced components name their line in the cost breakdown
+  // (`costKey`, see PricingCatalog.calculateCosts); the others have a `cost` label.
   components: {
     storage: {
       name: 'Storage Account (Data Lake Gen2)',
       description: 'Azure Data Lake Storage Gen2 account that stores raw Cost Management exports in the <code>msexports</code> container and processed data in the <code>ingestion</code> container. Premium tier with hierarchical namespace enabled.',
-      cost: '$5-10/month',
+      costKey: 'storage',
       features: [
         'Hierarchical namespace for file/folder structure',
         'Premium performance tier',
@@ -21,7 +22,7 @@ const ArchitectureDiagram = {
     dataFactory: {
       name: 'Azure Data Factory',
       description: 'Orchestration service that processes raw cost exports through pipelines. Triggered automatically when new exports arrive via Event Grid.',
-      cost: '$2-5/month',
+      costKey: 'dataFactory',
       features: [
         'Event-driven pipeline execution',
         'Data transformation and enrichment',
@@ -33,7 +34,7 @@ const ArchitectureDiagram = {
     keyVault: {
       name: 'Key Vault',
       description: 'Secure storage for secrets, connection strings, and configuration. Accessed by Data Factory and managed identities for secure authentication.',
-      cost: '$0.50/month',
+      costKey: 'keyVault',
       features: [
         'Centralized secret management',
         'Access policies for managed identities',
@@ -45,7 +46,7 @@ const ArchitectureDiagram = {
     eventGrid: {
       name: 'Event Grid System Topic',
       description: 'Monitors blob creation events in the storage account and triggers Data Factory pipelines when new cost exports arrive.',
-      cost: '$0.50/month',
+      costKey: 'eventGrid',
       features: [
         'Real-time event processing',
         'Blob creation event subscriptions',
@@ -69,7 +70,7 @@ const ArchitectureDiagram = {
     dataExplorer: {
       name: 'Azure Data Explorer (Optional)',
       description: 'High-performance analytics engine for querying large volumes of cost data. Recommended for organizations with >$2M monthly Azure spend or 24+ months retention.',
-      cost: '$150+/month',
+      costKey: 'dataExplorer',
       features: [
         'Fast KQL queries over large datasets',
         'Columnar storage compression',
@@ -152,6 +153,7 @@ const ArchitectureDiagram = {
 
   // State
   currentComponent: null,
+  componentCosts: {},          // {low, high} monthly cost by costKey, set by updateTotalCost
   showDataExplorer: false,
   animationRunning: false,
   animationFrame: null,
@@ -217,7 +219,7 @@ const ArchitectureDiagram = {
       document.addEventListener('click', (e) => {
         if (this.currentComponent &&
             !detailPanel.contains(e.target) &&
-            !e.target.closest('.architecture-component')) {
+            !e.target.closest('.arch-component')) {
           this.hideComponentDetails();
         }
       });
@@ -243,7 +245,7 @@ const ArchitectureDiagram = {
       <p class="component-description">${component.description}</p>
 
       <div class="component-cost">
-        <strong>💵 Cost:</strong> ${component.cost}
+        <strong>💵 Cost:</strong> ${this.formatCost(component, '/month')}
       </div>
 
       <h4>Key Features:</h4>
@@ -297,17 +299,55 @@ const ArchitectureDiagram = {
     this.updateTotalCost();
   },
 
-  // Update total architecture cost
+  // Format a component cost in the display currency; empty until the costs are calculated
+  formatCost: function(component, period) {
+    if (component.cost) return component.cost;
+
+    const range = this.componentCosts[component.costKey];
+    if (!range) return '';
+
+    const amount = value => FinOpsUtils.formatCurrency(value, value < 10);
+    if (amount(range.low) === amount(range.high)) {
+      return `${amount(range.low)}${period}`;
+    }
+    return `${amount(range.low)}–${amount(range.high)}${period}`;
+  },
+
+  // Show component costs on the diagram in the display currency
+  updateCostLabels: function() {
+    Object.keys(this.components).forEach(componentId => {
+      const label = document.querySelector(`.arch-component[data-component="${componentId}"] .arch-cost`);
+      if (label) {
+        label.textContent = this.formatCost(this.components[componentId], '/mo');
+      }
+    });
+
+    if (this.currentComponent) {
+      this.showComponentDetails(this.currentComponent);
+    }
+  },
+
+  // Update total architecture and component costs from the pricing catalog
+  // Uses the Configuration Builder's region and settings, from one subscription up to 25
   updateTotalCost: function() {
     const costElement = document.getElementById('architectureCost');
-    if (!costElement) return;
+    if (!costElement || typeof ConfigBuilder === 'undefined') return;
 
-    let baseCost = 8.5; // Storage + ADF + KV + EventGrid
-    if (this.showDataExplorer) {
-      baseCost += 150; // Add ADX cost
-    }
+    const config = {
+      ...ConfigBuilder.config,
+      analyticsBackend: this.showDataExplorer ? 'dataExplorer' : 'storage'
+    };
+    const low = ConfigBuilder.calculateCosts({ ...config, subscriptionCount: 1 });
+    const high = ConfigBuilder.calculateCosts({ ...config, subscriptionCount: 25 });
+    const region = FinOpsUtils.azureRegions.find(r => r.value === config.region);
+
+    this.componentCosts = {};
+    Object.keys(low).forEach(key => {
+      this.componentCosts[key] = { low: low[key], high: high[key] };
+    });
 
-    costElement.textContent = `$${baseCost.toFixed(0)}-${(baseCost + 20).toFixed(0)}/month`;
+    costElement.textContent = `${FinOpsUtils.formatCurrency(low.total, false)}–${FinOpsUtils.formatCurrency(high.total, false)}/month${region ? ` (${region.label})` : ''}`;
+    this.updateCostLabels();
   },
 
   // Play data flow animation
@@ -0,0 +1,613 @@
+/**
+ * ARM Template Expression Evaluator
+ * Evaluates the template language expressions used by template.json (e.g. "[uniqueString(...)]")
+ * so the builder can predict the exact names Azure will deploy
+ */
+
+const ArmExpressions = {
+  // Values returned by environment() for the Azure public cloud
+  environment: {
+    name: 'AzureCloud',
+    suffixes: {
+      storage: 'core.windows.net',
+      keyvaultDns: '.vault.azure.net',
+      sqlServerHostname: '.database.windows.net',
+      acrLoginServer: '.azurecr.io'
+    }
+  },
+
+  /**
+   * Creates an evaluation context
+   * @param {Object} options - {parameters, variables, functions, subscriptionId, resourceGroupName, location, deploymentName}
+   *   parameters are values; variables and user-defined functions are raw template JSON.
+   *   Inside a copy loop, copy it with copyLoop set to the loop name and copyIndexes to {loopName: index}.
+   *   references holds what reference() returns for resources whose state is known, keyed by lower-case
+   *   symbolic name, name or resource ID
+   * @returns {Object} Evaluation context
+   */
+  createContext: function(options = {}) {
+    const subscriptionId = options.subscriptionId || '00000000-0000-0000-0000-000000000000';
+    const resourceGroupName = options.resourceGroupName || 'resource-group';
+
+    return {
+      parameters: options.parameters || {},
+      variables: options.variables || {},
+      functions: options.functions || {},
+      variableCache: {},
+      subscription: {
+        id: `/subscriptions/${subscriptionId}`,
+        subscriptionId: subscriptionId,
+        tenantId: options.tenantId || '',
+        displayName: ''
+      },
+      resourceGroup: {
+        id: `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroupName}`,
+        name: resourceGroupName,
+        type: 'Microsoft.Resources/resourceGroups',
+        location: options.location || '',
+        properties: { provisioningState: 'Succeeded' }
+      },
+      deployment: {
+        name: options.deploymentName || 'finops-hub'
+      },
+      copyLoop: null,
+      copyIndexes: {},
+      references: options.references || {}
+    };
+  },
+
+  /**
+   * Checks whether a template string is an expression
+   * "[[" escapes a literal string that starts with "["
+   * @param {*} value - Template value
+   * @returns {boolean} True for expressions
+   */
+  isExpression: function(value) {
+    return typeof value === 'string' && value.startsWith('[') && !value.startsWith('[[') && value.endsWith(']');
+  },
+
+  /**
+   * Evaluates a template value, expanding expressions in nested objects and arrays
+   * @param {*} value - Template value
+   * @param {Object} context - Evaluation context (see createContext)
+   * @returns {*} Evaluated value
+   */
+  evaluateValue: function(value, context) {
+    if (this.isExpression(value)) {
+      return this.evaluate(value, context);
+    }
+    if (typeof value === 'string' && value.startsWith('[[')) {
+      return value.slice(1);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.evaluateValue(item, context));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        result[key] = this.evaluateValue(value[key], context);
+      });
+      return result;
+    }
+    return value;
+  },
+
+  /**
+   * Evaluates a single expression
+   * @param {string} expression - Expression with or without the surrounding brackets
+   * @param {Object} context - Evaluation context (see createContext)
+   * @returns {*} Result
+   * @throws {Error} On syntax errors, unsupported functions or missing parameters
+   */
+  evaluate: function(expression, context) {
+    const source = this.isExpression(expression) ? expression.slice(1, -1) : expression;
+    return this.evaluateNode(this.parse(source), context);
+  },
+
+  /**
+   * Parses an expression into a syntax tree
+   * @param {string} source - Expression without the surrounding brackets
+   * @returns {Object} Syntax tree node
+   * @throws {Error} On syntax errors
+   */
+  parse: function(source) {
+    const tokens = this.tokenize(source);
+    let position = 0;
+
+    const peek = (offset = 0) => tokens[position + offset];
+    const next = () => tokens[position++];
+    const expect = (type) => {
+      const token = next();
+      if (!token || token.type !== type) {
+        throw new Error(`Expected "${type}" in expression: ${source}`);
+      }
+      return token;
+    };
+
+    const parseExpression = () => {
+      const token = next();
+      if (!token) {
+        throw new Error(`Unexpected end of expression: ${source}`);
+      }
+
+      let node;
+      if (token.type === 'string' || token.type === 'number') {
+        node = { type: 'literal', value: token.value };
+      } else if (token.type === 'identifier') {
+        // Namespaced user-defined functions, e.g. _1.safeStorageName(...)
+        let name = token.value;
+        if (peek() && peek().type === '.' && peek(1) && peek(1).type === 'identifier' && peek(2) && peek(2).type === '(') {
+          next();
+          name += '.' + next().value;
+        }
+
+        expect('(');
+        const args = [];
+        if (peek() && peek().type !== ')') {
+          args.push(parseExpression());
+          while (peek() && peek().type === ',') {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        node = { type: 'call', name: name, args: args };
+      } else {
+        throw new Error(`Unexpected "${token.value}" in expression: ${source}`);
+      }
+
+      // Property and index accessors, e.g. parameters('hub').core.suffix or split(x, '_')[1]
+      while (peek() && (peek().type === '.' || peek().type === '[')) {
+        if (next().type === '.') {
+          node = { type: 'property', target: node, name: { type: 'literal', value: expect('identifier').value } };
+        } else {
+          node = { type: 'property', target: node, name: parseExpression() };
+          expect(']');
+        }
+      }
+      return node;
+    };
+
+    const tree = parseExpression();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek().value}" in expression: ${source}`);
+    }
+    return tree;
+  },
+
+  /**
+   * Splits an expression into tokens
+   * @param {string} source - Expression without the surrounding brackets
+   * @returns {Array} Tokens as {type, value}
+   * @throws {Error} On unterminated strings or unknown characters
+   */
+  tokenize: function(source) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < source.length) {
+      const char = source[index];
+
+      if (/\s/.test(char)) {
+        index++;
+      } else if ('(),.[]'.includes(char)) {
+        tokens.push({ type: char, value: char });
+        index++;
+      } else if (char === '\'') {
+        // Strings use '' to escape a single quote
+        let value = '';
+        index++;
+        while (true) {
+          if (index >= source.length) {
+            throw new Error(`Unterminated string in expression: ${source}`);
+          }
+          if (source[index] === '\'') {
+            if (source[index + 1] === '\'') {
+              value += '\'';
+              index += 2;
+              continue;
+            }
+            index++;
+            break;
+          }
+          value += source[index++];
+        }
+        tokens.push({ type: 'string', value: value });
+      } else if (/[-\d]/.test(char)) {
+        const match = /^-?\d+/.exec(source.slice(index));
+        if (!match) {
+          throw new Error(`Unexpected "${char}" in expression: ${source}`);
+        }
+        tokens.push({ type: 'number', value: parseInt(match[0], 10) });
+        index += match[0].length;
+      } else if (/[A-Za-z_$]/.test(char)) {
+        const match = /^[A-Za-z_$][A-Za-z0-9_$#]*/.exec(source.slice(index));
+        tokens.push({ type: 'identifier', value: match[0] });
+        index += match[0].length;
+      } else {
+        throw new Error(`Unexpected "${char}" in expression: ${source}`);
+      }
+    }
+    return tokens;
+  },
+
+  // Evaluate a syntax tree node
+  evaluateNode: function(node, context) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'property':
+        return this.getProperty(this.evaluateNode(node.target, context), this.evaluateNode(node.name, context), false);
+      default:
+        return this.callFunction(node, context);
+    }
+  },
+
+  /**
+   * Reads a property or array element; object keys are case-insensitive in ARM
+   * @param {*} target - Object or array
+   * @param {string|number} key - Property name or index
+   * @param {boolean} optional - Return null instead of throwing when missing
+   * @returns {*} Value
+   */
+  getProperty: function(target, key, optional) {
+    if (Array.isArray(target) && typeof key === 'number') {
+      if (key >= 0 && key < target.length) return target[key];
+    } else if (target && typeof target === 'object') {
+      if (Object.prototype.hasOwnProperty.call(target, key)) return target[key];
+      const match = Object.keys(target).find(name => name.toLowerCase() === String(key).toLowerCase());
+      if (match !== undefined) return target[match];
+    }
+
+    if (optional) return null;
+    throw new Error(`The language expression property '${key}' doesn't exist`);
+  },
+
+  // Call a built-in or user-defined function
+  callFunction: function(node, context) {
+    const name = node.name;
+
+    // User-defined functions (languageVersion 2.0 "functions" block)
+    if (name.includes('.')) {
+      const definition = context.functions[name];
+      if (!definition) {
+        throw new Error(`Unknown function: ${name}`);
+      }
+
+      const args = node.args.map(arg => this.evaluateNode(arg, context));
+      const parameters = {};
+      (definition.parameters || []).forEach((param, index) => {
+        parameters[param.name] = args[index];
+      });
+      return this.evaluateValue(definition.output.value, { ...context, parameters: parameters });
+    }
+
+    const lowerName = name.toLowerCase();
+
+    // Functions that only evaluate the arguments they need
+    if (lowerName === 'if') {
+      const condition = this.evaluateNode(node.args[0], context);
+      return this.evaluateNode(node.args[condition ? 1 : 2], context);
+    }
+    if (lowerName === 'and') {
+      return node.args.every(arg => this.evaluateNode(arg, context) === true);
+    }
+    if (lowerName === 'or') {
+      return node.args.some(arg => this.evaluateNode(arg, context) === true);
+    }
+    if (lowerName === 'coalesce') {
+      for (const arg of node.args) {
+        const value = this.evaluateNode(arg, context);
+        if (value !== null && value !== undefined) return value;
+      }
+      return null;
+    }
+    if (lowerName === 'variables') {
+      return this.getVariable(this.evaluateNode(node.args[0], context), context);
+    }
+
+    const fn = this.functions[lowerName];
+    if (!fn) {
+      throw new Error(`Unsupported function: ${name}`);
+    }
+    return fn.apply(this, [context].concat(node.args.map(arg => this.evaluateNode(arg, context))));
+  },
+
+  // Evaluate a template variable once per context
+  getVariable: function(name, context) {
+    if (Object.prototype.hasOwnProperty.call(context.variableCache, name)) {
+      return context.variableCache[name];
+    }
+    if (!Object.prototype.hasOwnProperty.call(context.variables, name)) {
+      throw new Error(`Unknown variable: ${name}`);
+    }
+
+    const value = this.evaluateValue(context.variables[name], context);
+    context.variableCache[name] = value;
+    return value;
+  },
+
+  // Check whether a value is null, '', [] or {}
+  isEmpty: function(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  },
+
+  // Convert a value to a string the way ARM does
+  toArmString: function(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'True' : 'False';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  },
+
+  // Built-in functions, keyed by lower-case name. Each receives the context first.
+  functions: {
+    // Deployment values
+    parameters: function(context, name) {
+      if (!Object.prototype.hasOwnProperty.call(context.parameters, name)) {
+        throw new Error(`Missing parameter: ${name}`);
+      }
+      return context.parameters[name];
+    },
+    resourcegroup: function(context) { return context.resourceGroup; },
+    subscription: function(context) { return context.subscription; },
+    deployment: function(context) { return context.deployment; },
+    environment: function() { return this.environment; },
+    copyindex: function(context, ...args) {
+      // copyIndex([loopName], [offset]); without a name it's the innermost loop
+      const loopName = typeof args[0] === 'string' ? args.shift() : context.copyLoop;
+      if (!loopName || !Object.prototype.hasOwnProperty.call(context.copyIndexes, loopName)) {
+        throw new Error(loopName ? `copyIndex() loop not found: ${loopName}` : 'copyIndex() is only valid in a copy loop');
+      }
+      return context.copyIndexes[loopName] + (args.length > 0 ? args[0] : 0);
+    },
+
+    // Values only known while the deployment runs, unless the context knows them
+    reference: function(context, resource) {
+      const key = String(resource).toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(context.references, key)) {
+        return context.references[key];
+      }
+      throw new Error(`reference('${resource}') is only known during deployment`);
+    },
+    utcnow: function() {
+      throw new Error('utcNow() is only known during deployment');
+    },
+    resourceid: function(context, ...segments) {
+      // resourceId([subscriptionId], [resourceGroupName], resourceType, name1, name2, ...)
+      const typeIndex = segments.findIndex(segment => /^[^/]+\.[^/]+\/[^/]+/.test(segment));
+      if (typeIndex < 0) {
+        throw new Error('resourceId() requires a resource type');
+      }
+      const subscriptionId = typeIndex === 2 ? segments[0] : context.subscription.subscriptionId;
+      const resourceGroupName = typeIndex >= 1 ? segments[typeIndex - 1] : context.resourceGroup.name;
+      const typeParts = segments[typeIndex].split('/');
+      const names = segments.slice(typeIndex + 1);
+      let path = `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroupName}/providers/${typeParts[0]}`;
+      typeParts.slice(1).forEach((type, index) => {
+        path += `/${type}/${names[index]}`;
+      });
+      return path;
+    },
+
+    // Strings
+    concat: function(context, ...values) {
+      if (values.every(Array.isArray)) return [].concat(...values);
+      return values.map(value => this.toArmString(value)).join('');
+    },
+    format: function(context, template, ...values) {
+      return String(template).replace(/\{\{|\}\}|\{(\d+)(?:[,:][^}]*)?\}/g, (match, index) => {
+        if (match === '{{') return '{';
+        if (match === '}}') return '}';
+        return this.toArmString(values[parseInt(index, 10)]);
+      });
+    },
+    tolower: function(context, value) { return String(value).toLowerCase(); },
+    toupper: function(context, value) { return String(value).toUpperCase(); },
+    trim: function(context, value) { return String(value).trim(); },
+    replace: function(context, value, oldValue, newValue) {
+      return String(value).split(oldValue).join(newValue);
+    },
+    substring: function(context, value, start, length) {
+      const text = String(value);
+      const end = length === undefined ? text.length : start + length;
+      if (start < 0 || end > text.length || end < start) {
+        throw new Error(`substring() index out of range for '${text}'`);
+      }
+      return text.substring(start, end);
+    },
+    split: function(context, value, delimiter) {
+      const delimiters = Array.isArray(delimiter) ? delimiter : [delimiter];
+      return delimiters.reduce((parts, separator) => [].concat(...parts.map(part => part.split(separator))), [String(value)]);
+    },
+    join: function(context, values, delimiter) { return values.map(value => this.toArmString(value)).join(delimiter); },
+    startswith: function(context, value, prefix) { return String(value).toLowerCase().startsWith(String(prefix).toLowerCase()); },
+    endswith: function(context, value, suffix) { return String(value).toLowerCase().endsWith(String(suffix).toLowerCase()); },
+    indexof: function(context, value, search) { return String(value).toLowerCase().indexOf(String(search).toLowerCase()); },
+    lastindexof: function(context, value, search) { return String(value).toLowerCase().lastIndexOf(String(search).toLowerCase()); },
+    string: function(context, value) { return this.toArmString(value); },
+    uniquestring: function(context, ...values) { return this.uniqueString(...values); },
+
+    // Strings and arrays
+    take: function(context, value, count) {
+      const amount = Math.max(0, count);
+      return Array.isArray(value) ? value.slice(0, amount) : String(value).slice(0, amount);
+    },
+    skip: function(context, value, count) {
+      const amount = Math.max(0, count);
+      return Array.isArray(value) ? value.slice(amount) : String(value).slice(amount);
+    },
+    length: function(context, value) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) return Object.keys(value).length;
+      return value.length;
+    },
+    empty: function(context, value) { return this.isEmpty(value); },
+    first: function(context, value) { return value.length > 0 ? value[0] : (Array.isArray(value) ? null : ''); },
+    last: function(context, value) { return value.length > 0 ? value[value.length - 1] : (Array.isArray(value) ? null : ''); },
+    contains: function(context, container, item) {
+      if (typeof container === 'string') return container.includes(String(item));
+      if (Array.isArray(container)) return container.some(value => JSON.stringify(value) === JSON.stringify(item));
+      return Object.keys(container || {}).some(key => key.toLowerCase() === String(item).toLowerCase());
+    },
+
+    // Arrays and objects
+    array: function(context, value) { return Array.isArray(value) ? value : [value]; },
+    createarray: function(context, ...values) { return values; },
+    createobject: function(context, ...pairs) {
+      const result = {};
+      for (let index = 0; index < pairs.length; index += 2) {
+        result[pairs[index]] = pairs[index + 1];
+      }
+      return result;
+    },
+    union: function(context, ...values) {
+      if (values.every(Array.isArray)) {
+        const result = [];
+        values.forEach(list => list.forEach(item => {
+          if (!result.some(existing => JSON.stringify(existing) === JSON.stringify(item))) result.push(item);
+        }));
+        return result;
+      }
+      return Object.assign({}, ...values.map(value => value || {}));
+    },
+    items: function(context, value) {
+      // ARM returns the properties sorted by key
+      return Object.keys(value).sort().map(key => ({ key: key, value: value[key] }));
+    },
+    tryget: function(context, value, ...keys) {
+      return keys.reduce((current, key) => (current === null ? null : this.getProperty(current, key, true)), value);
+    },
+
+    // Logic and comparison
+    not: function(context, value) { return !value; },
+    equals: function(context, a, b) { return JSON.stringify(a) === JSON.stringify(b); },
+    less: function(context, a, b) { return a < b; },
+    lessorequals: function(context, a, b) { return a <= b; },
+    greater: function(context, a, b) { return a > b; },
+    greaterorequals: function(context, a, b) { return a >= b; },
+    true: function() { return true; },
+    false: function() { return false; },
+    null: function() { return null; },
+    bool: function(context, value) { return typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value); },
+
+    // Numbers
+    int: function(context, value) { return parseInt(value, 10); },
+    add: function(context, a, b) { return a + b; },
+    sub: function(context, a, b) { return a - b; },
+    mul: function(context, a, b) { return a * b; },
+    div: function(context, a, b) { return Math.trunc(a / b); },
+    mod: function(context, a, b) { return a % b; },
+    min: function(context, ...values) { return Math.min(...[].concat(...values)); },
+    max: function(context, ...values) { return Math.max(...[].concat(...values)); },
+
+    // Networking
+    cidrsubnet: function(context, network, prefixLength, index) {
+      const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/.exec(String(network));
+      if (!match) {
+        throw new Error(`cidrSubnet() requires an IPv4 CIDR block: ${network}`);
+      }
+      const blockSize = Math.pow(2, 32 - Number(match[5]));
+      const size = Math.pow(2, 32 - prefixLength);
+      if (prefixLength < Number(match[5]) || prefixLength > 32 || index < 0 || (index + 1) * size > blockSize) {
+        throw new Error(`cidrSubnet() can't split ${network} into /${prefixLength} subnet ${index}`);
+      }
+
+      const address = match.slice(1, 5).reduce((value, octet) => value * 256 + Number(octet), 0);
+      const subnet = address - (address % blockSize) + index * size;
+      return `${[24, 16, 8, 0].map(shift => Math.floor(subnet / Math.pow(2, shift)) % 256).join('.')}/${prefixLength}`;
+    }
+  },
+
+  /**
+   * ARM uniqueString(): a 64-bit MurmurHash of the '-'-joined arguments,
+   * written as 13 base32 characters
+   * @param {...string} values - Values to hash
+   * @returns {string} 13-character deterministic hash
+   */
+  uniqueString: function(...values) {
+    let hash = this.murmurHash64(new TextEncoder().encode(values.join('-')));
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+    let result = '';
+
+    // Take the top 5 bits at a time
+    for (let index = 0; index < 13; index++) {
+      result += alphabet[Number(hash >> 59n)];
+      hash = (hash << 5n) & 0xffffffffffffffffn;
+    }
+    return result;
+  },
+
+  /**
+   * The 64-bit MurmurHash variant used by uniqueString() (seed 0)
+   * @param {Uint8Array} data - Bytes to hash
+   * @returns {BigInt} Unsigned 64-bit hash
+   */
+  murmurHash64: function(data) {
+    const c1 = 0x239b961b;
+    const c2 = 0xab0e9789;
+    const rotl = (value, bits) => ((value << bits) | (value >>> (32 - bits))) >>> 0;
+    const fmix = (value) => {
+      let h = value;
+      h = Math.imul(h ^ (h >>> 16), 0x85ebca6b) >>> 0;
+      h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
+      return (h ^ (h >>> 16)) >>> 0;
+    };
+    const readUint32 = (offset, count) => {
+      let value = 0;
+      for (let index = 0; index < count; index++) {
+        value |= data[offset + index] << (8 * index);
+      }
+      return value >>> 0;
+    };
+
+    const length = data.length;
+    let h1 = 0;
+    let h2 = 0;
+    let index = 0;
+
+    for (; index + 7 < length; index += 8) {
+      let k1 = readUint32(index, 4);
+      let k2 = readUint32(index + 4, 4);
+
+      k1 = Math.imul(rotl(Math.imul(k1, c1) >>> 0, 15), c2) >>> 0;
+      h1 = (h1 ^ k1) >>> 0;
+      h1 = (rotl(h1, 19) + h2) >>> 0;
+      h1 = (Math.imul(h1, 5) + 0x561ccd1b) >>> 0;
+
+      k2 = Math.imul(rotl(Math.imul(k2, c2) >>> 0, 17), c1) >>> 0;
+      h2 = (h2 ^ k2) >>> 0;
+      h2 = (rotl(h2, 13) + h1) >>> 0;
+      h2 = (Math.imul(h2, 5) + 0x0bcaa747) >>> 0;
+    }
+
+    const tail = length - index;
+    if (tail > 0) {
+      const k1 = Math.imul(rotl(Math.imul(readUint32(index, Math.min(tail, 4)), c1) >>> 0, 15), c2) >>> 0;
+      h1 = (h1 ^ k1) >>> 0;
+
+      if (tail > 4) {
+        const k2 = Math.imul(rotl(Math.imul(readUint32(index + 4, tail - 4), c2) >>> 0, 17), c1) >>> 0;
+        h2 = (h2 ^ k2) >>> 0;
+      }
+    }
+
+    h1 = (h1 ^ length) >>> 0;
+    h2 = (h2 ^ length) >>> 0;
+    h1 = (h1 + h2) >>> 0;
+    h2 = (h2 + h1) >>> 0;
+    h1 = fmix(h1);
+    h2 = fmix(h2);
+    h1 = (h1 + h2) >>> 0;
+    h2 = (h2 + h1) >>> 0;
+
+    return (BigInt(h2) << 32n) | BigInt(h1);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ArmExpressions;
+}
@@ -1,154 +1,1211 @@
 /**
  * Deployment Configuration Builder
  * Interactive form for generating Azure deployment parameters
+ * Parameter metadata, validation, names and costs come from HubConfig
  */
 
 const ConfigBuilder = {
-  // Current configuration state
+  // Current configuration state (see HubConfig.defaults), plus fields only the builder uses
   config: {
-    hubName: '',
-    region: 'eastus',
-    storageSku: 'Premium_LRS',
-    exportRetention: 0,
-    ingestionRetention: 13,
-    enablePublicAccess: true,
-    enableInfraEncryption: false,
-    dataExplorerName: '',
-    subscriptionCount: 1
+    ...HubConfig.defaults,
+    regionGeography: '',
+    existingNetworkRanges: ''
+  },
+
+  // Template and UI definition used for deployments
+  templateUri: HubConfig.templateUri,
+  uiDefinitionUri: 'https://raw.githubusercontent.com/EuphoriaLux/finops-hub-deployment/main/createUiDefinition.json',
+
+  // Parameters declared by template.json, in template order (see TemplateSchema.parse)
+  schema: [],
+
+  // Nested hub deployment used to predict resource names (see TemplateSchema.parseDeployment)
+  deployment: null,
+
+  // Configuration before saved or shared values are applied
+  defaultConfig: null,
+
+  // Saved profiles (see ConfigProfiles); the active one is mirrored in `config`
+  profiles: null,
+
+  // True when profiles were loaded from localStorage rather than created fresh
+  hasSavedProfiles: false,
+
+  // Imported Azure Retail Prices (see RetailPrices), or null for built-in prices
+  retailPrices: null,
+
+  // Required-tags policy (see TagRules.parsePolicy), or null when none is loaded
+  tagPolicy: null,
+
+  // Configuration pinned for comparison ({name, config}), or null when not comparing
+  baseline: null,
+
+  // Deployed hub loaded for the drift check (see DriftReport.merge), or null when none is loaded
+  deployedHub: null,
+
+  // Multi-year projection settings (see TcoProjection)
+  tcoOptions: {
+    years: 3,
+    annualGrowth: 20,                 // Percent per year
+    dataExplorerReservation: 'none'   // Key in PricingCatalog.reservations.dataExplorer
   },
 
   // Initialize the builder
   init: function() {
+    this.defaultConfig = JSON.parse(JSON.stringify(this.config));
+    Currency.load();
+    this.retailPrices = RetailPrices.loadCache();
+    this.tagPolicy = TagRules.loadPolicy();
     this.loadSavedConfig();
+    this.renderProfileSwitcher();
+    this.renderCurrencyControls();
     this.setupEventListeners();
     this.updateCostEstimate();
+    this.loadCurrencyRates();
+    this.loadSchema();
   },
 
-  // Load saved configuration
-  loadSavedConfig: function() {
+  // Load conversion rates from the rates file, then refresh figures shown in other currencies
+  loadCurrencyRates: async function() {
+    if (await Currency.loadRates()) {
+      this.renderCurrencyControls();
+      this.updateCostEstimate();
+    }
+  },
+
+  // Populate the display currency and number format dropdowns
+  renderCurrencyControls: function() {
+    const currencySelect = document.getElementById('currencySelect');
+    if (currencySelect) {
+      currencySelect.innerHTML = Object.keys(Currency.rates).map(code =>
+        `<option value="${code}"${code === Currency.currency ? ' selected' : ''}>${code}</option>`
+      ).join('');
+    }
+
+    const localeSelect = document.getElementById('localeSelect');
+    if (localeSelect) {
+      localeSelect.innerHTML = Currency.locales.map(locale =>
+        `<option value="${locale.value}"${locale.value === Currency.locale ? ' selected' : ''}>${FinOpsUtils.escapeHtml(locale.label)}</option>`
+      ).join('');
+    }
+  },
+
+  // Show cost figures in another currency or number format
+  selectCurrency: function(currency, locale) {
     try {
-      const saved = localStorage.getItem('finops-config-builder');
-      if (saved) {
-        this.config = { ...this.config, ...JSON.parse(saved) };
-        this.populateForm();
+      Currency.select(currency, locale);
+    } catch (e) {
+      alert(e.message);
+      this.renderCurrencyControls();
+      return;
+    }
+    this.updateCostEstimate();
+    this.updateRecommendations();
+  },
+
+  // Render the form from the template parameters shipped with the site, then refresh
+  // them from the published template so the form matches what Deploy to Azure deploys.
+  // Only failed downloads are reported as such; errors rendering the form propagate.
+  loadSchema: async function() {
+    let bundled = null;
+    try {
+      bundled = await TemplateSchema.loadBundled();
+    } catch (e) {
+      console.warn('Could not load the template parameters shipped with the site', e);
+    }
+    if (bundled) this.applySchema(bundled);
+
+    let schema;
+    try {
+      schema = await TemplateSchema.load(this.templateUri);
+    } catch (e) {
+      console.warn('Could not load template parameters', e);
+      const basicFields = document.getElementById('configBasicFields');
+      if (!bundled && basicFields) {
+        basicFields.innerHTML = `<div class="form-group full-width alert-warning">⚠️ Could not load the template parameters from <code>${FinOpsUtils.escapeHtml(this.templateUri)}</code>. Check your connection and reload the page.</div>`;
+      }
+      return;
+    }
+    if (!bundled || !TemplateSchema.isSame(schema, this.getSchema())) {
+      this.applySchema(schema);
+    }
+  },
+
+  // Use template parameters and (re-)render the form from them
+  applySchema: function(schema) {
+    const firstLoad = this.schema.length === 0;
+    this.schema = schema.parameters;
+    this.deployment = schema.deployment;
+    this.applySchemaDefaults();
+
+    let sharedLoaded = false;
+    if (firstLoad) {
+      // Profiles saved by earlier versions can hold secure values
+      if (this.hasSavedProfiles) this.saveProfiles();
+      this.config = this.withValidValues(this.config);
+      sharedLoaded = this.loadSharedConfig();
+    }
+
+    this.renderFields();
+    this.refresh();
+
+    // Only keep a shared configuration once the form has shown it
+    if (sharedLoaded) this.saveConfig();
+  },
+
+  // Re-populate the form and every derived view from the config
+  refresh: function() {
+    this.populateForm();
+    this.updateCostEstimate();
+    this.updateRecommendations();
+    this.updateResourceNames();
+    this.updateResourcePreview();
+    this.updateDriftReport();
+  },
+
+  // Defaults for every config field, including template parameter defaults
+  getDefaultConfig: function() {
+    return HubConfig.getDefaultConfig(this.getSchema(), this.defaultConfig || this.config);
+  },
+
+  // Config fields that must never leave the browser (securestring parameters)
+  getSecureFields: function() {
+    return HubConfig.getSecureFields(this.getSchema());
+  },
+
+  // Reset values of the wrong type, e.g. saved before values were checked, to their defaults
+  // so the form can render. Does nothing until the template parameters are loaded.
+  withValidValues: function(config) {
+    if (this.schema.length === 0) return config;
+
+    const defaults = this.getDefaultConfig();
+    const { config: values, invalid } = HubConfig.sanitizeConfig(this.getSchema(), config, defaults);
+    invalid.forEach(entry => console.warn(`Reset ${entry.field} to its default: ${entry.message}`));
+    return { ...defaults, ...values };
+  },
+
+  // Compare two configs, ignoring the given fields
+  isSameConfig: function(a, b, ignoreFields = []) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...fields]
+      .filter(field => !ignoreFields.includes(field))
+      .every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+  },
+
+  // Apply a configuration shared through the URL fragment. Values of the wrong type are
+  // left out and listed in the notice. Returns true if the config changed; the caller
+  // saves it once the form has rendered.
+  loadSharedConfig: function() {
+    let shared;
+    try {
+      shared = ConfigShare.readFragment(window.location.hash);
+    } catch (e) {
+      console.warn('Could not read shared config', e);
+      this.showShareNotice('warning', `⚠️ This share link could not be opened: ${FinOpsUtils.escapeHtml(e.message)}`);
+      return false;
+    }
+    if (!shared) return false;
+
+    // Drop the share token so later edits aren't overwritten on reload
+    if (window.history && window.history.replaceState) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search + '#config-builder');
+    }
+
+    const defaults = this.getDefaultConfig();
+    const { config, invalid } = HubConfig.sanitizeConfig(this.getSchema(), shared, defaults);
+    const sharedConfig = { ...defaults, ...config };
+    const ignored = invalid.length > 0
+      ? `<br>Some values in the link were ignored: ${invalid.map(entry => `${FinOpsUtils.escapeHtml(entry.label)} (${FinOpsUtils.escapeHtml(entry.message)})`).join(', ')}.`
+      : '';
+
+    if (this.hasSavedProfiles && !this.isSameConfig(this.config, sharedConfig, this.getSecureFields())) {
+      // Keep the local design by opening the shared one as a new profile
+      const previousProfile = this.profiles.activeProfile;
+      const profileName = ConfigProfiles.add(this.profiles, sharedConfig.hubName ? `Shared - ${sharedConfig.hubName}` : 'Shared', sharedConfig);
+      this.config = sharedConfig;
+      this.renderProfileSwitcher();
+      this.showShareNotice('warning', `
+        <strong>🔗 Shared configuration loaded</strong> as the new profile "${FinOpsUtils.escapeHtml(profileName)}". Your saved profiles are unchanged.${ignored}
+        <button type="button" class="btn btn-secondary" data-share-action="restore" data-profile="${FinOpsUtils.escapeHtml(previousProfile)}">Switch back to "${FinOpsUtils.escapeHtml(previousProfile)}"</button>
+        <button type="button" class="btn btn-primary" data-share-action="dismiss">Keep shared configuration</button>
+      `);
+    } else {
+      this.config = sharedConfig;
+      this.showShareNotice(invalid.length > 0 ? 'warning' : 'info', `
+        <strong>🔗 Shared configuration loaded.</strong>${ignored}
+        <button type="button" class="btn btn-primary" data-share-action="dismiss">OK</button>
+      `);
+    }
+    return true;
+  },
+
+  // Show a notice about shared configurations
+  showShareNotice: function(type, html) {
+    const notice = document.getElementById('configShareNotice');
+    if (!notice) return;
+
+    notice.className = type === 'warning' ? 'alert-warning' : 'alert-info';
+    notice.innerHTML = html;
+    notice.style.display = 'block';
+
+    notice.querySelectorAll('[data-share-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        if (button.getAttribute('data-share-action') === 'restore') {
+          this.switchProfile(button.getAttribute('data-profile'));
+        }
+        notice.style.display = 'none';
+      });
+    });
+  },
+
+  // Build a share link for the current configuration
+  buildShareUrl: function() {
+    return ConfigShare.buildUrl(window.location.href, this.config, this.getDefaultConfig(), this.getSecureFields());
+  },
+
+  // Copy a share link for the current configuration
+  copyShareLink: function(button) {
+    if (this.schema.length === 0) {
+      alert('Template parameters are still loading. Please try again in a moment.');
+      return;
+    }
+    this.copyWithFeedback(button, this.buildShareUrl());
+  },
+
+  // Loaded template parameters and nested deployment, as HubConfig takes them
+  getSchema: function() {
+    return { parameters: this.schema, deployment: this.deployment };
+  },
+
+  // Get the builder hints for a template parameter
+  getHint: function(name) {
+    return HubConfig.getHint(name);
+  },
+
+  // Get the display label for a template parameter, without required markers
+  labelFor: function(param) {
+    return HubConfig.labelFor(param);
+  },
+
+  // Get the config field that stores a template parameter
+  fieldFor: function(param) {
+    return HubConfig.fieldFor(param);
+  },
+
+  // Find the template parameter stored in a config field
+  paramForField: function(field) {
+    return HubConfig.paramForField(this.getSchema(), field);
+  },
+
+  // Get the form element ID for a config field
+  elementId: function(field) {
+    return 'config' + field.charAt(0).toUpperCase() + field.slice(1);
+  },
+
+  // Get the control type for a template parameter
+  widgetFor: function(param) {
+    const hint = this.getHint(param.name);
+    if (hint.widget) return hint.widget;
+    if (param.type === 'bool') return 'checkbox';
+    if (param.allowedValues) return 'select';
+    if (param.type === 'int') return 'number';
+    if (param.type === 'object' || param.type === 'array') return 'json';
+    return param.secure ? 'password' : 'text';
+  },
+
+  // Combine template constraints with builder limits the template doesn't declare
+  constraintsFor: function(param) {
+    return HubConfig.constraintsFor(param);
+  },
+
+  // Fill config fields the user hasn't set with template defaults
+  applySchemaDefaults: function() {
+    this.schema.forEach(param => {
+      const field = this.fieldFor(param);
+      if (this.config[field] === undefined && param.defaultValue !== undefined) {
+        this.config[field] = JSON.parse(JSON.stringify(param.defaultValue));
+      }
+    });
+  },
+
+  // Render form controls for every template parameter
+  renderFields: function() {
+    const basicFields = document.getElementById('configBasicFields');
+    const backendFields = document.getElementById('configBackendFields');
+    const advancedFields = document.getElementById('configAdvancedFields');
+    if (!basicFields || !backendFields || !advancedFields) return;
+
+    basicFields.innerHTML = '';
+    backendFields.innerHTML = '';
+    advancedFields.innerHTML = '';
+
+    this.schema.forEach(param => {
+      const hint = this.getHint(param.name);
+      let container = advancedFields;
+      if (hint.backend) {
+        container = backendFields;
+      } else if (hint.section === 'basic') {
+        container = basicFields;
       }
+      container.insertAdjacentHTML('beforeend', this.renderField(param));
+      this.bindField(param);
+    });
+
+    this.updateBackendVisibility();
+  },
+
+  // Whether a template parameter applies to the selected analytics back-end
+  isParameterActive: function(param, config = this.config) {
+    return HubConfig.isParameterActive(param, config);
+  },
+
+  // Show only the controls for the selected analytics back-end
+  updateBackendVisibility: function() {
+    document.querySelectorAll('#configBackendFields [data-backend]').forEach(group => {
+      group.style.display = group.getAttribute('data-backend') === this.config.analyticsBackend ? 'block' : 'none';
+    });
+  },
+
+  // Build the form group markup for a template parameter
+  renderField: function(param) {
+    const hint = this.getHint(param.name);
+    const constraints = this.constraintsFor(param);
+    const id = this.elementId(this.fieldFor(param));
+    const label = FinOpsUtils.escapeHtml(hint.label || TemplateSchema.formatLabel(param.name));
+    const helpText = FinOpsUtils.escapeHtml(hint.helpText || TemplateSchema.formatHelpText(param.description));
+    const placeholder = hint.placeholder ? ` placeholder="${FinOpsUtils.escapeHtml(hint.placeholder)}"` : '';
+    const groupAttributes = `class="form-group${hint.fullWidth ? ' full-width' : ''}"` +
+      (hint.backend ? ` data-backend="${hint.backend}"` : '');
+    const help = helpText ? `<span class="help-text">${helpText}</span>` : '';
+
+    switch (this.widgetFor(param)) {
+      case 'checkbox':
+        return `
+          <div ${groupAttributes}>
+            <label>
+              <input type="checkbox" id="${id}">
+              ${label}
+            </label>
+            ${help}
+          </div>`;
+
+      case 'radio': {
+        const options = (hint.options || param.allowedValues.map(value => ({ value: value, label: value })))
+          .filter(option => param.allowedValues.includes(option.value));
+        return `
+          <div ${groupAttributes}>
+            <label>${label}</label>
+            <div class="radio-group">
+              ${options.map(option => `
+              <div class="radio-option">
+                <input type="radio" id="${id}_${option.value}" name="${id}" value="${FinOpsUtils.escapeHtml(option.value)}">
+                <div class="radio-option-label">
+                  <label for="${id}_${option.value}"><strong>${FinOpsUtils.escapeHtml(option.label)}</strong></label>
+                  ${option.description ? `<div class="radio-option-description">${FinOpsUtils.escapeHtml(option.description)}</div>` : ''}
+                </div>
+              </div>`).join('')}
+            </div>
+            ${help}
+          </div>`;
+      }
+
+      case 'region':
+        return `
+          <div ${groupAttributes}>
+            <label for="${id}">${label}</label>
+            <div class="region-picker">
+              <select id="${id}"></select>
+              <select id="configRegionGeography" aria-label="Filter regions by geography">
+                ${this.getGeographyFilters().map(filter =>
+                  `<option value="${FinOpsUtils.escapeHtml(filter.value)}">${FinOpsUtils.escapeHtml(filter.label)}</option>`).join('')}
+              </select>
+            </div>
+            <span class="help-text region-details" id="regionDetails"></span>
+            ${help}
+          </div>`;
+
+      case 'select':
+        return `
+          <div ${groupAttributes}>
+            <label for="${id}">${label}</label>
+            <select id="${id}">
+              ${(param.allowedValues || []).map(value =>
+                `<option value="${FinOpsUtils.escapeHtml(value)}">${FinOpsUtils.escapeHtml(value)}</option>`).join('')}
+            </select>
+            ${help}
+          </div>`;
+
+      case 'number': {
+        const min = constraints.minValue !== undefined ? ` min="${constraints.minValue}"` : '';
+        const max = constraints.maxValue !== undefined ? ` max="${constraints.maxValue}"` : '';
+        return `
+          <div ${groupAttributes}>
+            <label for="${id}">${label}</label>
+            <input type="number" id="${id}"${min}${max}${placeholder}>
+            ${help}
+          </div>`;
+      }
+
+      case 'list':
+        return `
+          <div ${groupAttributes}>
+            <label for="${id}">${label}</label>
+            <textarea id="${id}" rows="3"${placeholder}></textarea>
+            ${help}
+          </div>`;
+
+      case 'json':
+        return `
+          <div ${groupAttributes}>
+            <label for="${id}">${label}</label>
+            <textarea id="${id}" rows="3"${placeholder || ` placeholder="${param.type === 'array' ? '[]' : '{}'}"`}></textarea>
+            ${help}
+          </div>`;
+
+      case 'network':
+        return `
+          <div ${groupAttributes}>
+            <label for="${id}">${label}</label>
+            <input type="text" id="${id}"${placeholder}>
+            ${help}
+            <div class="network-plan" id="networkPlan"></div>
+            <label for="configExistingNetworkRanges">Existing Virtual Network Ranges</label>
+            <textarea id="configExistingNetworkRanges" rows="3" placeholder="10.0.0.0/16 hub-vnet\n172.16.0.0/20"></textarea>
+            <span class="help-text">One CIDR block per line, optionally followed by a name, to check for overlaps. Or load the output of <code>az network vnet list</code>.</span>
+            <div class="network-ranges-actions">
+              <label for="networkRangesInput" class="btn btn-secondary" title="Text file with one CIDR block per line, or az network vnet list JSON output">⬆️ Load Ranges from File</label>
+              <input type="file" id="networkRangesInput" accept=".json,.txt,.csv,application/json,text/plain" hidden>
+            </div>
+          </div>`;
+
+      case 'tags':
+      case 'tagsByResource':
+        return `
+          <div ${groupAttributes}>
+            <label>${label}</label>
+            <div class="tag-editor" id="${id}">${this.renderTagEditor(this.widgetFor(param), {})}</div>
+            ${this.widgetFor(param) === 'tags' ? this.renderTagPolicyControls() : ''}
+            ${help}
+          </div>`;
+
+      default: {
+        const maxLength = constraints.maxLength !== undefined ? ` maxlength="${constraints.maxLength}"` : '';
+        const type = this.widgetFor(param) === 'password' ? 'password' : 'text';
+        return `
+          <div ${groupAttributes}>
+            <label for="${id}">${label}</label>
+            <input type="${type}" id="${id}"${maxLength}${placeholder}${type === 'password' ? ' autocomplete="off"' : ''}>
+            ${help}
+          </div>`;
+      }
+    }
+  },
+
+  // Tag editor contents: name/value rows for tags, or a group of rows per resource type for tagsByResource
+  renderTagEditor: function(widget, value) {
+    if (widget === 'tags') {
+      return `
+        <div class="tag-rows">${this.renderTagRows(value)}</div>
+        <button type="button" class="btn-link" data-tag-action="add-tag">+ Add tag</button>`;
+    }
+
+    return `
+      ${Object.keys(value || {}).map(resourceType => this.renderTagGroup(resourceType, value[resourceType])).join('')}
+      <button type="button" class="btn-link" data-tag-action="add-group">+ Add resource type</button>
+      <datalist id="tagResourceTypes">
+        ${TagRules.resourceTypes.map(type => `<option value="${type}"></option>`).join('')}
+      </datalist>`;
+  },
+
+  // Tag overrides for one resource type
+  renderTagGroup: function(resourceType = '', tags = {}) {
+    return `
+      <div class="tag-group">
+        <div class="tag-group-header">
+          <input type="text" class="tag-resource-type" list="tagResourceTypes" value="${FinOpsUtils.escapeHtml(resourceType)}" placeholder="Microsoft.Storage/storageAccounts" aria-label="Resource type">
+          <button type="button" class="btn-link" data-tag-action="remove-group">Remove</button>
+        </div>
+        <div class="tag-rows">${this.renderTagRows(tags)}</div>
+        <button type="button" class="btn-link" data-tag-action="add-tag">+ Add tag</button>
+      </div>`;
+  },
+
+  // Name/value inputs for each tag
+  renderTagRows: function(tags) {
+    const entries = tags && typeof tags === 'object' && !Array.isArray(tags) ? Object.keys(tags) : [];
+    return entries.map(name => this.renderTagRow(name, tags[name])).join('');
+  },
+
+  // One tag's name and value inputs
+  renderTagRow: function(name = '', value = '') {
+    return `
+      <div class="tag-row">
+        <input type="text" class="tag-name" value="${FinOpsUtils.escapeHtml(name)}" placeholder="Name" aria-label="Tag name">
+        <input type="text" class="tag-value" value="${FinOpsUtils.escapeHtml(String(value))}" placeholder="Value" aria-label="Tag value">
+        <button type="button" class="btn-link" data-tag-action="remove-tag" aria-label="Remove tag">✕</button>
+      </div>`;
+  },
+
+  // Load/clear controls and status for the required-tags policy
+  renderTagPolicyControls: function() {
+    return `
+      <div class="tag-policy">
+        <span id="tagPolicyStatus" class="help-text"></span>
+        <label for="tagPolicyInput" class="btn btn-secondary" title="JSON file listing the tags your governance policy requires, like data/tag-policy.example.json">⬆️ Load Required-Tags Policy</label>
+        <input type="file" id="tagPolicyInput" accept=".json,application/json" hidden>
+        <button type="button" id="clearTagPolicyBtn" class="btn btn-secondary">Clear Policy</button>
+      </div>`;
+  },
+
+  // Read a tag editor back into a tags or tagsByResource object
+  // Names entered more than once are added to `duplicates`
+  readTagEditor: function(element, widget, duplicates = []) {
+    const readRows = container => {
+      const tags = {};
+      container.querySelectorAll(':scope > .tag-rows > .tag-row').forEach(row => {
+        const name = row.querySelector('.tag-name').value.trim();
+        const value = row.querySelector('.tag-value').value;
+        if (!name && !value) return;
+        if (Object.prototype.hasOwnProperty.call(tags, name)) duplicates.push(name);
+        tags[name] = value;
+      });
+      return tags;
+    };
+
+    if (widget === 'tags') {
+      return readRows(element);
+    }
+
+    const tagsByResource = {};
+    element.querySelectorAll(':scope > .tag-group').forEach(group => {
+      const resourceType = group.querySelector('.tag-resource-type').value.trim();
+      const tags = readRows(group);
+      if (!resourceType && Object.keys(tags).length === 0) return;
+      if (Object.prototype.hasOwnProperty.call(tagsByResource, resourceType)) duplicates.push(resourceType);
+      tagsByResource[resourceType] = tags;
+    });
+    return tagsByResource;
+  },
+
+  // Validate and store the value of a tag editor
+  updateTagEditor: function(field, element, widget) {
+    const duplicates = [];
+    const value = this.readTagEditor(element, widget, duplicates);
+    if (duplicates.length > 0) {
+      FinOpsUtils.showError(element, `"${duplicates[0]}" is entered more than once`);
+      return;
+    }
+    this.validateAndUpdate(field, value);
+  },
+
+  // Handle the add/remove buttons of a tag editor
+  editTagEditor: function(button) {
+    switch (button.getAttribute('data-tag-action')) {
+      case 'add-tag': {
+        const rows = button.parentElement.querySelector(':scope > .tag-rows');
+        rows.insertAdjacentHTML('beforeend', this.renderTagRow());
+        rows.lastElementChild.querySelector('.tag-name').focus();
+        return false;
+      }
+      case 'add-group':
+        button.insertAdjacentHTML('beforebegin', this.renderTagGroup());
+        button.previousElementSibling.querySelector('.tag-resource-type').focus();
+        return false;
+      case 'remove-tag':
+        button.closest('.tag-row').remove();
+        return true;
+      case 'remove-group':
+        button.closest('.tag-group').remove();
+        return true;
+      default:
+        return false;
+    }
+  },
+
+  // Load a required-tags policy file and add the tags it requires to the editor
+  importTagPolicy: async function(file) {
+    if (!file) return;
+
+    try {
+      this.tagPolicy = TagRules.parsePolicy(await file.text());
+      TagRules.savePolicy(this.tagPolicy);
     } catch (e) {
-      console.warn('Could not load saved config', e);
+      console.warn('Could not load the required-tags policy', e);
+      alert(`Could not load ${file.name}: ${e.message}`);
+      return;
+    }
+
+    // Add missing required tags with empty values for the user to fill in
+    const tags = { ...(this.config.tags || {}) };
+    const names = Object.keys(tags).map(name => name.toLowerCase());
+    this.tagPolicy.requiredTags
+      .filter(required => !names.includes(required.name.toLowerCase()))
+      .forEach(required => { tags[required.name] = ''; });
+
+    const element = document.getElementById(this.elementId('tags'));
+    if (element) element.innerHTML = this.renderTagEditor('tags', tags);
+    this.config.tags = tags;
+    this.saveConfig();
+    this.revalidateTags();
+  },
+
+  // Stop checking tags against the required-tags policy
+  clearTagPolicy: function() {
+    this.tagPolicy = null;
+    TagRules.savePolicy(null);
+    this.revalidateTags();
+  },
+
+  // Re-check the tag editors after the policy changes
+  revalidateTags: function() {
+    this.updateTagPolicyStatus();
+    ['tags', 'tagsByResource'].forEach(field => {
+      const param = this.paramForField(field);
+      const element = document.getElementById(this.elementId(field));
+      if (!param || !element) return;
+
+      const result = this.validateParameter(param, this.config[field] || {});
+      if (result.valid) {
+        FinOpsUtils.clearError(element);
+      } else {
+        FinOpsUtils.showError(element, result.message);
+      }
+    });
+    this.updateRecommendations();
+  },
+
+  // Show which required-tags policy is loaded
+  updateTagPolicyStatus: function() {
+    const status = document.getElementById('tagPolicyStatus');
+    if (status) {
+      status.textContent = this.tagPolicy
+        ? `Policy${this.tagPolicy.name ? ` "${this.tagPolicy.name}"` : ''} requires: ${this.tagPolicy.requiredTags.map(tag => tag.name).join(', ')}`
+        : 'No required-tags policy loaded';
     }
+    const clearBtn = document.getElementById('clearTagPolicyBtn');
+    if (clearBtn) clearBtn.style.display = this.tagPolicy ? '' : 'none';
   },
 
-  // Save configuration
+  // Attach change handlers to a rendered template parameter control
+  bindField: function(param) {
+    const field = this.fieldFor(param);
+    const id = this.elementId(field);
+    const widget = this.widgetFor(param);
+
+    if (widget === 'radio') {
+      document.querySelectorAll(`input[name="${id}"]`).forEach(radio => {
+        radio.addEventListener('change', () => this.validateAndUpdate(field, radio.value));
+      });
+      return;
+    }
+
+    const element = document.getElementById(id);
+    if (!element) return;
+
+    if (widget === 'region') {
+      this.populateRegionSelect(element);
+
+      const geographySelect = document.getElementById('configRegionGeography');
+      geographySelect.addEventListener('change', () => {
+        this.config.regionGeography = geographySelect.value;
+        this.saveConfig();
+        this.populateRegionSelect(element);
+        this.updateRecommendations();
+      });
+    }
+
+    if (widget === 'network') {
+      element.addEventListener('input', FinOpsUtils.debounce(() => {
+        this.validateAndUpdate(field, element.value);
+        this.updateNetworkPlan();
+      }, 500));
+
+      const rangesElement = document.getElementById('configExistingNetworkRanges');
+      rangesElement.addEventListener('input', FinOpsUtils.debounce(() => this.updateExistingNetworkRanges(rangesElement.value), 500));
+
+      const rangesInput = document.getElementById('networkRangesInput');
+      rangesInput.addEventListener('change', async () => {
+        await this.importNetworkRanges(rangesInput.files[0]);
+        rangesInput.value = '';
+      });
+      return;
+    }
+
+    if (widget === 'tags' || widget === 'tagsByResource') {
+      element.addEventListener('input', FinOpsUtils.debounce(() => this.updateTagEditor(field, element, widget), 500));
+      element.addEventListener('click', event => {
+        const button = event.target.closest('[data-tag-action]');
+        if (button && this.editTagEditor(button)) {
+          this.updateTagEditor(field, element, widget);
+        }
+      });
+
+      const policyInput = document.getElementById('tagPolicyInput');
+      if (widget === 'tags' && policyInput) {
+        policyInput.addEventListener('change', async () => {
+          await this.importTagPolicy(policyInput.files[0]);
+          policyInput.value = '';
+        });
+        document.getElementById('clearTagPolicyBtn').addEventListener('click', () => this.clearTagPolicy());
+        this.updateTagPolicyStatus();
+      }
+      return;
+    }
+
+    if (widget === 'checkbox') {
+      element.addEventListener('change', () => this.validateAndUpdate(field, element.checked));
+    } else if (widget === 'select' || widget === 'region') {
+      element.addEventListener('change', () => this.validateAndUpdate(field, element.value));
+    } else {
+      element.addEventListener('input', FinOpsUtils.debounce(() => {
+        this.validateAndUpdate(field, element.value);
+      }, 500));
+    }
+  },
+
+  // Load saved configuration (the active profile)
+  loadSavedConfig: function() {
+    const saved = ConfigProfiles.load();
+    this.hasSavedProfiles = saved !== null;
+    this.profiles = saved || ConfigProfiles.createState({ ...this.config });
+
+    // Fields added since the profile was saved keep their defaults
+    this.config = { ...this.defaultConfig, ...this.profiles.profiles[this.profiles.activeProfile] };
+    this.populateForm();
+  },
+
+  // Save configuration to the active profile
   saveConfig: function() {
+    this.profiles.profiles[this.profiles.activeProfile] = JSON.parse(JSON.stringify(this.config));
+    this.saveProfiles();
+    this.hasSavedProfiles = true;
+  },
+
+  // Save all profiles; secure values are kept in memory for this session only
+  saveProfiles: function() {
+    ConfigProfiles.save(this.profiles, this.getSecureFields());
+  },
+
+  // Populate the profile dropdown
+  renderProfileSwitcher: function() {
+    const select = document.getElementById('configProfileSelect');
+    if (!select) return;
+
+    select.innerHTML = ConfigProfiles.list(this.profiles).map(name => {
+      const escaped = FinOpsUtils.escapeHtml(name);
+      return `<option value="${escaped}"${name === this.profiles.activeProfile ? ' selected' : ''}>${escaped}</option>`;
+    }).join('');
+
+    const deleteBtn = document.getElementById('deleteProfileBtn');
+    if (deleteBtn) {
+      deleteBtn.disabled = ConfigProfiles.list(this.profiles).length <= 1;
+    }
+  },
+
+  // Make a profile active and load it into the form
+  switchProfile: function(name) {
+    if (!this.profiles.profiles[name]) return;
+
+    this.profiles.activeProfile = name;
+    this.saveProfiles();
+    this.applyProfileConfig(this.profiles.profiles[name]);
+  },
+
+  // Load a profile's config into the builder
+  applyProfileConfig: function(profileConfig) {
+    this.config = this.withValidValues({ ...this.getDefaultConfig(), ...profileConfig });
+
+    // Errors shown for the previous profile no longer apply
+    this.schema.forEach(param => {
+      const element = document.getElementById(this.elementId(this.fieldFor(param)));
+      if (element) FinOpsUtils.clearError(element);
+    });
+
+    const summary = document.getElementById('deploymentSummary');
+    if (summary) summary.style.display = 'none';
+
+    this.renderProfileSwitcher();
+    this.updateBackendVisibility();
+    this.refresh();
+  },
+
+  // Create a new profile with default values
+  createProfile: function() {
+    const name = prompt('Name for the new profile (e.g. dev, test, prod):', '');
+    if (name === null) return;
+
+    ConfigProfiles.add(this.profiles, name, this.getDefaultConfig());
+    this.saveProfiles();
+    this.applyProfileConfig(this.profiles.profiles[this.profiles.activeProfile]);
+  },
+
+  // Copy the active profile under a new name
+  duplicateProfile: function() {
+    const name = prompt('Name for the copy:', ConfigProfiles.uniqueName(this.profiles, `${this.profiles.activeProfile} copy`));
+    if (name === null) return;
+
+    ConfigProfiles.add(this.profiles, name, this.config);
+    this.saveProfiles();
+    this.applyProfileConfig(this.profiles.profiles[this.profiles.activeProfile]);
+  },
+
+  // Delete the active profile
+  deleteProfile: function() {
+    const name = this.profiles.activeProfile;
+    if (ConfigProfiles.list(this.profiles).length <= 1) {
+      alert('The last profile can\'t be deleted.');
+      return;
+    }
+    if (!confirm(`Delete the profile "${name}"? This can't be undone.`)) return;
+
+    ConfigProfiles.remove(this.profiles, name);
+    this.saveProfiles();
+    this.applyProfileConfig(this.profiles.profiles[this.profiles.activeProfile]);
+  },
+
+  // Download the active profile as JSON (secure values are left out)
+  exportProfile: function() {
+    const name = this.profiles.activeProfile;
+    const fileName = `finops-hub-profile-${name.replace(/[^A-Za-z0-9_-]+/g, '-').toLowerCase()}.json`;
+    FinOpsUtils.downloadFile(fileName, ConfigProfiles.exportProfile(this.profiles, name, this.getSecureFields()), 'application/json');
+  },
+
+  // Import a profile from a JSON file
+  importProfile: async function(file) {
+    if (!file) return;
+
     try {
-      localStorage.setItem('finops-config-builder', JSON.stringify(this.config));
+      const profile = ConfigProfiles.parseProfileFile(await file.text(), this.getSchema(), this.getDefaultConfig());
+      const defaultName = profile.name || file.name.replace(/\.json$/i, '');
+      ConfigProfiles.add(this.profiles, defaultName, { ...this.getDefaultConfig(), ...profile.config });
+      this.applyProfileConfig(this.profiles.profiles[this.profiles.activeProfile]);
+      this.saveProfiles();
     } catch (e) {
-      console.warn('Could not save config', e);
+      console.warn('Could not import profile', e);
+      alert(`Could not import ${file.name}: ${e.message}`);
     }
   },
 
   // Populate form with saved values
   populateForm: function() {
-    const fields = [
-      'hubName', 'region', 'storageSku', 'exportRetention',
-      'ingestionRetention', 'enablePublicAccess', 'enableInfraEncryption',
-      'dataExplorerName', 'subscriptionCount'
-    ];
+    this.schema.forEach(param => {
+      const field = this.fieldFor(param);
+      const value = this.config[field];
+      if (value === undefined) return;
+
+      const id = this.elementId(field);
+      const widget = this.widgetFor(param);
+
+      if (widget === 'radio') {
+        document.querySelectorAll(`input[name="${id}"]`).forEach(radio => {
+          radio.checked = radio.value === value;
+        });
+        return;
+      }
 
-    fields.forEach(field => {
-      const element = document.getElementById('config' + field.charAt(0).toUpperCase() + field.slice(1));
-      if (element) {
-        if (element.type === 'checkbox') {
-          element.checked = this.config[field];
-        } else {
-          element.value = this.config[field];
-        }
+      const element = document.getElementById(id);
+      if (!element) return;
+
+      if (widget === 'checkbox') {
+        element.checked = value;
+      } else if (widget === 'json') {
+        element.value = JSON.stringify(value, null, 2);
+      } else if (widget === 'tags' || widget === 'tagsByResource') {
+        element.innerHTML = this.renderTagEditor(widget, value);
+      } else if (widget === 'region') {
+        this.populateRegionSelect(element);
+      } else if (widget === 'list') {
+        element.value = value.join('\n');
+      } else {
+        element.value = value;
       }
     });
+
+    // Estimation, planning and deployment target inputs that aren't template parameters
+    [...Object.keys(HubConfig.estimationInputs), 'dataVolumeBasis', 'regionGeography', 'existingNetworkRanges', 'resourceGroupName', 'subscriptionId'].forEach(field => {
+      const element = document.getElementById(this.elementId(field));
+      if (element) element.value = this.config[field];
+    });
+
+    document.querySelectorAll('input[name="configAnalyticsBackend"]').forEach(radio => {
+      radio.checked = radio.value === this.config.analyticsBackend;
+    });
+    this.updateBackendVisibility();
+    this.updateDataVolumeVisibility();
+    this.updateFieldVisibility();
+    this.updateRegionCapabilities();
+    this.updateNetworkPlan();
+  },
+
+  // Show parameters with a `visibleWhen` hint only while it holds
+  updateFieldVisibility: function() {
+    this.schema.forEach(param => {
+      const visibleWhen = this.getHint(param.name).visibleWhen;
+      const element = document.getElementById(this.elementId(this.fieldFor(param)));
+      if (!visibleWhen || !element) return;
+      element.closest('.form-group').style.display = visibleWhen(this.config) ? '' : 'none';
+    });
+  },
+
+  // Store the existing virtual network ranges and re-check the hub's address prefix
+  updateExistingNetworkRanges: function(text) {
+    this.config.existingNetworkRanges = text;
+    this.saveConfig();
+    this.revalidateDependents('existingNetworkRanges');
+    this.updateNetworkPlan();
+    this.updateRecommendations();
+  },
+
+  // Load existing virtual network ranges from a text file or az network vnet list output
+  importNetworkRanges: async function(file) {
+    if (!file) return;
+
+    try {
+      const parsed = NetworkPlanner.parseRanges(await file.text());
+      if (parsed.ranges.length === 0) {
+        throw new Error(parsed.invalid.length > 0 ? `No CIDR blocks found (could not read: ${parsed.invalid[0]})` : 'No CIDR blocks found');
+      }
+
+      const text = parsed.ranges.map(range => `${range.cidr} ${range.name}`.trim()).join('\n');
+      const element = document.getElementById('configExistingNetworkRanges');
+      if (element) element.value = text;
+      this.updateExistingNetworkRanges(text);
+    } catch (e) {
+      console.warn('Could not load network ranges', e);
+      alert(`Could not load ${file.name}: ${e.message}`);
+    }
+  },
+
+  // Preview the subnets the template will create in the entered address prefix
+  updateNetworkPlan: function() {
+    const planElement = document.getElementById('networkPlan');
+    const input = document.getElementById(this.elementId('virtualNetworkAddressPrefix'));
+    if (!planElement || !input) return;
+
+    const prefix = input.value.trim();
+    if (!NetworkPlanner.validatePrefix(prefix).valid) {
+      planElement.innerHTML = '';
+      return;
+    }
+
+    const parsed = NetworkPlanner.parseRanges(this.config.existingNetworkRanges);
+    const overlaps = NetworkPlanner.findOverlaps(prefix, parsed.ranges);
+    const unused = NetworkPlanner.getUnusedAddresses(prefix);
+
+    const rows = NetworkPlanner.planSubnets(prefix).map(subnet => {
+      const clash = NetworkPlanner.findOverlaps(subnet.cidr, parsed.ranges).length > 0;
+      return `
+        <tr${clash ? ' class="overlap"' : ''}>
+          <td><code>${subnet.name}</code></td>
+          <td><code>${subnet.cidr}</code></td>
+          <td>${subnet.firstUsable} – ${subnet.lastUsable} (${subnet.usable})</td>
+          <td>${subnet.purpose}</td>
+        </tr>`;
+    }).join('');
+
+    const notes = [];
+    if (unused > 0) {
+      notes.push(`${unused.toLocaleString('en-US')} addresses in ${FinOpsUtils.escapeHtml(prefix)} aren't used by the hub's subnets.`);
+    }
+    if (parsed.ranges.length > 0) {
+      notes.push(overlaps.length > 0
+        ? `Overlaps ${overlaps.map(range => FinOpsUtils.escapeHtml(`${range.cidr}${range.name ? ` (${range.name})` : ''}`)).join(', ')}.`
+        : `No overlap with ${parsed.ranges.length} existing range(s).`);
+    }
+    if (parsed.invalid.length > 0) {
+      notes.push(`Skipped ${parsed.invalid.length} line(s) that aren't CIDR blocks: ${FinOpsUtils.escapeHtml(parsed.invalid.slice(0, 3).join(', '))}`);
+    }
+
+    planElement.innerHTML = `
+      <table class="network-plan-table">
+        <thead>
+          <tr><th>Subnet</th><th>Address Range</th><th>Usable Addresses</th><th>Used For</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${notes.map(note => `<p class="help-text">${note}</p>`).join('')}
+    `;
+  },
+
+  // Show the row count input when it drives the data volume; spend is always used for savings
+  updateDataVolumeVisibility: function() {
+    const rowsGroup = document.getElementById('monthlyRowCountGroup');
+    if (rowsGroup) rowsGroup.style.display = this.config.dataVolumeBasis === 'rows' ? '' : 'none';
   },
 
   // Setup event listeners
   setupEventListeners: function() {
-    // Hub name validation
-    const hubNameInput = document.getElementById('configHubName');
-    if (hubNameInput) {
-      hubNameInput.addEventListener('input', FinOpsUtils.debounce(() => {
-        this.validateAndUpdate('hubName', hubNameInput.value);
-      }, 500));
-    }
+    // Subscription count and data volume
+    Object.keys(HubConfig.estimationInputs).forEach(field => {
+      const element = document.getElementById(this.elementId(field));
+      if (element) {
+        element.addEventListener('input', FinOpsUtils.debounce(() => {
+          this.validateAndUpdate(field, element.value === '' ? NaN : Number(element.value));
+        }, 500));
+      }
+    });
 
-    // Region selection
-    const regionSelect = document.getElementById('configRegion');
-    if (regionSelect) {
-      this.populateRegionSelect(regionSelect);
-      regionSelect.addEventListener('change', () => {
-        this.config.region = regionSelect.value;
+    const volumeBasis = document.getElementById('configDataVolumeBasis');
+    if (volumeBasis) {
+      volumeBasis.addEventListener('change', () => {
+        this.config.dataVolumeBasis = volumeBasis.value;
+        this.updateDataVolumeVisibility();
         this.saveConfig();
-        this.updateRecommendations();
+        this.updateCostEstimate();
       });
     }
 
-    // Storage SKU
-    const skuRadios = document.querySelectorAll('input[name="configStorageSku"]');
-    skuRadios.forEach(radio => {
+    // Deployment target (used for resource names and pipeline snippets)
+    ['resourceGroupName', 'subscriptionId'].forEach(field => {
+      const element = document.getElementById(this.elementId(field));
+      if (element) {
+        element.addEventListener('input', FinOpsUtils.debounce(() => {
+          this.validateAndUpdate(field, element.value.trim());
+        }, 500));
+      }
+    });
+
+    // Analytics back-end
+    document.querySelectorAll('input[name="configAnalyticsBackend"]').forEach(radio => {
       radio.addEventListener('change', () => {
-        this.config.storageSku = radio.value;
+        this.config.analyticsBackend = radio.value;
         this.saveConfig();
+        this.updateBackendVisibility();
+        this.revalidateDependents('analyticsBackend');
         this.updateCostEstimate();
         this.updateRecommendations();
       });
     });
 
-    // Retention policies
-    const exportRetention = document.getElementById('configExportRetention');
-    if (exportRetention) {
-      exportRetention.addEventListener('input', FinOpsUtils.debounce(() => {
-        this.validateAndUpdate('exportRetention', parseInt(exportRetention.value) || 0);
-      }, 500));
+    // Profile switcher and actions
+    const profileSelect = document.getElementById('configProfileSelect');
+    if (profileSelect) {
+      profileSelect.addEventListener('change', () => this.switchProfile(profileSelect.value));
     }
 
-    const ingestionRetention = document.getElementById('configIngestionRetention');
-    if (ingestionRetention) {
-      ingestionRetention.addEventListener('input', FinOpsUtils.debounce(() => {
-        this.validateAndUpdate('ingestionRetention', parseInt(ingestionRetention.value) || 13);
-      }, 500));
+    const profileActions = {
+      newProfileBtn: () => this.createProfile(),
+      duplicateProfileBtn: () => this.duplicateProfile(),
+      deleteProfileBtn: () => this.deleteProfile(),
+      exportProfileBtn: () => this.exportProfile()
+    };
+    Object.keys(profileActions).forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', profileActions[id]);
+    });
+
+    // Retail prices import
+    const pricesInput = document.getElementById('importPricesInput');
+    if (pricesInput) {
+      pricesInput.addEventListener('change', async () => {
+        await this.importRetailPrices(pricesInput.files[0]);
+        pricesInput.value = '';
+      });
     }
 
-    // Toggles
-    const publicAccess = document.getElementById('configEnablePublicAccess');
-    if (publicAccess) {
-      publicAccess.addEventListener('change', () => {
-        this.config.enablePublicAccess = publicAccess.checked;
-        this.saveConfig();
-        this.updateRecommendations();
+    // Display currency and number format
+    ['currencySelect', 'localeSelect'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener('change', () => {
+          this.selectCurrency(document.getElementById('currencySelect').value, document.getElementById('localeSelect').value);
+        });
+      }
+    });
+
+    const resetPricesBtn = document.getElementById('resetPricesBtn');
+    if (resetPricesBtn) {
+      resetPricesBtn.addEventListener('click', () => this.resetRetailPrices());
+    }
+
+    // Compare mode
+    const pinBaselineBtn = document.getElementById('pinBaselineBtn');
+    if (pinBaselineBtn) {
+      pinBaselineBtn.addEventListener('click', () => this.pinBaseline());
+    }
+
+    const clearBaselineBtn = document.getElementById('clearBaselineBtn');
+    if (clearBaselineBtn) {
+      clearBaselineBtn.addEventListener('click', () => this.clearBaseline());
+    }
+
+    // Savings assumptions are edited in the ROI card, which is re-rendered on every change
+    const roiElement = document.getElementById('roiEstimate');
+    if (roiElement) {
+      roiElement.addEventListener('change', (e) => {
+        const input = e.target.closest('.roi-range');
+        if (input) this.updateSavingsRange(input, input.dataset.lever, input.dataset.scenario, Number(input.value));
+      });
+      roiElement.addEventListener('click', (e) => {
+        if (e.target.closest('[data-roi-action="reset"]')) this.resetSavingsRanges();
       });
     }
 
-    const infraEncryption = document.getElementById('configEnableInfraEncryption');
-    if (infraEncryption) {
-      infraEncryption.addEventListener('change', () => {
-        this.config.enableInfraEncryption = infraEncryption.checked;
-        this.saveConfig();
-        this.updateCostEstimate();
+    const diffOnly = document.getElementById('compareDiffOnly');
+    if (diffOnly) {
+      diffOnly.addEventListener('change', () => this.updateComparison());
+    }
+
+    // Multi-year projection
+    const tcoYears = document.getElementById('tcoYears');
+    if (tcoYears) {
+      tcoYears.addEventListener('change', () => {
+        this.tcoOptions.years = parseInt(tcoYears.value) || 3;
+        this.updateTcoProjection();
       });
     }
 
-    // Data Explorer
-    const adxName = document.getElementById('configDataExplorerName');
-    if (adxName) {
-      adxName.addEventListener('input', FinOpsUtils.debounce(() => {
-        this.config.dataExplorerName = adxName.value.trim();
-        this.saveConfig();
-        this.updateCostEstimate();
-        this.updateRecommendations();
+    const tcoGrowth = document.getElementById('tcoAnnualGrowth');
+    if (tcoGrowth) {
+      tcoGrowth.addEventListener('input', FinOpsUtils.debounce(() => {
+        const value = Number(tcoGrowth.value);
+        if (tcoGrowth.value !== '' && value >= 0 && value <= 500) {
+          FinOpsUtils.clearError(tcoGrowth);
+          this.tcoOptions.annualGrowth = value;
+          this.updateTcoProjection();
+        } else {
+          FinOpsUtils.showError(tcoGrowth, 'Must be between 0 and 500');
+        }
       }, 500));
     }
 
-    // Subscription count
-    const subCount = document.getElementById('configSubscriptionCount');
-    if (subCount) {
-      subCount.addEventListener('input', FinOpsUtils.debounce(() => {
-        this.validateAndUpdate('subscriptionCount', parseInt(subCount.value) || 1);
-      }, 500));
+    const tcoReservation = document.getElementById('tcoReservation');
+    if (tcoReservation) {
+      const reservations = PricingCatalog.reservations.dataExplorer;
+      tcoReservation.innerHTML = Object.keys(reservations).map(key => {
+        const reservation = reservations[key];
+        const discount = reservation.compute > 0
+          ? ` (−${Math.round(reservation.compute * 100)}% compute, −${Math.round(reservation.markup * 100)}% markup)`
+          : '';
+        return `<option value="${key}"${key === this.tcoOptions.dataExplorerReservation ? ' selected' : ''}>${reservation.label}${discount}</option>`;
+      }).join('');
+      tcoReservation.addEventListener('change', () => {
+        this.tcoOptions.dataExplorerReservation = tcoReservation.value;
+        this.updateTcoProjection();
+      });
+    }
+
+    const tcoCsvBtn = document.getElementById('downloadTcoCsvBtn');
+    if (tcoCsvBtn) {
+      tcoCsvBtn.addEventListener('click', () => this.downloadTcoCsv());
+    }
+
+    // Drift check against a deployed hub
+    const driftInput = document.getElementById('driftFilesInput');
+    if (driftInput) {
+      driftInput.addEventListener('change', async () => {
+        await this.importDeployedHub(driftInput.files);
+        driftInput.value = '';
+      });
+      document.getElementById('clearDriftBtn').addEventListener('click', () => this.clearDeployedHub());
+    }
+
+    const importInput = document.getElementById('importProfileInput');
+    if (importInput) {
+      importInput.addEventListener('change', async () => {
+        await this.importProfile(importInput.files[0]);
+        importInput.value = '';
+      });
     }
 
     // Generate button
@@ -157,6 +1214,12 @@ const ConfigBuilder = {
       generateBtn.addEventListener('click', () => this.generateDeployment());
     }
 
+    // Share link button
+    const shareBtn = document.getElementById('copyShareLinkBtn');
+    if (shareBtn) {
+      shareBtn.addEventListener('click', () => this.copyShareLink(shareBtn));
+    }
+
     // Advanced section toggle
     const advancedToggle = document.getElementById('toggleAdvanced');
     if (advancedToggle) {
@@ -171,91 +1234,208 @@ const ConfigBuilder = {
     }
   },
 
-  // Populate region dropdown
+  // Region filters: all, the EU Data Boundary, then each geography
+  getGeographyFilters: function() {
+    const geographies = [...new Set(FinOpsUtils.azureRegions.map(region => region.geography))].sort();
+    return [
+      { value: '', label: 'All geographies' },
+      { value: 'eu', label: 'EU Data Boundary' },
+      ...geographies.map(geography => ({ value: geography, label: geography }))
+    ];
+  },
+
+  // Populate region dropdown, filtered by the selected geography
+  // The selected region is kept even when the filter excludes it
   populateRegionSelect: function(selectElement) {
     selectElement.innerHTML = '';
 
-    // Add recommended regions first
-    const recommendedOptGroup = document.createElement('optgroup');
-    recommendedOptGroup.label = 'Recommended Regions';
-
-    FinOpsUtils.azureRegions
-      .filter(r => r.recommended)
-      .forEach(region => {
-        const option = document.createElement('option');
-        option.value = region.value;
-        option.textContent = region.label;
-        recommendedOptGroup.appendChild(option);
-      });
+    const regions = FinOpsUtils.azureRegions.filter(region =>
+      region.value === this.config.region || FinOpsUtils.isRegionInGeography(region, this.config.regionGeography));
 
-    selectElement.appendChild(recommendedOptGroup);
+    [
+      { label: 'Recommended Regions', regions: regions.filter(r => r.recommended) },
+      { label: 'Other Regions', regions: regions.filter(r => !r.recommended) }
+    ].filter(group => group.regions.length > 0).forEach(group => {
+      const optGroup = document.createElement('optgroup');
+      optGroup.label = group.label;
 
-    // Add other regions
-    const otherOptGroup = document.createElement('optgroup');
-    otherOptGroup.label = 'Other Regions';
-
-    FinOpsUtils.azureRegions
-      .filter(r => !r.recommended)
-      .forEach(region => {
+      group.regions.forEach(region => {
         const option = document.createElement('option');
         option.value = region.value;
-        option.textContent = region.label;
-        otherOptGroup.appendChild(option);
+        option.textContent = region.zones ? region.label : `${region.label} (no availability zones)`;
+        optGroup.appendChild(option);
       });
 
-    selectElement.appendChild(otherOptGroup);
+      selectElement.appendChild(optGroup);
+    });
 
     // Set current value
     selectElement.value = this.config.region;
   },
 
+  // Show the selected region's capabilities and disable choices it doesn't support
+  updateRegionCapabilities: function() {
+    const region = FinOpsUtils.azureRegions.find(r => r.value === this.config.region);
+
+    const details = document.getElementById('regionDetails');
+    if (details) {
+      details.textContent = region
+        ? [
+          region.geography + (region.euDataBoundary ? ' (EU Data Boundary)' : ''),
+          region.zones ? 'Availability zones' : 'No availability zones',
+          `Paired with ${FinOpsUtils.getRegionLabel(region.pairedRegion)}`
+        ].join(' · ')
+        : '';
+    }
+
+    const setSupported = (input, supported, reason) => {
+      if (!input) return;
+      input.disabled = !supported && !input.checked;
+      input.closest('.radio-option').title = supported ? '' : reason;
+    };
+    const label = region ? region.label : '';
+    setSupported(document.getElementById(`${this.elementId('storageSku')}_Premium_ZRS`), !region || region.zones,
+      `${label} has no availability zones, so zone-redundant storage isn't available`);
+    setSupported(document.querySelector('input[name="configAnalyticsBackend"][value="dataExplorer"]'), !region || region.dataExplorer,
+      `Azure Data Explorer isn't available in ${label}`);
+  },
+
   // Validate and update field
   validateAndUpdate: function(field, value) {
-    const inputElement = document.getElementById('config' + field.charAt(0).toUpperCase() + field.slice(1));
+    const inputElement = document.getElementById(this.elementId(field));
 
-    if (field === 'hubName') {
-      const result = FinOpsUtils.validateHubName(value);
+    // Estimation inputs that aren't template parameters
+    if (HubConfig.estimationInputs[field]) {
+      const result = HubConfig.validateEstimationInput(field, value);
       if (result.valid) {
         FinOpsUtils.showSuccess(inputElement);
-        this.config.hubName = value;
-        this.saveConfig();
-        this.updateResourceNames();
-      } else if (value.length > 0) {
-        FinOpsUtils.showError(inputElement, result.message);
-      } else {
-        FinOpsUtils.clearError(inputElement);
-      }
-    } else if (field === 'exportRetention') {
-      if (value >= 0 && value <= 365) {
-        FinOpsUtils.showSuccess(inputElement);
-        this.config.exportRetention = value;
+        this.config[field] = value;
         this.saveConfig();
         this.updateCostEstimate();
       } else {
-        FinOpsUtils.showError(inputElement, 'Must be between 0 and 365 days');
-      }
-    } else if (field === 'ingestionRetention') {
-      if (value >= 1 && value <= 36) {
-        FinOpsUtils.showSuccess(inputElement);
-        this.config.ingestionRetention = value;
-        this.saveConfig();
-        this.updateCostEstimate();
-        this.updateRecommendations();
-      } else {
-        FinOpsUtils.showError(inputElement, 'Must be between 1 and 36 months');
+        FinOpsUtils.showError(inputElement, result.message);
       }
-    } else if (field === 'subscriptionCount') {
-      if (value >= 1 && value <= 1000) {
-        FinOpsUtils.showSuccess(inputElement);
-        this.config.subscriptionCount = value;
+      return;
+    }
+
+    if (field === 'resourceGroupName' || field === 'subscriptionId') {
+      const result = this.validateDeploymentTarget(field, value);
+      if (result.valid) {
+        if (value) {
+          FinOpsUtils.showSuccess(inputElement);
+        } else {
+          FinOpsUtils.clearError(inputElement);
+          inputElement.classList.remove('valid');
+        }
+        this.config[field] = value;
         this.saveConfig();
-        this.updateCostEstimate();
+        this.updateResourceNames();
+        this.updateResourcePreview();
+        this.updateDriftReport();
+        this.updateComparison();
       } else {
-        FinOpsUtils.showError(inputElement, 'Must be between 1 and 1000');
+        FinOpsUtils.showError(inputElement, result.message);
       }
+      return;
+    }
+
+    const param = this.paramForField(field);
+    if (!param) return;
+
+    const typedValue = HubConfig.coerce(param, value);
+    const result = this.validateParameter(param, typedValue);
+
+    // Only text-like controls show inline feedback
+    const showFeedback = inputElement && this.hasInlineFeedback(param);
+
+    if (result.valid) {
+      if (showFeedback) FinOpsUtils.showSuccess(inputElement);
+      this.config[field] = typedValue;
+      this.saveConfig();
+      this.revalidateDependents(param.name);
+      this.updateFieldVisibility();
+      this.updateRegionCapabilities();
+      this.updateCostEstimate();
+      this.updateRecommendations();
+      this.updateResourceNames();
+      this.updateResourcePreview();
+      this.updateDriftReport();
+    } else if (!showFeedback) {
+      return;
+    } else if (value === '' && param.type === 'string') {
+      FinOpsUtils.clearError(inputElement);
+    } else {
+      FinOpsUtils.showError(inputElement, result.message);
     }
   },
 
+  // Validate the resource group name and subscription ID (both optional)
+  validateDeploymentTarget: function(field, value) {
+    return HubConfig.validateDeploymentTarget(field, value);
+  },
+
+  // Predict the names the template will generate for a config
+  predictResourceNames: function(config = this.config) {
+    return HubConfig.predictResourceNames(this.getSchema(), config);
+  },
+
+  // List the deployed resource names with their naming rule types (see HubConfig.getDerivedNames)
+  getDerivedNames: function(config = this.config) {
+    return HubConfig.getDerivedNames(this.getSchema(), config);
+  },
+
+  // List the resources the template deploys for a config (see HubConfig.previewResources)
+  previewResources: function(config = this.config) {
+    return HubConfig.previewResources(this.getSchema(), config);
+  },
+
+  // Compare the loaded deployed hub with a config (see HubConfig.checkDrift)
+  checkDrift: function(config = this.config) {
+    return HubConfig.checkDrift(this.getSchema(), config, this.deployedHub);
+  },
+
+  // Whether a parameter's control shows inline validation messages
+  hasInlineFeedback: function(param) {
+    return ['text', 'password', 'number', 'json', 'list', 'network', 'tags', 'tagsByResource'].includes(this.widgetFor(param));
+  },
+
+  // Validate a typed value against template constraints and builder rules
+  validateParameter: function(param, value, config = this.config) {
+    return HubConfig.validateParameter(this.getSchema(), param, value, config, { tagPolicy: this.tagPolicy });
+  },
+
+  // Evaluate ConfigRules for a config (see HubConfig.evaluateRules)
+  evaluateRules: function(config = this.config) {
+    return HubConfig.evaluateRules(this.getSchema(), config, { tagPolicy: this.tagPolicy });
+  },
+
+  // Re-check fields whose rules depend on a parameter that just changed
+  revalidateDependents: function(paramName) {
+    const changed = this.schema.find(param => param.name === paramName);
+    const ruleFields = RuleEngine.dependentFields(ConfigRules.rules, changed ? this.fieldFor(changed) : paramName);
+
+    this.schema
+      .filter(param => (this.getHint(param.name).dependsOn || []).includes(paramName) || ruleFields.includes(this.fieldFor(param)))
+      .forEach(param => {
+        const field = this.fieldFor(param);
+        const element = document.getElementById(this.elementId(field));
+        if (!element || !this.hasInlineFeedback(param) || this.config[field] === undefined) return;
+
+        const result = this.validateParameter(param, this.config[field]);
+        if (result.valid) {
+          FinOpsUtils.clearError(element);
+        } else {
+          FinOpsUtils.showError(element, result.message);
+        }
+      });
+  },
+
+  // Validate every template parameter in the current configuration
+  // Returns a list of { field, label, message } for invalid values
+  validateAll: function() {
+    return HubConfig.validateAll(this.getSchema(), this.config, { tagPolicy: this.tagPolicy });
+  },
+
   // Update cost estimate
   updateCostEstimate: function() {
     const costs = this.calculateCosts();
@@ -292,6 +1472,16 @@ const ConfigBuilder = {
           <span>Data Explorer:</span>
           <span>${FinOpsUtils.formatCurrency(costs.dataExplorer)}/mo</span>
         </div>` : ''}
+        ${costs.fabric > 0 ? `
+        <div class="cost-item">
+          <span>Fabric Capacity:</span>
+          <span>${FinOpsUtils.formatCurrency(costs.fabric)}/mo</span>
+        </div>` : ''}
+        ${costs.remoteHub > 0 ? `
+        <div class="cost-item">
+          <span>Remote Hub Push:</span>
+          <span>${FinOpsUtils.formatCurrency(costs.remoteHub)}/mo</span>
+        </div>` : ''}
         <div class="cost-item">
           <span>Data Transfer:</span>
           <span>${FinOpsUtils.formatCurrency(costs.dataTransfer)}/mo</span>
@@ -304,48 +1494,394 @@ const ConfigBuilder = {
       `;
     }
 
+    this.updateCostGrowth();
+    this.updateTcoProjection();
+    this.updatePricesAsOf();
+
     // Update ROI estimate
     this.updateROIEstimate(totalCost);
+
+    // The architecture diagram estimate follows the selected region
+    if (typeof ArchitectureDiagram !== 'undefined') {
+      ArchitectureDiagram.updateTotalCost();
+    }
+
+    this.updateComparison();
+  },
+
+  // Show where the prices behind the estimate come from
+  updatePricesAsOf: function() {
+    const asOfElement = document.getElementById('pricesAsOf');
+    if (!asOfElement) return;
+
+    const resetBtn = document.getElementById('resetPricesBtn');
+    if (resetBtn) {
+      resetBtn.style.display = this.retailPrices ? '' : 'none';
+    }
+
+    // Amounts are calculated in USD and converted for display
+    const conversion = Currency.currency !== Currency.baseCurrency
+      ? `; shown in ${Currency.currency} at ${Currency.getRate()} per USD${Currency.ratesAsOf ? ` (rates as of ${Currency.ratesAsOf})` : ''}`
+      : '';
+
+    if (!this.retailPrices) {
+      asOfElement.textContent = `Built-in reference prices (USD, pay-as-you-go)${conversion}`;
+      return;
+    }
+
+    const sourceCurrency = this.retailPrices.sourceCurrency || PricingCatalog.currency;
+    const source = `${this.retailPrices.fileName}, ${this.retailPrices.matchedMeters} meters, ${sourceCurrency}`;
+    asOfElement.textContent = this.retailPrices.regions[this.config.region]
+      ? `Prices as of ${this.retailPrices.asOf} (${source})${conversion}`
+      : `Prices as of ${this.retailPrices.asOf} (${source}); none for this region, using built-in prices${conversion}`;
+  },
+
+  // Import a saved Azure Retail Prices API response or CSV extract
+  importRetailPrices: async function(file) {
+    if (!file) return;
+
+    try {
+      const asOf = new Date(file.lastModified || Date.now()).toISOString().slice(0, 10);
+      this.retailPrices = RetailPrices.import(await file.text(), file.name, asOf);
+      this.updateCostEstimate();
+    } catch (e) {
+      console.warn('Could not import retail prices', e);
+      alert(`Could not import ${file.name}: ${e.message}`);
+    }
+  },
+
+  // Go back to the built-in reference prices
+  resetRetailPrices: function() {
+    RetailPrices.clear();
+    this.retailPrices = null;
+    this.updateCostEstimate();
+  },
+
+  // Calculate monthly costs from the pricing catalog for the config's region
+  calculateCosts: function(config = this.config) {
+    return HubConfig.calculateCosts(config);
+  },
+
+  // Estimate monthly meter quantities for a config (see HubConfig.estimateUsage)
+  estimateUsage: function(config = this.config, month = CostModel.getSteadyStateMonth(config), annualGrowth = 0) {
+    return HubConfig.estimateUsage(config, month, annualGrowth);
+  },
+
+  // Project stored data and monthly cost for each month until retention is full
+  projectCosts: function(config = this.config) {
+    return CostModel.getProjectionMonths(config).map(month => ({
+      month: month,
+      storage: CostModel.getStorageAt(config, month),
+      costs: PricingCatalog.calculateCosts(this.estimateUsage(config, month), config.region)
+    }));
+  },
+
+  // Show how data volume, storage and cost build up over time
+  updateCostGrowth: function() {
+    const growthElement = document.getElementById('costGrowth');
+    if (!growthElement) return;
+
+    const volumes = CostModel.getVolumes(this.config);
+    const formatGb = gb => gb >= 100 ? `${Math.round(gb).toLocaleString('en-US')} GB` : `${gb.toFixed(gb >= 1 ? 1 : 2)} GB`;
+    const analyticsLabel = this.config.analyticsBackend === 'dataExplorer' ? 'Data Explorer'
+      : this.config.analyticsBackend === 'fabric' ? 'OneLake' : '';
+
+    const rows = this.projectCosts().map(point => `
+      <tr>
+        <td>${point.month}</td>
+        <td>${formatGb(point.storage.exports)}</td>
+        <td>${formatGb(point.storage.ingestion)}</td>
+        ${analyticsLabel ? `<td>${formatGb(point.storage.dataExplorer + point.storage.oneLake)}</td>` : ''}
+        <td>${FinOpsUtils.formatCurrency(point.costs.total)}</td>
+      </tr>
+    `).join('');
+
+    const volumeNotes = [
+      `~${Math.round(volumes.monthlyRows).toLocaleString('en-US')} cost rows/month`,
+      `daily FOCUS exports average ${formatGb(volumes.dailyExportGb)} (month-to-date, ${formatGb(volumes.exportGbWrittenMonth)} written per month)`
+    ];
+    if (this.config.analyticsBackend === 'dataExplorer') {
+      volumeNotes.push(`~${formatGb(volumes.analyticsIngestionGbMonth)} ingested into Data Explorer per month`);
+    }
+
+    growthElement.innerHTML = `
+      <h4>📈 Data Volume Over Time</h4>
+      <p class="help-text">${volumeNotes.join('; ')}</p>
+      <table class="cost-growth-table">
+        <thead>
+          <tr>
+            <th>Month</th>
+            <th>msexports</th>
+            <th>ingestion</th>
+            ${analyticsLabel ? `<th>${analyticsLabel}</th>` : ''}
+            <th>Monthly Cost</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="help-text">
+        Assumes ${CostModel.assumptions.rowsPerDollar} rows per $1 of spend and ~${CostModel.assumptions.exportBytesPerRow} bytes per exported row.
+        The total above is the cost once retention is full.
+      </p>
+    `;
+  },
+
+  // Project costs month by month over the selected number of years
+  projectTco: function(config = this.config, options = this.tcoOptions) {
+    return TcoProjection.project({
+      years: options.years,
+      annualGrowth: options.annualGrowth / 100,
+      region: config.region,
+      discounts: { dataExplorer: PricingCatalog.reservations.dataExplorer[options.dataExplorerReservation] }
+    }, (month, annualGrowth) => this.estimateUsage(config, month, annualGrowth));
+  },
+
+  // Render the multi-year projection chart and yearly totals
+  updateTcoProjection: function() {
+    const chartElement = document.getElementById('tcoChart');
+    if (!chartElement) return;
+
+    const reservationGroup = document.getElementById('tcoReservationGroup');
+    if (reservationGroup) {
+      reservationGroup.style.display = this.config.analyticsBackend === 'dataExplorer' ? '' : 'none';
+    }
+
+    const projection = this.projectTco();
+    chartElement.innerHTML = TcoProjection.renderChart(projection);
+
+    const summaryElement = document.getElementById('tcoSummary');
+    if (summaryElement) {
+      summaryElement.innerHTML = `
+        ${projection.years.map(year => `
+        <div class="cost-item">
+          <span>Year ${year.year}:</span>
+          <span>${FinOpsUtils.formatCurrency(year.total)}</span>
+        </div>`).join('')}
+        <div class="cost-item cost-total">
+          <span><strong>${projection.years.length}-Year Total:</strong></span>
+          <span><strong>${FinOpsUtils.formatCurrency(projection.total)}</strong></span>
+        </div>
+      `;
+    }
+  },
+
+  // Download the multi-year projection as CSV
+  downloadTcoCsv: function() {
+    const projection = this.projectTco();
+    const fileName = `finops-hub-tco-${this.config.hubName || 'hub'}-${this.tcoOptions.years}y.csv`;
+    FinOpsUtils.downloadFile(fileName, TcoProjection.toCsv(projection), 'text/csv');
   },
 
-  // Calculate costs
-  calculateCosts: function() {
-    const costs = {
-      storage: 0,
-      dataFactory: 2,
-      keyVault: 0.5,
-      eventGrid: 0.5,
-      dataExplorer: 0,
-      dataTransfer: 0,
-      total: 0
+  // Pin the current configuration as the baseline for compare mode
+  pinBaseline: function() {
+    this.baseline = {
+      name: this.profiles.activeProfile,
+      config: JSON.parse(JSON.stringify(this.config))
     };
+    this.updateComparison();
+  },
 
-    // Storage cost (Premium tier)
-    const baseStorageCost = this.config.storageSku === 'Premium_ZRS' ? 8 : 5;
-    costs.storage = baseStorageCost + (this.config.subscriptionCount * 0.5); // Data volume estimate
+  // Leave compare mode
+  clearBaseline: function() {
+    this.baseline = null;
+    this.updateComparison();
+  },
 
-    // Increase if keeping raw exports
-    if (this.config.exportRetention > 0) {
-      costs.storage += this.config.subscriptionCount * 0.3;
+  // Build comparison rows for a baseline and a current config
+  // Returns [{title, rows: [{label, baseline, current, changed, delta}]}]; delta is set for numbers
+  compareConfigs: function(baselineConfig, currentConfig) {
+    const secureFields = this.getSecureFields();
+    const formatValue = value => value === undefined || value === '' ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const row = (label, baseline, current, format = formatValue) => ({
+      label: label,
+      baseline: format(baseline),
+      current: format(current),
+      changed: JSON.stringify(baseline) !== JSON.stringify(current),
+      delta: typeof baseline === 'number' && typeof current === 'number' ? current - baseline : null
+    });
+    const sections = [];
+
+    // Template parameters, with secure values masked
+    const baselineParams = this.buildParameterValues(baselineConfig);
+    const currentParams = this.buildParameterValues(currentConfig);
+    const paramRows = this.schema.map(param => {
+      if (secureFields.includes(this.fieldFor(param))) {
+        const mask = value => value ? '••••••' : '—';
+        return row(param.name, baselineParams[param.name], currentParams[param.name], mask);
+      }
+      return row(param.name, baselineParams[param.name], currentParams[param.name]);
+    });
+    const inputRows = [...Object.keys(HubConfig.estimationInputs), 'dataVolumeBasis', 'savingsRanges', 'resourceGroupName', 'subscriptionId']
+      .map(field => row(field, baselineConfig[field], currentConfig[field]));
+    sections.push({ title: 'Parameters', rows: paramRows.concat(inputRows) });
+
+    // Resource names need the template and a hub name
+    if (this.deployment && baselineConfig.hubName && currentConfig.hubName) {
+      try {
+        const baselineNames = this.getDerivedNames(baselineConfig);
+        const currentNames = this.getDerivedNames(currentConfig);
+        sections.push({
+          title: 'Resource Names',
+          rows: currentNames.map(entry => {
+            const baselineEntry = baselineNames.find(candidate => candidate.id === entry.id);
+            return row(entry.label, baselineEntry ? baselineEntry.name : undefined, entry.name, value => value || '—');
+          })
+        });
+      } catch (e) {
+        console.warn('Could not compare resource names', e);
+      }
     }
 
-    // Infrastructure encryption adds negligible cost
-    if (this.config.enableInfraEncryption) {
-      costs.storage += 0.5;
+    // Cost breakdown
+    const costLabels = {
+      storage: 'Storage Account', dataFactory: 'Data Factory', keyVault: 'Key Vault', eventGrid: 'Event Grid',
+      dataExplorer: 'Data Explorer', fabric: 'Fabric Capacity', remoteHub: 'Remote Hub Push',
+      dataTransfer: 'Data Transfer', total: 'Total Monthly Cost'
+    };
+    const baselineCosts = this.calculateCosts(baselineConfig);
+    const currentCosts = this.calculateCosts(currentConfig);
+    const money = value => `${FinOpsUtils.formatCurrency(value)}/mo`;
+    sections.push({
+      title: 'Monthly Cost',
+      rows: Object.keys(costLabels).map(key => {
+        const result = row(costLabels[key], baselineCosts[key], currentCosts[key], money);
+        result.changed = Math.abs(result.delta) >= 0.005;
+        return result;
+      })
+    });
+
+    // Recommendations present in only one of the configs
+    const baselineRecs = this.getRecommendations(baselineConfig).map(rec => rec.message);
+    const currentRecs = this.getRecommendations(currentConfig).map(rec => rec.message);
+    sections.push({
+      title: 'Recommendations',
+      rows: [...new Set(baselineRecs.concat(currentRecs))].map(message => ({
+        label: message,
+        baseline: baselineRecs.includes(message) ? '✓' : '—',
+        current: currentRecs.includes(message) ? '✓' : '—',
+        changed: baselineRecs.includes(message) !== currentRecs.includes(message),
+        delta: null
+      }))
+    });
+
+    // ROI
+    const baselineRoi = this.calculateROI(baselineConfig, baselineCosts.total).scenarios;
+    const currentRoi = this.calculateROI(currentConfig, currentCosts.total).scenarios;
+    const payback = result => {
+      result.delta = null;
+      return result;
+    };
+    sections.push({
+      title: 'ROI',
+      rows: [
+        ...RoiModel.scenarios.map(scenario =>
+          row(`Savings (${scenario})`, baselineRoi[scenario].savings, currentRoi[scenario].savings, money)),
+        row('Net Benefit', baselineRoi.expected.netBenefit, currentRoi.expected.netBenefit, money),
+        payback(row('Payback', baselineRoi.expected.paybackMonths, currentRoi.expected.paybackMonths, value => this.formatPayback(value))),
+        row('ROI', baselineRoi.expected.roiPercentage, currentRoi.expected.roiPercentage, value => `${value}%`)
+      ]
+    });
+
+    return sections;
+  },
+
+  // Show the pinned baseline next to the live configuration
+  updateComparison: function() {
+    const compareElement = document.getElementById('configComparison');
+    if (!compareElement) return;
+
+    const pinBtn = document.getElementById('pinBaselineBtn');
+    const clearBtn = document.getElementById('clearBaselineBtn');
+    if (pinBtn) pinBtn.textContent = this.baseline ? '📌 Re-pin Baseline' : '📌 Pin Baseline';
+    if (clearBtn) clearBtn.style.display = this.baseline ? '' : 'none';
+
+    if (!this.baseline) {
+      compareElement.innerHTML = '';
+      compareElement.style.display = 'none';
+      return;
     }
 
-    // Data Explorer (optional)
-    if (this.config.dataExplorerName && this.config.dataExplorerName.length > 0) {
-      costs.dataExplorer = 150; // Dev SKU estimate
+    const diffOnlyInput = document.getElementById('compareDiffOnly');
+    const diffOnly = !diffOnlyInput || diffOnlyInput.checked;
+    const formatDelta = (result, title) => {
+      if (result.delta === null || !result.changed) return '';
+      const sign = result.delta > 0 ? '+' : '−';
+      const amount = title === 'ROI' && result.label === 'ROI'
+        ? `${Math.abs(result.delta)}%`
+        : title === 'Parameters' ? Math.abs(result.delta).toLocaleString('en-US') : FinOpsUtils.formatCurrency(Math.abs(result.delta));
+      return `${sign}${amount}`;
+    };
+
+    const sections = this.compareConfigs(this.baseline.config, this.config);
+    const changes = sections.reduce((count, section) => count + section.rows.filter(result => result.changed).length, 0);
+    const body = sections.map(section => {
+      const rows = section.rows.filter(result => !diffOnly || result.changed);
+      if (rows.length === 0) return '';
+      return `
+        <tr class="compare-section"><th colspan="4">${section.title}</th></tr>
+        ${rows.map(result => `
+        <tr class="${result.changed ? 'changed' : ''}">
+          <td>${FinOpsUtils.escapeHtml(result.label)}</td>
+          <td><code>${FinOpsUtils.escapeHtml(result.baseline)}</code></td>
+          <td><code>${FinOpsUtils.escapeHtml(result.current)}</code></td>
+          <td>${formatDelta(result, section.title)}</td>
+        </tr>`).join('')}
+      `;
+    }).join('');
+
+    compareElement.style.display = 'block';
+    compareElement.innerHTML = `
+      <h4>🔍 Comparing with Baseline “${FinOpsUtils.escapeHtml(this.baseline.name)}”</h4>
+      ${changes === 0 ? '<p class="help-text">No differences from the baseline.</p>' : `
+      <table class="compare-table">
+        <thead>
+          <tr><th></th><th>Baseline</th><th>Current</th><th>Change</th></tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>`}
+    `;
+  },
+
+  // Estimate savings scenarios and payback for a config from its spend profile (see RoiModel)
+  calculateROI: function(config = this.config, monthlyCost = this.calculateCosts(config).total) {
+    return {
+      monthlyCost: monthlyCost,
+      ...RoiModel.calculate({
+        monthlySpend: config.monthlySpend,
+        commitmentShare: config.commitmentShare,
+        idleShare: config.idleShare,
+        setupCost: config.setupCost,
+        ranges: config.savingsRanges
+      }, monthlyCost)
+    };
+  },
+
+  // Change one savings assumption (percent of the lever's spend)
+  updateSavingsRange: function(input, lever, scenario, value) {
+    if (input.value === '' || !(value >= 0 && value <= 100)) {
+      FinOpsUtils.showError(input, 'Must be between 0 and 100');
+      return;
     }
 
-    // Data transfer (minimal for most scenarios)
-    costs.dataTransfer = Math.min(this.config.subscriptionCount * 0.1, 2);
+    const ranges = JSON.parse(JSON.stringify(this.config.savingsRanges || RoiModel.defaultRanges));
+    ranges[lever][scenario] = value;
+    this.config.savingsRanges = ranges;
+    this.saveConfig();
+    this.updateCostEstimate();
+  },
 
-    // Calculate total
-    costs.total = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+  // Go back to the default savings assumptions
+  resetSavingsRanges: function() {
+    this.config.savingsRanges = null;
+    this.saveConfig();
+    this.updateCostEstimate();
+  },
 
-    return costs;
+  // Format a payback period in months
+  formatPayback: function(months) {
+    if (months === null) return 'No payback';
+    if (months < 1) return 'Under 1 month';
+    return `${Math.ceil(months)} months`;
   },
 
   // Update ROI estimate
@@ -353,11 +1889,23 @@ const ConfigBuilder = {
     const roiElement = document.getElementById('roiEstimate');
     if (!roiElement) return;
 
-    // Rough estimate: 5-15% cost optimization
-    const estimatedSavings = this.config.subscriptionCount * 20; // $20 per subscription per month (conservative)
+    const roi = this.calculateROI(this.config, monthlyCost);
+    const { low, expected, high } = roi.scenarios;
+    const money = value => FinOpsUtils.formatCurrency(value, false);
+    const percent = value => `${value}%`;
 
-    const roi = estimatedSavings - monthlyCost;
-    const roiPercentage = monthlyCost > 0 ? ((estimatedSavings / monthlyCost) * 100).toFixed(0) : 0;
+    const assumptionRows = RoiModel.levers.map(lever => `
+          <tr>
+            <td><strong>${lever.label}</strong><br><small>${lever.description}</small></td>
+            <td>${lever.basis}<br><small>${money(roi.bases[lever.id])}/mo</small></td>
+            ${RoiModel.scenarios.map(scenario => `
+            <td>
+              <input type="number" class="roi-range" data-lever="${lever.id}" data-scenario="${scenario}"
+                value="${roi.ranges[lever.id][scenario]}" min="0" max="100" step="0.5"
+                aria-label="${lever.label}, ${scenario} (% saved)">
+            </td>`).join('')}
+            <td>${money(expected.levers[lever.id])}/mo</td>
+          </tr>`).join('');
 
     roiElement.innerHTML = `
       <div class="roi-card">
@@ -368,103 +1916,332 @@ const ConfigBuilder = {
             <span class="roi-value">${FinOpsUtils.formatCurrency(monthlyCost)}/mo</span>
           </div>
           <div class="roi-stat">
-            <span class="roi-label">Expected Savings:</span>
-            <span class="roi-value positive">+${FinOpsUtils.formatCurrency(estimatedSavings)}/mo</span>
+            <span class="roi-label">Expected Savings (low – high):</span>
+            <span class="roi-value positive">+${money(expected.savings)}/mo</span>
+            <span class="roi-range-text">${money(low.savings)} – ${money(high.savings)}/mo</span>
           </div>
           <div class="roi-stat highlight">
             <span class="roi-label">Net Benefit:</span>
-            <span class="roi-value ${roi > 0 ? 'positive' : 'negative'}">${roi > 0 ? '+' : ''}${FinOpsUtils.formatCurrency(roi)}/mo</span>
+            <span class="roi-value ${expected.netBenefit > 0 ? 'positive' : 'negative'}">${expected.netBenefit > 0 ? '+' : ''}${money(expected.netBenefit)}/mo</span>
+          </div>
+          <div class="roi-stat">
+            <span class="roi-label">Payback (low – high):</span>
+            <span class="roi-value">${this.formatPayback(expected.paybackMonths)}</span>
+            <span class="roi-range-text">${this.formatPayback(low.paybackMonths)} – ${this.formatPayback(high.paybackMonths)}</span>
           </div>
           <div class="roi-stat">
             <span class="roi-label">ROI:</span>
-            <span class="roi-value">${roiPercentage}%</span>
+            <span class="roi-value">${percent(expected.roiPercentage)}</span>
+            <span class="roi-range-text">${percent(low.roiPercentage)} – ${percent(high.roiPercentage)}</span>
           </div>
         </div>
+
+        <h5>Assumptions</h5>
         <p class="roi-note">
-          <small>💡 Based on industry averages of 5-15% Azure cost optimization through improved visibility and governance.</small>
+          Monthly spend ${money(this.config.monthlySpend)}, ${this.config.commitmentShare}% covered by reservations or savings plans,
+          ${this.config.idleShare}% on idle resources; one-time setup cost ${money(this.config.setupCost)}.
+          Payback is the setup cost divided by the monthly net benefit.
+        </p>
+        <table class="roi-assumptions">
+          <thead>
+            <tr>
+              <th>Lever</th>
+              <th>Applies to</th>
+              <th>Low %</th>
+              <th>Expected %</th>
+              <th>High %</th>
+              <th>Expected</th>
+            </tr>
+          </thead>
+          <tbody>${assumptionRows}</tbody>
+        </table>
+        <p class="roi-note">
+          <small>💡 Percentages are the share of each lever's spend saved per month. Adjust them to match your organization${this.config.savingsRanges ? ' or <button type="button" class="btn-link" data-roi-action="reset">reset to defaults</button>' : ''}.</small>
         </p>
       </div>
     `;
   },
 
-  // Update resource names preview
+  // Update resource names preview with the names the template will generate
   updateResourceNames: function() {
     const previewElement = document.getElementById('resourceNamePreview');
-    if (!previewElement || !this.config.hubName) return;
-
-    const sanitized = this.config.hubName.replace(/-/g, '');
-    const names = {
-      resourceGroup: `${this.config.hubName}-rg`,
-      storage: `${sanitized}stg`,
-      dataFactory: `${this.config.hubName}-adf`,
-      keyVault: `${sanitized}-kv`,
-      identity: `${this.config.hubName}-mi`
-    };
+    if (!previewElement) return;
+
+    if (!this.config.hubName || !this.deployment) {
+      previewElement.innerHTML = '';
+      return;
+    }
+
+    let suffix;
+    let entries;
+    try {
+      suffix = this.predictResourceNames().suffix;
+      entries = this.getDerivedNames();
+    } catch (e) {
+      console.warn('Could not predict resource names', e);
+      previewElement.innerHTML = `
+        <h4>📋 Resource Names Preview</h4>
+        <p class="help-text">⚠️ Resource names couldn't be calculated: ${FinOpsUtils.escapeHtml(e.message)}</p>
+      `;
+      return;
+    }
+
+    if (this.config.resourceGroupName) {
+      entries.unshift({ id: 'resourceGroup', type: 'resourceGroup', label: 'Resource Group', name: this.config.resourceGroupName, fromHub: false });
+    }
+
+    // The unique suffix depends on the resource group ID
+    const isExact = Boolean(this.config.resourceGroupName && this.config.subscriptionId);
+    const display = name => FinOpsUtils.escapeHtml(isExact ? name : name.split(suffix).join('{suffix}'));
+
+    const items = NamingRules.validateAll(entries).map((result, index) => {
+      const note = entries[index].note ? ` <span class="help-text">(${entries[index].note})</span>` : '';
+      const status = result.valid
+        ? ''
+        : `<div class="error-message">❌ ${FinOpsUtils.escapeHtml(result.errors.join('; '))}</div>`;
+      return `<li><strong>${result.label}:</strong> <code>${display(result.name)}</code>${note}${status}</li>`;
+    });
 
     previewElement.innerHTML = `
       <h4>📋 Resource Names Preview</h4>
+      ${isExact ? '' : '<p class="help-text">Enter the resource group and subscription ID to calculate the unique <code>{suffix}</code> (13 characters).</p>'}
       <ul class="resource-list">
-        <li><strong>Resource Group:</strong> <code>${names.resourceGroup}</code></li>
-        <li><strong>Storage Account:</strong> <code>${names.storage}</code></li>
-        <li><strong>Data Factory:</strong> <code>${names.dataFactory}</code></li>
-        <li><strong>Key Vault:</strong> <code>${names.keyVault}</code></li>
-        <li><strong>Managed Identity:</strong> <code>${names.identity}</code></li>
+        ${items.join('')}
       </ul>
+      ${this.renderNameLengthLimits()}
     `;
   },
 
-  // Update recommendations
-  updateRecommendations: function() {
-    const recElement = document.getElementById('configRecommendations');
-    if (!recElement) return;
+  // Show the local what-if preview: the resources the template deploys and what they wait for
+  updateResourcePreview: function() {
+    const previewElement = document.getElementById('resourcePreview');
+    if (!previewElement) return;
 
-    const recommendations = [];
+    if (!this.config.hubName || !this.deployment) {
+      previewElement.innerHTML = '';
+      return;
+    }
 
-    // Storage SKU recommendation
-    if (this.config.storageSku === 'Premium_LRS') {
-      recommendations.push({
-        type: 'info',
-        message: '💡 Premium LRS is suitable for dev/test. Consider Premium ZRS for production workloads.'
-      });
+    let resources;
+    let suffix;
+    try {
+      resources = this.previewResources();
+      suffix = this.predictResourceNames().suffix;
+    } catch (e) {
+      console.warn('Could not preview resources', e);
+      previewElement.innerHTML = `
+        <h4>🔍 What-If Preview</h4>
+        <p class="help-text">⚠️ The deployed resources couldn't be evaluated: ${FinOpsUtils.escapeHtml(e.message)}</p>
+      `;
+      return;
     }
 
-    // Long retention recommendation
-    if (this.config.ingestionRetention > 24) {
-      recommendations.push({
-        type: 'warning',
-        message: '⚠️ Retention > 24 months recommended to use Azure Data Explorer for better query performance.'
-      });
+    // Keep the list open while the configuration changes
+    const details = previewElement.querySelector('details');
+    const isOpen = Boolean(details && details.open);
+
+    const isExact = Boolean(this.config.resourceGroupName && this.config.subscriptionId);
+    const display = name => FinOpsUtils.escapeHtml(isExact ? name : name.split(suffix).join('{suffix}'));
+    const labels = {};
+    resources.forEach(resource => {
+      labels[resource.id] = resource.label;
+    });
+
+    const rows = resources.map(resource => {
+      const status = ResourcePreview.statuses[resource.status];
+      const name = resource.name === null ? '<span class="help-text">not predicted</span>' : `<code>${display(resource.name)}</code>`;
+      const after = resource.dependsOn.map(id => FinOpsUtils.escapeHtml(labels[id])).join(', ');
+      const note = resource.note ? `<div class="help-text">${FinOpsUtils.escapeHtml(resource.note)}</div>` : '';
+      return `
+        <tr class="what-if-${resource.status}">
+          <td style="padding-left: ${0.5 + resource.path.length * 1.25}rem"><span title="${status.label}">${status.icon}</span> ${FinOpsUtils.escapeHtml(resource.label)}</td>
+          <td>${FinOpsUtils.escapeHtml(resource.type)}</td>
+          <td>${name}${note}</td>
+          <td>${after}</td>
+        </tr>`;
+    }).join('');
+
+    const summary = ResourcePreview.summarize(resources);
+    const counts = [`➕ <strong>${summary.create}</strong> resources in ${summary.deployments} nested deployments`];
+    if (summary.existing > 0) counts.push(`🔗 ${summary.existing} existing`);
+    if (summary.unknown > 0) counts.push(`❔ ${summary.unknown} decided during deployment`);
+    if (summary.skip > 0) counts.push(`⏭️ ${summary.skip} skipped`);
+
+    previewElement.innerHTML = `
+      <h4>🔍 What-If Preview</h4>
+      <p class="help-text">Evaluated in your browser from the conditions and copy loops in template.json; nothing is sent to Azure.
+        Role assignment names come from <code>guid()</code> and aren't predicted.</p>
+      <p class="what-if-summary">${counts.join(' · ')}</p>
+      <details${isOpen ? ' open' : ''}>
+        <summary>Resources and dependencies</summary>
+        <table class="what-if-table">
+          <thead>
+            <tr><th>Resource</th><th>Type</th><th>Name</th><th>Deployed After</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>
+    `;
+  },
+
+  // Load az deployment group show and/or az resource list output for the drift check
+  importDeployedHub: async function(files) {
+    if (!files || files.length === 0) return;
+
+    const snapshots = [];
+    for (const file of Array.from(files)) {
+      try {
+        snapshots.push(DriftReport.parse(await file.text()));
+      } catch (e) {
+        console.warn('Could not load the deployed hub', e);
+        alert(`Could not load ${file.name}: ${e.message}`);
+        return;
+      }
     }
 
-    // Public access warning
-    if (this.config.enablePublicAccess === false) {
-      recommendations.push({
-        type: 'info',
-        message: '🔒 Private networking requires additional configuration (VNet, Private Endpoints).'
-      });
+    try {
+      this.deployedHub = DriftReport.merge(snapshots);
+    } catch (e) {
+      alert(`Could not compare the files: ${e.message}`);
+      return;
     }
+    this.updateDriftReport();
+  },
 
-    // Data Explorer recommendation
-    if (this.config.dataExplorerName && this.config.subscriptionCount < 10) {
-      recommendations.push({
-        type: 'info',
-        message: '💡 Data Explorer adds ~$150/mo. Consider storage-only deployment for < 10 subscriptions.'
-      });
+  // Stop checking for drift
+  clearDeployedHub: function() {
+    this.deployedHub = null;
+    this.updateDriftReport();
+  },
+
+  // Show how the loaded deployed hub differs from the current profile
+  updateDriftReport: function() {
+    const reportElement = document.getElementById('driftReport');
+    if (!reportElement) return;
+
+    const clearBtn = document.getElementById('clearDriftBtn');
+    if (clearBtn) clearBtn.style.display = this.deployedHub ? '' : 'none';
+
+    if (!this.deployedHub) {
+      reportElement.innerHTML = '';
+      return;
+    }
+
+    const hub = this.deployedHub;
+    const where = FinOpsUtils.escapeHtml(hub.resourceGroupName || 'the deployment') + (hub.deploymentName ? ` (deployment <code>${FinOpsUtils.escapeHtml(hub.deploymentName)}</code>)` : '');
+    let report;
+    try {
+      report = this.checkDrift();
+    } catch (e) {
+      console.warn('Could not check for drift', e);
+      reportElement.innerHTML = `<p class="help-text">⚠️ The deployed hub couldn't be compared: ${FinOpsUtils.escapeHtml(e.message)}</p>`;
+      return;
     }
 
+    const formatValue = value => value === undefined ? '—' : FinOpsUtils.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    const table = (title, headings, rows) => rows.length === 0 ? '' : `
+      <h5>${title} (${rows.length})</h5>
+      <table class="drift-table">
+        <thead><tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+      </table>`;
+    const resource = entry => `<code>${FinOpsUtils.escapeHtml(entry.name)}</code><div class="help-text">${FinOpsUtils.escapeHtml(entry.type)}</div>`;
+
+    const notes = [];
+    if (!report.checked.parameters) {
+      notes.push('Load <code>az deployment group show</code> output to compare parameters.');
+    }
+    if (!report.checked.details) {
+      notes.push('Load <code>az resource list</code> output to compare SKUs and tags.');
+    }
+
+    reportElement.innerHTML = `
+      <p class="drift-summary ${report.count > 0 ? 'drift-found' : 'drift-none'}">${report.count > 0
+        ? `⚠️ <strong>${report.count}</strong> difference(s) between this profile and ${where}`
+        : `✓ No drift: ${where} matches this profile`}</p>
+      ${table('Deployment Target', ['Setting', 'Profile', 'Deployed'], report.target.map(entry => [entry.field, formatValue(entry.expected), formatValue(entry.actual)]))}
+      ${table('Changed Parameters', ['Parameter', 'Profile', 'Deployed'], report.parameters.map(entry => [`<code>${FinOpsUtils.escapeHtml(entry.name)}</code>`, formatValue(entry.expected), formatValue(entry.actual)]))}
+      ${table('Missing Resources', ['Resource', 'Resource ID'], report.missing.map(entry => [resource(entry), `<code>${FinOpsUtils.escapeHtml(entry.resourceId)}</code>`]))}
+      ${table('Unexpected SKUs', ['Resource', 'SKU Property', 'Profile', 'Deployed'], report.skus.map(entry => [resource(entry), FinOpsUtils.escapeHtml(entry.property), formatValue(entry.expected), formatValue(entry.actual)]))}
+      ${table('Tag Differences', ['Resource', 'Tag', 'Profile', 'Deployed'], report.tags.map(entry => [resource(entry), FinOpsUtils.escapeHtml(entry.tag), formatValue(entry.expected), formatValue(entry.actual)]))}
+      ${notes.map(note => `<p class="help-text">${note}</p>`).join('')}
+    `;
+  },
+
+  // Describe the hub-name lengths at which derived names get shortened or break naming rules
+  renderNameLengthLimits: function() {
+    const maxHubLength = this.constraintsFor(this.paramForField('hubName')).maxLength || 24;
+    const derivedFrom = {};
+    const limits = NamingRules.findOverflowLengths(
+      this.config.hubName,
+      hubName => this.getDerivedNames({ ...this.config, hubName: hubName }).filter(entry => {
+        derivedFrom[entry.id] = entry.derivedFrom;
+        return entry.fromHub;
+      }),
+      maxHubLength
+    );
+
+    // Names built from another name are shortened along with it, so only the source is listed
+    const notes = [];
+    limits.forEach(limit => {
+      if (limit.invalidFrom !== null) {
+        notes.push(`Hub names of ${limit.invalidFrom}+ characters make the ${limit.label} name invalid`);
+      } else if (limit.truncatedFrom !== null && !derivedFrom[limit.id]) {
+        const maxLength = NamingRules.rules[limit.type].maxLength;
+        notes.push(`Hub names of ${limit.truncatedFrom}+ characters are shortened in the ${limit.label} name (max ${maxLength} characters)`);
+      }
+    });
+
+    if (notes.length === 0) return '';
+
+    return `
+      <h5>📏 Name Length Limits (your hub name: ${this.config.hubName.length} characters)</h5>
+      <ul class="resource-list">
+        ${notes.map(note => `<li>${note}</li>`).join('')}
+      </ul>
+    `;
+  },
+
+  // Update recommendations
+  updateRecommendations: function() {
+    const recElement = document.getElementById('configRecommendations');
+    if (!recElement) return;
+
+    const recommendations = this.getRecommendations();
+
     // Display recommendations
     if (recommendations.length > 0) {
-      recElement.innerHTML = recommendations.map(rec =>
-        `<div class="recommendation ${rec.type}">${rec.message}</div>`
-      ).join('');
+      recElement.innerHTML = recommendations.map(rec => {
+        const link = rec.docUrl
+          ? ` <a href="${FinOpsUtils.escapeHtml(rec.docUrl)}" target="_blank" rel="noopener noreferrer">Learn more</a>`
+          : '';
+        return `<div class="recommendation ${rec.type}">${FinOpsUtils.escapeHtml(rec.message)}${link}</div>`;
+      }).join('');
       recElement.style.display = 'block';
     } else {
       recElement.style.display = 'none';
     }
   },
 
+  // Recommendations for a config, as [{type: 'error'|'warning'|'info', message, docUrl}]
+  // Errors for fields with inline feedback are shown there instead (see validateParameter)
+  getRecommendations: function(config = this.config) {
+    const inlineField = field => {
+      const param = field && this.paramForField(field);
+      return !!param && this.hasInlineFeedback(param);
+    };
+    return this.evaluateRules(config)
+      .filter(result => result.severity !== 'error' || !inlineField(result.field))
+      .map(result => ({ type: result.severity, message: result.message, docUrl: result.docUrl }));
+  },
+
   // Generate deployment
   generateDeployment: function() {
+    if (this.schema.length === 0) {
+      alert('Template parameters are still loading. Please try again in a moment.');
+      return;
+    }
+
     // Validate hub name
     if (!this.config.hubName || FinOpsUtils.validateHubName(this.config.hubName).valid === false) {
       alert('Please enter a valid hub name before generating deployment.');
@@ -472,6 +2249,17 @@ const ConfigBuilder = {
       return;
     }
 
+    // Validate remaining parameters, including cross-field rules
+    const errors = this.validateAll();
+    if (errors.length > 0) {
+      errors.filter(error => error.field).forEach(error => {
+        const element = document.getElementById(this.elementId(error.field));
+        if (element) FinOpsUtils.showError(element, error.message);
+      });
+      alert(`Please fix these settings before generating deployment:\n\n${errors.map(e => `• ${e.label}: ${e.message}`).join('\n')}`);
+      return;
+    }
+
     // Generate deploy URL
     const deployUrl = this.buildDeployUrl();
 
@@ -479,11 +2267,71 @@ const ConfigBuilder = {
     this.showDeploymentSummary(deployUrl);
   },
 
+  // Build template parameter values by name, e.g. { hubName: 'contoso' }
+  buildParameterValues: function(config = this.config) {
+    return HubConfig.buildParameterValues(this.getSchema(), config);
+  },
+
+  // Build template parameter values from the current configuration
+  buildParameters: function(config = this.config) {
+    return HubConfig.buildParameters(this.getSchema(), config);
+  },
+
+  // Build an ARM deployment parameters file (azuredeploy.parameters.json)
+  buildParametersFile: function() {
+    return HubConfig.buildParametersFile(this.getSchema(), this.config);
+  },
+
+  // Secure parameters the parameters file leaves out, to be passed at deploy time
+  getDeployTimeParameters: function() {
+    return HubConfig.getDeployTimeParameters(this.getSchema(), this.config);
+  },
+
+  // Download the parameters file
+  downloadParameters: function() {
+    const content = JSON.stringify(this.buildParametersFile(), null, 2);
+    FinOpsUtils.downloadFile('azuredeploy.parameters.json', content, 'application/json');
+  },
+
+  // Build deployment snippets for every supported format
+  buildSnippets: function() {
+    return HubConfig.buildSnippets(this.getSchema(), this.config, this.templateUri);
+  },
+
+  // Switch the visible deployment snippet tab
+  showSnippetTab: function(container, formatId) {
+    container.querySelectorAll('.snippet-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.getAttribute('data-format') === formatId);
+    });
+    container.querySelectorAll('.snippet-panel').forEach(panel => {
+      panel.style.display = panel.getAttribute('data-format') === formatId ? 'block' : 'none';
+    });
+  },
+
+  // Copy text and show feedback on the button
+  copyWithFeedback: async function(button, text) {
+    try {
+      await FinOpsUtils.copyToClipboard(text);
+
+      const originalText = button.innerHTML;
+      button.innerHTML = '✓ Copied!';
+      button.classList.add('success');
+
+      setTimeout(() => {
+        button.innerHTML = originalText;
+        button.classList.remove('success');
+      }, 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+      alert('Failed to copy to clipboard. Please select and copy manually.');
+    }
+  },
+
   // Build Azure deployment URL
   buildDeployUrl: function() {
     const baseUrl = 'https://portal.azure.com/#create/Microsoft.Template/uri/';
-    const templateUri = 'https://raw.githubusercontent.com/EuphoriaLux/finops-hub-deployment/main/template.json';
-    const uiDefUri = 'https://raw.githubusercontent.com/EuphoriaLux/finops-hub-deployment/main/createUiDefinition.json';
+    const templateUri = this.templateUri;
+    const uiDefUri = this.uiDefinitionUri;
 
     // NOTE: Azure Portal custom deployment URLs don't support pre-filling parameters directly
     // The createUiDefinition.json controls the form in the portal
@@ -496,12 +2344,36 @@ const ConfigBuilder = {
     return fullUrl;
   },
 
+  // Label/value pairs for advanced parameters shown in the summary
+  getAdvancedSummaryRows: function() {
+    return this.schema
+      .filter(param => this.getHint(param.name).section !== 'basic' && this.isParameterActive(param))
+      .map(param => ({
+        label: this.labelFor(param),
+        value: this.formatParameterValue(param, this.config[this.fieldFor(param)])
+      }));
+  },
+
+  // Format a parameter value for display
+  formatParameterValue: function(param, value) {
+    if (value === undefined || value === '') return '(not set)';
+    if (param.secure) return '••••••••';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+    if (typeof value === 'object') return Object.keys(value).length > 0 ? JSON.stringify(value) : '(none)';
+    return String(value);
+  },
+
   // Show deployment summary
   showDeploymentSummary: function(deployUrl) {
     const summaryElement = document.getElementById('deploymentSummary');
     if (!summaryElement) return;
 
     const costs = this.calculateCosts();
+    const parametersJson = JSON.stringify(this.buildParametersFile(), null, 2);
+    const deployTimeParameters = this.getDeployTimeParameters();
+    const snippets = this.buildSnippets();
+    const advancedRows = this.getAdvancedSummaryRows();
 
     summaryElement.innerHTML = `
       <h3>✅ Deployment Configuration Ready</h3>
@@ -515,12 +2387,16 @@ const ConfigBuilder = {
           </tr>
           <tr>
             <td><strong>Region:</strong></td>
-            <td>${FinOpsUtils.azureRegions.find(r => r.value === this.config.region)?.label || this.config.region}</td>
+            <td>${FinOpsUtils.getRegionLabel(this.config.region)}</td>
           </tr>
           <tr>
             <td><strong>Storage SKU:</strong></td>
             <td>${this.config.storageSku}</td>
           </tr>
+          <tr>
+            <td><strong>Analytics Back-end:</strong></td>
+            <td>${HubConfig.analyticsBackends.find(b => b.value === this.config.analyticsBackend)?.label || this.config.analyticsBackend}</td>
+          </tr>
           <tr>
             <td><strong>Retention (Ingestion):</strong></td>
             <td>${this.config.ingestionRetention} months</td>
@@ -532,6 +2408,18 @@ const ConfigBuilder = {
         </table>
       </div>
 
+      ${advancedRows.length > 0 ? `
+      <div class="summary-section">
+        <h4>Advanced Parameters</h4>
+        <table class="summary-table">
+          ${advancedRows.map(row => `
+          <tr>
+            <td><strong>${FinOpsUtils.escapeHtml(row.label)}:</strong></td>
+            <td><code>${FinOpsUtils.escapeHtml(row.value)}</code></td>
+          </tr>`).join('')}
+        </table>
+      </div>` : ''}
+
       <div class="summary-section">
         <h4>Next Steps</h4>
         <ol>
@@ -539,7 +2427,7 @@ const ConfigBuilder = {
           <li>In the Azure Portal form, enter the parameters from your configuration above:
             <ul style="margin-top: 0.5rem;">
               <li><strong>Hub Name:</strong> <code>${this.config.hubName}</code></li>
-              <li><strong>Region:</strong> ${FinOpsUtils.azureRegions.find(r => r.value === this.config.region)?.label || this.config.region}</li>
+              <li><strong>Region:</strong> ${FinOpsUtils.getRegionLabel(this.config.region)}</li>
               <li><strong>Storage SKU:</strong> ${this.config.storageSku}</li>
               <li><strong>Retention:</strong> ${this.config.ingestionRetention} months</li>
             </ul>
@@ -550,6 +2438,34 @@ const ConfigBuilder = {
         </ol>
       </div>
 
+      <div class="summary-section">
+        <h4>Parameters File</h4>
+        <p>Use this file to deploy from the command line instead of retyping values in the portal:</p>
+        ${deployTimeParameters.length > 0 ? `
+        <div class="alert-warning" id="deployTimeParameters">
+          🔒 Secure values aren't saved in the file. Pass them when you deploy, e.g.
+          <code>--parameters @azuredeploy.parameters.json ${deployTimeParameters.map(name => `${name}="$${DeploymentSnippets.toEnvironmentName(name)}"`).join(' ')}</code>
+        </div>` : ''}
+        <div class="output-area">
+          <pre><code id="parametersFileCode" class="language-json">${FinOpsUtils.escapeHtml(parametersJson)}</code></pre>
+          <button type="button" id="downloadParametersBtn" class="btn btn-primary">⬇ Download parameters</button>
+          <button type="button" id="copyParametersBtn" class="btn btn-success">Copy to Clipboard</button>
+        </div>
+      </div>
+
+      <div class="summary-section">
+        <h4>Deploy from a Pipeline</h4>
+        <div class="snippet-tabs" role="tablist">
+          ${DeploymentSnippets.formats.map((format, index) => `
+          <button type="button" class="snippet-tab${index === 0 ? ' active' : ''}" role="tab" data-format="${format.id}">${format.label}</button>`).join('')}
+        </div>
+        ${DeploymentSnippets.formats.map((format, index) => `
+        <div class="output-area snippet-panel" data-format="${format.id}" style="display: ${index === 0 ? 'block' : 'none'};">
+          <pre><code class="language-${format.language}">${FinOpsUtils.escapeHtml(snippets[format.id])}</code></pre>
+          <button type="button" class="btn btn-success snippet-copy-btn" data-format="${format.id}">Copy to Clipboard</button>
+        </div>`).join('')}
+      </div>
+
       <div class="deploy-button-container">
         <a href="${deployUrl}" target="_blank" class="deploy-to-azure-btn">
           <img src="https://aka.ms/deploytoazurebutton" alt="Deploy to Azure" />
@@ -567,6 +2483,27 @@ const ConfigBuilder = {
 
     summaryElement.style.display = 'block';
 
+    // Parameters file actions
+    const downloadBtn = document.getElementById('downloadParametersBtn');
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => this.downloadParameters());
+    }
+
+    const copyBtn = document.getElementById('copyParametersBtn');
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => this.copyWithFeedback(copyBtn, parametersJson));
+    }
+
+    // Deployment snippet tabs
+    summaryElement.querySelectorAll('.snippet-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.showSnippetTab(summaryElement, tab.getAttribute('data-format')));
+    });
+
+    summaryElement.querySelectorAll('.snippet-copy-btn').forEach(button => {
+      const format = button.getAttribute('data-format');
+      button.addEventListener('click', () => this.copyWithFeedback(button, snippets[format]));
+    });
+
     // Scroll to summary
     setTimeout(() => {
       summaryElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -0,0 +1,257 @@
+/**
+ * Configuration Profiles
+ * Named builder configurations (e.g. dev, test, prod) stored in localStorage,
+ * with a schema version and migrations so older saved configs keep loading
+ */
+
+const ConfigProfiles = {
+  // localStorage key for all profiles
+  storageKey: 'finops-config-profiles',
+
+  // Single config saved by earlier versions of the builder (schema version 1)
+  legacyStorageKey: 'finops-config-builder',
+
+  // Current stored-state version. Bump it and add a migration whenever a
+  // saved config needs to be rewritten; new fields with defaults don't need one.
+  schemaVersion: 2,
+
+  defaultProfileName: 'Default',
+
+  // Config migrations, applied in order to configs older than `version`
+  migrations: [
+    {
+      version: 2,
+      description: 'Infer the analytics back-end for configs saved before the back-end choice existed',
+      migrate: function(config) {
+        if (!config.analyticsBackend) {
+          if (config.fabricQueryUri) {
+            config.analyticsBackend = 'fabric';
+          } else if (config.dataExplorerName) {
+            config.analyticsBackend = 'dataExplorer';
+          } else {
+            config.analyticsBackend = 'storage';
+          }
+        }
+        return config;
+      }
+    }
+  ],
+
+  /**
+   * Upgrades a config saved with an older schema version
+   * @param {Object} config - Saved config
+   * @param {number} fromVersion - Schema version the config was saved with
+   * @returns {Object} Migrated copy of the config
+   * @throws {Error} If the config is from a newer version of the builder
+   */
+  migrateConfig: function(config, fromVersion) {
+    if (fromVersion > this.schemaVersion) {
+      throw new Error(`Saved with a newer version of the builder (schema ${fromVersion})`);
+    }
+
+    return this.migrations
+      .filter(migration => migration.version > fromVersion)
+      .reduce((migrated, migration) => migration.migrate(migrated), JSON.parse(JSON.stringify(config)));
+  },
+
+  /**
+   * Creates a profile state holding a single profile
+   * @param {Object} config - Config for the profile
+   * @param {string} name - Profile name
+   * @returns {Object} {schemaVersion, activeProfile, profiles}
+   */
+  createState: function(config, name = this.defaultProfileName) {
+    return {
+      schemaVersion: this.schemaVersion,
+      activeProfile: name,
+      profiles: { [name]: config }
+    };
+  },
+
+  /**
+   * Loads profiles, migrating older stored state
+   * @returns {Object|null} Profile state, or null if nothing has been saved yet
+   */
+  load: function() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      if (saved) {
+        return this.migrateState(JSON.parse(saved));
+      }
+
+      const legacy = localStorage.getItem(this.legacyStorageKey);
+      if (legacy) {
+        const state = this.createState(this.migrateConfig(JSON.parse(legacy), 1));
+        if (this.save(state)) {
+          localStorage.removeItem(this.legacyStorageKey);
+        }
+        return state;
+      }
+    } catch (e) {
+      console.warn('Could not load saved profiles', e);
+    }
+    return null;
+  },
+
+  /**
+   * Migrates every profile in a stored state to the current schema version
+   * @param {Object} state - Stored profile state
+   * @returns {Object} Current profile state
+   */
+  migrateState: function(state) {
+    const fromVersion = state.schemaVersion || 1;
+    const profiles = {};
+
+    Object.keys(state.profiles || {}).forEach(name => {
+      profiles[name] = this.migrateConfig(state.profiles[name], fromVersion);
+    });
+
+    const names = Object.keys(profiles);
+    if (names.length === 0) {
+      return this.createState({});
+    }
+
+    return {
+      schemaVersion: this.schemaVersion,
+      activeProfile: names.includes(state.activeProfile) ? state.activeProfile : names[0],
+      profiles: profiles
+    };
+  },
+
+  /**
+   * Saves profiles to localStorage
+   * @param {Object} state - Profile state
+   * @param {Array} excludeFields - Fields that must never be stored (e.g. secrets); they stay in `state`
+   * @returns {boolean} True if the profiles were saved
+   */
+  save: function(state, excludeFields = []) {
+    const profiles = {};
+    Object.keys(state.profiles).forEach(name => {
+      profiles[name] = { ...state.profiles[name] };
+      excludeFields.forEach(field => delete profiles[name][field]);
+    });
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ ...state, profiles: profiles }));
+      return true;
+    } catch (e) {
+      console.warn('Could not save profiles', e);
+      return false;
+    }
+  },
+
+  /**
+   * Returns the profile names in creation order
+   * @param {Object} state - Profile state
+   * @returns {Array} Profile names
+   */
+  list: function(state) {
+    return Object.keys(state.profiles);
+  },
+
+  /**
+   * Returns a name not yet used by any profile
+   * e.g. "prod" → "prod (2)" if "prod" exists
+   * @param {Object} state - Profile state
+   * @param {string} baseName - Preferred name
+   * @returns {string} Unused profile name
+   */
+  uniqueName: function(state, baseName) {
+    const name = String(baseName || '').trim() || this.defaultProfileName;
+    if (!state.profiles[name]) return name;
+
+    let index = 2;
+    while (state.profiles[`${name} (${index})`]) {
+      index++;
+    }
+    return `${name} (${index})`;
+  },
+
+  /**
+   * Adds a profile and makes it active
+   * @param {Object} state - Profile state
+   * @param {string} name - Preferred profile name
+   * @param {Object} config - Config for the profile
+   * @returns {string} Name the profile was stored under
+   */
+  add: function(state, name, config) {
+    const profileName = this.uniqueName(state, name);
+    state.profiles[profileName] = JSON.parse(JSON.stringify(config));
+    state.activeProfile = profileName;
+    return profileName;
+  },
+
+  /**
+   * Deletes a profile; the last remaining profile can't be deleted
+   * @param {Object} state - Profile state
+   * @param {string} name - Profile to delete
+   * @returns {boolean} True if the profile was deleted
+   */
+  remove: function(state, name) {
+    const names = this.list(state);
+    if (names.length <= 1 || !state.profiles[name]) {
+      return false;
+    }
+
+    delete state.profiles[name];
+    if (state.activeProfile === name) {
+      state.activeProfile = this.list(state)[0];
+    }
+    return true;
+  },
+
+  /**
+   * Serializes a profile for download
+   * @param {Object} state - Profile state
+   * @param {string} name - Profile to export
+   * @param {Array} excludeFields - Fields that must never be exported (e.g. secrets)
+   * @returns {string} Profile JSON
+   */
+  exportProfile: function(state, name, excludeFields = []) {
+    const config = { ...state.profiles[name] };
+    excludeFields.forEach(field => delete config[field]);
+
+    return JSON.stringify({
+      schemaVersion: this.schemaVersion,
+      name: name,
+      exportedAt: new Date().toISOString(),
+      config: config
+    }, null, 2);
+  },
+
+  /**
+   * Reads a profile file created by exportProfile()
+   * @param {string} text - File contents
+   * @param {Object} schema - Parsed template the values are checked against (see HubConfig.sanitizeConfig)
+   * @param {Object} base - Configuration whose fields are kept (default: HubConfig.defaults)
+   * @returns {Object} {name, config} with the config migrated to the current schema
+   * @throws {Error} If the file isn't a profile export or holds values of the wrong type
+   */
+  parseProfileFile: function(text, schema, base = HubConfig.defaults) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || typeof data.config !== 'object' || data.config === null || Array.isArray(data.config)) {
+      throw new Error('The file is not a FinOps hub configuration profile');
+    }
+
+    const { config, invalid } = HubConfig.sanitizeConfig(schema, this.migrateConfig(data.config, data.schemaVersion || 1), base);
+    if (invalid.length > 0) {
+      throw new Error(`The profile has invalid values: ${invalid.map(entry => `${entry.label} (${entry.message})`).join(', ')}`);
+    }
+
+    return {
+      name: typeof data.name === 'string' ? data.name : '',
+      config: config
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigProfiles;
+}
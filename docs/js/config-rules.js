@@ -0,0 +1,317 @@
+/**
+ * Configuration Rules
+ * Validation and recommendation rules for the Configuration Builder, evaluated by RuleEngine.
+ * Conditions read builder config fields; context provides:
+ *   costs                - Monthly cost breakdown (PricingCatalog.calculateCosts)
+ *   devDataExplorerSku   - Whether the selected Data Explorer SKU is a Dev (no SLA) SKU
+ *   region               - Region metadata (FinOpsUtils.azureRegions), or null for unknown regions
+ *   tagPolicy            - Loaded required-tags policy (TagRules.parsePolicy), or null
+ */
+
+const ConfigRules = {
+  rules: [
+    // Data Explorer
+    {
+      id: 'dataExplorerName.required',
+      severity: 'error',
+      field: 'dataExplorerName',
+      dependsOn: ['analyticsBackend'],
+      condition: config => config.analyticsBackend === 'dataExplorer' && !config.dataExplorerName,
+      message: 'Required for the Azure Data Explorer back-end',
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/template'
+    },
+    {
+      id: 'dataExplorerName.format',
+      severity: 'error',
+      field: 'dataExplorerName',
+      condition: config => !!config.dataExplorerName && !/^[a-z][a-z0-9]{3,21}$/.test(config.dataExplorerName),
+      message: '4-22 characters, lowercase letters and numbers, starting with a letter'
+    },
+    {
+      id: 'dataExplorerCapacity.devSingleNode',
+      severity: 'error',
+      field: 'dataExplorerCapacity',
+      dependsOn: ['dataExplorerSku'],
+      condition: (config, context) => context.devDataExplorerSku && config.dataExplorerCapacity !== 1,
+      message: 'Dev SKUs support exactly 1 node',
+      docUrl: 'https://learn.microsoft.com/azure/data-explorer/manage-cluster-choose-sku'
+    },
+    {
+      id: 'dataExplorerCapacity.standardMinimum',
+      severity: 'error',
+      field: 'dataExplorerCapacity',
+      dependsOn: ['dataExplorerSku'],
+      condition: (config, context) => !context.devDataExplorerSku && config.dataExplorerCapacity < 2,
+      message: 'Standard SKUs need at least 2 nodes',
+      docUrl: 'https://learn.microsoft.com/azure/data-explorer/manage-cluster-choose-sku'
+    },
+
+    // Microsoft Fabric
+    {
+      id: 'fabricQueryUri.required',
+      severity: 'error',
+      field: 'fabricQueryUri',
+      dependsOn: ['analyticsBackend'],
+      condition: config => config.analyticsBackend === 'fabric' && !config.fabricQueryUri,
+      message: 'Required for the Microsoft Fabric back-end',
+      docUrl: 'https://learn.microsoft.com/fabric/real-time-intelligence/eventhouse'
+    },
+    {
+      id: 'fabricQueryUri.format',
+      severity: 'error',
+      field: 'fabricQueryUri',
+      condition: config => !!config.fabricQueryUri &&
+        !/^https:\/\/[a-z0-9-]+(\.[a-z0-9-]+)*\.kusto\.fabric\.microsoft\.com\/?$/i.test(config.fabricQueryUri),
+      message: 'Must be an eventhouse query URI, e.g. https://abc123.z0.kusto.fabric.microsoft.com'
+    },
+    {
+      // Trial capacity or an F SKU (F2, F4 ... F2048)
+      id: 'fabricCapacityUnits.size',
+      severity: 'error',
+      field: 'fabricCapacityUnits',
+      condition: config => config.fabricCapacityUnits !== 1 && (config.fabricCapacityUnits & (config.fabricCapacityUnits - 1)) !== 0,
+      message: 'Must be 1 (trial) or an F SKU size: 2, 4, 8 ... 2048',
+      docUrl: 'https://learn.microsoft.com/fabric/enterprise/licenses'
+    },
+
+    // Scopes and remote hubs
+    {
+      id: 'scopesToMonitor.format',
+      severity: 'error',
+      field: 'scopesToMonitor',
+      condition: config => config.scopesToMonitor !== undefined &&
+        (!Array.isArray(config.scopesToMonitor) || config.scopesToMonitor.some(scope => !FinOpsUtils.validateScopeId(scope))),
+      message: config => {
+        if (!Array.isArray(config.scopesToMonitor)) return 'Must be a list of scope IDs';
+        const invalid = config.scopesToMonitor.filter(scope => !FinOpsUtils.validateScopeId(scope));
+        return `${invalid.length} invalid scope ID(s): ${invalid[0]}`;
+      },
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/configure-scopes'
+    },
+    {
+      id: 'remoteHubStorageUri.format',
+      severity: 'error',
+      field: 'remoteHubStorageUri',
+      condition: config => !!config.remoteHubStorageUri &&
+        !/^https:\/\/[a-z0-9]{3,24}\.dfs\.core\.(windows\.net|chinacloudapi\.cn|usgovcloudapi\.net)\/?$/.test(config.remoteHubStorageUri),
+      message: 'Must be a Data Lake endpoint, e.g. https://account.dfs.core.windows.net/',
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/configure-remote-hubs'
+    },
+    {
+      id: 'remoteHubStorageKey.required',
+      severity: 'error',
+      field: 'remoteHubStorageKey',
+      dependsOn: ['remoteHubStorageUri'],
+      condition: config => !!config.remoteHubStorageUri && !config.remoteHubStorageKey,
+      message: 'Required when a remote hub storage URI is set',
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/configure-remote-hubs'
+    },
+    {
+      id: 'remoteHubStorageKey.withoutUri',
+      severity: 'error',
+      field: 'remoteHubStorageKey',
+      dependsOn: ['remoteHubStorageUri'],
+      condition: config => !!config.remoteHubStorageKey && !config.remoteHubStorageUri,
+      message: 'Set the remote hub storage URI first'
+    },
+    {
+      id: 'remoteHubStorageKey.format',
+      severity: 'error',
+      field: 'remoteHubStorageKey',
+      condition: config => !!config.remoteHubStorageKey && !/^[A-Za-z0-9+/]{86}==$/.test(config.remoteHubStorageKey),
+      message: 'Must be an 88-character base64 storage account key'
+    },
+
+    // Region capabilities
+    {
+      id: 'storageSku.zones',
+      severity: 'error',
+      field: 'storageSku',
+      dependsOn: ['region'],
+      condition: (config, context) => config.storageSku === 'Premium_ZRS' && !!context.region && !context.region.zones,
+      message: (config, context) => `Premium ZRS isn't available in ${context.region.label}, which has no availability zones. Use Premium LRS or another region.`,
+      docUrl: 'https://learn.microsoft.com/azure/reliability/availability-zones-region-support'
+    },
+    {
+      id: 'dataExplorer.region',
+      severity: 'error',
+      dependsOn: ['region'],
+      condition: (config, context) => config.analyticsBackend === 'dataExplorer' && !!context.region && !context.region.dataExplorer,
+      message: (config, context) => `Azure Data Explorer isn't available in ${context.region.label}. Choose another region or back-end.`,
+      docUrl: 'https://azure.microsoft.com/explore/global-infrastructure/products-by-region/'
+    },
+    {
+      id: 'fabric.region',
+      severity: 'warning',
+      condition: (config, context) => config.analyticsBackend === 'fabric' && !!context.region && !context.region.fabric,
+      message: (config, context) => `⚠️ Fabric capacities aren't offered in ${context.region.label}. The eventhouse will be in another region, so hub data leaves ${context.region.geography}.`,
+      docUrl: 'https://learn.microsoft.com/fabric/admin/region-availability'
+    },
+    {
+      id: 'region.geography',
+      severity: 'warning',
+      condition: (config, context) => !!config.regionGeography && !!context.region &&
+        !FinOpsUtils.isRegionInGeography(context.region, config.regionGeography),
+      message: (config, context) => `⚠️ ${context.region.label} is outside the selected geography (${config.regionGeography === 'eu' ? 'EU Data Boundary' : config.regionGeography}).`,
+      docUrl: 'https://learn.microsoft.com/privacy/eudb/eu-data-boundary-learn'
+    },
+
+    // Private networking (the address prefix is only used without public access)
+    {
+      id: 'virtualNetworkAddressPrefix.format',
+      severity: 'error',
+      field: 'virtualNetworkAddressPrefix',
+      dependsOn: ['enablePublicAccess'],
+      condition: config => config.enablePublicAccess === false && !NetworkPlanner.validatePrefix(config.virtualNetworkAddressPrefix).valid,
+      message: config => NetworkPlanner.validatePrefix(config.virtualNetworkAddressPrefix).message,
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/private-networking'
+    },
+    {
+      id: 'virtualNetworkAddressPrefix.overlap',
+      severity: 'error',
+      field: 'virtualNetworkAddressPrefix',
+      dependsOn: ['enablePublicAccess', 'existingNetworkRanges'],
+      condition: config => config.enablePublicAccess === false &&
+        NetworkPlanner.findOverlaps(config.virtualNetworkAddressPrefix, NetworkPlanner.parseRanges(config.existingNetworkRanges).ranges).length > 0,
+      message: config => {
+        const ranges = NetworkPlanner.parseRanges(config.existingNetworkRanges).ranges;
+        const overlap = NetworkPlanner.findOverlaps(config.virtualNetworkAddressPrefix, ranges)[0];
+        const suggestion = NetworkPlanner.suggestPrefix(ranges, NetworkPlanner.parseCidr(config.virtualNetworkAddressPrefix).prefixLength);
+        return `Overlaps ${overlap.cidr}${overlap.name ? ` (${overlap.name})` : ''}${suggestion ? `. ${suggestion} is free` : ''}`;
+      },
+      docUrl: 'https://learn.microsoft.com/azure/virtual-network/virtual-network-peering-overview'
+    },
+    {
+      id: 'virtualNetworkAddressPrefix.public',
+      severity: 'warning',
+      condition: config => config.enablePublicAccess === false && NetworkPlanner.validatePrefix(config.virtualNetworkAddressPrefix).valid &&
+        !NetworkPlanner.isPrivate(config.virtualNetworkAddressPrefix),
+      message: config => `⚠️ ${config.virtualNetworkAddressPrefix} isn't a private address range. Use 10.0.0.0/8, 172.16.0.0/12 or 192.168.0.0/16 unless you own it.`,
+      docUrl: 'https://learn.microsoft.com/azure/virtual-network/concepts-and-best-practices'
+    },
+
+    // Tags
+    {
+      id: 'tags.format',
+      severity: 'error',
+      field: 'tags',
+      condition: config => !TagRules.validateTags(config.tags).valid,
+      message: config => TagRules.validateTags(config.tags).message,
+      docUrl: 'https://learn.microsoft.com/azure/azure-resource-manager/management/tag-resources#limitations'
+    },
+    {
+      id: 'tagsByResource.format',
+      severity: 'error',
+      field: 'tagsByResource',
+      condition: config => !TagRules.validateTagsByResource(config.tagsByResource).valid,
+      message: config => TagRules.validateTagsByResource(config.tagsByResource).message,
+      docUrl: 'https://learn.microsoft.com/azure/azure-resource-manager/management/tag-resources#limitations'
+    },
+    {
+      id: 'tags.limit',
+      severity: 'error',
+      field: 'tags',
+      dependsOn: ['tagsByResource'],
+      condition: config => TagRules.getMaxTagCount(config.tags, config.tagsByResource).count > TagRules.maxTags,
+      message: config => {
+        const largest = TagRules.getMaxTagCount(config.tags, config.tagsByResource);
+        return `${largest.resourceType || 'Hub resources'} would get ${largest.count} tags, including ${TagRules.hubTags.length} the hub adds. Azure allows ${TagRules.maxTags}`;
+      },
+      docUrl: 'https://learn.microsoft.com/azure/azure-resource-manager/management/tag-resources#limitations'
+    },
+    {
+      id: 'tags.policy',
+      severity: 'error',
+      field: 'tags',
+      dependsOn: ['tagsByResource'],
+      condition: (config, context) => !!context.tagPolicy && TagRules.checkPolicy(context.tagPolicy, config.tags, config.tagsByResource).length > 0,
+      message: (config, context) => {
+        const problems = TagRules.checkPolicy(context.tagPolicy, config.tags, config.tagsByResource);
+        return problems.length > 1 ? `${problems[0]} (and ${problems.length - 1} more)` : problems[0];
+      }
+    },
+
+    // Recommendations
+    {
+      id: 'storage.zrsForProduction',
+      severity: 'info',
+      condition: (config, context) => config.storageSku === 'Premium_LRS' && (!context.region || context.region.zones),
+      message: '💡 Premium LRS is suitable for dev/test. Consider Premium ZRS for production workloads.',
+      docUrl: 'https://learn.microsoft.com/azure/storage/common/storage-redundancy'
+    },
+    {
+      id: 'retention.longOnStorage',
+      severity: 'warning',
+      condition: config => config.ingestionRetention > 24 && config.analyticsBackend === 'storage',
+      message: '⚠️ Retention > 24 months recommended to use Azure Data Explorer for better query performance.',
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/finops-hubs-overview'
+    },
+    {
+      id: 'network.private',
+      severity: 'info',
+      condition: config => config.enablePublicAccess === false,
+      message: '🔒 Private networking requires additional configuration (VNet, Private Endpoints).',
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/private-networking'
+    },
+    {
+      id: 'dataExplorer.smallEstate',
+      severity: 'info',
+      condition: config => config.analyticsBackend === 'dataExplorer' && config.subscriptionCount < 10,
+      message: (config, context) =>
+        `💡 Data Explorer adds ~${FinOpsUtils.formatCurrency(context.costs.dataExplorer, false)}/mo. Consider storage-only deployment for < 10 subscriptions.`
+    },
+    {
+      id: 'dataExplorer.devNoSla',
+      severity: 'warning',
+      condition: (config, context) => config.analyticsBackend === 'dataExplorer' && context.devDataExplorerSku,
+      message: '⚠️ Dev Data Explorer SKUs have no SLA. They suit trials and dev/test hubs; use a Standard SKU with 2+ nodes for production.',
+      docUrl: 'https://learn.microsoft.com/azure/data-explorer/manage-cluster-choose-sku'
+    },
+    {
+      id: 'storage.largeEstate',
+      severity: 'info',
+      condition: config => config.analyticsBackend === 'storage' && config.subscriptionCount >= 50,
+      message: '💡 With 50+ subscriptions, Power BI on storage can get slow. Consider Azure Data Explorer or Microsoft Fabric.'
+    },
+    {
+      id: 'fabric.trialExpires',
+      severity: 'warning',
+      condition: config => config.analyticsBackend === 'fabric' && (config.fabricCapacityUnits || 2) === 1,
+      message: '⚠️ Fabric trial capacities expire after 60 days. Move the eventhouse to an F SKU before relying on it.',
+      docUrl: 'https://learn.microsoft.com/fabric/enterprise/licenses'
+    },
+    {
+      id: 'fabric.smallCapacity',
+      severity: 'warning',
+      condition: config => config.analyticsBackend === 'fabric' && (config.fabricCapacityUnits || 2) > 1 &&
+        (config.fabricCapacityUnits || 2) < 8 && config.subscriptionCount >= 100,
+      message: config => `⚠️ F${config.fabricCapacityUnits || 2} limits ingestion parallelism for ${config.subscriptionCount} subscriptions. Consider F8 or larger.`,
+      docUrl: 'https://learn.microsoft.com/fabric/enterprise/licenses'
+    },
+    {
+      id: 'fabric.sharedCapacity',
+      severity: 'info',
+      condition: config => config.analyticsBackend === 'fabric',
+      message: '💡 The Fabric estimate is the full pay-as-you-go F SKU price. If the capacity is shared with other workloads, the hub only uses part of it.'
+    },
+    {
+      id: 'exports.unmanaged',
+      severity: 'info',
+      condition: config => config.enableManagedExports === false,
+      message: '📤 Managed exports are off. Create Cost Management exports yourself with the Export Wizard after deployment.',
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/configure-scopes'
+    },
+    {
+      id: 'remoteHub.keySecret',
+      severity: 'info',
+      condition: config => !!config.remoteHubStorageUri,
+      message: '🔗 Processed data will be pushed to the remote hub. Keep the storage key in a secret store and pass it at deployment time.',
+      docUrl: 'https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/configure-remote-hubs'
+    }
+  ]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigRules;
+}
@@ -0,0 +1,121 @@
+/**
+ * Shareable Configuration Links
+ * Encodes builder configurations into compact, versioned URL fragments
+ */
+
+const ConfigShare = {
+  // Current share link format. Bump when the payload layout changes and
+  // keep decoding older versions in decode().
+  version: 1,
+
+  // URL fragment prefix, e.g. #config=1.eyJodWJOYW1lIjoiY29udG9zbyJ9
+  fragmentPrefix: '#config=',
+
+  /**
+   * Encodes a configuration as a share token
+   * Only values that differ from the defaults are included
+   * @param {Object} config - Configuration to share
+   * @param {Object} defaults - Default configuration
+   * @param {Array} excludeFields - Fields that must never be shared (e.g. secrets)
+   * @returns {string} Versioned token, e.g. "1.<base64url>"
+   */
+  encode: function(config, defaults = {}, excludeFields = []) {
+    const changes = {};
+
+    Object.keys(config).forEach(field => {
+      if (excludeFields.includes(field)) return;
+      if (JSON.stringify(config[field]) !== JSON.stringify(defaults[field])) {
+        changes[field] = config[field];
+      }
+    });
+
+    return `${this.version}.${this.toBase64Url(JSON.stringify(changes))}`;
+  },
+
+  /**
+   * Decodes a share token
+   * @param {string} token - Token created by encode()
+   * @returns {Object} Shared configuration values
+   * @throws {Error} If the token is malformed or uses an unsupported version
+   */
+  decode: function(token) {
+    const match = /^(\d+)\.([A-Za-z0-9_-]*)$/.exec(token || '');
+    if (!match) {
+      throw new Error('Malformed share link');
+    }
+
+    const version = parseInt(match[1], 10);
+    if (version !== 1) {
+      throw new Error(`Unsupported share link version: ${version}`);
+    }
+
+    const values = JSON.parse(this.fromBase64Url(match[2]));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('Malformed share link');
+    }
+
+    // Only accept plain config field names
+    const config = {};
+    Object.keys(values)
+      .filter(field => /^[A-Za-z][A-Za-z0-9]*$/.test(field))
+      .forEach(field => {
+        config[field] = values[field];
+      });
+    return config;
+  },
+
+  /**
+   * Builds a share URL for a configuration
+   * @param {string} baseUrl - Page URL without fragment
+   * @param {Object} config - Configuration to share
+   * @param {Object} defaults - Default configuration
+   * @param {Array} excludeFields - Fields that must never be shared
+   * @returns {string} Share URL
+   */
+  buildUrl: function(baseUrl, config, defaults, excludeFields) {
+    return baseUrl.split('#')[0] + this.fragmentPrefix + this.encode(config, defaults, excludeFields);
+  },
+
+  /**
+   * Reads a shared configuration from a URL fragment
+   * @param {string} hash - URL fragment including '#'
+   * @returns {Object|null} Shared configuration, or null if the fragment isn't a share link
+   */
+  readFragment: function(hash) {
+    if (!hash || !hash.startsWith(this.fragmentPrefix)) {
+      return null;
+    }
+    return this.decode(hash.slice(this.fragmentPrefix.length));
+  },
+
+  /**
+   * Encodes a UTF-8 string as base64url without padding
+   * @param {string} text - Text to encode
+   * @returns {string} base64url string
+   */
+  toBase64Url: function(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  /**
+   * Decodes a base64url string to UTF-8 text
+   * @param {string} encoded - base64url string
+   * @returns {string} Decoded text
+   */
+  fromBase64Url: function(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigShare;
+}
@@ -0,0 +1,156 @@
+/**
+ * Data Volume Cost Model
+ * Estimates how much data a hub stores from the monthly Azure spend or cost row count
+ * it ingests, following the export and retention settings of the template
+ */
+
+const CostModel = {
+  // Sizing assumptions; actual sizes depend on the mix of services and tags
+  assumptions: {
+    rowsPerDollar: 10,              // FOCUS cost rows per dollar of monthly spend
+    exportBytesPerRow: 300,         // Compressed FOCUS export in msexports
+    ingestionBytesPerRow: 150,      // Processed Parquet data in the ingestion container
+    analyticsBytesPerRow: 100,      // Compressed Data Explorer extents / OneLake tables
+    analyticsIngestBytesPerRow: 1000, // Uncompressed data ingested into Data Explorer
+    daysPerMonth: 30
+  },
+
+  /**
+   * Monthly cost rows for a configuration
+   * @param {Object} config - {dataVolumeBasis: 'spend'|'rows', monthlySpend, monthlyRowCount}
+   * @returns {number} Cost rows per month
+   */
+  getMonthlyRows: function(config) {
+    if (config.dataVolumeBasis === 'rows') {
+      return Math.max(0, config.monthlyRowCount || 0);
+    }
+    return Math.max(0, config.monthlySpend || 0) * this.assumptions.rowsPerDollar;
+  },
+
+  /**
+   * Data volume of a month relative to the first month
+   * @param {number} month - Months since deployment (1 = first month)
+   * @param {number} annualGrowth - Yearly data growth as a fraction, e.g. 0.2 for 20%
+   * @returns {number} Volume multiplier
+   */
+  getGrowthFactor: function(month, annualGrowth = 0) {
+    return Math.pow(1 + annualGrowth, (month - 1) / 12);
+  },
+
+  /**
+   * Sums the growth factors of the months still retained in a given month
+   * @param {number} month - Current month
+   * @param {number} retainedMonths - Months of data kept
+   * @param {number} annualGrowth - Yearly data growth as a fraction
+   * @returns {number} Retained volume in units of the first month's volume
+   */
+  getRetainedVolume: function(month, retainedMonths, annualGrowth = 0) {
+    let total = 0;
+    for (let k = Math.max(1, month - retainedMonths + 1); k <= month; k++) {
+      total += this.getGrowthFactor(k, annualGrowth);
+    }
+    return total;
+  },
+
+  /**
+   * Estimates the data flowing through a hub in a month
+   * Daily exports are month-to-date, so each one repeats the rows of the days before it
+   * @param {Object} config - Builder configuration
+   * @param {number} month - Months since deployment (1 = first month)
+   * @param {number} annualGrowth - Yearly data growth as a fraction
+   * @returns {Object} {monthlyRows, dailyExportRows, dailyExportGb, exportGbWrittenMonth,
+   *   ingestionGbMonth, analyticsGbMonth, analyticsIngestionGbMonth} - daily values are averages
+   */
+  getVolumes: function(config, month = 1, annualGrowth = 0) {
+    const a = this.assumptions;
+    const gb = bytes => bytes / 1e9;
+    const monthlyRows = this.getMonthlyRows(config) * this.getGrowthFactor(month, annualGrowth);
+
+    // Export on day d holds d days of rows; averaged over the month that's (days + 1) / 2 days
+    const dailyExportRows = monthlyRows * (a.daysPerMonth + 1) / 2 / a.daysPerMonth;
+
+    return {
+      monthlyRows: monthlyRows,
+      dailyExportRows: dailyExportRows,
+      dailyExportGb: gb(dailyExportRows * a.exportBytesPerRow),
+      exportGbWrittenMonth: gb(dailyExportRows * a.daysPerMonth * a.exportBytesPerRow),
+      ingestionGbMonth: gb(monthlyRows * a.ingestionBytesPerRow),
+      analyticsGbMonth: gb(monthlyRows * a.analyticsBytesPerRow),
+      analyticsIngestionGbMonth: gb(dailyExportRows * a.daysPerMonth * a.analyticsIngestBytesPerRow)
+    };
+  },
+
+  /**
+   * Estimates stored data after a number of months in operation
+   * @param {Object} config - Builder configuration
+   * @param {number} month - Months since deployment (1 = first month)
+   * @param {number} annualGrowth - Yearly data growth as a fraction
+   * @returns {Object} GB stored: {exports, ingestion, dataExplorer, oneLake, hubStorage}
+   */
+  getStorageAt: function(config, month, annualGrowth = 0) {
+    const a = this.assumptions;
+    const firstMonth = this.getVolumes(config);
+    const current = this.getVolumes(config, month, annualGrowth);
+    const retained = months => this.getRetainedVolume(month, months, annualGrowth);
+    const days = month * a.daysPerMonth;
+
+    // With 0 days of retention, exports are deleted once they're processed
+    const exportDays = Math.min(days, Math.max(config.exportRetention || 0, 1));
+    const exports = exportDays * current.dailyExportGb;
+    const ingestion = retained(config.ingestionRetention || month) * firstMonth.ingestionGbMonth;
+
+    let dataExplorer = 0;
+    let oneLake = 0;
+    if (config.analyticsBackend === 'dataExplorer') {
+      const rawDays = Math.min(days, config.dataExplorerRawRetentionInDays || 0);
+      dataExplorer = retained(config.dataExplorerFinalRetentionInMonths || 13) * firstMonth.analyticsGbMonth +
+        rawDays * current.dailyExportRows * a.analyticsBytesPerRow / 1e9;
+    } else if (config.analyticsBackend === 'fabric') {
+      oneLake = retained(config.ingestionRetention || month) * firstMonth.analyticsGbMonth;
+    }
+
+    return {
+      exports: exports,
+      ingestion: ingestion,
+      dataExplorer: dataExplorer,
+      oneLake: oneLake,
+      hubStorage: exports + ingestion
+    };
+  },
+
+  /**
+   * First month in which stored data stops growing
+   * @param {Object} config - Builder configuration
+   * @returns {number} Month number
+   */
+  getSteadyStateMonth: function(config) {
+    const months = [
+      config.ingestionRetention || 1,
+      Math.ceil((config.exportRetention || 0) / this.assumptions.daysPerMonth)
+    ];
+    if (config.analyticsBackend === 'dataExplorer') {
+      months.push(config.dataExplorerFinalRetentionInMonths || 13);
+      months.push(Math.ceil((config.dataExplorerRawRetentionInDays || 0) / this.assumptions.daysPerMonth));
+    }
+    return Math.max(1, ...months);
+  },
+
+  /**
+   * Months to show in a growth projection: a few early months, then yearly up to steady state
+   * @param {Object} config - Builder configuration
+   * @returns {Array} Ascending month numbers ending at steady state
+   */
+  getProjectionMonths: function(config) {
+    const steadyState = this.getSteadyStateMonth(config);
+    const months = [1, 3, 6, 12];
+    for (let month = 24; month < steadyState; month += 12) {
+      months.push(month);
+    }
+    return [...new Set(months.filter(month => month < steadyState).concat(steadyState))];
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CostModel;
+}
@@ -0,0 +1,163 @@
+/**
+ * Display Currency
+ * Converts cost figures from US dollars (the pricing catalog's currency) to the selected
+ * currency and formats them for the selected locale with Intl.NumberFormat
+ */
+
+const Currency = {
+  // localStorage key for the selected currency and locale
+  storageKey: 'finops-currency',
+
+  // Conversion rates file, relative to the page
+  ratesUri: 'data/exchange-rates.json',
+
+  // Currency all amounts are calculated in
+  baseCurrency: 'USD',
+
+  // Units of each currency per US dollar; copy of data/exchange-rates.json used until
+  // (or when) the file can't be loaded
+  rates: {
+    USD: 1, EUR: 0.853, GBP: 0.729, CHF: 0.796, SEK: 9.52, NOK: 10.11, DKK: 6.36,
+    PLN: 3.61, CAD: 1.364, AUD: 1.526, JPY: 144.4, INR: 85.76, BRL: 5.46, ZAR: 17.76
+  },
+  ratesAsOf: '2025-06-30',
+
+  // Locales offered for number formatting; an empty value uses the browser's locale
+  locales: [
+    { value: '', label: 'Browser default' },
+    { value: 'en-US', label: 'English (United States)' },
+    { value: 'en-GB', label: 'English (United Kingdom)' },
+    { value: 'fr-LU', label: 'Français (Luxembourg)' },
+    { value: 'de-LU', label: 'Deutsch (Luxemburg)' },
+    { value: 'fr-FR', label: 'Français (France)' },
+    { value: 'de-DE', label: 'Deutsch (Deutschland)' },
+    { value: 'de-CH', label: 'Deutsch (Schweiz)' },
+    { value: 'fr-CH', label: 'Français (Suisse)' },
+    { value: 'nl-NL', label: 'Nederlands (Nederland)' },
+    { value: 'sv-SE', label: 'Svenska (Sverige)' },
+    { value: 'ja-JP', label: '日本語 (日本)' }
+  ],
+
+  // Current selection
+  currency: 'USD',
+  locale: '',
+
+  /**
+   * Restores the saved currency and locale
+   */
+  load: function() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (saved) {
+        this.currency = this.rates[saved.currency] ? saved.currency : this.baseCurrency;
+        this.locale = saved.locale || '';
+      }
+    } catch (e) {
+      console.warn('Could not load currency settings', e);
+    }
+  },
+
+  /**
+   * Selects the display currency and locale
+   * @param {string} currency - ISO 4217 code with a known rate
+   * @param {string} locale - BCP 47 locale, or '' for the browser's
+   * @throws {Error} If there's no conversion rate for the currency
+   */
+  select: function(currency, locale = this.locale) {
+    if (!this.rates[currency]) {
+      throw new Error(`No conversion rate for ${currency}`);
+    }
+    this.currency = currency;
+    this.locale = locale;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ currency: currency, locale: locale }));
+    } catch (e) {
+      console.warn('Could not save currency settings', e);
+    }
+  },
+
+  /**
+   * Loads conversion rates from the rates file
+   * Keeps the built-in rates when the file can't be fetched (e.g. when opened from disk)
+   * @returns {Promise<boolean>} True if the file was loaded
+   */
+  loadRates: async function() {
+    try {
+      const response = await fetch(this.ratesUri);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} loading ${this.ratesUri}`);
+      }
+      const data = await response.json();
+      if (data.base !== this.baseCurrency || !data.rates || data.rates[this.baseCurrency] !== 1) {
+        throw new Error(`${this.ratesUri} must have ${this.baseCurrency} rates`);
+      }
+      this.rates = data.rates;
+      this.ratesAsOf = data.asOf || null;
+      if (!this.rates[this.currency]) {
+        this.currency = this.baseCurrency;
+      }
+      return true;
+    } catch (e) {
+      console.warn('Could not load exchange rates, using built-in rates', e);
+      return false;
+    }
+  },
+
+  /**
+   * Units of a currency per US dollar
+   * @param {string} currency - ISO 4217 code; defaults to the selected currency
+   * @returns {number} Conversion rate
+   */
+  getRate: function(currency = this.currency) {
+    return this.rates[currency] || 1;
+  },
+
+  /**
+   * Converts a US dollar amount to a currency
+   * @param {number} amount - Amount in US dollars
+   * @param {string} currency - Target currency; defaults to the selected currency
+   * @returns {number} Converted amount
+   */
+  convert: function(amount, currency = this.currency) {
+    return amount * this.getRate(currency);
+  },
+
+  /**
+   * Converts an amount in a currency to US dollars
+   * @param {number} amount - Amount in the given currency
+   * @param {string} currency - ISO 4217 code
+   * @returns {number} Amount in US dollars
+   * @throws {Error} If there's no conversion rate for the currency
+   */
+  toBase: function(amount, currency) {
+    if (!this.rates[currency]) {
+      throw new Error(`No conversion rate for ${currency}`);
+    }
+    return amount / this.rates[currency];
+  },
+
+  /**
+   * Formats a US dollar amount in the selected currency and locale
+   * @param {number} amount - Amount in US dollars
+   * @param {boolean} includeDecimals - Include the currency's minor units
+   * @returns {string} Formatted amount, e.g. "8,19 €" for EUR in fr-LU
+   */
+  format: function(amount, includeDecimals = true) {
+    const options = { style: 'currency', currency: this.currency };
+    if (!includeDecimals) {
+      options.minimumFractionDigits = 0;
+      options.maximumFractionDigits = 0;
+    }
+    try {
+      return new Intl.NumberFormat(this.locale || undefined, options).format(this.convert(amount));
+    } catch (e) {
+      // Unsupported locale: fall back to the browser's
+      return new Intl.NumberFormat(undefined, options).format(this.convert(amount));
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Currency;
+}
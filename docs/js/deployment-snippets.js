@@ -0,0 +1,280 @@
+/**
+ * Deployment Snippet Generators
+ * Turns template parameter values into Azure CLI, PowerShell, Bicep and Terraform deployments
+ */
+
+const DeploymentSnippets = {
+  // Output formats, in tab order
+  formats: [
+    { id: 'cli', label: 'Azure CLI', language: 'bash' },
+    { id: 'powershell', label: 'PowerShell', language: 'powershell' },
+    { id: 'bicep', label: 'Bicep', language: 'bicep' },
+    { id: 'terraform', label: 'Terraform', language: 'hcl' }
+  ],
+
+  /**
+   * Generates a snippet in the requested format
+   * @param {string} format - One of the ids in DeploymentSnippets.formats
+   * @param {Object} parameters - Template parameters as { name: { value } }
+   * @param {Object} options - { templateUri, resourceGroup, deploymentName, secureParameters }
+   *   secureParameters lists securestring parameters that are read from environment variables
+   * @returns {string} Snippet text
+   */
+  generate: function(format, parameters, options = {}) {
+    const settings = {
+      templateUri: '',
+      resourceGroup: '<resource-group>',
+      deploymentName: 'finops-hub',
+      secureParameters: [],
+      ...options
+    };
+
+    // Empty secure values are passed through as-is; set ones come from the environment
+    settings.secureParameters = settings.secureParameters
+      .filter(name => parameters[name] && parameters[name].value !== '');
+
+    switch (format) {
+      case 'cli': return this.generateAzureCli(parameters, settings);
+      case 'powershell': return this.generatePowerShell(parameters, settings);
+      case 'bicep': return this.generateBicepParam(parameters, settings);
+      case 'terraform': return this.generateTerraform(parameters, settings);
+      default: throw new Error(`Unknown snippet format: ${format}`);
+    }
+  },
+
+  /**
+   * Converts a parameter name to an environment variable name
+   * @param {string} name - Parameter name (camelCase)
+   * @returns {string} Environment variable name (UPPER_SNAKE_CASE)
+   */
+  toEnvironmentName: function(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  },
+
+  /**
+   * Generates an `az deployment group create` command
+   * @param {Object} parameters - Template parameters
+   * @param {Object} settings - Snippet settings
+   * @returns {string} Bash command
+   */
+  generateAzureCli: function(parameters, settings) {
+    const quote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+    const args = Object.keys(parameters).map(name => {
+      const value = parameters[name].value;
+      if (settings.secureParameters.includes(name)) {
+        return `${name}="$${this.toEnvironmentName(name)}"`;
+      }
+      if (typeof value === 'object') {
+        return `${name}=${quote(JSON.stringify(value))}`;
+      }
+      if (typeof value === 'string') {
+        return `${name}=${quote(value)}`;
+      }
+      return `${name}=${value}`;
+    });
+
+    return `# Deploy FinOps Hub with the Azure CLI
+# Alternatively pass the downloaded file: --parameters @azuredeploy.parameters.json
+az deployment group create \\
+  --name ${quote(settings.deploymentName)} \\
+  --resource-group ${quote(settings.resourceGroup)} \\
+  --template-uri ${quote(settings.templateUri)} \\
+  --parameters \\
+${args.map(arg => `    ${arg}`).join(' \\\n')}
+`;
+  },
+
+  /**
+   * Formats a value as a PowerShell literal
+   * @param {*} value - Value to format
+   * @param {string} indent - Current indentation
+   * @returns {string} PowerShell expression
+   */
+  toPowerShellValue: function(value, indent = '') {
+    if (typeof value === 'boolean') {
+      return value ? '$true' : '$false';
+    }
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '@()';
+      const items = value.map(item => `${indent}    ${this.toPowerShellValue(item, indent + '    ')}`);
+      return `@(\n${items.join('\n')}\n${indent})`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 0) return '@{}';
+      const entries = keys.map(key => {
+        const safeKey = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : `'${key.replace(/'/g, "''")}'`;
+        return `${indent}    ${safeKey} = ${this.toPowerShellValue(value[key], indent + '    ')}`;
+      });
+      return `@{\n${entries.join('\n')}\n${indent}}`;
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
+  },
+
+  /**
+   * Generates a `New-AzResourceGroupDeployment` script
+   * @param {Object} parameters - Template parameters
+   * @param {Object} settings - Snippet settings
+   * @returns {string} PowerShell script
+   */
+  generatePowerShell: function(parameters, settings) {
+    const entries = Object.keys(parameters).map(name => {
+      if (settings.secureParameters.includes(name)) {
+        return `    ${name} = (ConvertTo-SecureString -String $env:${this.toEnvironmentName(name)} -AsPlainText -Force)`;
+      }
+      return `    ${name} = ${this.toPowerShellValue(parameters[name].value, '    ')}`;
+    });
+
+    return `# Deploy FinOps Hub with Azure PowerShell (requires the Az module and Connect-AzAccount)
+$templateParameters = @{
+${entries.join('\n')}
+}
+
+New-AzResourceGroupDeployment \`
+    -Name ${this.toPowerShellValue(settings.deploymentName)} \`
+    -ResourceGroupName ${this.toPowerShellValue(settings.resourceGroup)} \`
+    -TemplateUri ${this.toPowerShellValue(settings.templateUri)} \`
+    -TemplateParameterObject $templateParameters
+`;
+  },
+
+  /**
+   * Formats a value as a Bicep literal
+   * @param {*} value - Value to format
+   * @param {string} indent - Current indentation
+   * @returns {string} Bicep expression
+   */
+  toBicepValue: function(value, indent = '') {
+    if (typeof value === 'boolean' || typeof value === 'number') {
+      return String(value);
+    }
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      const items = value.map(item => `${indent}  ${this.toBicepValue(item, indent + '  ')}`);
+      return `[\n${items.join('\n')}\n${indent}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 0) return '{}';
+      const entries = keys.map(key => {
+        const safeKey = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : this.toBicepValue(key);
+        return `${indent}  ${safeKey}: ${this.toBicepValue(value[key], indent + '  ')}`;
+      });
+      return `{\n${entries.join('\n')}\n${indent}}`;
+    }
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\$\{/g, () => '\\${')
+      .replace(/\n/g, '\\n');
+    return `'${escaped}'`;
+  },
+
+  /**
+   * Generates a .bicepparam file
+   * @param {Object} parameters - Template parameters
+   * @param {Object} settings - Snippet settings
+   * @returns {string} Bicep parameters file
+   */
+  generateBicepParam: function(parameters, settings) {
+    const params = Object.keys(parameters).map(name => {
+      if (settings.secureParameters.includes(name)) {
+        return `param ${name} = readEnvironmentVariable('${this.toEnvironmentName(name)}', '')`;
+      }
+      return `param ${name} = ${this.toBicepValue(parameters[name].value)}`;
+    });
+
+    return `// azuredeploy.bicepparam
+// Download template.json next to this file, then run:
+//   az deployment group create --resource-group ${settings.resourceGroup} --parameters azuredeploy.bicepparam
+using 'template.json'
+
+${params.join('\n')}
+`;
+  },
+
+  /**
+   * Formats a value as a Terraform (HCL) literal
+   * @param {*} value - Value to format
+   * @param {string} indent - Current indentation
+   * @returns {string} HCL expression
+   */
+  toHclValue: function(value, indent = '') {
+    if (typeof value === 'boolean' || typeof value === 'number') {
+      return String(value);
+    }
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      const items = value.map(item => `${indent}  ${this.toHclValue(item, indent + '  ')},`);
+      return `[\n${items.join('\n')}\n${indent}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 0) return '{}';
+      const entries = keys.map(key => {
+        const safeKey = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : this.toHclValue(key);
+        return `${indent}  ${safeKey} = ${this.toHclValue(value[key], indent + '  ')}`;
+      });
+      return `{\n${entries.join('\n')}\n${indent}}`;
+    }
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\$\{/g, () => '$${')
+      .replace(/%\{/g, () => '%%{')
+      .replace(/\n/g, '\\n');
+    return `"${escaped}"`;
+  },
+
+  /**
+   * Generates an azurerm_resource_group_template_deployment block
+   * @param {Object} parameters - Template parameters
+   * @param {Object} settings - Snippet settings
+   * @returns {string} Terraform configuration
+   */
+  generateTerraform: function(parameters, settings) {
+    const secureNames = Object.keys(parameters).filter(name => settings.secureParameters.includes(name));
+    const toVariableName = name => this.toEnvironmentName(name).toLowerCase();
+
+    const entries = Object.keys(parameters).map(name => {
+      const value = secureNames.includes(name)
+        ? `var.${toVariableName(name)}`
+        : this.toHclValue(parameters[name].value, '    ');
+      return `    ${name} = { value = ${value} }`;
+    });
+
+    const variables = secureNames.map(name => `variable "${toVariableName(name)}" {
+  type      = string
+  default   = ""
+  sensitive = true
+}
+
+`).join('');
+
+    return `# FinOps Hub deployment with the azurerm provider
+${variables}data "http" "finops_hub_template" {
+  url = ${this.toHclValue(settings.templateUri)}
+}
+
+resource "azurerm_resource_group_template_deployment" "finops_hub" {
+  name                = ${this.toHclValue(settings.deploymentName)}
+  resource_group_name = ${this.toHclValue(settings.resourceGroup)}
+  deployment_mode     = "Incremental"
+  template_content    = data.http.finops_hub_template.response_body
+
+  parameters_content = jsonencode({
+${entries.join('\n')}
+  })
+}
+`;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeploymentSnippets;
+}
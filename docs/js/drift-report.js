@@ -0,0 +1,314 @@
+/**
+ * Drift Report
+ * Compares a deployed hub, as `az deployment group show` or `az resource list` describes it,
+ * with what a configuration would deploy: changed parameters, missing resources, SKUs and tags
+ */
+
+const DriftReport = {
+  // Resource types that aren't expected to be listed in the resource group: deployments,
+  // role assignments (not listed by az resource list) and deployment scripts (deleted once
+  // their retention interval ends)
+  ignoredTypes: ['Microsoft.Resources/deployments', 'Microsoft.Resources/deploymentScripts', 'Microsoft.Authorization/'],
+
+  // Tags Azure manages itself
+  systemTagPrefix: 'hidden-',
+
+  /**
+   * Parses the JSON output of `az deployment group show` or `az resource list`
+   * @param {string} text - File contents
+   * @returns {Object} {source, deploymentName, subscriptionId, resourceGroupName, parameters,
+   *   secureParameters, resources, details}. source is 'deployment' or 'resources'; parameters
+   *   holds the deployed values by name (null for a resource list) and secureParameters the names
+   *   whose values Azure doesn't return. resources is [{resourceId, type, name, sku, tags}];
+   *   details is false when SKUs and tags aren't known (a deployment only lists resource IDs)
+   * @throws {Error} If the text isn't JSON or isn't either command's output
+   */
+  parse: function(text) {
+    let data;
+    try {
+      data = JSON.parse(String(text || '').trim());
+    } catch (e) {
+      throw new Error('The file isn\'t JSON');
+    }
+
+    // az resource list returns an array; the REST API wraps it in {value}
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.value) ? data.value : null);
+    if (list) {
+      return this.parseResourceList(list);
+    }
+    if (data && data.properties && (data.properties.parameters || data.properties.outputResources)) {
+      return this.parseDeployment(data);
+    }
+    throw new Error('Expected the output of az deployment group show or az resource list');
+  },
+
+  /**
+   * Combines parsed files, e.g. a deployment for its parameters and a resource list for SKUs and tags
+   * @param {Array} snapshots - Results of parse()
+   * @returns {Object} Snapshot in the shape parse() returns
+   * @throws {Error} If the files describe different resource groups
+   */
+  merge: function(snapshots) {
+    if (snapshots.length === 0) {
+      throw new Error('No deployment or resource list was loaded');
+    }
+
+    const groups = [...new Set(snapshots
+      .filter(snapshot => snapshot.resourceGroupName)
+      .map(snapshot => `${snapshot.subscriptionId}/${snapshot.resourceGroupName}`.toLowerCase()))];
+    if (groups.length > 1) {
+      throw new Error('The files describe different resource groups');
+    }
+
+    const deployment = snapshots.find(snapshot => snapshot.parameters !== null);
+    // Resource lists have SKUs and tags; deployments only resource IDs
+    const listed = snapshots.find(snapshot => snapshot.details) || deployment;
+    return {
+      source: snapshots.map(snapshot => snapshot.source).filter((source, index, sources) => sources.indexOf(source) === index).join('+'),
+      deploymentName: deployment ? deployment.deploymentName : null,
+      subscriptionId: listed.subscriptionId,
+      resourceGroupName: listed.resourceGroupName,
+      parameters: deployment ? deployment.parameters : null,
+      secureParameters: deployment ? deployment.secureParameters : [],
+      resources: listed.resources,
+      details: listed.details
+    };
+  },
+
+  /**
+   * Compares a deployed hub with what a configuration deploys
+   * @param {Object} expected - {parameters, secureParameters, resources, target}: template parameter
+   *   values by name, names of secure parameters, ResourcePreview.preview() evaluated for the
+   *   snapshot's resource group, and the configured {subscriptionId, resourceGroupName}
+   * @param {Object} snapshot - Result of parse() or merge()
+   * @returns {Object} {target, parameters, missing, skus, tags, checked, count}. Each list holds
+   *   differences with the expected and actual values (undefined when absent): target
+   *   [{field, expected, actual}], parameters [{name, expected, actual}], missing [{type, name,
+   *   resourceId}], skus [{type, name, property, expected, actual}] and tags [{type, name, tag,
+   *   expected, actual}]. checked tells which comparisons the snapshot allowed
+   *   ({parameters, resources, details}) and count is the number of differences.
+   */
+  compare: function(expected, snapshot) {
+    const report = {
+      target: this.compareTarget(expected.target || {}, snapshot),
+      parameters: snapshot.parameters ? this.compareParameters(expected.parameters, snapshot.parameters, expected.secureParameters.concat(snapshot.secureParameters)) : [],
+      missing: [],
+      skus: [],
+      tags: [],
+      checked: { parameters: Boolean(snapshot.parameters), resources: snapshot.resources.length > 0, details: snapshot.details }
+    };
+
+    if (report.checked.resources) {
+      const deployed = {};
+      snapshot.resources.forEach(resource => {
+        deployed[resource.resourceId.toLowerCase()] = resource;
+      });
+
+      this.getExpectedResources(expected.resources).forEach(resource => {
+        const actual = deployed[resource.resourceId.toLowerCase()];
+        if (!actual) {
+          report.missing.push({ type: resource.type, name: resource.name, resourceId: resource.resourceId });
+        } else if (snapshot.details) {
+          report.skus.push(...this.compareSku(resource, actual));
+          report.tags.push(...this.compareTags(resource, actual));
+        }
+      });
+    }
+
+    report.count = report.target.length + report.parameters.length + report.missing.length + report.skus.length + report.tags.length;
+    return report;
+  },
+
+  /**
+   * Splits an Azure resource ID
+   * @param {string} resourceId - e.g. /subscriptions/{id}/resourceGroups/{rg}/providers/Microsoft.Storage/storageAccounts/{name}
+   * @returns {Object|null} {subscriptionId, resourceGroupName, type, name}; child resources have
+   *   types and names joined with '/', as in templates. null if it isn't a resource group resource ID.
+   */
+  parseResourceId: function(resourceId) {
+    const match = /^\/subscriptions\/([^/]+)\/resourceGroups\/([^/]+)\/providers\/([^/]+)\/(.+)$/i.exec(String(resourceId || ''));
+    if (!match) return null;
+
+    const segments = match[4].split('/');
+    if (segments.length % 2 !== 0) return null;
+
+    const types = segments.filter((segment, index) => index % 2 === 0);
+    const names = segments.filter((segment, index) => index % 2 === 1);
+    return {
+      subscriptionId: match[1],
+      resourceGroupName: match[2],
+      type: [match[3]].concat(types).join('/'),
+      name: names.join('/')
+    };
+  },
+
+  // Snapshot of an az resource list array
+  parseResourceList: function(list) {
+    const resources = list.map(item => {
+      const parsed = item && this.parseResourceId(item.id);
+      if (!parsed) {
+        throw new Error('Expected the output of az resource list: every entry needs a resource ID');
+      }
+      return {
+        resourceId: item.id,
+        type: item.type || parsed.type,
+        name: item.name || parsed.name,
+        subscriptionId: parsed.subscriptionId,
+        resourceGroupName: parsed.resourceGroupName,
+        sku: item.sku || null,
+        tags: item.tags || {}
+      };
+    });
+    if (resources.length === 0) {
+      throw new Error('The resource list is empty');
+    }
+
+    const groups = [...new Set(resources.map(resource => resource.resourceGroupName.toLowerCase()))];
+    if (groups.length > 1) {
+      throw new Error(`The resources are in ${groups.length} resource groups; list only the hub's with az resource list --resource-group <name>`);
+    }
+
+    return {
+      source: 'resources',
+      deploymentName: null,
+      subscriptionId: resources[0].subscriptionId,
+      resourceGroupName: resources[0].resourceGroupName,
+      parameters: null,
+      secureParameters: [],
+      resources: resources.map(resource => ({
+        resourceId: resource.resourceId,
+        type: resource.type,
+        name: resource.name,
+        sku: resource.sku,
+        tags: resource.tags
+      })),
+      details: true
+    };
+  },
+
+  // Snapshot of az deployment group show output: parameters and the resources it created
+  parseDeployment: function(data) {
+    const deploymentId = this.parseResourceId(data.id);
+    const parameters = {};
+    const secureParameters = [];
+    Object.keys(data.properties.parameters || {}).forEach(name => {
+      const entry = data.properties.parameters[name] || {};
+      // Azure never returns secure values
+      if (/^secure/i.test(entry.type || '')) {
+        secureParameters.push(name);
+      } else {
+        parameters[name] = entry.value;
+      }
+    });
+
+    const resources = [];
+    (data.properties.outputResources || []).forEach(output => {
+      const parsed = this.parseResourceId(output.id);
+      if (parsed) {
+        resources.push({ resourceId: output.id, type: parsed.type, name: parsed.name, sku: null, tags: null });
+      }
+    });
+    const first = deploymentId || (resources.length > 0 ? this.parseResourceId(resources[0].resourceId) : null);
+
+    return {
+      source: 'deployment',
+      deploymentName: data.name || (deploymentId ? deploymentId.name : null),
+      subscriptionId: first ? first.subscriptionId : null,
+      resourceGroupName: data.resourceGroup || (first ? first.resourceGroupName : null),
+      parameters: parameters,
+      secureParameters: secureParameters,
+      resources: resources,
+      details: false
+    };
+  },
+
+  // Configured subscription and resource group that differ from the snapshot's
+  compareTarget: function(target, snapshot) {
+    return ['subscriptionId', 'resourceGroupName']
+      .filter(field => target[field] && snapshot[field] && target[field].toLowerCase() !== snapshot[field].toLowerCase())
+      .map(field => ({ field: field, expected: target[field], actual: snapshot[field] }));
+  },
+
+  // Parameters whose deployed value differs; secure values can't be compared
+  compareParameters: function(expected, actual, secureNames) {
+    const names = Object.keys(expected).concat(Object.keys(actual).filter(name => !(name in expected)));
+    return names
+      .filter(name => !secureNames.includes(name))
+      .filter(name => !this.isEqual(expected[name], actual[name]))
+      .map(name => ({ name: name, expected: expected[name], actual: actual[name] }));
+  },
+
+  // Top-level resources the configuration deploys, once per resource ID; when several nested
+  // deployments declare a resource, the last one's SKU and tags are the ones that stay
+  getExpectedResources: function(resources) {
+    const byId = {};
+    resources
+      .filter(resource => resource.status === 'create' && resource.resourceId !== null)
+      .filter(resource => resource.type.split('/').length === 2)
+      .filter(resource => !this.ignoredTypes.some(type => type.endsWith('/') ? resource.type.startsWith(type) : resource.type === type))
+      .forEach(resource => {
+        byId[resource.resourceId.toLowerCase()] = resource;
+      });
+    return Object.keys(byId).map(key => byId[key]);
+  },
+
+  // SKU properties the template sets that the deployed resource doesn't have
+  compareSku: function(resource, actual) {
+    if (!resource.sku || typeof resource.sku !== 'object') return [];
+
+    const deployed = actual.sku || {};
+    return Object.keys(resource.sku)
+      .filter(property => !this.isSameValue(resource.sku[property], deployed[property]))
+      .map(property => ({ type: resource.type, name: resource.name, property: property, expected: resource.sku[property], actual: deployed[property] }));
+  },
+
+  // Missing, changed and added tags; tag names are case-insensitive. Tags the preview couldn't
+  // evaluate aren't compared.
+  compareTags: function(resource, actual) {
+    if (!resource.tags || typeof resource.tags !== 'object') return [];
+
+    const expected = resource.tags;
+    const deployed = {};
+    Object.keys(actual.tags || {}).forEach(tag => {
+      deployed[tag.toLowerCase()] = { tag: tag, value: actual.tags[tag] };
+    });
+
+    const differences = [];
+    Object.keys(expected).forEach(tag => {
+      const entry = deployed[tag.toLowerCase()];
+      delete deployed[tag.toLowerCase()];
+      if (!entry || String(entry.value) !== String(expected[tag])) {
+        differences.push({ type: resource.type, name: resource.name, tag: tag, expected: expected[tag], actual: entry ? entry.value : undefined });
+      }
+    });
+    Object.keys(deployed)
+      .filter(key => !key.startsWith(this.systemTagPrefix))
+      .forEach(key => {
+        differences.push({ type: resource.type, name: resource.name, tag: deployed[key].tag, expected: undefined, actual: deployed[key].value });
+      });
+    return differences;
+  },
+
+  // Strings compare case-insensitively, as Azure returns SKU names in its own casing
+  isSameValue: function(expected, actual) {
+    return typeof expected === 'string' && typeof actual === 'string'
+      ? expected.toLowerCase() === actual.toLowerCase()
+      : this.isEqual(expected, actual);
+  },
+
+  // Deep equality that ignores the order of object keys
+  isEqual: function(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+      return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.isEqual(a[key], b[key]));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DriftReport;
+}
@@ -0,0 +1,397 @@
+/**
+ * Export Scripts
+ * PowerShell scripts and portal instructions for Cost Management exports into a hub.
+ * Doesn't touch the page, so the export wizard and the command line share it.
+ */
+
+const ExportScripts = {
+  // Scopes exports can be created on. IDs are entered as the ID shown in the portal or as the full
+  // scope ID; `format` builds the scope ID from the short form, which is checked against the
+  // FinOpsUtils.scopePatterns entry of the same `value`.
+  // Billing profiles and invoice sections need their billing account, so only take scope IDs.
+  scopeTypes: [
+    {
+      value: 'subscription',
+      label: 'Subscription',
+      noun: 'subscription',
+      plural: 'subscriptions',
+      example: '12345678-1234-1234-1234-123456789012',
+      help: 'Enter one or more Azure subscription IDs',
+      role: 'Contributor role on each subscription',
+      format: id => `/subscriptions/${id}`
+    },
+    {
+      value: 'managementGroup',
+      label: 'Management group',
+      noun: 'management group',
+      plural: 'management groups',
+      example: 'contoso-finops',
+      help: 'Enter management group IDs (not display names), or their full scope IDs',
+      role: 'Cost Management Contributor role on each management group',
+      note: 'Cost Management only supports management group exports for Enterprise Agreement subscriptions',
+      format: id => `/providers/Microsoft.Management/managementGroups/${id}`
+    },
+    {
+      value: 'enrollment',
+      label: 'EA billing account (enrollment)',
+      noun: 'enrollment',
+      plural: 'enrollments',
+      example: '1234567',
+      help: 'Enter EA enrollment numbers (the billing account ID), or their full scope IDs',
+      role: 'Enterprise administrator on each enrollment',
+      format: id => `/providers/Microsoft.Billing/billingAccounts/${id}`
+    },
+    {
+      value: 'billingAccount',
+      label: 'MCA billing account',
+      noun: 'billing account',
+      plural: 'billing accounts',
+      example: '12345678-1234-1234-1234-123456789012:87654321-4321-4321-4321-210987654321_2019-05-31',
+      help: 'Enter MCA billing account IDs from the billing account properties, or their full scope IDs',
+      role: 'Billing account owner or contributor on each billing account',
+      format: id => `/providers/Microsoft.Billing/billingAccounts/${id}`
+    },
+    {
+      value: 'billingProfile',
+      label: 'MCA billing profile',
+      noun: 'billing profile',
+      plural: 'billing profiles',
+      example: '/providers/Microsoft.Billing/billingAccounts/12345678-1234-1234-1234-123456789012:87654321-4321-4321-4321-210987654321_2019-05-31/billingProfiles/AB12-CD34-EF5-GH6',
+      help: 'Enter full billing profile scope IDs, from the billing profile properties in the portal',
+      role: 'Billing profile owner or contributor on each billing profile',
+      format: id => id
+    },
+    {
+      value: 'invoiceSection',
+      label: 'MCA invoice section',
+      noun: 'invoice section',
+      plural: 'invoice sections',
+      example: '/providers/Microsoft.Billing/billingAccounts/12345678-1234-1234-1234-123456789012:87654321-4321-4321-4321-210987654321_2019-05-31/billingProfiles/AB12-CD34-EF5-GH6/invoiceSections/IJ78-KL90-MN1-OP2',
+      help: 'Enter full invoice section scope IDs, from the invoice section properties in the portal',
+      role: 'Invoice section owner or contributor on each invoice section',
+      format: id => id
+    }
+  ],
+
+  /**
+   * Gets a scope type
+   * @param {string} value - Key in scopeTypes, e.g. 'enrollment'
+   * @returns {Object} Scope type
+   * @throws {Error} If the scope type isn't supported
+   */
+  getScopeType: function(value) {
+    const scopeType = this.scopeTypes.find(entry => entry.value === value);
+    if (!scopeType) {
+      throw new Error(`Unknown scope type: ${value}. Use one of: ${this.scopeTypes.map(entry => entry.value).join(', ')}`);
+    }
+    return scopeType;
+  },
+
+  /**
+   * Builds the scope ID for an entered ID
+   * @param {string} scopeType - Key in scopeTypes
+   * @param {string} id - Short ID (e.g. a subscription ID) or full scope ID
+   * @returns {string} Scope ID, e.g. /providers/Microsoft.Billing/billingAccounts/1234567
+   */
+  toScopeId: function(scopeType, id) {
+    const trimmed = String(id || '').trim().replace(/\/+$/, '');
+    return trimmed.startsWith('/') ? trimmed : this.getScopeType(scopeType).format(trimmed);
+  },
+
+  /**
+   * Checks an entered ID against the format of its scope type
+   * @param {string} scopeType - Key in scopeTypes
+   * @param {string} id - Short ID or full scope ID
+   * @returns {boolean} True if it's an ID of that scope type
+   */
+  validateScope: function(scopeType, id) {
+    return FinOpsUtils.validateScopeId(this.toScopeId(scopeType, id), this.getScopeType(scopeType).value);
+  },
+
+  /**
+   * Storage directory for a scope's exports: the scope ID without the leading slash and provider,
+   * so each scope's files land in their own folder
+   * @param {string} scopeId - Scope ID
+   * @returns {string} e.g. 'subscriptions/{id}' or 'billingAccounts/{id}/billingProfiles/{id}'
+   */
+  getStorageDirectory: function(scopeId) {
+    return scopeId.replace(/^\//, '').replace(/^providers\/[^/]+\//i, '');
+  },
+
+  /**
+   * Generates a PowerShell script that creates a FOCUS export for each scope
+   * @param {string} hubName - Hub name
+   * @param {Array} ids - IDs of the scopes (see toScopeId)
+   * @param {Object} options - {generatedAt, scopeType}: Date shown in the header (default: now)
+   *   and key in scopeTypes (default: 'subscription')
+   * @returns {string} Script
+   */
+  generatePowerShellScript: function(hubName, ids, options = {}) {
+    const scopeType = this.getScopeType(options.scopeType || 'subscription');
+    const scopes = ids.map(id => this.toScopeId(scopeType.value, id));
+    const storageAccountName = `${hubName.replace(/-/g, '')}stg`; // Remove hyphens for storage account
+    const storageResourceId = `/subscriptions/{YOUR-SUBSCRIPTION}/resourceGroups/${hubName}-rg/providers/Microsoft.Storage/storageAccounts/${storageAccountName}`;
+
+    const script = `# Cost Management Export Configuration Script
+# FinOps Hub: ${hubName}
+# Generated: ${(options.generatedAt || new Date()).toLocaleString()}
+#
+# PREREQUISITES:
+# - Azure CLI installed and logged in (az login)
+# - ${scopeType.role}
+# - Storage account already deployed (${storageAccountName})${scopeType.note ? `
+# - ${scopeType.note}` : ''}
+
+# Configuration
+$hubName = "${hubName}"
+$storageAccountResourceId = "${storageResourceId}"
+$storageContainer = "msexports"
+
+# Scopes to configure (${scopes.length} ${scopeType.noun}(s)) and the directory for each
+$scopes = @(
+${scopes.map(scope => `    @{ Scope = "${scope}"; Directory = "${this.getStorageDirectory(scope)}" }`).join(',\n')}
+)
+
+Write-Host "Configuring Cost Management exports for $($scopes.Count) ${scopeType.noun}(s)..." -ForegroundColor Cyan
+Write-Host ""
+
+$successCount = 0
+$failCount = 0
+
+foreach ($entry in $scopes) {
+    $exportName = "ftk-$hubName-focus"
+    $scope = $entry.Scope
+
+    Write-Host "Creating export '$exportName' for ${scopeType.noun} $scope..." -ForegroundColor Yellow
+
+    try {
+        # Create the export using Azure CLI
+        az costmanagement export create \`
+            --name $exportName \`
+            --scope $scope \`
+            --storage-account-id $storageAccountResourceId \`
+            --storage-container $storageContainer \`
+            --storage-directory $entry.Directory \`
+            --timeframe MonthToDate \`
+            --type Usage \`
+            --dataset-version "1.0" \`
+            --dataset-configuration '{\"dataVersion\":\"1.0\",\"dataOverwrites\":true,\"exportFormat\":\"Parquet\",\"partitionData\":true}' \`
+            --recurrence Daily \`
+            --recurrence-period from="$(Get-Date -Format yyyy-MM-dd)" \`
+            --schedule-status Active 2>&1
+
+        if ($LASTEXITCODE -eq 0) {
+            Write-Host "  ✓ Export created successfully" -ForegroundColor Green
+            $successCount++
+        } else {
+            Write-Host "  ✗ Export creation failed" -ForegroundColor Red
+            $failCount++
+        }
+    } catch {
+        Write-Host "  ✗ Error: $_" -ForegroundColor Red
+        $failCount++
+    }
+
+    Write-Host ""
+}
+
+Write-Host "========================================" -ForegroundColor Cyan
+Write-Host "Export Configuration Complete" -ForegroundColor Cyan
+Write-Host "  Success: $successCount" -ForegroundColor Green
+Write-Host "  Failed:  $failCount" -ForegroundColor Red
+Write-Host "========================================" -ForegroundColor Cyan
+
+if ($successCount -gt 0) {
+    Write-Host ""
+    Write-Host "Next Steps:" -ForegroundColor Yellow
+    Write-Host "1. Wait 4-8 hours for the first export to run"
+    Write-Host "2. Check the storage account for exported data"
+    Write-Host "3. Verify Data Factory pipelines are processing the data"
+    Write-Host ""
+    Write-Host "Storage Account: ${storageAccountName}" -ForegroundColor Cyan
+    Write-Host "Container: msexports" -ForegroundColor Cyan
+}`;
+
+    return script;
+  },
+
+  /**
+   * Generates HTML instructions for creating the exports in the Azure portal
+   * @param {string} hubName - Hub name
+   * @param {Array} ids - IDs of the scopes (see toScopeId)
+   * @param {Object} options - {scopeType}: key in scopeTypes (default: 'subscription')
+   * @returns {string} HTML
+   */
+  generatePortalInstructions: function(hubName, ids, options = {}) {
+    const scopeType = this.getScopeType(options.scopeType || 'subscription');
+    const storageAccountName = `${hubName.replace(/-/g, '')}stg`;
+    const scopes = ids.map(id => ({ id: id, directory: this.getStorageDirectory(this.toScopeId(scopeType.value, id)) }));
+
+    const html = `<div class="portal-instructions">
+<h3>Manual Export Configuration Instructions</h3>
+<p class="info-box">These instructions are for CSP subscriptions or when automated scripts cannot be used. You'll need to repeat these steps for each ${scopeType.noun}.</p>
+
+<h4>Configuration Summary</h4>
+<ul class="config-summary">
+    <li><strong>Hub Name:</strong> ${FinOpsUtils.escapeHtml(hubName)}</li>
+    <li><strong>Storage Account:</strong> ${FinOpsUtils.escapeHtml(storageAccountName)}</li>
+    <li><strong>Container:</strong> msexports</li>
+    <li><strong>Scope Type:</strong> ${scopeType.label}</li>
+    <li><strong>Number of Scopes:</strong> ${scopes.length}</li>
+</ul>
+
+<h4>Step-by-Step Instructions</h4>
+
+<div class="instruction-step">
+    <div class="step-number">1</div>
+    <div class="step-content">
+        <h5>Navigate to Cost Management</h5>
+        <p>For each ${scopeType.noun}, open the Azure Portal and navigate to:</p>
+        <code>Cost Management + Billing → Cost Management → Exports</code>
+        <p>Select the ${scopeType.noun} with <strong>Scope</strong> at the top of the page.</p>
+    </div>
+</div>
+
+<div class="instruction-step">
+    <div class="step-number">2</div>
+    <div class="step-content">
+        <h5>Create New Export</h5>
+        <p>Click <strong>"+ Add"</strong> to create a new export</p>
+    </div>
+</div>
+
+<div class="instruction-step">
+    <div class="step-number">3</div>
+    <div class="step-content">
+        <h5>Configure Export Settings</h5>
+        <p>Use these exact values:</p>
+        <table class="config-table">
+            <tr>
+                <th>Setting</th>
+                <th>Value</th>
+            </tr>
+            <tr>
+                <td>Export name</td>
+                <td><code>ftk-${FinOpsUtils.escapeHtml(hubName)}-focus</code></td>
+            </tr>
+            <tr>
+                <td>Export type</td>
+                <td>Usage and Charges (actual cost)</td>
+            </tr>
+            <tr>
+                <td>Dataset version</td>
+                <td><strong>FOCUS 1.0</strong></td>
+            </tr>
+            <tr>
+                <td>Export format</td>
+                <td>Parquet</td>
+            </tr>
+            <tr>
+                <td>Compression</td>
+                <td>Snappy</td>
+            </tr>
+            <tr>
+                <td>File partitioning</td>
+                <td><strong>ON</strong></td>
+            </tr>
+            <tr>
+                <td>Overwrite data</td>
+                <td>ON</td>
+            </tr>
+        </table>
+    </div>
+</div>
+
+<div class="instruction-step">
+    <div class="step-number">4</div>
+    <div class="step-content">
+        <h5>Configure Storage Destination</h5>
+        <table class="config-table">
+            <tr>
+                <th>Setting</th>
+                <th>Value</th>
+            </tr>
+            <tr>
+                <td>Storage account</td>
+                <td>${FinOpsUtils.escapeHtml(storageAccountName)}</td>
+            </tr>
+            <tr>
+                <td>Container</td>
+                <td><code>msexports</code></td>
+            </tr>
+            <tr>
+                <td>Directory</td>
+                <td>The directory listed for the ${scopeType.noun} in step 6</td>
+            </tr>
+        </table>
+    </div>
+</div>
+
+<div class="instruction-step">
+    <div class="step-number">5</div>
+    <div class="step-content">
+        <h5>Set Schedule</h5>
+        <table class="config-table">
+            <tr>
+                <th>Setting</th>
+                <th>Value</th>
+            </tr>
+            <tr>
+                <td>Frequency</td>
+                <td>Daily export of month-to-date costs</td>
+            </tr>
+            <tr>
+                <td>Start date</td>
+                <td>Today's date</td>
+            </tr>
+            <tr>
+                <td>Status</td>
+                <td><strong>Active</strong></td>
+            </tr>
+        </table>
+    </div>
+</div>
+
+<div class="instruction-step">
+    <div class="step-number">6</div>
+    <div class="step-content">
+        <h5>Repeat for Each ${scopeType.label}</h5>
+        <p>Repeat steps 1-5 for all ${scopes.length} ${scopeType.noun}(s), with these directories:</p>
+        <ul class="subscription-list">
+${scopes.map(scope => `            <li><code>${FinOpsUtils.escapeHtml(scope.id)}</code> → <code>${FinOpsUtils.escapeHtml(scope.directory)}</code></li>`).join('\n')}
+        </ul>
+        <p class="estimate">⏱️ <strong>Estimated time:</strong> ${scopes.length * 5} minutes (5 min per ${scopeType.noun})</p>
+    </div>
+</div>
+
+<div class="alert-warning">
+    <strong>⚠️ Important Notes:</strong>
+    <ul>
+        <li>First export will run within 4-8 hours after creation</li>
+        <li>Data will appear in the storage account after the first successful export</li>
+        <li>Data Factory pipelines will automatically process new exports</li>
+        <li>Ensure you select <strong>FOCUS 1.0</strong> as the dataset version (critical!)</li>
+        <li>File partitioning must be <strong>ON</strong> for proper processing</li>${scopeType.note ? `
+        <li>${scopeType.note}</li>` : ''}
+    </ul>
+</div>
+
+<h4>Verification Steps</h4>
+<ol>
+    <li>After 4-8 hours, check the <code>${storageAccountName}</code> storage account</li>
+    <li>Navigate to Containers → <code>msexports</code></li>
+    <li>Look for the directories listed in step 6</li>
+    <li>Verify that Parquet files exist in the dated subfolders</li>
+    <li>Check Data Factory → Monitor to see pipeline runs</li>
+</ol>
+
+</div>`;
+
+    return html;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExportScripts;
+}
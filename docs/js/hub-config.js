@@ -0,0 +1,813 @@
+/**
+ * Hub Configuration
+ * Parameter metadata, validation, name prediction, cost estimates and parameter files for a
+ * hub configuration. Doesn't touch the page, so the builder and the command line share it.
+ *
+ * Functions that read template parameters take the parsed template as `schema`:
+ * {parameters, deployment} (see TemplateSchema.read).
+ */
+
+const HubConfig = {
+  // Template the hub is deployed from
+  templateUri: 'https://raw.githubusercontent.com/EuphoriaLux/finops-hub-deployment/main/template.json',
+
+  // Configuration before any values are entered
+  defaults: {
+    hubName: '',
+    region: 'eastus',
+    storageSku: 'Premium_LRS',
+    exportRetention: 0,
+    ingestionRetention: 13,
+    enablePublicAccess: true,
+    enableInfraEncryption: false,
+    dataExplorerName: '',
+    analyticsBackend: 'storage',
+    subscriptionCount: 1,
+    dataVolumeBasis: 'spend',
+    monthlySpend: 100000,
+    monthlyRowCount: 1000000,
+    commitmentShare: 30,
+    idleShare: 10,
+    setupCost: 5000,
+    savingsRanges: null,
+    resourceGroupName: '',
+    subscriptionId: ''
+  },
+
+  // Analytics back-ends the hub can feed. Template parameters tied to a
+  // back-end (see `backend` in fieldHints) only apply while it's selected.
+  analyticsBackends: [
+    { value: 'storage', label: 'Storage only', description: 'Power BI reads processed data straight from the storage account' },
+    { value: 'dataExplorer', label: 'Azure Data Explorer', description: 'Deploys an ADX cluster for fast KQL queries over large datasets' },
+    { value: 'fabric', label: 'Microsoft Fabric Real-Time Intelligence', description: 'Ingests into an existing Fabric eventhouse on your Fabric capacity' }
+  ],
+
+  // Estimation inputs that aren't template parameters, with their allowed ranges
+  estimationInputs: {
+    subscriptionCount: { min: 1, max: 1000 },
+    monthlySpend: { min: 0, max: 1000000000 },
+    monthlyRowCount: { min: 0, max: 10000000000 },
+    commitmentShare: { min: 0, max: 100 },
+    idleShare: { min: 0, max: 100 },
+    setupCost: { min: 0, max: 100000000 }
+  },
+
+  // Overrides for template parameters. `field` keeps the config name where
+  // it differs from the parameter name. Limits here only apply where the
+  // template doesn't declare its own. `visibleWhen` hides a parameter in the
+  // builder unless it returns true for the config. Parameters without hints
+  // are rendered in the builder's advanced section from their template
+  // metadata. Format and cross-field rules are declared in ConfigRules.
+  fieldHints: {
+    hubName: {
+      label: 'Hub Name *',
+      section: 'basic',
+      fullWidth: true,
+      placeholder: 'e.g., contoso-finops',
+      maxLength: 24,
+      helpText: '3-24 characters, lowercase letters and numbers only',
+      // Derived names also depend on the region and private networking
+      dependsOn: ['location', 'enablePublicAccess'],
+      validate: (value, config, schema) => {
+        const result = FinOpsUtils.validateHubName(value);
+        return result.valid ? HubConfig.validateDerivedNames(schema, { ...config, hubName: value }) : result;
+      }
+    },
+    location: {
+      field: 'region',
+      label: 'Azure Region *',
+      section: 'basic',
+      widget: 'region',
+      helpText: 'Choose a region close to your primary location'
+    },
+    storageSku: {
+      label: 'Storage SKU *',
+      section: 'basic',
+      fullWidth: true,
+      widget: 'radio',
+      options: FinOpsUtils.storageSKUs
+    },
+    exportRetentionInDays: {
+      field: 'exportRetention',
+      label: 'Raw Export Retention (days)',
+      section: 'basic',
+      minValue: 0,
+      helpText: '0 = Delete after processing (recommended)'
+    },
+    ingestionRetentionInMonths: {
+      field: 'ingestionRetention',
+      label: 'Processed Data Retention (months)',
+      section: 'basic',
+      minValue: 1,
+      helpText: 'Recommended: 13 months for year-over-year comparison'
+    },
+    enablePublicAccess: {
+      label: 'Enable Public Network Access',
+      helpText: 'Disable for private endpoint only access'
+    },
+    virtualNetworkAddressPrefix: {
+      label: 'Virtual Network Address Prefix',
+      fullWidth: true,
+      widget: 'network',
+      placeholder: '10.20.30.0/26',
+      helpText: 'Address space for the hub\'s virtual network: /26 or larger, not used by networks you peer with',
+      // Only used for private networking
+      visibleWhen: config => config.enablePublicAccess === false
+    },
+    enableInfrastructureEncryption: {
+      field: 'enableInfraEncryption',
+      label: 'Enable Infrastructure Encryption',
+      helpText: 'Double encryption for compliance requirements'
+    },
+    dataExplorerName: {
+      label: 'Data Explorer Cluster Name *',
+      backend: 'dataExplorer',
+      placeholder: 'e.g., contosofinopsadx',
+      helpText: 'Recommended for large datasets (>$2M monthly spend) or long retention'
+    },
+    dataExplorerSku: {
+      label: 'Data Explorer SKU',
+      backend: 'dataExplorer',
+      helpText: 'Dev SKUs have no SLA and run a single node'
+    },
+    dataExplorerCapacity: {
+      label: 'Data Explorer Nodes',
+      backend: 'dataExplorer',
+      helpText: '1 for Dev SKUs, 2-1000 for Standard SKUs'
+    },
+    dataExplorerRawRetentionInDays: {
+      label: 'Data Explorer Raw Retention (days)',
+      backend: 'dataExplorer',
+      minValue: 0,
+      helpText: 'Days to keep data in the *_raw tables. 0 = Remove after transformation'
+    },
+    dataExplorerFinalRetentionInMonths: {
+      label: 'Data Explorer Final Retention (months)',
+      backend: 'dataExplorer',
+      minValue: 1,
+      helpText: 'Months to keep data in the *_final_v* tables'
+    },
+    fabricQueryUri: {
+      label: 'Fabric Eventhouse Query URI *',
+      backend: 'fabric',
+      placeholder: 'https://<eventhouse-id>.<zone>.kusto.fabric.microsoft.com',
+      helpText: 'Copy the Query URI from the eventhouse details page in Microsoft Fabric'
+    },
+    fabricCapacityUnits: {
+      label: 'Fabric Capacity Units',
+      backend: 'fabric',
+      helpText: 'The number in your Fabric SKU: 1 for a trial, 2 for F2, 64 for F64'
+    },
+    enableManagedExports: {
+      label: 'Enable Managed Exports',
+      helpText: 'Let the hub create Cost Management exports for you. Not supported for MCA billing profiles and requires granting User Access Administrator.'
+    },
+    scopesToMonitor: {
+      label: 'Scopes to Monitor',
+      widget: 'list',
+      placeholder: '/subscriptions/12345678-1234-1234-1234-123456789012\n/providers/Microsoft.Billing/billingAccounts/1234567',
+      helpText: 'One scope ID per line: subscriptions, resource groups, management groups or billing scopes'
+    },
+    remoteHubStorageUri: {
+      label: 'Remote Hub Storage URI',
+      placeholder: 'https://<storage-account>.dfs.core.windows.net/',
+      helpText: 'Data Lake endpoint of the hub that ingests this hub\'s data. Leave empty for a standalone hub'
+    },
+    remoteHubStorageKey: {
+      label: 'Remote Hub Storage Key',
+      helpText: 'Access key of the remote hub storage account. Required with a remote hub URI'
+    },
+    tags: {
+      label: 'Tags',
+      fullWidth: true,
+      widget: 'tags',
+      helpText: 'Tags for all hub resources. The hub adds 5 tags of its own; Azure allows 50 per resource'
+    },
+    tagsByResource: {
+      label: 'Tags by Resource Type',
+      fullWidth: true,
+      widget: 'tagsByResource',
+      helpText: 'Extra or different tags for one resource type. These are merged over the tags for all resources'
+    }
+  },
+
+  /**
+   * Gets the hints for a template parameter
+   * @param {string} name - Parameter name
+   * @returns {Object} Hints from fieldHints, empty if there are none
+   */
+  getHint: function(name) {
+    return this.fieldHints[name] || {};
+  },
+
+  /**
+   * Gets the display label for a template parameter, without required markers
+   * @param {Object} param - Parameter descriptor (see TemplateSchema.parse)
+   * @returns {string} Label
+   */
+  labelFor: function(param) {
+    return (this.getHint(param.name).label || TemplateSchema.formatLabel(param.name)).replace(/\s*\*$/, '');
+  },
+
+  /**
+   * Gets the config field that stores a template parameter
+   * @param {Object} param - Parameter descriptor
+   * @returns {string} Config field
+   */
+  fieldFor: function(param) {
+    return this.getHint(param.name).field || param.name;
+  },
+
+  /**
+   * Finds the template parameter stored in a config field
+   * @param {Object} schema - Parsed template
+   * @param {string} field - Config field
+   * @returns {Object|undefined} Parameter descriptor
+   */
+  paramForField: function(schema, field) {
+    return schema.parameters.find(param => this.fieldFor(param) === field);
+  },
+
+  /**
+   * Combines template constraints with limits the template doesn't declare
+   * @param {Object} param - Parameter descriptor
+   * @returns {Object} Parameter descriptor with hint limits filled in
+   */
+  constraintsFor: function(param) {
+    const hint = this.getHint(param.name);
+    return {
+      ...param,
+      minValue: param.minValue !== undefined ? param.minValue : hint.minValue,
+      maxValue: param.maxValue !== undefined ? param.maxValue : hint.maxValue,
+      maxLength: param.maxLength !== undefined ? param.maxLength : hint.maxLength
+    };
+  },
+
+  /**
+   * Whether a template parameter applies to the config's analytics back-end
+   * @param {Object} param - Parameter descriptor
+   * @param {Object} config - Configuration
+   * @returns {boolean} True if the parameter is used
+   */
+  isParameterActive: function(param, config) {
+    const backend = this.getHint(param.name).backend;
+    return !backend || backend === config.analyticsBackend;
+  },
+
+  /**
+   * Converts an entered value to the parameter's type
+   * List parameters take entries separated by lines, commas or spaces
+   * @param {Object} param - Parameter descriptor
+   * @param {*} rawValue - Entered value
+   * @returns {*} Typed value, or undefined if it can't be converted (see TemplateSchema.coerce)
+   */
+  coerce: function(param, rawValue) {
+    const value = this.getHint(param.name).widget === 'list' && typeof rawValue === 'string'
+      ? FinOpsUtils.parseIdList(rawValue)
+      : rawValue;
+    return TemplateSchema.coerce(param, value);
+  },
+
+  /**
+   * Defaults for every config field, including template parameter defaults
+   * @param {Object} schema - Parsed template
+   * @param {Object} base - Configuration to start from (default: defaults)
+   * @returns {Object} New configuration
+   */
+  getDefaultConfig: function(schema, base = this.defaults) {
+    const defaults = JSON.parse(JSON.stringify(base));
+    schema.parameters.forEach(param => {
+      const field = this.fieldFor(param);
+      if (defaults[field] === undefined && param.defaultValue !== undefined) {
+        defaults[field] = JSON.parse(JSON.stringify(param.defaultValue));
+      }
+    });
+    return defaults;
+  },
+
+  /**
+   * Config fields for securestring parameters, which are never saved or shared
+   * @param {Object} schema - Parsed template
+   * @returns {Array} Config fields
+   */
+  getSecureFields: function(schema) {
+    return schema.parameters.filter(param => param.secure).map(param => this.fieldFor(param));
+  },
+
+  /**
+   * Keeps the values from a share link or profile file that have the right type for
+   * their field, converting text where the field allows it. Constraints aren't checked
+   * here; validateAll reports those once the values are in the form.
+   * @param {Object} schema - Parsed template
+   * @param {Object} values - Values to check
+   * @param {Object} base - Configuration whose fields are known (default: defaults)
+   * @returns {Object} {config, invalid}: config holds the accepted values and invalid lists
+   *   {field, label, message} for the ones dropped. Unknown fields are dropped silently.
+   */
+  sanitizeConfig: function(schema, values, base = this.defaults) {
+    const config = {};
+    const invalid = [];
+    Object.keys(values).forEach(field => {
+      const param = this.paramForField(schema, field);
+      if (!param && !Object.prototype.hasOwnProperty.call(base, field)) {
+        return;
+      }
+
+      const result = param ? this.sanitizeParameter(param, values[field]) : this.sanitizeInput(field, values[field], base[field]);
+      if (result.valid) {
+        config[field] = result.value;
+      } else {
+        invalid.push({ field: field, label: param ? this.labelFor(param) : TemplateSchema.formatLabel(field), message: result.message });
+      }
+    });
+    return { config: config, invalid: invalid };
+  },
+
+  // Converts and type-checks one template parameter value for sanitizeConfig
+  sanitizeParameter: function(param, rawValue) {
+    if (param.type === 'bool' && ![true, false, 'true', 'false'].includes(rawValue)) {
+      return { valid: false, message: 'Must be true or false' };
+    }
+    const value = this.coerce(param, rawValue);
+    const result = TemplateSchema.validateType(param, value);
+    if (result.valid && this.getHint(param.name).widget === 'list' && !value.every(entry => typeof entry === 'string')) {
+      return { valid: false, message: 'Must be a list of IDs' };
+    }
+    return { ...result, value: value };
+  },
+
+  // Converts and checks one value that isn't a template parameter for sanitizeConfig,
+  // using the field's value in `base` for its type
+  sanitizeInput: function(field, rawValue, baseValue) {
+    if (this.estimationInputs[field]) {
+      const value = typeof rawValue === 'string' && /^\d+$/.test(rawValue.trim()) ? parseInt(rawValue, 10) : rawValue;
+      return { ...this.validateEstimationInput(field, value), value: value };
+    }
+
+    const choices = {
+      analyticsBackend: this.analyticsBackends.map(backend => backend.value),
+      dataVolumeBasis: ['spend', 'rows']
+    }[field];
+    if (choices) {
+      return choices.includes(rawValue)
+        ? { valid: true, message: '', value: rawValue }
+        : { valid: false, message: `Must be one of: ${choices.join(', ')}` };
+    }
+
+    // Fields that default to null (savingsRanges) hold an object once set
+    const valid = baseValue === null
+      ? rawValue === null || (typeof rawValue === 'object' && !Array.isArray(rawValue))
+      : typeof rawValue === typeof baseValue;
+    return valid
+      ? { valid: true, message: '', value: rawValue }
+      : { valid: false, message: baseValue === null ? 'Must be a JSON object' : `Must be ${typeof baseValue === 'string' ? 'text' : `a ${typeof baseValue}`}` };
+  },
+
+  /**
+   * Checks an estimation input against its allowed range
+   * @param {string} field - Key in estimationInputs
+   * @param {number} value - Value to check
+   * @returns {Object} {valid, message}
+   */
+  validateEstimationInput: function(field, value) {
+    const range = this.estimationInputs[field];
+    return Number.isInteger(value) && value >= range.min && value <= range.max
+      ? { valid: true, message: '' }
+      : { valid: false, message: `Must be a whole number between ${range.min.toLocaleString('en-US')} and ${range.max.toLocaleString('en-US')}` };
+  },
+
+  /**
+   * Checks the resource group name and subscription ID (both optional)
+   * @param {string} field - 'resourceGroupName' or 'subscriptionId'
+   * @param {string} value - Value to check
+   * @returns {Object} {valid, message}
+   */
+  validateDeploymentTarget: function(field, value) {
+    if (!value) {
+      return { valid: true, message: '' };
+    }
+
+    if (field === 'subscriptionId') {
+      return FinOpsUtils.validateSubscriptionId(value)
+        ? { valid: true, message: '' }
+        : { valid: false, message: 'Must be a subscription ID (GUID)' };
+    }
+
+    const result = NamingRules.validate('resourceGroup', value);
+    return { valid: result.valid, message: result.errors.join('; ') };
+  },
+
+  /**
+   * Predicts the names the template will generate for a config
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @returns {Object} Names (see ResourceNames.predict)
+   */
+  predictResourceNames: function(schema, config) {
+    return ResourceNames.predict(schema.deployment, this.buildParameterValues(schema, config), {
+      subscriptionId: config.subscriptionId,
+      resourceGroupName: config.resourceGroupName
+    });
+  },
+
+  /**
+   * Lists the resources the template deploys for a config (see ResourcePreview.preview)
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @returns {Array} [{id, path, label, type, name, resourceId, sku, tags, status, dependsOn, note}]
+   * @throws {Error} If the template's resources aren't loaded
+   */
+  previewResources: function(schema, config) {
+    return ResourcePreview.preview(schema.deployment, this.buildParameterValues(schema, config), {
+      subscriptionId: config.subscriptionId,
+      resourceGroupName: config.resourceGroupName
+    });
+  },
+
+  /**
+   * Compares a deployed hub with a config (see DriftReport.compare). Resources are evaluated for the
+   * deployed resource group, so a config without a deployment target still predicts exact names.
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @param {Object} snapshot - Deployed hub (see DriftReport.parse and DriftReport.merge)
+   * @returns {Object} Drift report
+   * @throws {Error} If the template's resources aren't loaded
+   */
+  checkDrift: function(schema, config, snapshot) {
+    const values = this.buildParameterValues(schema, config);
+    return DriftReport.compare({
+      parameters: values,
+      secureParameters: schema.parameters.filter(param => param.secure).map(param => param.name),
+      resources: ResourcePreview.preview(schema.deployment, values, {
+        subscriptionId: snapshot.subscriptionId || config.subscriptionId,
+        resourceGroupName: snapshot.resourceGroupName || config.resourceGroupName
+      }),
+      target: { subscriptionId: config.subscriptionId, resourceGroupName: config.resourceGroupName }
+    }, snapshot);
+  },
+
+  /**
+   * Lists the deployed resource names with their naming rule types
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @returns {Array} [{id, type, label, name, fromHub, derivedFrom, note}]; fromHub marks names
+   *   built from the hub name, derivedFrom names built from another name
+   */
+  getDerivedNames: function(schema, config) {
+    const names = this.predictResourceNames(schema, config);
+    const entries = [
+      { id: 'storage', type: 'storageAccount', label: 'Storage Account', name: names.storage, fromHub: true },
+      { id: 'dataFactory', type: 'dataFactory', label: 'Data Factory', name: names.dataFactory, fromHub: true },
+      { id: 'keyVault', type: 'keyVault', label: 'Key Vault', name: names.keyVault, fromHub: true, note: 'only with a remote hub' },
+      { id: 'blobManager', type: 'managedIdentity', label: 'Storage Identity', name: names.identities[0], fromHub: true, derivedFrom: 'storage' },
+      { id: 'triggerManager', type: 'managedIdentity', label: 'Trigger Identity', name: names.identities[1], fromHub: true, derivedFrom: 'dataFactory' }
+    ];
+
+    if (names.dataExplorer) {
+      entries.push({ id: 'dataExplorer', type: 'dataExplorerCluster', label: 'Data Explorer Cluster', name: names.dataExplorer, fromHub: false });
+    }
+    if (names.virtualNetwork) {
+      entries.push({ id: 'virtualNetwork', type: 'virtualNetwork', label: 'Virtual Network', name: names.virtualNetwork, fromHub: true });
+      entries.push({ id: 'scriptStorage', type: 'storageAccount', label: 'Script Storage Account', name: names.scriptStorage, fromHub: true });
+    }
+    return entries;
+  },
+
+  /**
+   * Checks every name derived from the hub name against Azure naming rules
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @returns {Object} {valid, message} with the first invalid name
+   */
+  validateDerivedNames: function(schema, config) {
+    // Names can only be derived from a template with the nested hub deployment
+    if (!schema || !schema.deployment) {
+      return { valid: true, message: 'Valid hub name' };
+    }
+
+    let entries;
+    try {
+      entries = this.getDerivedNames(schema, config).filter(entry => entry.fromHub);
+    } catch (e) {
+      return { valid: true, message: 'Valid hub name' };
+    }
+
+    const invalid = NamingRules.validateAll(entries).find(result => !result.valid);
+    if (invalid) {
+      return { valid: false, message: `${invalid.label} name "${invalid.name}" ${invalid.errors.join('; ')}` };
+    }
+    return { valid: true, message: 'Valid hub name' };
+  },
+
+  /**
+   * Checks a typed value against template constraints, hints and ConfigRules errors
+   * @param {Object} schema - Parsed template
+   * @param {Object} param - Parameter descriptor
+   * @param {*} value - Value to check
+   * @param {Object} config - Configuration the value belongs to
+   * @param {Object} options - {tagPolicy} (see getRuleContext)
+   * @returns {Object} {valid, message}
+   */
+  validateParameter: function(schema, param, value, config, options = {}) {
+    const hint = this.getHint(param.name);
+    let result = TemplateSchema.validate(this.constraintsFor(param), value);
+    if (result.valid && hint.validate) {
+      result = hint.validate(value, config, schema);
+    }
+    if (!result.valid) {
+      return result;
+    }
+
+    const field = this.fieldFor(param);
+    const values = { ...config, [field]: value };
+    const error = RuleEngine.evaluate(RuleEngine.rulesForField(ConfigRules.rules, field), values, this.getRuleContext(values, options))
+      .find(rule => rule.severity === 'error');
+    return error ? { valid: false, message: error.message } : result;
+  },
+
+  /**
+   * Values rule conditions can use besides the config (see ConfigRules)
+   * @param {Object} config - Configuration
+   * @param {Object} options - {tagPolicy}: required-tags policy (see TagRules.parsePolicy)
+   * @returns {Object} Rule context
+   */
+  getRuleContext: function(config, options = {}) {
+    const hubConfig = this;
+    let costs = null;
+    return {
+      devDataExplorerSku: this.isDevDataExplorerSku(config.dataExplorerSku),
+      region: FinOpsUtils.azureRegions.find(r => r.value === config.region) || null,
+      tagPolicy: options.tagPolicy || null,
+      // Only calculated when a rule needs it
+      get costs() {
+        costs = costs || hubConfig.calculateCosts(config);
+        return costs;
+      }
+    };
+  },
+
+  /**
+   * Evaluates ConfigRules with template defaults filled in
+   * Results for parameters that don't apply to the selected back-end are dropped
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @param {Object} options - {tagPolicy} (see getRuleContext)
+   * @returns {Array} Results (see RuleEngine.evaluate)
+   */
+  evaluateRules: function(schema, config, options = {}) {
+    const values = { ...config };
+    const inactiveFields = [];
+
+    schema.parameters.forEach(param => {
+      const field = this.fieldFor(param);
+      if (values[field] === undefined) {
+        values[field] = param.defaultValue;
+      }
+      if (!this.isParameterActive(param, config)) {
+        inactiveFields.push(field);
+      }
+    });
+
+    return RuleEngine.evaluate(ConfigRules.rules, values, this.getRuleContext(values, options))
+      .filter(result => !inactiveFields.includes(result.field));
+  },
+
+  /**
+   * Checks every template parameter in a configuration, and rules about the configuration as a whole
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @param {Object} options - {tagPolicy} (see getRuleContext)
+   * @returns {Array} [{field, label, message}] for invalid values; field is null for configuration-wide errors
+   */
+  validateAll: function(schema, config, options = {}) {
+    const errors = [];
+
+    schema.parameters.filter(param => this.isParameterActive(param, config)).forEach(param => {
+      const field = this.fieldFor(param);
+      const value = config[field] !== undefined ? config[field] : param.defaultValue;
+      if (value === undefined) return;
+
+      const result = this.validateParameter(schema, param, value, config, options);
+      if (!result.valid) {
+        errors.push({
+          field: field,
+          label: this.labelFor(param),
+          message: result.message
+        });
+      }
+    });
+
+    this.evaluateRules(schema, config, options)
+      .filter(result => result.severity === 'error' && !result.field)
+      .forEach(result => errors.push({ field: null, label: 'Configuration', message: result.message }));
+
+    return errors;
+  },
+
+  /**
+   * Whether an Azure Data Explorer SKU is a single-node Dev SKU
+   * @param {string} sku - SKU name
+   * @returns {boolean} True for Dev SKUs
+   */
+  isDevDataExplorerSku: function(sku) {
+    return /^Dev\(No SLA\)/.test(sku || '');
+  },
+
+  /**
+   * Number of vCPUs per node for an Azure Data Explorer SKU
+   * @param {string} sku - SKU name
+   * @returns {number} vCPUs
+   */
+  getDataExplorerCores: function(sku) {
+    const legacyD = { 11: 2, 12: 4, 13: 8, 14: 16 };
+    const match = /Standard_(DS|D|EC|E|L)(\d+)/.exec(sku || '');
+    if (!match) return 2;
+
+    const size = parseInt(match[2], 10);
+    if ((match[1] === 'D' || match[1] === 'DS') && legacyD[size]) {
+      return legacyD[size];
+    }
+    return size;
+  },
+
+  /**
+   * Calculates monthly costs from the pricing catalog for the config's region
+   * @param {Object} config - Configuration
+   * @returns {Object} Costs (see PricingCatalog.calculateCosts)
+   */
+  calculateCosts: function(config) {
+    return PricingCatalog.calculateCosts(this.estimateUsage(config), config.region);
+  },
+
+  /**
+   * Estimates monthly meter quantities for a config (see PricingCatalog.calculateCosts)
+   * Stored data is sized from the data volume (see CostModel) after `month` months,
+   * by default once retention is full and storage stops growing
+   * @param {Object} config - Configuration
+   * @param {number} month - Months after deployment
+   * @param {number} annualGrowth - Yearly data growth as a fraction, e.g. 0.2 for 20% (see CostModel)
+   * @returns {Object} Usage by service
+   */
+  estimateUsage: function(config, month = CostModel.getSteadyStateMonth(config), annualGrowth = 0) {
+    const subscriptions = config.subscriptionCount || 1;
+    const volumes = CostModel.getVolumes(config, month, annualGrowth);
+    const stored = CostModel.getStorageAt(config, month, annualGrowth);
+
+    // Blobs are written and read in 4 MiB blocks: 10,000 operations per ~40 GB
+    const blockOps10k = gb => gb / 40;
+
+    const usage = {
+      storage: {
+        sku: config.storageSku,
+        // Raw exports still in msexports, plus processed data in ingestion
+        gbMonth: stored.hubStorage,
+        writeOps10k: 10 + subscriptions * 2 + blockOps10k(volumes.exportGbWrittenMonth + volumes.ingestionGbMonth),
+        readOps10k: 20 + subscriptions * 5 + blockOps10k(volumes.exportGbWrittenMonth)
+      },
+      dataFactory: {
+        activityRuns1k: 1 + subscriptions * 0.5,
+        diuHours: subscriptions * 0.5,
+        pipelineActivityHours: 20 + subscriptions * 5
+      },
+      keyVault: { operations10k: 10 },
+      eventGrid: { operationsMillion: subscriptions * 0.01 },
+      dataExplorer: null,
+      fabric: null,
+      remoteHub: null,
+      // Data transfer (minimal for most scenarios)
+      dataTransfer: { egressGb: Math.min(subscriptions, 20) }
+    };
+
+    // Data Explorer (optional)
+    if (config.analyticsBackend === 'dataExplorer') {
+      const sku = config.dataExplorerSku || 'Dev(No SLA)_Standard_D11_v2';
+      const dev = this.isDevDataExplorerSku(sku);
+
+      usage.dataExplorer = {
+        cores: this.getDataExplorerCores(sku),
+        nodes: dev ? 1 : (config.dataExplorerCapacity || 2), // Dev SKUs: single node
+        dev: dev,
+        storageGbMonth: stored.dataExplorer
+      };
+    }
+
+    // Microsoft Fabric (optional): F SKUs bill per capacity unit, trials are free
+    if (config.analyticsBackend === 'fabric') {
+      const capacityUnits = config.fabricCapacityUnits || 2;
+      usage.fabric = {
+        capacityUnits: capacityUnits,
+        trial: capacityUnits <= 1,
+        oneLakeGbMonth: stored.oneLake
+      };
+    }
+
+    // Remote hub (optional): Data Factory pushes processed data to another hub
+    if (config.remoteHubStorageUri) {
+      usage.remoteHub = {
+        activityRuns1k: 0.5 + subscriptions * 0.2,
+        diuHours: subscriptions * 0.25,
+        egressGb: volumes.ingestionGbMonth
+      };
+    }
+
+    return usage;
+  },
+
+  /**
+   * Builds template parameters from a configuration
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @param {Object} options - {omitSecure: leave out securestring parameters}
+   * @returns {Object} Parameters by name, e.g. { hubName: { value: 'contoso' } }
+   */
+  buildParameters: function(schema, config, options = {}) {
+    const parameters = {};
+
+    schema.parameters.forEach(param => {
+      if (options.omitSecure && param.secure) return;
+      // Parameters for other back-ends fall back to the template default (off)
+      const configValue = this.isParameterActive(param, config) ? config[this.fieldFor(param)] : undefined;
+      const value = configValue !== undefined ? configValue : param.defaultValue;
+      // Parameters without a value or default are left for ARM to report
+      if (value === undefined) return;
+      // Clone objects and arrays so callers can't mutate the config
+      parameters[param.name] = { value: JSON.parse(JSON.stringify(value)) };
+    });
+
+    return parameters;
+  },
+
+  /**
+   * Builds template parameter values by name
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @returns {Object} Values, e.g. { hubName: 'contoso' }
+   */
+  buildParameterValues: function(schema, config) {
+    const parameters = this.buildParameters(schema, config);
+    const values = {};
+    Object.keys(parameters).forEach(name => {
+      values[name] = parameters[name].value;
+    });
+    return values;
+  },
+
+  /**
+   * Builds an ARM deployment parameters file (azuredeploy.parameters.json)
+   * Secure parameters are left out so the file can be shared and committed;
+   * see getDeployTimeParameters for the ones to pass when deploying
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @returns {Object} Parameters file
+   */
+  buildParametersFile: function(schema, config) {
+    return {
+      $schema: 'https://schema.management.azure.com/schemas/2019-04-01/deploymentParameters.json#',
+      contentVersion: '1.0.0.0',
+      parameters: this.buildParameters(schema, config, { omitSecure: true })
+    };
+  },
+
+  /**
+   * Lists the secure parameters with a value, which the parameters file leaves out
+   * and must be passed at deploy time
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @returns {Array} Parameter names
+   */
+  getDeployTimeParameters: function(schema, config) {
+    const parameters = this.buildParameters(schema, config);
+    return schema.parameters
+      .filter(param => param.secure && parameters[param.name] && parameters[param.name].value !== '')
+      .map(param => param.name);
+  },
+
+  /**
+   * Builds deployment snippets for every supported format
+   * @param {Object} schema - Parsed template
+   * @param {Object} config - Configuration
+   * @param {string} templateUri - Template the snippets deploy
+   * @returns {Object} Snippet text by format ID (see DeploymentSnippets.formats)
+   */
+  buildSnippets: function(schema, config, templateUri) {
+    const parameters = this.buildParameters(schema, config);
+    const options = {
+      templateUri: templateUri,
+      secureParameters: schema.parameters.filter(p => p.secure).map(p => p.name)
+    };
+    if (config.resourceGroupName) {
+      options.resourceGroup = config.resourceGroupName;
+    }
+
+    const snippets = {};
+    DeploymentSnippets.formats.forEach(format => {
+      snippets[format.id] = DeploymentSnippets.generate(format.id, parameters, options);
+    });
+    return snippets;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HubConfig;
+}
@@ -0,0 +1,213 @@
+/**
+ * Azure Naming Rules
+ * Length, character set, start/end and reserved-word rules for the resources a hub deploys
+ * See https://learn.microsoft.com/azure/azure-resource-manager/management/resource-name-rules
+ */
+
+const NamingRules = {
+  // Rules by resource type
+  rules: {
+    resourceGroup: {
+      label: 'Resource group',
+      minLength: 1,
+      maxLength: 90,
+      pattern: /^[-\w.()]+$/,
+      characters: 'letters, numbers, underscores, hyphens, periods and parentheses',
+      end: /[^.]$/,
+      endDescription: 'can\'t end with a period'
+    },
+    storageAccount: {
+      label: 'Storage account',
+      minLength: 3,
+      maxLength: 24,
+      pattern: /^[a-z0-9]+$/,
+      characters: 'lowercase letters and numbers',
+      reservedWords: true
+    },
+    keyVault: {
+      label: 'Key Vault',
+      minLength: 3,
+      maxLength: 24,
+      pattern: /^[A-Za-z0-9-]+$/,
+      characters: 'letters, numbers and hyphens',
+      start: /^[A-Za-z]/,
+      startDescription: 'must start with a letter',
+      end: /[A-Za-z0-9]$/,
+      endDescription: 'must end with a letter or number',
+      noConsecutiveHyphens: true,
+      reservedWords: true
+    },
+    dataFactory: {
+      label: 'Data Factory',
+      minLength: 3,
+      maxLength: 63,
+      pattern: /^[A-Za-z0-9-]+$/,
+      characters: 'letters, numbers and hyphens',
+      start: /^[A-Za-z0-9]/,
+      startDescription: 'must start with a letter or number',
+      end: /[A-Za-z0-9]$/,
+      endDescription: 'must end with a letter or number',
+      noConsecutiveHyphens: true,
+      reservedWords: true
+    },
+    dataExplorerCluster: {
+      label: 'Data Explorer cluster',
+      minLength: 4,
+      maxLength: 22,
+      pattern: /^[a-z0-9]+$/,
+      characters: 'lowercase letters and numbers',
+      start: /^[a-z]/,
+      startDescription: 'must start with a letter',
+      reservedWords: true
+    },
+    managedIdentity: {
+      label: 'Managed identity',
+      minLength: 3,
+      maxLength: 128,
+      pattern: /^[A-Za-z0-9_-]+$/,
+      characters: 'letters, numbers, hyphens and underscores',
+      start: /^[A-Za-z0-9]/,
+      startDescription: 'must start with a letter or number'
+    },
+    virtualNetwork: {
+      label: 'Virtual network',
+      minLength: 2,
+      maxLength: 64,
+      pattern: /^[\w.-]+$/,
+      characters: 'letters, numbers, underscores, periods and hyphens',
+      start: /^[A-Za-z0-9]/,
+      startDescription: 'must start with a letter or number',
+      end: /[A-Za-z0-9_]$/,
+      endDescription: 'must end with a letter, number or underscore'
+    }
+  },
+
+  // Words Azure rejects in names of resources with public endpoints
+  reservedWords: {
+    // Can't be the whole name
+    whole: [
+      'ACCESS', 'APP_CODE', 'APP_THEMES', 'APP_DATA', 'APP_GLOBALRESOURCES', 'APP_LOCALRESOURCES',
+      'APP_WEBREFERENCES', 'APP_BROWSERS', 'AZURE', 'BING', 'BIZSPARK', 'BIZTALK', 'CORTANA',
+      'DIRECTX', 'DOTNET', 'DYNAMICS', 'EXCEL', 'EXCHANGE', 'FOREFRONT', 'GROOVE', 'HOLOLENS',
+      'HYPERV', 'KINECT', 'LYNC', 'MSDN', 'O365', 'OFFICE', 'OFFICE365', 'ONEDRIVE', 'ONENOTE',
+      'OUTLOOK', 'POWERPOINT', 'SHAREPOINT', 'SKYPE', 'VISIO', 'VISUALSTUDIO'
+    ],
+    // Can't appear anywhere in the name
+    contains: ['LOGIN', 'MICROSOFT', 'WINDOWS', 'XBOX']
+  },
+
+  /**
+   * Validates a name against the rules for a resource type
+   * @param {string} type - Key in NamingRules.rules
+   * @param {string} name - Resource name
+   * @returns {Object} {valid: boolean, errors: Array of messages}
+   */
+  validate: function(type, name) {
+    const rule = this.rules[type];
+    if (!rule) {
+      throw new Error(`Unknown resource type: ${type}`);
+    }
+
+    const errors = [];
+    const value = name || '';
+
+    if (value.length < rule.minLength || value.length > rule.maxLength) {
+      errors.push(`${value.length} characters; must be ${rule.minLength}-${rule.maxLength}`);
+    }
+    if (value && !rule.pattern.test(value)) {
+      errors.push(`only ${rule.characters} are allowed`);
+    }
+    if (value && rule.start && !rule.start.test(value)) {
+      errors.push(rule.startDescription);
+    }
+    if (value && rule.end && !rule.end.test(value)) {
+      errors.push(rule.endDescription);
+    }
+    if (rule.noConsecutiveHyphens && value.includes('--')) {
+      errors.push('can\'t contain consecutive hyphens');
+    }
+    if (rule.reservedWords) {
+      const reserved = this.findReservedWord(value);
+      if (reserved) {
+        errors.push(`can't use the reserved word "${reserved}"`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors: errors };
+  },
+
+  /**
+   * Finds a reserved word in a name
+   * @param {string} name - Resource name
+   * @returns {string|null} The reserved word, or null if there's none
+   */
+  findReservedWord: function(name) {
+    const upper = name.toUpperCase();
+    if (this.reservedWords.whole.includes(upper)) {
+      return upper;
+    }
+    return this.reservedWords.contains.find(word => upper.includes(word)) || null;
+  },
+
+  /**
+   * Validates a set of names
+   * @param {Array} names - [{id, type, label, name}]; label defaults to the rule's label
+   * @returns {Array} [{id, type, label, name, valid, errors}] in input order
+   */
+  validateAll: function(names) {
+    return names.map(entry => ({
+      id: entry.id || entry.type,
+      type: entry.type,
+      label: entry.label || this.rules[entry.type].label,
+      name: entry.name,
+      ...this.validate(entry.type, entry.name)
+    }));
+  },
+
+  /**
+   * Finds the hub-name lengths at which derived names stop fitting
+   * Names are generated for hub names of every length up to maxLength by
+   * trimming or padding the given hub name
+   * @param {string} hubName - Hub name to vary
+   * @param {Function} deriveNames - hubName => [{id, type, label, name}]
+   * @param {number} maxLength - Longest hub name to check
+   * @returns {Array} [{id, type, label, truncatedFrom, invalidFrom}] - the shortest hub-name
+   *   length at which the name is truncated (doesn't contain the hub name) or breaks the rules;
+   *   null when that doesn't happen up to maxLength
+   */
+  findOverflowLengths: function(hubName, deriveNames, maxLength) {
+    const results = {};
+    const base = hubName || 'hub';
+
+    for (let length = 1; length <= maxLength; length++) {
+      const candidate = base.length >= length ? base.slice(0, length) : base + 'a'.repeat(length - base.length);
+      const plainHub = candidate.toLowerCase().replace(/[-_]/g, '');
+
+      deriveNames(candidate).forEach(entry => {
+        const id = entry.id || entry.type;
+        const result = results[id] || (results[id] = {
+          id: id,
+          type: entry.type,
+          label: entry.label || this.rules[entry.type].label,
+          truncatedFrom: null,
+          invalidFrom: null
+        });
+
+        const plainName = entry.name.toLowerCase().replace(/[-_]/g, '');
+        if (result.truncatedFrom === null && !plainName.includes(plainHub)) {
+          result.truncatedFrom = length;
+        }
+        if (result.invalidFrom === null && !this.validate(entry.type, entry.name).valid) {
+          result.invalidFrom = length;
+        }
+      });
+    }
+
+    return Object.values(results);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NamingRules;
+}
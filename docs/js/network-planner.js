@@ -0,0 +1,237 @@
+/**
+ * Private Network Planner
+ * Checks the hub's virtual network address prefix, previews the subnets the template
+ * carves out of it and finds overlaps with existing virtual network ranges
+ * See https://learn.microsoft.com/cloud-computing/finops/toolkit/hubs/private-networking
+ */
+
+const NetworkPlanner = {
+  // Largest prefix length the template accepts; its subnets need 64 addresses
+  maxPrefixLength: 26,
+
+  // Subnets the template creates with cidrSubnet(prefix, prefixLength, index)
+  subnets: [
+    { name: 'private-endpoint-subnet', prefixLength: 28, index: 0, purpose: 'Private endpoints for storage, Key Vault and Data Explorer' },
+    { name: 'script-subnet', prefixLength: 28, index: 1, purpose: 'Deployment scripts (delegated to Azure Container Instances)' },
+    { name: 'dataExplorer-subnet', prefixLength: 27, index: 1, purpose: 'Azure Data Explorer' }
+  ],
+
+  // Addresses Azure reserves in every subnet: network, gateway, 2 DNS and broadcast
+  reservedAddresses: 5,
+
+  // Private address ranges (RFC 1918) and shared address space (RFC 6598)
+  privateRanges: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10'],
+
+  /**
+   * Parses an IPv4 CIDR block
+   * @param {string} text - e.g. "10.20.30.0/26"
+   * @returns {Object|null} {address, prefixLength, network, size}; null if it isn't a CIDR block.
+   *   address is the 32-bit address as entered, network with host bits cleared
+   */
+  parseCidr: function(text) {
+    const match = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/.exec(String(text || '').trim());
+    if (!match) return null;
+
+    const octets = match.slice(1, 5).map(Number);
+    const prefixLength = Number(match[5]);
+    if (octets.some(octet => octet > 255) || prefixLength > 32) return null;
+
+    const address = ((octets[0] << 24) >>> 0) + (octets[1] << 16) + (octets[2] << 8) + octets[3];
+    const size = Math.pow(2, 32 - prefixLength);
+    return { address: address, prefixLength: prefixLength, network: address - (address % size), size: size };
+  },
+
+  /**
+   * Formats a 32-bit address as dotted decimal
+   * @param {number} address - Address
+   * @param {number} prefixLength - Optional prefix length to append
+   * @returns {string} e.g. "10.20.30.0/26"
+   */
+  formatAddress: function(address, prefixLength) {
+    const text = [24, 16, 8, 0].map(shift => Math.floor(address / Math.pow(2, shift)) % 256).join('.');
+    return prefixLength === undefined ? text : `${text}/${prefixLength}`;
+  },
+
+  /**
+   * Splits a CIDR block the way ARM's cidrSubnet() does
+   * @param {Object} block - Result of parseCidr()
+   * @param {number} prefixLength - Prefix length of the subnet
+   * @param {number} index - Which subnet of that size, from 0
+   * @returns {Object|null} Subnet block, or null if it doesn't fit
+   */
+  cidrSubnet: function(block, prefixLength, index) {
+    if (prefixLength < block.prefixLength || prefixLength > 32) return null;
+
+    const size = Math.pow(2, 32 - prefixLength);
+    if ((index + 1) * size > block.size) return null;
+
+    const network = block.network + index * size;
+    return { address: network, prefixLength: prefixLength, network: network, size: size };
+  },
+
+  /**
+   * Checks an address prefix for the hub's virtual network
+   * @param {string} prefix - CIDR block
+   * @returns {Object} {valid, message}
+   */
+  validatePrefix: function(prefix) {
+    const block = this.parseCidr(prefix);
+    if (!block) {
+      return { valid: false, message: 'Must be an IPv4 CIDR block, e.g. 10.20.30.0/26' };
+    }
+    if (block.address !== block.network) {
+      return { valid: false, message: `Host bits are set; did you mean ${this.formatAddress(block.network, block.prefixLength)}?` };
+    }
+    if (block.prefixLength > this.maxPrefixLength) {
+      return { valid: false, message: `Must be /${this.maxPrefixLength} or larger: the hub's subnets need ${Math.pow(2, 32 - this.maxPrefixLength)} addresses` };
+    }
+    return { valid: true, message: '' };
+  },
+
+  /**
+   * Subnets the template will create
+   * @param {string} prefix - Valid CIDR block (see validatePrefix)
+   * @returns {Array} [{name, purpose, cidr, firstUsable, lastUsable, usable}]
+   */
+  planSubnets: function(prefix) {
+    const block = this.parseCidr(prefix);
+    if (!block) return [];
+
+    return this.subnets.map(subnet => {
+      const range = this.cidrSubnet(block, subnet.prefixLength, subnet.index);
+      if (!range) return null;
+
+      return {
+        name: subnet.name,
+        purpose: subnet.purpose,
+        cidr: this.formatAddress(range.network, range.prefixLength),
+        // Azure reserves the first four addresses and the last one
+        firstUsable: this.formatAddress(range.network + 4),
+        lastUsable: this.formatAddress(range.network + range.size - 2),
+        usable: range.size - this.reservedAddresses
+      };
+    }).filter(subnet => subnet !== null);
+  },
+
+  /**
+   * Addresses in the prefix that no template subnet uses
+   * @param {string} prefix - Valid CIDR block
+   * @returns {number} Unused address count
+   */
+  getUnusedAddresses: function(prefix) {
+    const block = this.parseCidr(prefix);
+    if (!block) return 0;
+    return Math.max(0, block.size - Math.pow(2, 32 - this.maxPrefixLength));
+  },
+
+  /**
+   * Whether two CIDR blocks share addresses
+   * @param {Object} a - Result of parseCidr()
+   * @param {Object} b - Result of parseCidr()
+   * @returns {boolean} True if they overlap
+   */
+  overlaps: function(a, b) {
+    return a.network < b.network + b.size && b.network < a.network + a.size;
+  },
+
+  /**
+   * Whether a CIDR block is in a private address range
+   * @param {string} prefix - CIDR block
+   * @returns {boolean} True for RFC 1918 and RFC 6598 ranges
+   */
+  isPrivate: function(prefix) {
+    const block = this.parseCidr(prefix);
+    if (!block) return false;
+    return this.privateRanges.some(range => {
+      const privateBlock = this.parseCidr(range);
+      return block.network >= privateBlock.network && block.network + block.size <= privateBlock.network + privateBlock.size;
+    });
+  },
+
+  /**
+   * Parses existing virtual network ranges, pasted or loaded from a file
+   * Accepts CIDR blocks separated by lines, commas or spaces, optionally followed by a name
+   * ("10.0.0.0/16 hub-vnet"), or `az network vnet list` JSON output
+   * @param {string} text - Ranges
+   * @returns {Object} {ranges: [{cidr, name}], invalid: [text]}
+   */
+  parseRanges: function(text) {
+    const source = String(text || '').trim();
+    const ranges = [];
+    const invalid = [];
+
+    if (source.startsWith('[') || source.startsWith('{')) {
+      let data;
+      try {
+        data = JSON.parse(source);
+      } catch (e) {
+        return { ranges: [], invalid: ['The JSON couldn\'t be parsed'] };
+      }
+
+      (Array.isArray(data) ? data : (data.value || [data])).forEach(vnet => {
+        const prefixes = (vnet && vnet.addressSpace && vnet.addressSpace.addressPrefixes) || [];
+        prefixes.forEach(prefix => {
+          if (this.parseCidr(prefix)) {
+            ranges.push({ cidr: prefix, name: vnet.name || '' });
+          } else {
+            invalid.push(String(prefix));
+          }
+        });
+      });
+      return { ranges: ranges, invalid: invalid };
+    }
+
+    source.split(/[\n,;]+/).map(line => line.trim()).filter(line => line && !line.startsWith('#')).forEach(line => {
+      const [cidr, ...name] = line.split(/\s+/);
+      if (this.parseCidr(cidr)) {
+        ranges.push({ cidr: cidr, name: name.join(' ') });
+      } else {
+        invalid.push(line);
+      }
+    });
+
+    return { ranges: ranges, invalid: invalid };
+  },
+
+  /**
+   * Existing ranges that overlap the hub's prefix
+   * @param {string} prefix - CIDR block
+   * @param {Array} ranges - [{cidr, name}] from parseRanges()
+   * @returns {Array} Overlapping ranges
+   */
+  findOverlaps: function(prefix, ranges) {
+    const block = this.parseCidr(prefix);
+    if (!block) return [];
+    return ranges.filter(range => this.overlaps(block, this.parseCidr(range.cidr)));
+  },
+
+  /**
+   * Suggests the first free block of the hub's size in a private range
+   * @param {Array} ranges - [{cidr, name}] in use
+   * @param {number} prefixLength - Size of the block to find
+   * @returns {string|null} Free CIDR block, or null if the private ranges are full
+   */
+  suggestPrefix: function(ranges, prefixLength = this.maxPrefixLength) {
+    const used = ranges.map(range => this.parseCidr(range.cidr));
+
+    for (const privateRange of this.privateRanges) {
+      const space = this.parseCidr(privateRange);
+      const count = space.size / Math.pow(2, 32 - prefixLength);
+      for (let index = 0; index < count; index++) {
+        const candidate = this.cidrSubnet(space, prefixLength, index);
+        const clash = used.find(block => this.overlaps(candidate, block));
+        if (!clash) {
+          return this.formatAddress(candidate.network, prefixLength);
+        }
+        // Skip past the block in use
+        index = Math.max(index, Math.ceil((clash.network + clash.size - space.network) / candidate.size) - 1);
+      }
+    }
+    return null;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NetworkPlanner;
+}
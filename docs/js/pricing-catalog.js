@@ -0,0 +1,220 @@
+/**
+ * Pricing Catalog
+ * Per-region meter prices for the resources a hub deploys, shared by the
+ * Configuration Builder and the Architecture Diagram
+ */
+
+const PricingCatalog = {
+  // Prices are pay-as-you-go list prices in USD
+  currency: 'USD',
+
+  // Region the base meter prices come from
+  referenceRegion: 'eastus',
+
+  // Meter prices in the reference region
+  basePrices: {
+    storage: {
+      premiumLrsGbMonth: 0.15,        // Premium block blob capacity, per GB-month
+      premiumZrsGbMonth: 0.1875,
+      premiumWriteOps10k: 0.0228,     // Premium LRS, per 10,000 write operations
+      premiumReadOps10k: 0.00182,     // Premium LRS, per 10,000 read operations
+      premiumZrsWriteOps10k: 0.0285,
+      premiumZrsReadOps10k: 0.00228,
+      standardLrsGbMonth: 0.0208      // Hot LRS, used for ADX persistent storage
+    },
+    dataFactory: {
+      activityRuns1k: 1.0,            // Orchestration, per 1,000 activity runs (Azure IR)
+      diuHour: 0.25,                  // Data movement, per DIU-hour
+      pipelineActivityHour: 0.005     // Pipeline activities, per hour
+    },
+    keyVault: {
+      operations10k: 0.03             // Standard/premium secret operations, per 10,000
+    },
+    eventGrid: {
+      operationsMillion: 0.6,         // Per million operations
+      freeOperationsMillion: 0.1      // First 100,000 operations each month are free
+    },
+    dataExplorer: {
+      computeCoreHour: 0.1027,        // Underlying VM compute, per core-hour
+      markupCoreHour: 0.11            // ADX markup, per core-hour (not billed for Dev SKUs)
+    },
+    fabric: {
+      capacityUnitHour: 0.18,         // F SKU pay-as-you-go, per CU-hour
+      oneLakeGbMonth: 0.023           // OneLake storage, per GB-month
+    },
+    bandwidth: {
+      egressGb: 0.087                 // Internet egress, per GB
+    }
+  },
+
+  // Regional price levels relative to the reference region.
+  // Storage covers storage, bandwidth and OneLake meters; compute covers the rest.
+  regionFactors: {
+    eastus: { storage: 1.0, compute: 1.0 },
+    eastus2: { storage: 1.0, compute: 1.0 },
+    westus: { storage: 1.05, compute: 1.08 },
+    westus2: { storage: 1.0, compute: 1.0 },
+    westus3: { storage: 1.0, compute: 1.0 },
+    centralus: { storage: 1.05, compute: 1.05 },
+    northcentralus: { storage: 1.05, compute: 1.05 },
+    southcentralus: { storage: 1.05, compute: 1.05 },
+    westcentralus: { storage: 1.1, compute: 1.1 },
+    northeurope: { storage: 1.05, compute: 1.06 },
+    westeurope: { storage: 1.1, compute: 1.12 },
+    uksouth: { storage: 1.1, compute: 1.12 },
+    ukwest: { storage: 1.12, compute: 1.15 },
+    francecentral: { storage: 1.12, compute: 1.15 },
+    germanywestcentral: { storage: 1.12, compute: 1.15 },
+    swedencentral: { storage: 1.05, compute: 1.08 },
+    switzerlandnorth: { storage: 1.3, compute: 1.3 },
+    southeastasia: { storage: 1.15, compute: 1.15 },
+    eastasia: { storage: 1.25, compute: 1.3 },
+    australiaeast: { storage: 1.2, compute: 1.22 },
+    australiasoutheast: { storage: 1.2, compute: 1.22 },
+    japaneast: { storage: 1.2, compute: 1.25 },
+    japanwest: { storage: 1.25, compute: 1.3 },
+    koreacentral: { storage: 1.15, compute: 1.18 },
+    canadacentral: { storage: 1.08, compute: 1.1 },
+    brazilsouth: { storage: 1.5, compute: 1.55 },
+    southafricanorth: { storage: 1.3, compute: 1.3 },
+    uaenorth: { storage: 1.25, compute: 1.25 }
+  },
+
+  // Meter groups priced at the storage level of a region
+  storageGroups: ['storage', 'bandwidth'],
+  storageMeters: ['fabric.oneLakeGbMonth'],
+
+  // Reserved capacity discounts off pay-as-you-go prices. Data Explorer clusters bill
+  // the underlying VMs (reserved VM instances) and the ADX markup (ADX reserved capacity)
+  // separately. Typical list discounts; check the Azure pricing calculator for your agreement.
+  reservations: {
+    dataExplorer: {
+      none: { label: 'Pay-as-you-go', compute: 0, markup: 0 },
+      oneYear: { label: '1-year reservation', compute: 0.36, markup: 0.30 },
+      threeYear: { label: '3-year reservation', compute: 0.57, markup: 0.45 }
+    }
+  },
+
+  // Exact prices for specific regions, e.g. { westeurope: { storage: { premiumLrsGbMonth: 0.17 } } }
+  // These take precedence over the regional factors (see RetailPrices).
+  regionPrices: {},
+
+  // Date the imported region prices were retrieved, or null for the built-in prices
+  pricesAsOf: null,
+
+  /**
+   * Returns the meter prices for a region
+   * Unknown regions use the reference region prices
+   * @param {string} region - Azure region name, e.g. "westeurope"
+   * @returns {Object} Meter prices grouped like basePrices
+   */
+  getPrices: function(region) {
+    const factors = this.regionFactors[region] || this.regionFactors[this.referenceRegion];
+    const overrides = this.regionPrices[region] || {};
+    const prices = {};
+
+    Object.keys(this.basePrices).forEach(group => {
+      prices[group] = {};
+      Object.keys(this.basePrices[group]).forEach(meter => {
+        const override = overrides[group] && overrides[group][meter];
+        if (override !== undefined) {
+          prices[group][meter] = override;
+          return;
+        }
+
+        // Free allowances aren't prices
+        if (/^free/.test(meter)) {
+          prices[group][meter] = this.basePrices[group][meter];
+          return;
+        }
+
+        const isStorage = this.storageGroups.includes(group) || this.storageMeters.includes(`${group}.${meter}`);
+        prices[group][meter] = this.basePrices[group][meter] * (isStorage ? factors.storage : factors.compute);
+      });
+    });
+
+    return prices;
+  },
+
+  /**
+   * Calculates monthly costs for a usage profile
+   * @param {Object} usage - Monthly quantities:
+   *   storage: {sku, gbMonth, writeOps10k, readOps10k}
+   *   dataFactory: {activityRuns1k, diuHours, pipelineActivityHours}
+   *   keyVault: {operations10k}
+   *   eventGrid: {operationsMillion}
+   *   dataExplorer: {cores, nodes, dev, storageGbMonth} or null
+   *   fabric: {capacityUnits, trial, oneLakeGbMonth} or null
+   *   remoteHub: {activityRuns1k, diuHours, egressGb} or null
+   *   dataTransfer: {egressGb}
+   * @param {string} region - Azure region name
+   * @param {Object} discounts - Optional discount fractions, e.g. {dataExplorer: reservations.dataExplorer.oneYear}
+   * @returns {Object} Monthly cost per component and total
+   */
+  calculateCosts: function(usage, region, discounts = {}) {
+    const prices = this.getPrices(region);
+    const hoursPerMonth = 730;
+    const costs = {
+      storage: 0,
+      dataFactory: 0,
+      keyVault: 0,
+      eventGrid: 0,
+      dataExplorer: 0,
+      fabric: 0,
+      remoteHub: 0,
+      dataTransfer: 0,
+      total: 0
+    };
+
+    const storage = usage.storage;
+    const zrs = storage.sku === 'Premium_ZRS';
+    costs.storage = storage.gbMonth * (zrs ? prices.storage.premiumZrsGbMonth : prices.storage.premiumLrsGbMonth) +
+      storage.writeOps10k * (zrs ? prices.storage.premiumZrsWriteOps10k : prices.storage.premiumWriteOps10k) +
+      storage.readOps10k * (zrs ? prices.storage.premiumZrsReadOps10k : prices.storage.premiumReadOps10k);
+
+    const dataFactory = usage.dataFactory;
+    costs.dataFactory = dataFactory.activityRuns1k * prices.dataFactory.activityRuns1k +
+      dataFactory.diuHours * prices.dataFactory.diuHour +
+      dataFactory.pipelineActivityHours * prices.dataFactory.pipelineActivityHour;
+
+    costs.keyVault = usage.keyVault.operations10k * prices.keyVault.operations10k;
+
+    costs.eventGrid = Math.max(0, usage.eventGrid.operationsMillion - prices.eventGrid.freeOperationsMillion) *
+      prices.eventGrid.operationsMillion;
+
+    if (usage.dataExplorer) {
+      const adx = usage.dataExplorer;
+      const reservation = discounts.dataExplorer || this.reservations.dataExplorer.none;
+      const coreHourPrice = prices.dataExplorer.computeCoreHour * (1 - reservation.compute) +
+        (adx.dev ? 0 : prices.dataExplorer.markupCoreHour * (1 - reservation.markup));
+      costs.dataExplorer = adx.cores * adx.nodes * hoursPerMonth * coreHourPrice +
+        adx.storageGbMonth * prices.storage.standardLrsGbMonth;
+    }
+
+    if (usage.fabric) {
+      const fabric = usage.fabric;
+      costs.fabric = (fabric.trial ? 0 : fabric.capacityUnits * hoursPerMonth * prices.fabric.capacityUnitHour) +
+        fabric.oneLakeGbMonth * prices.fabric.oneLakeGbMonth;
+    }
+
+    if (usage.remoteHub) {
+      const remote = usage.remoteHub;
+      costs.remoteHub = remote.activityRuns1k * prices.dataFactory.activityRuns1k +
+        remote.diuHours * prices.dataFactory.diuHour +
+        remote.egressGb * prices.bandwidth.egressGb;
+    }
+
+    costs.dataTransfer = usage.dataTransfer.egressGb * prices.bandwidth.egressGb;
+
+    costs.total = Object.keys(costs)
+      .filter(key => key !== 'total')
+      .reduce((sum, key) => sum + costs[key], 0);
+
+    return costs;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PricingCatalog;
+}
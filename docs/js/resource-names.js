@@ -0,0 +1,61 @@
+/**
+ * Resource Name Prediction
+ * Evaluates the naming expressions of the nested hub deployment in template.json
+ * to predict the exact names of the deployed resources
+ */
+
+const ResourceNames = {
+  // Arguments the core app registration passes to newApp() in template.json
+  coreApp: {
+    publisherDisplayName: 'Microsoft FinOps hubs',
+    publisherName: 'Microsoft.FinOpsHubs',
+    appName: 'Core',
+    appDisplayName: 'FinOps hub core'
+  },
+
+  /**
+   * Predicts resource names for a deployment
+   * @param {Object} deployment - Nested hub deployment from TemplateSchema.parseDeployment
+   * @param {Object} parameters - Template parameter values by name
+   * @param {Object} target - {subscriptionId, resourceGroupName}
+   * @returns {Object} {suffix, storage, keyVault, dataFactory, dataExplorer, virtualNetwork,
+   *   scriptStorage, identities} - empty strings for resources that aren't deployed
+   * @throws {Error} If the template expressions can't be evaluated
+   */
+  predict: function(deployment, parameters, target = {}) {
+    const context = ArmExpressions.createContext({
+      parameters: { ...deployment.defaults, ...parameters },
+      variables: deployment.variables,
+      functions: deployment.functions,
+      subscriptionId: target.subscriptionId,
+      resourceGroupName: target.resourceGroupName,
+      location: parameters.location
+    });
+
+    const hub = ArmExpressions.evaluate('[variables(\'hub\')]', context);
+    const app = ArmExpressions.evaluate(
+      `[__bicep.newApp(variables('hub'), '${this.coreApp.publisherDisplayName}', '${this.coreApp.publisherName}', '${this.coreApp.appName}', '${this.coreApp.appDisplayName}', '${hub.version}')]`,
+      context
+    );
+    const deployDataExplorer = ArmExpressions.evaluate('[variables(\'deployDataExplorer\')]', context);
+
+    return {
+      suffix: hub.core.suffix,
+      storage: app.storage,
+      keyVault: app.keyVault,
+      dataFactory: app.dataFactory,
+      dataExplorer: deployDataExplorer ? context.parameters.dataExplorerName : '',
+      virtualNetwork: hub.routing.networkName,
+      scriptStorage: hub.routing.scriptStorage,
+      identities: [
+        `${app.storage}_blobManager`,
+        `${app.dataFactory}_triggerManager`
+      ]
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResourceNames;
+}
@@ -0,0 +1,322 @@
+/**
+ * Resource Preview
+ * A local "what-if" for template.json: evaluates the conditions, copy loops, names and
+ * dependencies of the resources in the nested hub deployment and the deployments nested in it,
+ * to list what a configuration deploys without calling Azure
+ */
+
+const ResourcePreview = {
+  // Deployment status of a listed resource
+  statuses: {
+    create: { icon: '➕', label: 'Deployed' },
+    existing: { icon: '🔗', label: 'Existing (referenced, not deployed)' },
+    unknown: { icon: '❔', label: 'Decided during deployment' },
+    skip: { icon: '⏭️', label: 'Skipped (condition is false)' }
+  },
+
+  deploymentType: 'Microsoft.Resources/deployments',
+
+  /**
+   * Lists the resources a deployment creates
+   * @param {Object} deployment - Nested hub deployment from TemplateSchema.parseDeployment
+   * @param {Object} parameters - Template parameter values by name
+   * @param {Object} target - {subscriptionId, resourceGroupName}
+   * @returns {Array} [{id, path, label, type, name, resourceId, sku, tags, status, dependsOn, note}] in
+   *   template order, each nested deployment followed by its resources. path holds the labels of the
+   *   enclosing nested deployments and status is a key of `statuses`. name and resourceId are null when
+   *   the name can't be evaluated (note says why); sku and tags are evaluated for deployed resources that
+   *   declare them, otherwise null. dependsOn holds the ids of the deployed resources it waits for
+   * @throws {Error} If the deployment has no resource outline (schemas cached by earlier versions)
+   */
+  preview: function(deployment, parameters, target = {}) {
+    if (!deployment || !deployment.resources) {
+      throw new Error('The template\'s resources aren\'t loaded');
+    }
+
+    const context = ArmExpressions.createContext({
+      parameters: { ...deployment.defaults, ...parameters },
+      variables: deployment.variables,
+      functions: deployment.functions,
+      subscriptionId: target.subscriptionId,
+      resourceGroupName: target.resourceGroupName,
+      location: parameters.location
+    });
+
+    const results = [];
+    this.listInstances(this.expandResources(deployment.resources, context, [], 'create'), results);
+    return results;
+  },
+
+  /**
+   * Counts previewed resources by status. Nested deployments aren't counted, and a resource that
+   * several nested deployments declare (e.g. the storage account) counts once.
+   * @param {Array} resources - Result of preview()
+   * @returns {Object} {create, existing, unknown, skip, deployments}; deployments counts the
+   *   nested deployments that run
+   */
+  summarize: function(resources) {
+    const order = ['create', 'unknown', 'existing', 'skip'];
+    const statuses = {};
+    let deployments = 0;
+
+    resources.forEach(resource => {
+      if (resource.type === this.deploymentType) {
+        if (resource.status === 'create') deployments++;
+        return;
+      }
+      // Resource IDs are case-insensitive
+      const key = resource.resourceId ? resource.resourceId.toLowerCase() : resource.id;
+      if (!statuses[key] || order.indexOf(resource.status) < order.indexOf(statuses[key])) {
+        statuses[key] = resource.status;
+      }
+    });
+
+    const summary = { create: 0, existing: 0, unknown: 0, skip: 0, deployments: deployments };
+    Object.keys(statuses).forEach(key => {
+      summary[statuses[key]]++;
+    });
+    return summary;
+  },
+
+  // Add instances and their nested deployments' resources to `results` in template order
+  listInstances: function(instances, results) {
+    instances.forEach(instance => {
+      results.push({
+        id: instance.id,
+        path: instance.path,
+        label: instance.label,
+        type: instance.resource.type,
+        name: instance.name,
+        resourceId: instance.resourceId,
+        sku: instance.status === 'create' ? this.evaluateOptional(instance.resource.sku, instance.scope) : null,
+        tags: instance.status === 'create' ? this.evaluateOptional(instance.resource.tags, instance.scope) : null,
+        status: instance.status,
+        dependsOn: this.resolveDependencies(instance, instances),
+        note: instance.note
+      });
+
+      if (this.runs(instance)) {
+        this.listInstances(this.getChildren(instance), results);
+      }
+    });
+  },
+
+  // Evaluate a value a resource may declare, or null when it doesn't or it can't be evaluated
+  evaluateOptional: function(value, scope) {
+    if (value === undefined) return null;
+    try {
+      return ArmExpressions.evaluateValue(value, scope);
+    } catch (e) {
+      return null;
+    }
+  },
+
+  // Whether a nested deployment instance runs (or might)
+  runs: function(instance) {
+    return Boolean(instance.resource.deployment) && (instance.status === 'create' || instance.status === 'unknown');
+  },
+
+  // Evaluate the instances of a template's resources
+  // `inherited` is 'unknown' inside a deployment whose condition can't be evaluated
+  expandResources: function(resources, context, path, inherited) {
+    const instances = [].concat(...resources.map((resource, position) => this.expandResource(resource, position, context, path, inherited)));
+
+    // Let reference() read the outputs of the nested deployments
+    instances.filter(instance => this.runs(instance)).forEach(instance => {
+      const keys = [instance.resource.copy ? null : instance.resource.symbolicName, instance.name, instance.resourceId];
+      keys.filter(key => key).forEach(key => {
+        this.defineLazy(context.references, key.toLowerCase(), () => this.createReference(instance));
+      });
+    });
+    return instances;
+  },
+
+  // Evaluate one resource: an instance per copy loop iteration, or one without a loop
+  expandResource: function(resource, position, context, path, inherited) {
+    let indexes = [null];
+    if (resource.copy) {
+      try {
+        const count = ArmExpressions.evaluateValue(resource.copy.count, context);
+        indexes = Array.from({ length: count }, (value, index) => index);
+      } catch (e) {
+        // Without a count, show the loop once
+        return [this.createInstance(resource, position, null, context, context, path, 'unknown', `Copy count: ${e.message}`)];
+      }
+    }
+
+    return indexes.map(index => {
+      const scope = index === null ? context : {
+        ...context,
+        copyLoop: resource.copy.name,
+        copyIndexes: { ...context.copyIndexes, [resource.copy.name]: index }
+      };
+
+      let status = inherited;
+      let note = '';
+      if (resource.condition !== undefined) {
+        try {
+          if (!ArmExpressions.evaluateValue(resource.condition, scope)) status = 'skip';
+        } catch (e) {
+          status = 'unknown';
+          note = `Condition: ${e.message}`;
+        }
+      }
+      if (resource.existing && status === 'create') status = 'existing';
+
+      return this.createInstance(resource, position, index, scope, context, path, status, note);
+    });
+  },
+
+  // Evaluate the name and resource ID of a resource instance
+  createInstance: function(resource, position, index, scope, context, path, status, note) {
+    let name = null;
+    let resourceId = null;
+    try {
+      name = ArmExpressions.toArmString(ArmExpressions.evaluateValue(resource.name, scope));
+      resourceId = ArmExpressions.functions.resourceid.call(ArmExpressions, scope, resource.type, ...name.split('/'));
+    } catch (e) {
+      // Names of skipped resources often need values that only exist when they're deployed
+      if (status !== 'skip' && !note) note = `Name: ${e.message}`;
+    }
+
+    // Array templates have no symbolic names
+    const suffix = index === null ? '' : `[${index}]`;
+    const label = resource.symbolicName ? resource.symbolicName + suffix : (name || `resource ${position + 1}${suffix}`);
+
+    return {
+      resource: resource,
+      scope: scope,
+      context: context,
+      path: path,
+      id: path.concat(label).join('/'),
+      label: label,
+      name: name,
+      resourceId: resourceId,
+      status: status,
+      note: note
+    };
+  },
+
+  // Ids of the deployed siblings an instance waits for; ARM ignores dependencies on
+  // resources that aren't deployed
+  resolveDependencies: function(instance, siblings) {
+    const ids = [];
+    instance.resource.dependsOn.forEach(dependency => {
+      // Symbolic names and copy loop names refer to every instance
+      let targets = siblings.filter(sibling => sibling.resource.symbolicName === dependency ||
+        (sibling.resource.copy && sibling.resource.copy.name === dependency));
+
+      // Otherwise a resource ID or name
+      if (targets.length === 0) {
+        let value;
+        try {
+          value = String(ArmExpressions.evaluateValue(dependency, instance.scope)).toLowerCase();
+        } catch (e) {
+          return;
+        }
+        targets = siblings.filter(sibling => (sibling.resourceId !== null && sibling.resourceId.toLowerCase() === value) ||
+          (sibling.name !== null && sibling.name.toLowerCase() === value));
+      }
+
+      targets
+        .filter(target => target !== instance && (target.status === 'create' || target.status === 'unknown'))
+        .forEach(target => {
+          if (!ids.includes(target.id)) ids.push(target.id);
+        });
+    });
+    return ids;
+  },
+
+  // Resource instances of a nested deployment instance, evaluated once
+  getChildren: function(instance) {
+    if (!instance.children) {
+      const nested = instance.resource.deployment;
+      instance.children = this.expandResources(nested.resources, this.getNestedContext(instance), instance.path.concat(instance.label), instance.status);
+    }
+    return instance.children;
+  },
+
+  // Context for the template of a nested deployment instance, created once
+  getNestedContext: function(instance) {
+    if (instance.nestedContext) return instance.nestedContext;
+
+    // "outer" scope evaluates the nested template with the parent's parameters and variables
+    const nested = instance.resource.deployment;
+    if (nested.scope !== 'inner') {
+      instance.nestedContext = instance.context;
+      return instance.nestedContext;
+    }
+
+    instance.nestedContext = ArmExpressions.createContext({
+      variables: nested.variables,
+      functions: nested.functions,
+      subscriptionId: instance.context.subscription.subscriptionId,
+      resourceGroupName: instance.context.resourceGroup.name,
+      location: instance.context.resourceGroup.location,
+      deploymentName: instance.name || instance.label
+    });
+    instance.nestedContext.parameters = this.bindParameters(nested, instance.scope, instance.nestedContext);
+    return instance.nestedContext;
+  },
+
+  // Parameters of a nested deployment: passed values are evaluated in the parent's scope,
+  // defaults in the nested one. Values that need another deployment's runtime state then only
+  // affect the resources that use them.
+  bindParameters: function(nested, parentScope, nestedContext) {
+    const parameters = {};
+    const names = Object.keys(nested.defaults).concat(Object.keys(nested.parameters).filter(name => !(name in nested.defaults)));
+
+    names.forEach(name => {
+      this.defineLazy(parameters, name, () => {
+        if (!Object.prototype.hasOwnProperty.call(nested.parameters, name)) {
+          return ArmExpressions.evaluateValue(nested.defaults[name], nestedContext);
+        }
+        // Passed values are {value} objects, or expressions that return one
+        return ArmExpressions.getProperty(ArmExpressions.evaluateValue(nested.parameters[name], parentScope), 'value', true);
+      });
+    });
+    return parameters;
+  },
+
+  // What reference() returns for a nested deployment: its outputs
+  createReference: function(instance) {
+    const nested = instance.resource.deployment;
+    const outputs = {};
+    Object.keys(nested.outputs).forEach(name => {
+      this.defineLazy(outputs, name, () => {
+        // Outputs may read the outputs of the deployment's own nested deployments
+        this.getChildren(instance);
+        return {
+          type: nested.outputs[name].type,
+          value: ArmExpressions.evaluateValue(nested.outputs[name].value, this.getNestedContext(instance))
+        };
+      });
+    });
+    return { outputs: outputs };
+  },
+
+  // Define a property that's evaluated when first read; errors are rethrown on every read
+  defineLazy: function(target, name, evaluate) {
+    let result = null;
+    Object.defineProperty(target, name, {
+      enumerable: true,
+      configurable: true,
+      get: () => {
+        if (!result) {
+          try {
+            result = { value: evaluate() };
+          } catch (e) {
+            result = { error: e };
+          }
+        }
+        if (result.error) throw result.error;
+        return result.value;
+      }
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResourcePreview;
+}
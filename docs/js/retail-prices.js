@@ -0,0 +1,338 @@
+/**
+ * Azure Retail Prices Import
+ * Reads a saved Azure Retail Prices API response (JSON) or a CSV extract of it and maps
+ * its meters onto the PricingCatalog, so estimates can be refreshed without a live API call
+ * See https://learn.microsoft.com/rest/api/cost-management/retail-prices/azure-retail-prices
+ */
+
+const RetailPrices = {
+  // localStorage key for the last imported prices
+  cacheKey: 'finops-retail-prices',
+
+  // Catalog meters and the Retail Prices items they're read from.
+  // `per` is the quantity the catalog price is for (e.g. 10,000 operations);
+  // `divideBy` spreads a price across units (e.g. a 2-core VM price per core).
+  meterMappings: [
+    {
+      group: 'storage', meter: 'premiumLrsGbMonth', per: 1,
+      match: { serviceName: /^Storage$/, productName: /Premium Block Blob/, skuName: /^Premium LRS$/, meterName: /Data Stored$/ }
+    },
+    {
+      group: 'storage', meter: 'premiumZrsGbMonth', per: 1,
+      match: { serviceName: /^Storage$/, productName: /Premium Block Blob/, skuName: /^Premium ZRS$/, meterName: /Data Stored$/ }
+    },
+    {
+      group: 'storage', meter: 'premiumWriteOps10k', per: 10000,
+      match: { serviceName: /^Storage$/, productName: /Premium Block Blob/, skuName: /^Premium LRS$/, meterName: /Write Operations$/ }
+    },
+    {
+      group: 'storage', meter: 'premiumReadOps10k', per: 10000,
+      match: { serviceName: /^Storage$/, productName: /Premium Block Blob/, skuName: /^Premium LRS$/, meterName: /Read Operations$/ }
+    },
+    {
+      group: 'storage', meter: 'premiumZrsWriteOps10k', per: 10000,
+      match: { serviceName: /^Storage$/, productName: /Premium Block Blob/, skuName: /^Premium ZRS$/, meterName: /Write Operations$/ }
+    },
+    {
+      group: 'storage', meter: 'premiumZrsReadOps10k', per: 10000,
+      match: { serviceName: /^Storage$/, productName: /Premium Block Blob/, skuName: /^Premium ZRS$/, meterName: /Read Operations$/ }
+    },
+    {
+      group: 'storage', meter: 'standardLrsGbMonth', per: 1,
+      match: { serviceName: /^Storage$/, productName: /^(General Block Blob v2|Blob Storage)$/, skuName: /^Hot LRS$/, meterName: /^Hot LRS Data Stored$/ }
+    },
+    {
+      group: 'dataFactory', meter: 'activityRuns1k', per: 1000,
+      match: { serviceName: /^Azure Data Factory v2$/, meterName: /^Cloud Orchestration Activity Run$/ }
+    },
+    {
+      group: 'dataFactory', meter: 'diuHour', per: 1,
+      match: { serviceName: /^Azure Data Factory v2$/, meterName: /^Cloud Data Movement$/ }
+    },
+    {
+      group: 'dataFactory', meter: 'pipelineActivityHour', per: 1,
+      match: { serviceName: /^Azure Data Factory v2$/, meterName: /^Cloud Pipeline Activity$/ }
+    },
+    {
+      group: 'keyVault', meter: 'operations10k', per: 10000,
+      match: { serviceName: /^Key Vault$/, skuName: /^Standard$/, meterName: /^Operations$/ }
+    },
+    {
+      group: 'eventGrid', meter: 'operationsMillion', per: 1000000,
+      match: { serviceName: /^Event Grid$/, meterName: /^Standard Operations$/ }
+    },
+    {
+      group: 'dataExplorer', meter: 'markupCoreHour', per: 1,
+      match: { serviceName: /^Azure Data Explorer$/, meterName: /Markup/ }
+    },
+    {
+      // ADX clusters run on Linux VMs; D11 v2 has 2 cores
+      group: 'dataExplorer', meter: 'computeCoreHour', per: 1, divideBy: 2,
+      match: { serviceName: /^Virtual Machines$/, armSkuName: /^Standard_D11_v2$/, productName: /^Virtual Machines Dv2 Series$/, skuName: /^D11 v2$/ }
+    },
+    {
+      group: 'fabric', meter: 'capacityUnitHour', per: 1,
+      match: { serviceName: /^Microsoft Fabric$/, meterName: /^Capacity Usage CU$/ }
+    },
+    {
+      group: 'fabric', meter: 'oneLakeGbMonth', per: 1,
+      match: { serviceName: /^Microsoft Fabric$/, meterName: /^OneLake Storage Data Stored$/ }
+    }
+  ],
+
+  /**
+   * Reads a Retail Prices export
+   * @param {string} text - File contents
+   * @param {string} fileName - File name, used to detect CSV
+   * @returns {Array} Price items with the API's field names
+   * @throws {Error} If the file can't be read
+   */
+  parse: function(text, fileName = '') {
+    const trimmed = text.trim();
+    if (/\.csv$/i.test(fileName) || !/^[[{]/.test(trimmed)) {
+      return this.parseCsv(trimmed);
+    }
+    return this.parseJson(trimmed);
+  },
+
+  /**
+   * Reads a saved API response; also accepts an array of pages or of items
+   * @param {string} text - JSON text
+   * @returns {Array} Price items
+   * @throws {Error} If the JSON isn't a Retail Prices response
+   */
+  parseJson: function(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    const pages = Array.isArray(data) && data.length > 0 && data[0] && data[0].Items ? data : [data];
+    const items = [].concat(...pages.map(page => (Array.isArray(page) ? page : page && page.Items) || []));
+    if (items.length === 0 || items[0].retailPrice === undefined) {
+      throw new Error('The file is not an Azure Retail Prices API response');
+    }
+    return items;
+  },
+
+  /**
+   * Reads a CSV extract whose header row uses the API field names
+   * @param {string} text - CSV text
+   * @returns {Array} Price items
+   * @throws {Error} If required columns are missing
+   */
+  parseCsv: function(text) {
+    const rows = this.splitCsv(text);
+    if (rows.length < 2) {
+      throw new Error('The CSV file has no price rows');
+    }
+
+    // Match columns case-insensitively to the API field names
+    const fields = ['currencyCode', 'tierMinimumUnits', 'retailPrice', 'unitPrice', 'armRegionName', 'effectiveStartDate',
+      'meterName', 'productName', 'skuName', 'armSkuName', 'serviceName', 'unitOfMeasure', 'type', 'isPrimaryMeterRegion'];
+    const header = rows[0].map(name => {
+      const field = fields.find(f => f.toLowerCase() === name.trim().toLowerCase());
+      return field || name.trim();
+    });
+
+    const missing = ['retailPrice', 'armRegionName', 'meterName', 'serviceName', 'unitOfMeasure'].filter(f => !header.includes(f));
+    if (missing.length > 0) {
+      throw new Error(`The CSV file is missing columns: ${missing.join(', ')}`);
+    }
+
+    return rows.slice(1).filter(row => row.some(cell => cell !== '')).map(row => {
+      const item = {};
+      header.forEach((field, index) => {
+        item[field] = row[index] !== undefined ? row[index] : '';
+      });
+      item.retailPrice = parseFloat(item.retailPrice);
+      item.tierMinimumUnits = parseFloat(item.tierMinimumUnits) || 0;
+      item.isPrimaryMeterRegion = String(item.isPrimaryMeterRegion).toLowerCase() !== 'false';
+      return item;
+    });
+  },
+
+  /**
+   * Splits CSV text into rows of cells, honoring quoted cells
+   * @param {string} text - CSV text
+   * @returns {Array} Rows of cell strings
+   */
+  splitCsv: function(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (quoted) {
+        if (char === '"' && text[index + 1] === '"') {
+          cell += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[index + 1] === '\n') index++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    row.push(cell);
+    rows.push(row);
+    return rows;
+  },
+
+  /**
+   * Parses a unit of measure such as "1 GB/Month", "10K" or "100 Hours"
+   * @param {string} unitOfMeasure - Unit from the price item
+   * @returns {number} Quantity the price is for
+   */
+  parseUnitQuantity: function(unitOfMeasure) {
+    const match = /^\s*([\d.]+)\s*([KM])?/i.exec(unitOfMeasure || '');
+    if (!match) return 1;
+
+    const multipliers = { K: 1000, M: 1000000 };
+    return parseFloat(match[1]) * (match[2] ? multipliers[match[2].toUpperCase()] : 1);
+  },
+
+  /**
+   * Maps price items onto catalog meters per region
+   * @param {Array} items - Price items from parse()
+   * Prices in other currencies are converted to USD with the Currency rates, so they
+   * show unchanged when that currency is selected for display
+   * @returns {Object} {currency, sourceCurrency, regions: {region: {group: {meter: price}}}, matchedMeters}
+   * @throws {Error} If no item matches a catalog meter or the currency has no conversion rate
+   */
+  buildRegionPrices: function(items) {
+    const regions = {};
+    let matchedMeters = 0;
+
+    const candidates = items.filter(item =>
+      item.armRegionName &&
+      (!item.type || item.type === 'Consumption') &&
+      item.isPrimaryMeterRegion !== false &&
+      item.retailPrice > 0
+    );
+
+    const currencies = [...new Set(candidates.map(item => item.currencyCode || PricingCatalog.currency))];
+    if (currencies.length > 1) {
+      throw new Error(`Prices must all be in one currency (found ${currencies.join(', ')})`);
+    }
+    const sourceCurrency = currencies[0] || PricingCatalog.currency;
+    const toCatalogCurrency = price => sourceCurrency === PricingCatalog.currency
+      ? price
+      : Currency.toBase(price, sourceCurrency);
+
+    this.meterMappings.forEach(mapping => {
+      const matches = candidates.filter(item => Object.keys(mapping.match)
+        .every(field => mapping.match[field].test(String(item[field] || ''))));
+
+      // Lowest priced tier, then the most recent price, per region
+      const byRegion = {};
+      matches.forEach(item => {
+        const current = byRegion[item.armRegionName];
+        if (!current ||
+          (item.tierMinimumUnits || 0) < (current.tierMinimumUnits || 0) ||
+          ((item.tierMinimumUnits || 0) === (current.tierMinimumUnits || 0) &&
+            String(item.effectiveStartDate || '') > String(current.effectiveStartDate || ''))) {
+          byRegion[item.armRegionName] = item;
+        }
+      });
+
+      Object.keys(byRegion).forEach(region => {
+        const item = byRegion[region];
+        const price = toCatalogCurrency(item.retailPrice) / this.parseUnitQuantity(item.unitOfMeasure) * mapping.per / (mapping.divideBy || 1);
+
+        regions[region] = regions[region] || {};
+        regions[region][mapping.group] = regions[region][mapping.group] || {};
+        regions[region][mapping.group][mapping.meter] = price;
+        matchedMeters++;
+      });
+    });
+
+    if (matchedMeters === 0) {
+      throw new Error('No prices in the file match FinOps hub meters (storage, Data Factory, Key Vault, Event Grid, Data Explorer or Fabric)');
+    }
+
+    return { currency: PricingCatalog.currency, sourceCurrency: sourceCurrency, regions: regions, matchedMeters: matchedMeters };
+  },
+
+  /**
+   * Imports a price file into the catalog and caches it
+   * @param {string} text - File contents
+   * @param {string} fileName - File name
+   * @param {string} asOf - ISO date the prices were retrieved
+   * @returns {Object} Cached import {fileName, asOf, currency, regions, matchedMeters}
+   * @throws {Error} If the file can't be read or has no matching meters
+   */
+  import: function(text, fileName, asOf) {
+    const prices = {
+      fileName: fileName,
+      asOf: asOf,
+      ...this.buildRegionPrices(this.parse(text, fileName))
+    };
+
+    this.apply(prices);
+    try {
+      localStorage.setItem(this.cacheKey, JSON.stringify(prices));
+    } catch (e) {
+      console.warn('Could not cache retail prices', e);
+    }
+    return prices;
+  },
+
+  /**
+   * Restores cached prices into the catalog
+   * @returns {Object|null} Cached import, or null if none
+   */
+  loadCache: function() {
+    try {
+      const cached = localStorage.getItem(this.cacheKey);
+      if (!cached) return null;
+
+      const prices = JSON.parse(cached);
+      this.apply(prices);
+      return prices;
+    } catch (e) {
+      console.warn('Could not load cached retail prices', e);
+      return null;
+    }
+  },
+
+  // Go back to the built-in reference prices
+  clear: function() {
+    PricingCatalog.regionPrices = {};
+    PricingCatalog.pricesAsOf = null;
+    try {
+      localStorage.removeItem(this.cacheKey);
+    } catch (e) {
+      console.warn('Could not clear cached retail prices', e);
+    }
+  },
+
+  // Use imported prices in the catalog
+  apply: function(prices) {
+    PricingCatalog.regionPrices = prices.regions;
+    PricingCatalog.pricesAsOf = prices.asOf;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RetailPrices;
+}
@@ -0,0 +1,96 @@
+/**
+ * Savings and ROI Model
+ * Estimates the savings a hub's visibility enables from the customer's spend profile,
+ * as low/expected/high scenarios with a payback period
+ */
+
+const RoiModel = {
+  // Optimization levers and the part of monthly spend each one applies to
+  levers: [
+    {
+      id: 'commitment',
+      label: 'Commitment discounts',
+      basis: 'Spend not covered by reservations or savings plans',
+      description: 'Buying reservations and savings plans for steady usage the hub surfaces'
+    },
+    {
+      id: 'idle',
+      label: 'Idle resource cleanup',
+      basis: 'Spend on idle or unused resources',
+      description: 'Removing or shutting down resources the hub shows are unused'
+    },
+    {
+      id: 'governance',
+      label: 'Rightsizing and governance',
+      basis: 'Spend on resources in use',
+      description: 'Rightsizing, anomaly follow-up and showback-driven behavior change'
+    }
+  ],
+
+  // Share of each lever's basis saved per month, in percent
+  defaultRanges: {
+    commitment: { low: 5, expected: 10, high: 20 },
+    idle: { low: 25, expected: 50, high: 75 },
+    governance: { low: 1, expected: 2, high: 4 }
+  },
+
+  scenarios: ['low', 'expected', 'high'],
+
+  /**
+   * Spend each lever applies to
+   * @param {Object} profile - {monthlySpend, commitmentShare, idleShare}; shares in percent
+   * @returns {Object} Monthly spend by lever id
+   */
+  getBases: function(profile) {
+    const spend = Math.max(0, profile.monthlySpend || 0);
+    const committed = Math.min(100, Math.max(0, profile.commitmentShare || 0)) / 100;
+    const idle = Math.min(100, Math.max(0, profile.idleShare || 0)) / 100;
+
+    return {
+      // Idle resources should be removed rather than committed to
+      commitment: spend * Math.max(0, 1 - committed - idle),
+      idle: spend * idle,
+      governance: spend * (1 - idle)
+    };
+  },
+
+  /**
+   * Calculates savings, net benefit and payback for each scenario
+   * @param {Object} profile - {monthlySpend, commitmentShare, idleShare, setupCost, ranges}
+   *   ranges default to defaultRanges; shares and ranges in percent
+   * @param {number} monthlyCost - Monthly hub cost
+   * @returns {Object} {bases, scenarios: {low|expected|high: {levers, savings, netBenefit,
+   *   roiPercentage, paybackMonths}}} - paybackMonths is null when savings don't cover the cost
+   */
+  calculate: function(profile, monthlyCost) {
+    const ranges = { ...this.defaultRanges, ...profile.ranges };
+    const bases = this.getBases(profile);
+    const setupCost = Math.max(0, profile.setupCost || 0);
+    const scenarios = {};
+
+    this.scenarios.forEach(scenario => {
+      const levers = {};
+      this.levers.forEach(lever => {
+        levers[lever.id] = bases[lever.id] * (ranges[lever.id][scenario] || 0) / 100;
+      });
+
+      const savings = Object.values(levers).reduce((sum, value) => sum + value, 0);
+      const netBenefit = savings - monthlyCost;
+
+      scenarios[scenario] = {
+        levers: levers,
+        savings: savings,
+        netBenefit: netBenefit,
+        roiPercentage: monthlyCost > 0 ? Math.round((savings / monthlyCost) * 100) : 0,
+        paybackMonths: netBenefit > 0 ? setupCost / netBenefit : null
+      };
+    });
+
+    return { bases: bases, ranges: ranges, scenarios: scenarios };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoiModel;
+}
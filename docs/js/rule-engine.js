@@ -0,0 +1,104 @@
+/**
+ * Rule Engine
+ * Evaluates declarative rules over a configuration. Each rule is data:
+ *   id         - Unique rule ID
+ *   severity   - 'error' (blocks deployment), 'warning' or 'info'
+ *   field      - Optional config field the rule reports on inline
+ *   dependsOn  - Optional config fields whose changes re-check the rule
+ *   condition  - (config, context) => true when the rule applies (i.e. the problem exists)
+ *   message    - Text, or (config, context) => text
+ *   docUrl     - Optional link to documentation
+ */
+
+const RuleEngine = {
+  severities: ['error', 'warning', 'info'],
+
+  /**
+   * Evaluates rules and returns the ones whose condition holds
+   * Rules that throw are logged, so one broken rule can't break the builder. A throwing
+   * error rule is reported as failed rather than skipped, so it still blocks deployment.
+   * @param {Array} rules - Rule definitions
+   * @param {Object} config - Configuration to check
+   * @param {Object} context - Extra values passed to conditions and messages
+   * @returns {Array} [{id, severity, field, message, docUrl}] in rule order
+   */
+  evaluate: function(rules, config, context = {}) {
+    const results = [];
+
+    rules.forEach(rule => {
+      try {
+        if (!rule.condition(config, context)) return;
+
+        results.push({
+          id: rule.id,
+          severity: rule.severity,
+          field: rule.field || null,
+          message: typeof rule.message === 'function' ? rule.message(config, context) : rule.message,
+          docUrl: rule.docUrl || null
+        });
+      } catch (e) {
+        console.warn(`Rule ${rule.id} failed`, e);
+        if (rule.severity === 'error') {
+          results.push({
+            id: rule.id,
+            severity: rule.severity,
+            field: rule.field || null,
+            message: `Could not be checked (rule ${rule.id}: ${e.message})`,
+            docUrl: rule.docUrl || null
+          });
+        }
+      }
+    });
+
+    return results;
+  },
+
+  /**
+   * Rules that report on a field
+   * @param {Array} rules - Rule definitions
+   * @param {string} field - Config field
+   * @returns {Array} Matching rules
+   */
+  rulesForField: function(rules, field) {
+    return rules.filter(rule => rule.field === field);
+  },
+
+  /**
+   * Fields reported on by rules that depend on a field
+   * @param {Array} rules - Rule definitions
+   * @param {string} field - Config field that changed
+   * @returns {Array} Config fields to re-check
+   */
+  dependentFields: function(rules, field) {
+    return [...new Set(rules
+      .filter(rule => rule.field && (rule.dependsOn || []).includes(field))
+      .map(rule => rule.field))];
+  },
+
+  /**
+   * Checks that rule definitions are complete and IDs are unique
+   * @param {Array} rules - Rule definitions
+   * @returns {Array} Problems found, empty when the rules are valid
+   */
+  lint: function(rules) {
+    const problems = [];
+    const ids = new Set();
+
+    rules.forEach((rule, index) => {
+      const name = rule.id || `#${index}`;
+      if (!rule.id) problems.push(`Rule ${name} has no id`);
+      if (ids.has(rule.id)) problems.push(`Rule ${name} is declared more than once`);
+      ids.add(rule.id);
+      if (!this.severities.includes(rule.severity)) problems.push(`Rule ${name} has an unknown severity: ${rule.severity}`);
+      if (typeof rule.condition !== 'function') problems.push(`Rule ${name} has no condition`);
+      if (!rule.message) problems.push(`Rule ${name} has no message`);
+    });
+
+    return problems;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleEngine;
+}
@@ -0,0 +1,297 @@
+/**
+ * Azure Tag Rules
+ * Tag name and value limits, the per-resource tag limit and required-tags policies
+ * for the `tags` and `tagsByResource` template parameters
+ * See https://learn.microsoft.com/azure/azure-resource-manager/management/tag-resources
+ */
+
+const TagRules = {
+  // Tags a single resource can have
+  maxTags: 50,
+
+  maxNameLength: 512,
+  maxValueLength: 256,
+
+  // Storage accounts allow shorter tag names than other resources
+  maxStorageNameLength: 128,
+
+  // Characters Azure doesn't allow in tag names
+  invalidNameCharacters: ['<', '>', '%', '&', '\\', '?', '/'],
+
+  // Tag name prefixes Azure reserves
+  reservedPrefixes: ['microsoft', 'azure', 'windows'],
+
+  // Tags the template adds to hub resources, which count toward the limit
+  hubTags: ['cm-resource-parent', 'ftk-tool', 'ftk-version', 'ftk-hubapp', 'ftk-hubapp-version'],
+
+  // localStorage key for the loaded required-tags policy
+  policyKey: 'finops-tag-policy',
+
+  // Resource types the template deploys, offered for per-resource overrides
+  resourceTypes: [
+    'Microsoft.Storage/storageAccounts',
+    'Microsoft.DataFactory/factories',
+    'Microsoft.KeyVault/vaults',
+    'Microsoft.Kusto/clusters',
+    'Microsoft.ManagedIdentity/userAssignedIdentities',
+    'Microsoft.Network/virtualNetworks',
+    'Microsoft.Network/networkSecurityGroups',
+    'Microsoft.Network/privateEndpoints',
+    'Microsoft.Network/privateDnsZones',
+    'Microsoft.Resources/deploymentScripts'
+  ],
+
+  /**
+   * Checks a tag name
+   * @param {string} name - Tag name
+   * @param {string} resourceType - Optional resource type the tag applies to
+   * @returns {Array} Error messages, empty when the name is valid
+   */
+  validateName: function(name, resourceType) {
+    const errors = [];
+    const maxLength = resourceType === 'Microsoft.Storage/storageAccounts' ? this.maxStorageNameLength : this.maxNameLength;
+
+    if (!name) {
+      return ['Tag name is required'];
+    }
+    if (name.length > maxLength) {
+      errors.push(`can't be longer than ${maxLength} characters`);
+    }
+    const invalid = this.invalidNameCharacters.filter(character => name.includes(character));
+    if (invalid.length > 0) {
+      errors.push(`can't contain ${invalid.join(' ')}`);
+    }
+    if (name !== name.trim()) {
+      errors.push('can\'t start or end with a space');
+    }
+    const prefix = this.reservedPrefixes.find(reserved => name.toLowerCase().startsWith(reserved));
+    if (prefix) {
+      errors.push(`can't start with "${prefix}", which Azure reserves`);
+    }
+
+    return errors;
+  },
+
+  /**
+   * Checks a tag value
+   * @param {*} value - Tag value
+   * @returns {Array} Error messages, empty when the value is valid
+   */
+  validateValue: function(value) {
+    if (typeof value !== 'string') {
+      return ['must be a string'];
+    }
+    return value.length > this.maxValueLength ? [`can't be longer than ${this.maxValueLength} characters`] : [];
+  },
+
+  /**
+   * Checks a tags object (tag name → value)
+   * @param {Object} tags - Tags to check
+   * @param {string} resourceType - Optional resource type the tags apply to
+   * @returns {Object} {valid, message} with the first problem found
+   */
+  validateTags: function(tags, resourceType) {
+    if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
+      return { valid: false, message: 'Must be a JSON object' };
+    }
+
+    const names = Object.keys(tags);
+    for (const name of names) {
+      const nameErrors = this.validateName(name, resourceType);
+      if (nameErrors.length > 0) {
+        return { valid: false, message: name ? `Tag "${name}" ${nameErrors.join('; ')}` : nameErrors[0] };
+      }
+      const valueErrors = this.validateValue(tags[name]);
+      if (valueErrors.length > 0) {
+        return { valid: false, message: `Tag "${name}" value ${valueErrors.join('; ')}` };
+      }
+    }
+
+    // Tag names are case-insensitive
+    const duplicate = names.find((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) !== index);
+    if (duplicate) {
+      return { valid: false, message: `Tag "${duplicate}" is set more than once (names are case-insensitive)` };
+    }
+
+    return { valid: true, message: '' };
+  },
+
+  /**
+   * Checks a tagsByResource object (resource type → tags)
+   * @param {Object} tagsByResource - Overrides to check
+   * @returns {Object} {valid, message} with the first problem found
+   */
+  validateTagsByResource: function(tagsByResource) {
+    if (!tagsByResource || typeof tagsByResource !== 'object' || Array.isArray(tagsByResource)) {
+      return { valid: false, message: 'Must be a JSON object' };
+    }
+
+    for (const resourceType of Object.keys(tagsByResource)) {
+      if (!/^[A-Za-z0-9]+(\.[A-Za-z0-9]+)+\/[A-Za-z0-9/]+$/.test(resourceType)) {
+        return { valid: false, message: `Invalid resource type: ${resourceType || '(empty)'}` };
+      }
+      const result = this.validateTags(tagsByResource[resourceType], resourceType);
+      if (!result.valid) {
+        return { valid: false, message: `${resourceType}: ${result.message}` };
+      }
+    }
+
+    return { valid: true, message: '' };
+  },
+
+  /**
+   * Tags a resource of a type gets, the way the template merges them
+   * @param {Object} tags - Tags for all resources
+   * @param {Object} tagsByResource - Overrides by resource type
+   * @param {string} resourceType - Resource type
+   * @returns {Object} Merged tags; overrides win, matching names case-insensitively
+   */
+  mergeTags: function(tags, tagsByResource, resourceType) {
+    const merged = { ...(tags || {}) };
+    const overrides = (tagsByResource || {})[resourceType] || {};
+
+    Object.keys(overrides).forEach(name => {
+      Object.keys(merged)
+        .filter(existing => existing.toLowerCase() === name.toLowerCase())
+        .forEach(existing => delete merged[existing]);
+      merged[name] = overrides[name];
+    });
+
+    return merged;
+  },
+
+  /**
+   * Finds the resource type with the most tags, counting tags the hub adds
+   * @param {Object} tags - Tags for all resources
+   * @param {Object} tagsByResource - Overrides by resource type
+   * @returns {Object} {resourceType, count}; resourceType is null when no override is the largest
+   */
+  getMaxTagCount: function(tags, tagsByResource) {
+    const count = merged => {
+      const names = Object.keys(merged).map(name => name.toLowerCase());
+      return new Set([...names, ...this.hubTags]).size;
+    };
+
+    let largest = { resourceType: null, count: count(tags || {}) };
+    Object.keys(tagsByResource || {}).forEach(resourceType => {
+      const total = count(this.mergeTags(tags, tagsByResource, resourceType));
+      if (total > largest.count) {
+        largest = { resourceType: resourceType, count: total };
+      }
+    });
+
+    return largest;
+  },
+
+  /**
+   * Parses a required-tags policy file:
+   *   { "name": "...", "requiredTags": ["Owner", { "name": "Env", "allowedValues": ["dev", "prod"] }, { "name": "CostCenter", "pattern": "^\\d{4}$" }] }
+   * @param {string} text - Policy JSON
+   * @returns {Object} {name, requiredTags: [{name, allowedValues, pattern}]}
+   * @throws {Error} If the file isn't a valid policy
+   */
+  parsePolicy: function(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('The policy file isn\'t valid JSON');
+    }
+
+    if (!data || !Array.isArray(data.requiredTags)) {
+      throw new Error('The policy file must have a "requiredTags" list');
+    }
+
+    const requiredTags = data.requiredTags.map((entry, index) => {
+      const tag = typeof entry === 'string' ? { name: entry } : entry;
+      if (!tag || typeof tag.name !== 'string' || this.validateName(tag.name).length > 0) {
+        throw new Error(`Required tag #${index + 1} must have a valid name`);
+      }
+      if (tag.allowedValues !== undefined && (!Array.isArray(tag.allowedValues) || tag.allowedValues.some(value => typeof value !== 'string'))) {
+        throw new Error(`Required tag "${tag.name}" must list allowedValues as strings`);
+      }
+      if (tag.pattern !== undefined) {
+        try {
+          new RegExp(tag.pattern);
+        } catch (e) {
+          throw new Error(`Required tag "${tag.name}" has an invalid pattern: ${tag.pattern}`);
+        }
+      }
+      return { name: tag.name, allowedValues: tag.allowedValues || null, pattern: tag.pattern || null };
+    });
+
+    return { name: typeof data.name === 'string' ? data.name : '', requiredTags: requiredTags };
+  },
+
+  /**
+   * Checks tags against a required-tags policy
+   * Required tags must be in the tags for all resources; values in overrides are checked too
+   * @param {Object} policy - Result of parsePolicy()
+   * @param {Object} tags - Tags for all resources
+   * @param {Object} tagsByResource - Overrides by resource type
+   * @returns {Array} Problems found, e.g. 'Missing required tag "Owner"'
+   */
+  checkPolicy: function(policy, tags, tagsByResource) {
+    const problems = [];
+    const find = (source, name) => Object.keys(source || {}).find(existing => existing.toLowerCase() === name.toLowerCase());
+
+    policy.requiredTags.forEach(required => {
+      const name = find(tags, required.name);
+      if (name === undefined || tags[name] === '') {
+        problems.push(`Missing required tag "${required.name}"`);
+        return;
+      }
+
+      const values = [{ source: '', value: tags[name] }];
+      Object.keys(tagsByResource || {}).forEach(resourceType => {
+        const override = find(tagsByResource[resourceType], required.name);
+        if (override !== undefined) values.push({ source: ` on ${resourceType}`, value: tagsByResource[resourceType][override] });
+      });
+
+      values.forEach(entry => {
+        if (required.allowedValues && !required.allowedValues.includes(entry.value)) {
+          problems.push(`Tag "${required.name}"${entry.source} must be one of: ${required.allowedValues.join(', ')}`);
+        } else if (required.pattern && !new RegExp(required.pattern).test(entry.value)) {
+          problems.push(`Tag "${required.name}"${entry.source} must match ${required.pattern}`);
+        }
+      });
+    });
+
+    return problems;
+  },
+
+  /**
+   * Restores the saved required-tags policy
+   * @returns {Object|null} Policy, or null if none was saved
+   */
+  loadPolicy: function() {
+    try {
+      const saved = localStorage.getItem(this.policyKey);
+      return saved ? JSON.parse(saved) : null;
+    } catch (e) {
+      console.warn('Could not load the required-tags policy', e);
+      return null;
+    }
+  },
+
+  /**
+   * Saves a required-tags policy, or removes the saved one
+   * @param {Object|null} policy - Result of parsePolicy(), or null to clear
+   */
+  savePolicy: function(policy) {
+    try {
+      if (policy) {
+        localStorage.setItem(this.policyKey, JSON.stringify(policy));
+      } else {
+        localStorage.removeItem(this.policyKey);
+      }
+    } catch (e) {
+      console.warn('Could not save the required-tags policy', e);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TagRules;
+}
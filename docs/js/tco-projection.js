@@ -0,0 +1,150 @@
+/**
+ * Total Cost of Ownership Projection
+ * Projects hub costs month by month over several years as retained data grows,
+ * and renders the projection as a stacked bar chart or CSV
+ */
+
+const TcoProjection = {
+  // Cost lines stacked in the chart, bottom to top. `keys` are PricingCatalog.calculateCosts fields.
+  series: [
+    { id: 'storage', label: 'Storage', keys: ['storage'], color: '#0078d4' },
+    { id: 'dataFactory', label: 'Data Factory', keys: ['dataFactory'], color: '#50e6ff' },
+    { id: 'dataExplorer', label: 'Data Explorer', keys: ['dataExplorer'], color: '#8661c5' },
+    { id: 'fabric', label: 'Fabric', keys: ['fabric'], color: '#10893e' },
+    { id: 'remoteHub', label: 'Remote Hub', keys: ['remoteHub'], color: '#faa21b' },
+    { id: 'other', label: 'Key Vault, Event Grid & Data Transfer', keys: ['keyVault', 'eventGrid', 'dataTransfer'], color: '#a0a0a0' }
+  ],
+
+  /**
+   * Projects monthly costs
+   * @param {Object} options - {years, annualGrowth (fraction), discounts (see PricingCatalog.calculateCosts), region}
+   * @param {Function} estimateUsage - (month, annualGrowth) => usage for PricingCatalog.calculateCosts
+   * @returns {Object} {months: [{month, costs, series, cumulative}], years: [{year, total}], total}
+   */
+  project: function(options, estimateUsage) {
+    const months = [];
+    const years = [];
+    let cumulative = 0;
+
+    for (let month = 1; month <= options.years * 12; month++) {
+      const costs = PricingCatalog.calculateCosts(estimateUsage(month, options.annualGrowth), options.region, options.discounts);
+      cumulative += costs.total;
+
+      const series = {};
+      this.series.forEach(line => {
+        series[line.id] = line.keys.reduce((sum, key) => sum + costs[key], 0);
+      });
+      months.push({ month: month, costs: costs, series: series, cumulative: cumulative });
+
+      if (month % 12 === 0) {
+        const previous = years.reduce((sum, year) => sum + year.total, 0);
+        years.push({ year: month / 12, total: cumulative - previous });
+      }
+    }
+
+    return { months: months, years: years, total: cumulative };
+  },
+
+  /**
+   * Series with a non-zero cost somewhere in the projection
+   * @param {Object} projection - Result of project()
+   * @returns {Array} Entries of TcoProjection.series
+   */
+  getActiveSeries: function(projection) {
+    return this.series.filter(line => projection.months.some(point => point.series[line.id] > 0));
+  },
+
+  /**
+   * Formats a projection as CSV, one row per month, in the selected display currency
+   * @param {Object} projection - Result of project()
+   * @returns {string} CSV text
+   */
+  toCsv: function(projection) {
+    const currency = Currency.currency;
+    const amount = value => Currency.convert(value).toFixed(2);
+    const header = ['Month', 'Year', ...this.series.map(line => `${line.label} (${currency})`), `Total (${currency})`, `Cumulative (${currency})`];
+    const quote = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const rows = projection.months.map(point => [
+      point.month,
+      Math.ceil(point.month / 12),
+      ...this.series.map(line => amount(point.series[line.id])),
+      amount(point.costs.total),
+      amount(point.cumulative)
+    ]);
+
+    return [header.map(quote), ...rows].map(row => row.join(',')).join('\n') + '\n';
+  },
+
+  /**
+   * Renders monthly costs as a stacked bar chart
+   * @param {Object} projection - Result of project()
+   * @returns {string} SVG markup
+   */
+  renderChart: function(projection) {
+    const width = 720;
+    const height = 260;
+    const margin = { top: 10, right: 10, bottom: 30, left: 60 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    const series = this.getActiveSeries(projection);
+
+    // Round the axis in the display currency so tick labels are round numbers
+    const rate = Currency.getRate();
+    const maxTotal = Math.max(...projection.months.map(point => point.costs.total), 1 / rate);
+    const scale = this.getAxisMax(maxTotal * rate) / rate;
+    const barWidth = plotWidth / projection.months.length;
+    const y = value => margin.top + plotHeight - (value / scale) * plotHeight;
+
+    const tickDecimals = scale * rate < 10;
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(step => {
+      const value = scale * step;
+      return `
+        <line x1="${margin.left}" x2="${width - margin.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e0e0e0" />
+        <text x="${margin.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11">${FinOpsUtils.formatCurrency(value, tickDecimals)}</text>`;
+    }).join('');
+
+    const bars = projection.months.map((point, index) => {
+      const x = margin.left + index * barWidth;
+      let base = 0;
+      const segments = series.map(line => {
+        const value = point.series[line.id];
+        const top = y(base + value);
+        const segment = `<rect x="${(x + 1).toFixed(1)}" y="${top.toFixed(1)}" width="${Math.max(barWidth - 2, 1).toFixed(1)}" height="${(y(base) - top).toFixed(1)}" fill="${line.color}"><title>Month ${point.month} – ${line.label}: ${FinOpsUtils.formatCurrency(value)}</title></rect>`;
+        base += value;
+        return segment;
+      }).join('');
+
+      // Label the start of each year
+      const label = (point.month - 1) % 12 === 0
+        ? `<text x="${x + barWidth / 2}" y="${height - margin.bottom + 16}" text-anchor="start" font-size="11">Year ${Math.ceil(point.month / 12)}</text>`
+        : '';
+      return segments + label;
+    }).join('');
+
+    return `
+      <svg class="tco-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Monthly hub cost by component over ${projection.years.length} years">
+        ${ticks}
+        ${bars}
+      </svg>
+      <div class="tco-legend">
+        ${series.map(line => `<span class="tco-legend-item"><span class="tco-swatch" style="background: ${line.color};"></span>${line.label}</span>`).join('')}
+      </div>
+    `;
+  },
+
+  /**
+   * Rounds a chart's maximum up to a readable axis value
+   * @param {number} value - Largest value to show
+   * @returns {number} 1, 2 or 5 times a power of ten, at least value
+   */
+  getAxisMax: function(value) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    return [1, 2, 5, 10].map(step => step * magnitude).find(candidate => candidate >= value);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TcoProjection;
+}
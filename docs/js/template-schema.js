@@ -0,0 +1,351 @@
+/**
+ * Template Parameter Schema
+ * Reads the parameters block of template.json so the builder can render and validate controls from it
+ */
+
+const TemplateSchema = {
+  // localStorage key for the last successfully loaded parameters
+  cacheKey: 'finops-template-schema',
+
+  // Version of the cached shape. Bump it whenever read() returns something new,
+  // so copies cached by earlier versions are refetched instead of used
+  cacheVersion: 2,
+
+  // Parsed copy of template.json shipped with the site (written by `finops-hub schema`)
+  bundledUri: 'data/template-schema.json',
+
+  /**
+   * Loads the parsed template shipped with the site, so the form doesn't wait for
+   * (or depend on) fetching the full template
+   * @param {string} uri - URL of the parsed template
+   * @returns {Promise<Object>} {parameters, deployment} (see read)
+   */
+  loadBundled: async function(uri = this.bundledUri) {
+    const response = await fetch(uri);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} loading ${uri}`);
+    }
+    const schema = await response.json();
+    if (!schema || !Array.isArray(schema.parameters)) {
+      throw new Error(`${uri} has no template parameters`);
+    }
+    return schema;
+  },
+
+  /**
+   * Checks whether two parsed templates are the same
+   * @param {Object} a - Parsed template (see read)
+   * @param {Object} b - Parsed template (see read)
+   * @returns {boolean} True if parameters and deployment match
+   */
+  isSame: function(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  },
+
+  /**
+   * Loads template.json and parses its parameters and nested hub deployment
+   * Falls back to the last cached copy when the template can't be fetched
+   * @param {string} templateUri - URL of template.json
+   * @returns {Promise<Object>} {parameters, deployment} (see parse and parseDeployment)
+   */
+  load: async function(templateUri) {
+    try {
+      const response = await fetch(templateUri);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} loading ${templateUri}`);
+      }
+      const schema = this.read(await response.json());
+      this.saveCache(schema);
+      return schema;
+    } catch (e) {
+      const cached = this.loadCache();
+      if (cached) {
+        console.warn('Could not load template, using cached parameters', e);
+        return cached;
+      }
+      throw e;
+    }
+  },
+
+  /**
+   * Parses a template's parameters and nested hub deployment
+   * @param {Object} template - Parsed template.json
+   * @returns {Object} {parameters, deployment} (see parse and parseDeployment)
+   */
+  read: function(template) {
+    return {
+      parameters: this.parse(template),
+      deployment: this.parseDeployment(template)
+    };
+  },
+
+  /**
+   * Parses the parameters block of an ARM template
+   * @param {Object} template - Parsed template.json
+   * @returns {Array} Parameter descriptors in template order
+   */
+  parse: function(template) {
+    const parameters = (template && template.parameters) || {};
+
+    return Object.keys(parameters).map(name => {
+      const definition = parameters[name];
+      const type = String(definition.type || 'string').toLowerCase();
+      const hasDefault = Object.prototype.hasOwnProperty.call(definition, 'defaultValue');
+      const isExpression = hasDefault && this.isExpression(definition.defaultValue);
+
+      return {
+        name: name,
+        type: type === 'securestring' ? 'string' : (type === 'secureobject' ? 'object' : type),
+        secure: type === 'securestring' || type === 'secureobject',
+        defaultValue: hasDefault && !isExpression ? definition.defaultValue : undefined,
+        defaultExpression: isExpression ? definition.defaultValue : undefined,
+        allowedValues: definition.allowedValues,
+        minValue: definition.minValue,
+        maxValue: definition.maxValue,
+        minLength: definition.minLength,
+        maxLength: definition.maxLength,
+        description: (definition.metadata && definition.metadata.description) || ''
+      };
+    });
+  },
+
+  /**
+   * Extracts what's needed to evaluate names and preview resources from the nested "hub"
+   * deployment: its parameter defaults, variables, user-defined functions and resource outline
+   * @param {Object} template - Parsed template.json
+   * @returns {Object|null} {defaults, variables, functions, resources} (see parseNestedTemplate),
+   *   or null if there's no nested deployment
+   */
+  parseDeployment: function(template) {
+    const resources = (template && template.resources) || [];
+    const deployment = (Array.isArray(resources) ? resources : Object.values(resources))
+      .find(resource => resource.type === 'Microsoft.Resources/deployments' && resource.properties && resource.properties.template);
+    if (!deployment) return null;
+
+    return this.parseNestedTemplate(deployment.properties.template);
+  },
+
+  /**
+   * Parses the template of a nested deployment
+   * @param {Object} nested - Template from a deployment's properties.template
+   * @returns {Object} {defaults, variables, functions, resources, outputs}; functions are flattened
+   *   to "namespace.name", resources are outlined (see outlineResources) and outputs are {type, value} by name
+   */
+  parseNestedTemplate: function(nested) {
+    const defaults = {};
+    Object.keys(nested.parameters || {}).forEach(name => {
+      if (Object.prototype.hasOwnProperty.call(nested.parameters[name], 'defaultValue')) {
+        defaults[name] = nested.parameters[name].defaultValue;
+      }
+    });
+
+    // Flatten namespaces, e.g. { "_1.safeStorageName": { parameters, output } }
+    const functions = {};
+    (nested.functions || []).forEach(namespace => {
+      Object.keys(namespace.members || {}).forEach(name => {
+        functions[`${namespace.namespace}.${name}`] = namespace.members[name];
+      });
+    });
+
+    // "$fxv#" variables hold files Bicep embedded with loadTextContent() (KQL scripts, schemas);
+    // names and conditions never use them, and they'd make the cached schema megabytes large
+    const variables = {};
+    Object.keys(nested.variables || {}).forEach(name => {
+      const value = nested.variables[name];
+      variables[name] = name.startsWith('$fxv#') && typeof value === 'string' && value.length > 256 ? '' : value;
+    });
+
+    const outputs = {};
+    Object.keys(nested.outputs || {}).forEach(name => {
+      outputs[name] = { type: nested.outputs[name].type, value: nested.outputs[name].value };
+    });
+
+    return {
+      defaults: defaults,
+      variables: variables,
+      functions: functions,
+      resources: this.outlineResources(nested),
+      outputs: outputs
+    };
+  },
+
+  /**
+   * Outlines a template's resources: what's needed to tell whether and how often each one is
+   * deployed, its name and its dependencies, recursing into nested deployments
+   * @param {Object} template - Template with symbolic names (an object of resources) or an array of resources
+   * @returns {Array} [{symbolicName, type, name, sku, tags, condition, copy, dependsOn, existing, deployment}] in
+   *   template order; symbolicName is null in array templates and deployment is null unless the
+   *   resource is a nested deployment, then {scope, parameters} plus the parts parseNestedTemplate returns
+   */
+  outlineResources: function(template) {
+    const resources = (template && template.resources) || [];
+    const entries = Array.isArray(resources)
+      ? resources.map(resource => [null, resource])
+      : Object.keys(resources).map(name => [name, resources[name]]);
+
+    return entries.map(([symbolicName, resource]) => {
+      const properties = resource.properties || {};
+      const nested = resource.type === 'Microsoft.Resources/deployments' && properties.template;
+
+      return {
+        symbolicName: symbolicName,
+        type: resource.type,
+        name: resource.name,
+        sku: resource.sku,
+        tags: resource.tags,
+        condition: resource.condition,
+        copy: resource.copy ? { name: resource.copy.name, count: resource.copy.count } : undefined,
+        dependsOn: resource.dependsOn || [],
+        existing: resource.existing === true,
+        deployment: nested ? {
+          // With "inner" scope the nested template has its own parameters and variables
+          scope: (properties.expressionEvaluationOptions && properties.expressionEvaluationOptions.scope) || 'outer',
+          parameters: properties.parameters || {},
+          ...this.parseNestedTemplate(properties.template)
+        } : null
+      };
+    });
+  },
+
+  /**
+   * Checks whether a template value is an ARM expression such as "[resourceGroup().location]"
+   * @param {*} value - Template value
+   * @returns {boolean} True for expressions
+   */
+  isExpression: function(value) {
+    return typeof value === 'string' && /^\[[^[]/.test(value) && value.endsWith(']');
+  },
+
+  /**
+   * Converts a raw form value to the parameter's type
+   * @param {Object} param - Parameter descriptor
+   * @param {*} rawValue - Value read from the form control
+   * @returns {*} Typed value, or undefined if it can't be converted
+   */
+  coerce: function(param, rawValue) {
+    switch (param.type) {
+      case 'int': {
+        if (typeof rawValue === 'number') return rawValue;
+        const text = String(rawValue).trim();
+        return /^-?\d+$/.test(text) ? parseInt(text, 10) : undefined;
+      }
+      case 'bool':
+        return rawValue === true || rawValue === 'true';
+      case 'object':
+      case 'array': {
+        if (typeof rawValue !== 'string') return rawValue;
+        if (rawValue.trim() === '') return param.type === 'array' ? [] : {};
+        try {
+          return JSON.parse(rawValue);
+        } catch (e) {
+          return undefined;
+        }
+      }
+      default:
+        return typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    }
+  },
+
+  /**
+   * Checks that a typed value has the parameter's type, ignoring its constraints
+   * @param {Object} param - Parameter descriptor
+   * @param {*} value - Typed value (see coerce)
+   * @returns {Object} {valid: boolean, message: string}
+   */
+  validateType: function(param, value) {
+    const checks = {
+      int: [Number.isInteger, 'a whole number'],
+      bool: [v => typeof v === 'boolean', 'true or false'],
+      object: [v => v !== null && typeof v === 'object' && !Array.isArray(v), 'a JSON object'],
+      array: [Array.isArray, 'a JSON array']
+    };
+    const [test, expected] = checks[param.type] || [v => typeof v === 'string', 'text'];
+    return test(value) ? { valid: true, message: '' } : { valid: false, message: `Must be ${expected}` };
+  },
+
+  /**
+   * Validates a typed value against the parameter's constraints
+   * @param {Object} param - Parameter descriptor
+   * @param {*} value - Typed value (see coerce)
+   * @returns {Object} {valid: boolean, message: string}
+   */
+  validate: function(param, value) {
+    const typeResult = this.validateType(param, value);
+    if (!typeResult.valid) {
+      return typeResult;
+    }
+
+    if (param.allowedValues && !param.allowedValues.includes(value)) {
+      return { valid: false, message: `Must be one of: ${param.allowedValues.join(', ')}` };
+    }
+
+    if (param.type === 'int') {
+      const min = param.minValue;
+      const max = param.maxValue;
+      if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+        if (min !== undefined && max !== undefined) {
+          return { valid: false, message: `Must be between ${min} and ${max}` };
+        }
+        return { valid: false, message: min !== undefined ? `Must be at least ${min}` : `Must be at most ${max}` };
+      }
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+      if (param.minLength !== undefined && value.length < param.minLength) {
+        return { valid: false, message: `Must be at least ${param.minLength} characters` };
+      }
+      if (param.maxLength !== undefined && value.length > param.maxLength) {
+        return { valid: false, message: `Must be at most ${param.maxLength} characters` };
+      }
+    }
+
+    return { valid: true, message: '' };
+  },
+
+  /**
+   * Builds a display label from a parameter name
+   * e.g. "dataExplorerRawRetentionInDays" → "Data Explorer Raw Retention In Days"
+   * @param {string} name - Parameter name
+   * @returns {string} Label
+   */
+  formatLabel: function(name) {
+    const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  },
+
+  /**
+   * Removes the "Optional." / "Required." prefix from template descriptions
+   * @param {string} description - Template parameter description
+   * @returns {string} Help text
+   */
+  formatHelpText: function(description) {
+    return description.replace(/^(Optional|Required)\.\s*/, '');
+  },
+
+  // Save the parsed schema to localStorage
+  saveCache: function(schema) {
+    try {
+      localStorage.setItem(this.cacheKey, JSON.stringify({ version: this.cacheVersion, schema: schema }));
+    } catch (e) {
+      console.warn('Could not cache template parameters', e);
+    }
+  },
+
+  // Load the parsed schema from localStorage
+  loadCache: function() {
+    try {
+      const cached = localStorage.getItem(this.cacheKey);
+      if (!cached) return null;
+
+      const entry = JSON.parse(cached);
+      return entry && entry.version === this.cacheVersion ? entry.schema : null;
+    } catch (e) {
+      return null;
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateSchema;
+}
@@ -33,13 +33,47 @@ const FinOpsUtils = {
     return guidRegex.test(subscriptionId.trim());
   },
 
+  // Cost Management scope ID formats, by scope type
+  // See https://learn.microsoft.com/azure/cost-management-billing/costs/understand-work-scopes
+  scopePatterns: {
+    subscription: /^\/subscriptions\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    resourceGroup: /^\/subscriptions\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\/resourceGroups\/[^/\s]+$/i,
+    managementGroup: /^\/providers\/Microsoft\.Management\/managementGroups\/[\w\-.()]{0,89}[\w\-()]$/i,
+    // EA enrollments, their departments and accounts have numeric IDs
+    enrollment: /^\/providers\/Microsoft\.Billing\/billingAccounts\/\d+$/i,
+    department: /^\/providers\/Microsoft\.Billing\/billingAccounts\/\d+\/departments\/\d+$/i,
+    enrollmentAccount: /^\/providers\/Microsoft\.Billing\/billingAccounts\/\d+\/enrollmentAccounts\/\d+$/i,
+    // MCA billing accounts are {guid}:{guid}_{date}; profiles and invoice sections are XXXX-XXXX-XXX-XXX
+    billingAccount: /^\/providers\/Microsoft\.Billing\/billingAccounts\/[0-9a-f-]{36}:[0-9a-f-]{36}_\d{4}-\d{2}-\d{2}$/i,
+    billingProfile: /^\/providers\/Microsoft\.Billing\/billingAccounts\/[0-9a-f-]{36}:[0-9a-f-]{36}_\d{4}-\d{2}-\d{2}\/billingProfiles\/[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{3}-[a-z0-9]{3}$/i,
+    invoiceSection: /^\/providers\/Microsoft\.Billing\/billingAccounts\/[0-9a-f-]{36}:[0-9a-f-]{36}_\d{4}-\d{2}-\d{2}\/billingProfiles\/[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{3}-[a-z0-9]{3}\/invoiceSections\/[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{3}-[a-z0-9]{3}$/i,
+    // Customers of a Microsoft Partner Agreement billing account
+    customer: /^\/providers\/Microsoft\.Billing\/billingAccounts\/[0-9a-f-]{36}:[0-9a-f-]{36}_\d{4}-\d{2}-\d{2}\/customers\/[^/\s]+$/i
+  },
+
+  /**
+   * Validates a Cost Management scope ID
+   * @param {string} scopeId - The scope ID to validate
+   * @param {string} scopeType - Key in scopePatterns the ID must be; any supported scope when omitted
+   * @returns {boolean} True if the scope ID has a supported format
+   * @throws {Error} If the scope type isn't supported
+   */
+  validateScopeId: function(scopeId, scopeType) {
+    if (scopeType && !this.scopePatterns[scopeType]) {
+      throw new Error(`Unknown scope type: ${scopeType}`);
+    }
+    const trimmed = typeof scopeId === 'string' ? scopeId.trim() : '';
+    const types = scopeType ? [scopeType] : Object.keys(this.scopePatterns);
+    return types.some(type => this.scopePatterns[type].test(trimmed));
+  },
+
   /**
-   * Parses multiple subscription IDs from textarea input
+   * Parses a list of IDs (subscription or scope IDs) from textarea input
    * Supports comma-separated, newline-separated, or space-separated
    * @param {string} input - Raw input string
-   * @returns {Array} Array of trimmed subscription IDs
+   * @returns {Array} Array of trimmed IDs
    */
-  parseSubscriptionIds: function(input) {
+  parseIdList: function(input) {
     if (!input) return [];
 
     // Split by newlines, commas, or spaces
@@ -51,11 +85,15 @@ const FinOpsUtils = {
 
   /**
    * Formats currency with proper symbol and decimals
+   * Amounts are US dollars, shown in the selected display currency (see Currency)
    * @param {number} amount - Amount to format
    * @param {boolean} includeDecimals - Include decimal places
    * @returns {string} Formatted currency string
    */
   formatCurrency: function(amount, includeDecimals = true) {
+    if (typeof Currency !== 'undefined') {
+      return Currency.format(amount, includeDecimals);
+    }
     if (includeDecimals) {
       return `$${amount.toFixed(2)}`;
     }
@@ -91,6 +129,24 @@ const FinOpsUtils = {
     }
   },
 
+  /**
+   * Triggers a browser download for generated text content
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File content
+   * @param {string} mimeType - MIME type of the content
+   */
+  downloadFile: function(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  },
+
   /**
    * Shows a temporary success message
    * @param {HTMLElement} element - Element to show message in
@@ -172,9 +228,8 @@ const FinOpsUtils = {
    * @returns {string} Escaped text
    */
   escapeHtml: function(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+    return String(text === null || text === undefined ? '' : text).replace(/[&<>"']/g, character => entities[character]);
   },
 
   /**
@@ -224,39 +279,78 @@ const FinOpsUtils = {
   },
 
   /**
-   * Azure region display names
+   * Azure regions with the capabilities the hub depends on
+   * geography: data residency geography; euDataBoundary: in the EU Data Boundary;
+   * zones: availability zones (required for Premium ZRS storage); dataExplorer and fabric:
+   * Azure Data Explorer clusters and Fabric capacities offered; pairedRegion: cross-region replication pair
+   * See https://learn.microsoft.com/azure/reliability/availability-zones-region-support
    */
   azureRegions: [
-    { value: 'eastus', label: 'East US', recommended: true },
-    { value: 'eastus2', label: 'East US 2', recommended: true },
-    { value: 'westus', label: 'West US', recommended: false },
-    { value: 'westus2', label: 'West US 2', recommended: true },
-    { value: 'westus3', label: 'West US 3', recommended: false },
-    { value: 'centralus', label: 'Central US', recommended: true },
-    { value: 'northcentralus', label: 'North Central US', recommended: false },
-    { value: 'southcentralus', label: 'South Central US', recommended: false },
-    { value: 'westcentralus', label: 'West Central US', recommended: false },
-    { value: 'northeurope', label: 'North Europe', recommended: true },
-    { value: 'westeurope', label: 'West Europe', recommended: true },
-    { value: 'uksouth', label: 'UK South', recommended: true },
-    { value: 'ukwest', label: 'UK West', recommended: false },
-    { value: 'francecentral', label: 'France Central', recommended: false },
-    { value: 'germanywestcentral', label: 'Germany West Central', recommended: false },
-    { value: 'swedencentral', label: 'Sweden Central', recommended: false },
-    { value: 'southeastasia', label: 'Southeast Asia', recommended: true },
-    { value: 'eastasia', label: 'East Asia', recommended: false },
-    { value: 'australiaeast', label: 'Australia East', recommended: true },
-    { value: 'australiasoutheast', label: 'Australia Southeast', recommended: false },
-    { value: 'japaneast', label: 'Japan East', recommended: true },
-    { value: 'japanwest', label: 'Japan West', recommended: false },
-    { value: 'koreacentral', label: 'Korea Central', recommended: false },
-    { value: 'canadacentral', label: 'Canada Central', recommended: true },
-    { value: 'brazilsouth', label: 'Brazil South', recommended: false },
-    { value: 'southafricanorth', label: 'South Africa North', recommended: false },
-    { value: 'uaenorth', label: 'UAE North', recommended: false },
-    { value: 'switzerlandnorth', label: 'Switzerland North', recommended: false }
+    { value: 'eastus', label: 'East US', recommended: true, geography: 'United States', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'westus' },
+    { value: 'eastus2', label: 'East US 2', recommended: true, geography: 'United States', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'centralus' },
+    { value: 'westus', label: 'West US', recommended: false, geography: 'United States', euDataBoundary: false, zones: false, dataExplorer: true, fabric: true, pairedRegion: 'eastus' },
+    { value: 'westus2', label: 'West US 2', recommended: true, geography: 'United States', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'westcentralus' },
+    { value: 'westus3', label: 'West US 3', recommended: false, geography: 'United States', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'eastus' },
+    { value: 'centralus', label: 'Central US', recommended: true, geography: 'United States', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'eastus2' },
+    { value: 'northcentralus', label: 'North Central US', recommended: false, geography: 'United States', euDataBoundary: false, zones: false, dataExplorer: true, fabric: true, pairedRegion: 'southcentralus' },
+    { value: 'southcentralus', label: 'South Central US', recommended: false, geography: 'United States', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'northcentralus' },
+    { value: 'westcentralus', label: 'West Central US', recommended: false, geography: 'United States', euDataBoundary: false, zones: false, dataExplorer: true, fabric: false, pairedRegion: 'westus2' },
+    { value: 'northeurope', label: 'North Europe', recommended: true, geography: 'Europe', euDataBoundary: true, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'westeurope' },
+    { value: 'westeurope', label: 'West Europe', recommended: true, geography: 'Europe', euDataBoundary: true, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'northeurope' },
+    { value: 'uksouth', label: 'UK South', recommended: true, geography: 'United Kingdom', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'ukwest' },
+    { value: 'ukwest', label: 'UK West', recommended: false, geography: 'United Kingdom', euDataBoundary: false, zones: false, dataExplorer: true, fabric: true, pairedRegion: 'uksouth' },
+    { value: 'francecentral', label: 'France Central', recommended: false, geography: 'France', euDataBoundary: true, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'francesouth' },
+    { value: 'germanywestcentral', label: 'Germany West Central', recommended: false, geography: 'Germany', euDataBoundary: true, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'germanynorth' },
+    { value: 'swedencentral', label: 'Sweden Central', recommended: false, geography: 'Sweden', euDataBoundary: true, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'swedensouth' },
+    { value: 'southeastasia', label: 'Southeast Asia', recommended: true, geography: 'Asia Pacific', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'eastasia' },
+    { value: 'eastasia', label: 'East Asia', recommended: false, geography: 'Asia Pacific', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'southeastasia' },
+    { value: 'australiaeast', label: 'Australia East', recommended: true, geography: 'Australia', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'australiasoutheast' },
+    { value: 'australiasoutheast', label: 'Australia Southeast', recommended: false, geography: 'Australia', euDataBoundary: false, zones: false, dataExplorer: true, fabric: true, pairedRegion: 'australiaeast' },
+    { value: 'japaneast', label: 'Japan East', recommended: true, geography: 'Japan', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'japanwest' },
+    { value: 'japanwest', label: 'Japan West', recommended: false, geography: 'Japan', euDataBoundary: false, zones: false, dataExplorer: true, fabric: true, pairedRegion: 'japaneast' },
+    { value: 'koreacentral', label: 'Korea Central', recommended: false, geography: 'Korea', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'koreasouth' },
+    { value: 'canadacentral', label: 'Canada Central', recommended: true, geography: 'Canada', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'canadaeast' },
+    { value: 'brazilsouth', label: 'Brazil South', recommended: false, geography: 'Brazil', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'southcentralus' },
+    { value: 'southafricanorth', label: 'South Africa North', recommended: false, geography: 'South Africa', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'southafricawest' },
+    { value: 'uaenorth', label: 'UAE North', recommended: false, geography: 'United Arab Emirates', euDataBoundary: false, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'uaecentral' },
+    { value: 'switzerlandnorth', label: 'Switzerland North', recommended: false, geography: 'Switzerland', euDataBoundary: true, zones: true, dataExplorer: true, fabric: true, pairedRegion: 'switzerlandwest' }
   ],
 
+  /**
+   * Display names for paired regions that aren't offered for hubs
+   */
+  pairedRegionLabels: {
+    francesouth: 'France South',
+    germanynorth: 'Germany North',
+    swedensouth: 'Sweden South',
+    koreasouth: 'Korea South',
+    canadaeast: 'Canada East',
+    southafricawest: 'South Africa West',
+    uaecentral: 'UAE Central',
+    switzerlandwest: 'Switzerland West'
+  },
+
+  /**
+   * Get a region's display name
+   * @param {string} value - Region name, e.g. "westeurope"
+   * @returns {string} Display name, or the name itself if unknown
+   */
+  getRegionLabel: function(value) {
+    const region = this.azureRegions.find(r => r.value === value);
+    return region ? region.label : (this.pairedRegionLabels[value] || value);
+  },
+
+  /**
+   * Check whether a region is in a geography filter
+   * @param {Object} region - Entry of azureRegions
+   * @param {string} filter - '' for all, 'eu' for the EU Data Boundary, or a geography
+   * @returns {boolean} True if the region matches
+   */
+  isRegionInGeography: function(region, filter) {
+    if (!filter) return true;
+    return filter === 'eu' ? region.euDataBoundary : region.geography === filter;
+  },
+
   /**
    * Storage SKU options with details
    */
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+function highlighted(page) {
+  return [...page.document.querySelectorAll('.arch-component.flow-highlight')].map(element => element.getAttribute('data-component'));
+}
+
+test('the data flow animation steps through each flow and stops on pause', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const diagram = page.get('ArchitectureDiagram');
+  const flows = diagram.dataFlow.filter(flow => flow.from !== 'dataExplorer' && flow.to !== 'dataExplorer');
+  const playButton = page.document.getElementById('playAnimation');
+  const description = page.document.getElementById('flowDescription');
+
+  playButton.click();
+  assert.equal(playButton.textContent, '⏸ Pause');
+  assert.deepEqual(highlighted(page), [flows[0].from]);
+  assert.equal(description.style.display, 'block');
+  assert.ok(description.textContent.includes(flows[0].label));
+
+  // The destination lights up half a second later
+  page.clock.tick(500);
+  assert.deepEqual(highlighted(page).sort(), [flows[0].from, flows[0].to].sort());
+
+  // Each step takes 2.5 seconds and skips Data Explorer while it's hidden
+  for (let step = 1; step <= flows.length; step++) {
+    page.clock.tick(2000);
+    const flow = flows[step % flows.length];
+    assert.ok(description.textContent.includes(flow.description), `Step ${step}`);
+    page.clock.tick(500);
+    assert.ok(highlighted(page).includes(flow.to), `Step ${step}`);
+  }
+
+  playButton.click();
+  assert.equal(playButton.textContent, '▶ Play Data Flow');
+  assert.equal(diagram.animationRunning, false);
+  assert.equal(description.style.display, 'none');
+  page.clock.tick(5000);
+  assert.deepEqual(highlighted(page), []);
+});
+
+test('the animation includes Data Explorer flows when it is shown', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const diagram = page.get('ArchitectureDiagram');
+  const toggle = page.document.getElementById('toggleDataExplorer');
+
+  toggle.checked = true;
+  toggle.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  page.document.getElementById('playAnimation').click();
+
+  const seen = new Set();
+  for (let step = 0; step < diagram.dataFlow.length; step++) {
+    page.clock.tick(500);
+    highlighted(page).forEach(component => seen.add(component));
+    page.clock.tick(2000);
+  }
+  assert.ok(seen.has('dataExplorer'));
+  diagram.stopAnimation();
+});
+
+test('showing Data Explorer reveals its component and raises the cost range', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const toggle = page.document.getElementById('toggleDataExplorer');
+  const cost = page.document.getElementById('architectureCost');
+  const component = page.document.querySelector('.arch-component[data-component="dataExplorer"]');
+
+  assert.equal(component.style.display, 'none');
+  const before = cost.textContent;
+
+  toggle.checked = true;
+  toggle.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  assert.equal(component.style.display, 'block');
+  assert.notEqual(cost.textContent, before);
+});
+
+test('component costs come from the pricing catalog for the builder\'s region and SKU', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+  const label = component => page.document.querySelector(`.arch-component[data-component="${component}"] .arch-cost`).textContent;
+  const format = value => page.get('FinOpsUtils').formatCurrency(value, value < 10);
+  const storageRange = () => {
+    const low = builder.calculateCosts({ ...builder.config, analyticsBackend: 'storage', subscriptionCount: 1 }).storage;
+    const high = builder.calculateCosts({ ...builder.config, analyticsBackend: 'storage', subscriptionCount: 25 }).storage;
+    return `${format(low)}–${format(high)}/mo`;
+  };
+
+  const before = label('storage');
+  assert.equal(before, storageRange());
+  assert.equal(label('managedIdentity'), 'Free');
+
+  builder.config.region = 'brazilsouth';
+  builder.config.storageSku = 'Premium_ZRS';
+  builder.updateCostEstimate();
+  assert.equal(label('storage'), storageRange());
+  assert.notEqual(label('storage'), before);
+  assert.match(label('keyVault'), /\/mo$/);
+});
+
+test('clicking a component opens its details until clicking elsewhere', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const diagram = page.get('ArchitectureDiagram');
+  const panel = page.document.getElementById('componentDetailPanel');
+  const storage = page.document.querySelector('.arch-component[data-component="storage"]');
+
+  storage.click();
+  assert.ok(panel.classList.contains('visible'));
+  assert.ok(storage.classList.contains('selected'));
+  assert.ok(page.document.getElementById('componentDetailContent').textContent.includes(diagram.components.storage.name));
+
+  page.document.body.click();
+  assert.equal(panel.classList.contains('visible'), false);
+  assert.equal(storage.classList.contains('selected'), false);
+});
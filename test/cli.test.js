@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const core = require('../cli/core');
+
+const cli = path.join(__dirname, '..', 'cli', 'finops-hub.js');
+
+function run(...args) {
+  return spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8' });
+}
+
+test('config prints the parameters file the builder downloads', () => {
+  const result = run('config', '--hub-name', 'contoso', '--region', 'westeurope', '--storage-sku', 'Premium_ZRS');
+  const schema = core.readTemplate();
+  const config = { ...core.HubConfig.getDefaultConfig(schema), hubName: 'contoso', region: 'westeurope', storageSku: 'Premium_ZRS' };
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout, JSON.stringify(core.HubConfig.buildParametersFile(schema, config), null, 2) + '\n');
+});
+
+test('config leaves the remote hub storage key out of the parameters file', () => {
+  const key = 'a2V5'.padEnd(86, 'A') + '==';
+  const result = run('config', '--hub-name', 'contoso', '--remote-hub-storage-uri', 'https://remotehub.dfs.core.windows.net/', '--remote-hub-storage-key', key);
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout.includes(key), false);
+  assert.equal(JSON.parse(result.stdout).parameters.remoteHubStorageKey, undefined);
+  assert.match(result.stderr, /pass them when you deploy: remoteHubStorageKey/);
+});
+
+test('config exits with 1 and writes nothing when the configuration has errors', () => {
+  const result = run('config', '--hub-name', 'Contoso');
+
+  assert.equal(result.status, 1);
+  assert.equal(result.stdout, '');
+  assert.match(result.stderr, /Hub Name: Only lowercase letters and numbers allowed/);
+});
+
+test('template parameters can be set by template name, and lists repeated', () => {
+  const result = run('validate', '--json', '--hub-name', 'contoso', '--location', 'westeurope',
+    '--scopes-to-monitor', '/subscriptions/12345678-1234-1234-1234-123456789012', '--scopes-to-monitor', 'bad');
+  const report = JSON.parse(result.stdout);
+
+  assert.equal(result.status, 1);
+  assert.deepEqual(report.errors.map(error => error.field), ['scopesToMonitor']);
+  assert.match(report.errors[0].message, /bad/);
+});
+
+test('resources lists what the template deploys, as the builder previews it', () => {
+  const result = run('resources', '--json', '--hub-name', 'contoso', '--analytics-backend', 'dataExplorer', '--data-explorer-name', 'contosoadx');
+  const schema = core.readTemplate();
+  const config = { ...core.HubConfig.getDefaultConfig(schema), hubName: 'contoso', analyticsBackend: 'dataExplorer', dataExplorerName: 'contosoadx' };
+  const expected = core.HubConfig.previewResources(schema, config);
+  const report = JSON.parse(result.stdout);
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.deepEqual(report.summary, core.ResourcePreview.summarize(expected));
+  assert.deepEqual(report.resources, expected.filter(resource => resource.status !== 'skip'));
+  assert.ok(report.resources.some(resource => resource.type === 'Microsoft.Kusto/clusters' && resource.name === 'contosoadx'));
+});
+
+test('drift compares az resource list output with the configuration', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finops-hub-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const schema = core.readTemplate();
+  const target = { subscriptionId: '12345678-1234-1234-1234-123456789012', resourceGroupName: 'finops-rg' };
+  const config = { ...core.HubConfig.getDefaultConfig(schema), hubName: 'contoso', ...target };
+  const resources = core.DriftReport.getExpectedResources(core.HubConfig.previewResources(schema, config))
+    .map(resource => ({ id: resource.resourceId, name: resource.name, type: resource.type, sku: resource.sku, tags: resource.tags }));
+  const file = path.join(dir, 'resources.json');
+  fs.writeFileSync(file, JSON.stringify(resources));
+
+  const matching = run('drift', '--hub-name', 'contoso', '--deployed', file);
+  assert.equal(matching.status, 0, matching.stderr);
+  assert.match(matching.stdout, /matches the configuration/);
+  assert.match(matching.stdout, /Parameters weren't compared/);
+
+  const drifted = run('drift', '--json', '--hub-name', 'contoso', '--storage-sku', 'Premium_ZRS', '--deployed', file);
+  assert.equal(drifted.status, 1);
+  assert.deepEqual(JSON.parse(drifted.stdout).skus.map(entry => [entry.expected, entry.actual]), [['Premium_ZRS', 'Premium_LRS']]);
+
+  assert.equal(run('drift', '--hub-name', 'contoso').status, 2);
+  assert.equal(run('drift', '--hub-name', 'contoso', '--deployed', path.join(dir, 'missing.json')).status, 2);
+});
+
+test('the template parameters shipped with the site match template.json', () => {
+  const result = run('schema');
+  const shipped = fs.readFileSync(path.join(__dirname, '..', 'docs', 'data', 'template-schema.json'), 'utf8');
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout, shipped, 'Run: node cli/finops-hub.js schema --out docs/data/template-schema.json');
+});
+
+test('unknown options and commands are usage errors', () => {
+  assert.equal(run('config', '--hub', 'contoso').status, 2);
+  assert.equal(run('deploy').status, 2);
+  assert.equal(run('config', '--enable-public-access', 'maybe').status, 2);
+});
+
+test('exports generates the export script for each subscription', () => {
+  const result = run('exports', '--hub-name', 'contoso', '--subscriptions', '12345678-1234-1234-1234-123456789012,87654321-4321-4321-4321-210987654321');
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /^# FinOps Hub: contoso$/m);
+  assert.match(result.stdout, /Scope = "\/subscriptions\/87654321-4321-4321-4321-210987654321"/);
+});
+
+test('exports takes billing and management group scopes with --scope-type', () => {
+  const result = run('exports', '--hub-name', 'contoso', '--scope-type', 'managementGroup', '--scopes', 'contoso-finops', '--portal');
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stdout, core.ExportScripts.generatePortalInstructions('contoso', ['contoso-finops'], { scopeType: 'managementGroup' }) + '\n');
+  assert.equal(run('exports', '--hub-name', 'contoso', '--scope-type', 'enrollment', '--scopes', 'contoso').status, 1);
+  assert.equal(run('exports', '--hub-name', 'contoso', '--scope-type', 'enrollment', '--subscriptions', '1234567').status, 2);
+  assert.equal(run('exports', '--hub-name', 'contoso', '--scope-type', 'tenant', '--scopes', '1234567').status, 2);
+});
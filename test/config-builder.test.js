@@ -0,0 +1,390 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+const subscriptionId = '12345678-1234-1234-1234-123456789012';
+
+// Type into a control and let its debounce run
+function type(page, id, value) {
+  const element = page.document.getElementById(id);
+  element.value = value;
+  element.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+  page.clock.tick(500);
+  return element;
+}
+
+function choose(page, selector) {
+  const element = page.document.querySelector(selector);
+  element.checked = true;
+  element.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  return element;
+}
+
+// URL fragment for a share link with the given values (see ConfigShare.encode)
+function shareHash(values) {
+  return '#config=1.' + Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function errorFor(element) {
+  const message = element.parentNode.querySelector('.error-message');
+  return message ? message.textContent : null;
+}
+
+test('the builder renders a control for every template parameter', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+
+  assert.ok(builder.schema.length > 0);
+  builder.schema.forEach(param => {
+    const id = builder.elementId(builder.fieldFor(param));
+    const found = page.document.getElementById(id) || page.document.querySelector(`[name="${id}"]`);
+    assert.ok(found, `No control for ${param.name}`);
+  });
+  assert.deepEqual(page.errors, []);
+});
+
+test('the builder renders from the template parameters shipped with the site when offline', async t => {
+  const page = await loadPage({ offline: true });
+  t.after(() => page.close());
+  await page.settle();
+
+  const basicFields = page.document.getElementById('configBasicFields');
+  assert.ok(page.document.getElementById('configHubName'));
+  assert.ok(!basicFields.textContent.includes('Could not load the template parameters'));
+  assert.ok(page.get('ConfigBuilder').deployment.resources.length > 0);
+});
+
+test('template parameters cached by earlier versions are ignored', async t => {
+  const legacyCache = JSON.stringify([{ name: 'hubName', type: 'string', label: 'Hub Name' }]);
+  const page = await loadPage({ offline: true, storage: { 'finops-template-schema': legacyCache } });
+  t.after(() => page.close());
+  await page.settle();
+
+  const builder = page.get('ConfigBuilder');
+  assert.ok(builder.schema.length > 1);
+  assert.ok(builder.deployment.resources.length > 0);
+});
+
+test('typing a hub name validates it inline', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+
+  const input = type(page, 'configHubName', 'Contoso');
+  assert.equal(errorFor(input), 'Only lowercase letters and numbers allowed');
+  assert.equal(builder.config.hubName, '');
+
+  type(page, 'configHubName', 'contoso');
+  assert.equal(errorFor(input), null);
+  assert.ok(input.classList.contains('valid'));
+  assert.equal(builder.config.hubName, 'contoso');
+});
+
+test('estimation inputs reject values out of range and update the cost estimate', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+  const estimate = page.document.getElementById('estimatedCost');
+
+  const input = type(page, 'configSubscriptionCount', '0');
+  assert.equal(errorFor(input), 'Must be a whole number between 1 and 1,000');
+  assert.equal(builder.config.subscriptionCount, 1);
+
+  const before = estimate.textContent;
+  type(page, 'configSubscriptionCount', '500');
+  assert.equal(builder.config.subscriptionCount, 500);
+  assert.notEqual(estimate.textContent, before);
+  assert.equal(estimate.textContent, page.get('FinOpsUtils').formatCurrency(builder.calculateCosts().total, true));
+});
+
+test('choosing Data Explorer shows its settings and requires a cluster name', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+
+  type(page, 'configHubName', 'contoso');
+  const storageOnly = builder.calculateCosts().total;
+  choose(page, 'input[name="configAnalyticsBackend"][value="dataExplorer"]');
+
+  const group = page.document.querySelector('#configBackendFields [data-backend="dataExplorer"]');
+  assert.equal(group.style.display, 'block');
+  assert.ok(builder.calculateCosts().total > storageOnly);
+
+  page.document.getElementById('generateDeployBtn').click();
+  assert.equal(page.alerts.length, 1);
+  assert.match(page.alerts[0], /Data Explorer Cluster Name: Required for the Azure Data Explorer back-end/);
+  assert.equal(errorFor(page.document.getElementById('configDataExplorerName')), 'Required for the Azure Data Explorer back-end');
+  assert.equal(page.document.getElementById('deploymentSummary').style.display, 'none');
+});
+
+test('the what-if preview follows the analytics back-end', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const preview = page.document.getElementById('resourcePreview');
+  const clusters = () => [...preview.querySelectorAll('tr.what-if-create')]
+    .filter(row => row.cells[1].textContent === 'Microsoft.Kusto/clusters')
+    .map(row => row.cells[2].textContent);
+
+  type(page, 'configHubName', 'contoso');
+  const summary = preview.querySelector('.what-if-summary').textContent;
+  assert.deepEqual(clusters(), []);
+
+  preview.querySelector('details').open = true;
+  choose(page, 'input[name="configAnalyticsBackend"][value="dataExplorer"]');
+  type(page, 'configDataExplorerName', 'contosoadx');
+
+  assert.deepEqual(clusters(), ['contosoadx']);
+  assert.notEqual(preview.querySelector('.what-if-summary').textContent, summary);
+  assert.ok(preview.querySelector('details').open);
+  assert.deepEqual(page.errors, []);
+});
+
+test('the drift check compares a loaded resource list with the profile', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+  const report = page.document.getElementById('driftReport');
+
+  type(page, 'configHubName', 'contoso');
+  const resources = builder.previewResources({ ...builder.config, resourceGroupName: 'finops-rg', subscriptionId: subscriptionId })
+    .filter(resource => resource.status === 'create' && resource.type === 'Microsoft.Storage/storageAccounts')
+    .slice(-1)
+    .map(resource => ({ id: resource.resourceId, name: resource.name, type: resource.type, sku: { name: 'Premium_ZRS' }, tags: resource.tags }));
+  await builder.importDeployedHub([{ name: 'resources.json', text: async () => JSON.stringify(resources) }]);
+
+  assert.match(report.querySelector('.drift-summary').textContent, /difference/);
+  assert.match(report.textContent, /Unexpected SKUs \(1\)/);
+  assert.match(report.textContent, /Missing Resources/);
+
+  // The report follows the profile
+  choose(page, 'input[name="configStorageSku"][value="Premium_ZRS"]');
+  assert.doesNotMatch(report.textContent, /Unexpected SKUs/);
+
+  page.document.getElementById('clearDriftBtn').click();
+  assert.equal(report.innerHTML, '');
+  assert.deepEqual(page.alerts, []);
+  assert.deepEqual(page.errors, []);
+});
+
+test('generating a deployment shows the parameters file for the form values', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+
+  type(page, 'configHubName', 'contoso');
+  const region = page.document.getElementById('configRegion');
+  region.value = 'westeurope';
+  region.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  type(page, 'configSubscriptionId', subscriptionId);
+
+  page.document.getElementById('generateDeployBtn').click();
+  assert.deepEqual(page.alerts, []);
+
+  const summary = page.document.getElementById('deploymentSummary');
+  assert.notEqual(summary.style.display, 'none');
+  assert.ok(summary.textContent.includes(JSON.stringify(builder.buildParametersFile(), null, 2)));
+
+  // Objects from the page's realm compare by value once copied
+  const parameters = JSON.parse(JSON.stringify(builder.buildParametersFile().parameters));
+  assert.deepEqual(parameters.hubName, { value: 'contoso' });
+  assert.deepEqual(parameters.location, { value: 'westeurope' });
+  assert.equal(page.document.getElementById('deployTimeParameters'), null);
+});
+
+test('the deployment summary never shows the remote hub storage key', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+
+  const key = 'a2V5'.padEnd(86, 'A') + '==';
+  type(page, 'configHubName', 'contoso');
+  const region = page.document.getElementById('configRegion');
+  region.value = 'westeurope';
+  region.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  type(page, 'configSubscriptionId', subscriptionId);
+  type(page, 'configRemoteHubStorageUri', 'https://remotehub.dfs.core.windows.net/');
+  type(page, 'configRemoteHubStorageKey', key);
+
+  page.document.getElementById('generateDeployBtn').click();
+  assert.deepEqual(page.alerts, []);
+
+  const summary = page.document.getElementById('deploymentSummary');
+  assert.equal(summary.textContent.includes(key), false);
+  assert.match(page.document.getElementById('deployTimeParameters').textContent, /remoteHubStorageKey="\$REMOTE_HUB_STORAGE_KEY"/);
+});
+
+test('the builder restores the saved profile', async t => {
+  const saved = {
+    schemaVersion: 2,
+    activeProfile: 'Prod',
+    profiles: { Prod: { hubName: 'savedhub', region: 'northeurope', analyticsBackend: 'storage' } }
+  };
+  const page = await loadPage({ storage: { 'finops-config-profiles': JSON.stringify(saved) } });
+  t.after(() => page.close());
+
+  assert.equal(page.get('ConfigBuilder').config.hubName, 'savedhub');
+  assert.equal(page.document.getElementById('configHubName').value, 'savedhub');
+  assert.equal(page.document.getElementById('configRegion').value, 'northeurope');
+});
+
+test('saved values of the wrong type fall back to their defaults', async t => {
+  const saved = {
+    schemaVersion: 2,
+    activeProfile: 'Prod',
+    profiles: { Prod: { hubName: 'savedhub', scopesToMonitor: 42, exportRetention: 'seven' } }
+  };
+  const page = await loadPage({ storage: { 'finops-config-profiles': JSON.stringify(saved) } });
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+
+  assert.deepEqual(page.errors, []);
+  assert.equal(page.document.getElementById('configHubName').value, 'savedhub');
+  assert.equal(JSON.stringify(builder.config.scopesToMonitor), '[]');
+  assert.equal(builder.config.exportRetention, 0);
+  assert.ok(!page.document.getElementById('configBasicFields').textContent.includes('Check your connection'));
+});
+
+test('a share link opens as a new profile when it differs from the saved one', async t => {
+  const saved = {
+    schemaVersion: 2,
+    activeProfile: 'Prod',
+    profiles: { Prod: { hubName: 'savedhub', region: 'northeurope', analyticsBackend: 'storage' } }
+  };
+  const page = await loadPage({
+    hash: shareHash({ hubName: 'sharedhub', region: 'westeurope' }),
+    storage: { 'finops-config-profiles': JSON.stringify(saved) }
+  });
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+  const stored = () => JSON.parse(page.window.localStorage.getItem('finops-config-profiles'));
+
+  assert.equal(page.document.getElementById('configHubName').value, 'sharedhub');
+  assert.equal(stored().activeProfile, 'Shared - sharedhub');
+  assert.equal(stored().profiles.Prod.hubName, 'savedhub');
+  assert.equal(stored().profiles['Shared - sharedhub'].region, 'westeurope');
+  assert.equal(page.window.location.hash, '#config-builder');
+
+  page.document.querySelector('[data-share-action="restore"]').click();
+  assert.equal(builder.config.hubName, 'savedhub');
+  assert.equal(page.document.getElementById('configHubName').value, 'savedhub');
+  assert.equal(stored().activeProfile, 'Prod');
+  assert.deepEqual(page.errors, []);
+});
+
+test('values of the wrong type in a share link are ignored and reported', async t => {
+  const page = await loadPage({ hash: shareHash({ hubName: 'contoso', scopesToMonitor: 42, ingestionRetention: 'abc' }) });
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+
+  assert.deepEqual(page.errors, []);
+  assert.equal(builder.config.hubName, 'contoso');
+  assert.equal(JSON.stringify(builder.config.scopesToMonitor), '[]');
+  assert.equal(builder.config.ingestionRetention, 13);
+  assert.equal(page.document.getElementById('configHubName').value, 'contoso');
+
+  const notice = page.document.getElementById('configShareNotice').textContent;
+  assert.match(notice, /Scopes to Monitor \(Must be a JSON array\)/);
+  assert.match(notice, /Processed Data Retention \(months\) \(Must be a whole number\)/);
+  assert.ok(!page.document.getElementById('configBasicFields').textContent.includes('Check your connection'));
+
+  const stored = JSON.parse(page.window.localStorage.getItem('finops-config-profiles'));
+  assert.deepEqual(stored.profiles[stored.activeProfile].scopesToMonitor, []);
+});
+
+test('profiles can be imported, duplicated and deleted', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+  const stored = () => JSON.parse(page.window.localStorage.getItem('finops-config-profiles'));
+  const profileFile = config => ({ name: 'prod.json', text: async () => JSON.stringify({ schemaVersion: 2, name: 'Prod', config: config }) });
+
+  await builder.importProfile(profileFile({ hubName: 'contoso', scopesToMonitor: 'abc', regionGeography: 'eu' }));
+  assert.equal(page.document.getElementById('configHubName').value, 'contoso');
+  assert.equal(builder.config.regionGeography, 'eu');
+  assert.equal(stored().activeProfile, 'Prod');
+
+  await builder.importProfile(profileFile({ hubName: 'broken', scopesToMonitor: 42 }));
+  assert.match(page.alerts[0], /Could not import prod\.json: The profile has invalid values: Scopes to Monitor/);
+  assert.deepEqual(Object.keys(stored().profiles), ['Default', 'Prod']);
+  assert.equal(builder.config.hubName, 'contoso');
+
+  page.window.prompt = () => 'Prod copy';
+  page.document.getElementById('duplicateProfileBtn').click();
+  assert.equal(stored().activeProfile, 'Prod copy');
+  assert.equal(stored().profiles['Prod copy'].hubName, 'contoso');
+
+  page.window.confirm = () => true;
+  page.document.getElementById('deleteProfileBtn').click();
+  assert.deepEqual(Object.keys(stored().profiles), ['Default', 'Prod']);
+  assert.equal(page.document.getElementById('configProfileSelect').value, 'Default');
+  assert.deepEqual(page.errors, []);
+});
+
+test('the remote hub storage key is never written to localStorage', async t => {
+  const storedKey = 'c3RvcmVk'.padEnd(86, 'A') + '==';
+  const saved = {
+    schemaVersion: 2,
+    activeProfile: 'Prod',
+    profiles: { Prod: { hubName: 'savedhub', remoteHubStorageKey: storedKey } }
+  };
+  const page = await loadPage({ storage: { 'finops-config-profiles': JSON.stringify(saved) } });
+  t.after(() => page.close());
+  const builder = page.get('ConfigBuilder');
+  const storage = () => Object.keys(page.window.localStorage).map(key => page.window.localStorage.getItem(key)).join('\n');
+
+  // Profiles saved by earlier versions are cleaned up on load
+  assert.ok(!storage().includes(storedKey));
+
+  const key = 'a2V5'.padEnd(86, 'B') + '==';
+  type(page, 'configRemoteHubStorageUri', 'https://remotehub.dfs.core.windows.net/');
+  type(page, 'configRemoteHubStorageKey', key);
+  type(page, 'configHubName', 'contoso');
+  builder.switchProfile('Prod');
+
+  assert.equal(builder.config.remoteHubStorageKey, key);
+  assert.equal(builder.config.hubName, 'contoso');
+  assert.ok(storage().includes('contoso'));
+  assert.ok(!storage().includes(key));
+});
+
+test('the export wizard generates the PowerShell script', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+
+  type(page, 'wizardHubName', 'contoso');
+  type(page, 'wizardScopeIds', subscriptionId);
+  choose(page, '#outputPowerShell');
+  page.document.getElementById('generateExportBtn').click();
+
+  const code = page.document.getElementById('wizardGeneratedCode').textContent;
+  const expected = page.get('ExportScripts').generatePowerShellScript('contoso', [subscriptionId]);
+  const withoutDate = script => script.replace(/^# Generated: .*$/m, '');
+
+  assert.deepEqual(page.alerts, []);
+  assert.equal(page.document.getElementById('wizardOutput').style.display, 'block');
+  assert.equal(withoutDate(code), withoutDate(expected));
+});
+
+test('the export wizard validates IDs for the selected scope type', async t => {
+  const page = await loadPage();
+  t.after(() => page.close());
+
+  type(page, 'wizardHubName', 'contoso');
+  const select = page.document.getElementById('wizardScopeType');
+  select.value = 'enrollment';
+  select.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  assert.equal(page.document.querySelector('label[for="wizardScopeIds"]').textContent, 'EA billing account (enrollment) IDs *');
+
+  const input = type(page, 'wizardScopeIds', subscriptionId);
+  assert.equal(errorFor(input), '1 invalid enrollment ID(s)');
+
+  type(page, 'wizardScopeIds', '1234567');
+  assert.equal(errorFor(input), null);
+  choose(page, '#outputPowerShell');
+  page.document.getElementById('generateExportBtn').click();
+
+  const code = page.document.getElementById('wizardGeneratedCode').textContent;
+  assert.deepEqual(page.alerts, []);
+  assert.match(code, /--scope \$scope/);
+  assert.match(code, /Scope = "\/providers\/Microsoft\.Billing\/billingAccounts\/1234567"/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../cli/core');
+
+const { ConfigProfiles } = core;
+const schema = core.readTemplate();
+
+// In-memory localStorage for load() and save()
+function useStorage(t, entries = {}) {
+  const items = new Map(Object.entries(entries));
+  globalThis.localStorage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+  t.after(() => delete globalThis.localStorage);
+  return items;
+}
+
+test('exported profiles import with their name and values, without secure fields', () => {
+  const state = ConfigProfiles.createState({ hubName: 'contoso', exportRetention: 7, remoteHubStorageKey: 'secret' }, 'Prod');
+  const file = ConfigProfiles.exportProfile(state, 'Prod', ['remoteHubStorageKey']);
+
+  assert.equal(JSON.parse(file).schemaVersion, ConfigProfiles.schemaVersion);
+  assert.deepEqual(ConfigProfiles.parseProfileFile(file, schema), {
+    name: 'Prod',
+    config: { hubName: 'contoso', exportRetention: 7 }
+  });
+});
+
+test('parseProfileFile rejects files that aren\'t profiles or hold values of the wrong type', () => {
+  assert.throws(() => ConfigProfiles.parseProfileFile('{', schema), /not valid JSON/);
+  assert.throws(() => ConfigProfiles.parseProfileFile('{"config": []}', schema), /not a FinOps hub configuration profile/);
+  assert.throws(() => ConfigProfiles.parseProfileFile('{"schemaVersion": 3, "config": {}}', schema), /newer version of the builder/);
+  assert.throws(
+    () => ConfigProfiles.parseProfileFile(JSON.stringify({ schemaVersion: 2, config: { hubName: 'contoso', scopesToMonitor: 42 } }), schema),
+    /The profile has invalid values: Scopes to Monitor \(Must be a JSON array\)/
+  );
+});
+
+test('add picks an unused name and remove keeps the last profile', () => {
+  const state = ConfigProfiles.createState({ hubName: 'contoso' }, 'Prod');
+
+  assert.equal(ConfigProfiles.add(state, 'Prod', state.profiles.Prod), 'Prod (2)');
+  assert.equal(state.activeProfile, 'Prod (2)');
+  state.profiles['Prod (2)'].hubName = 'copy';
+  assert.equal(state.profiles.Prod.hubName, 'contoso');
+
+  assert.equal(ConfigProfiles.remove(state, 'Prod (2)'), true);
+  assert.equal(state.activeProfile, 'Prod');
+  assert.equal(ConfigProfiles.remove(state, 'Prod'), false);
+  assert.deepEqual(ConfigProfiles.list(state), ['Prod']);
+});
+
+test('load migrates schema version 1 configs and removes the legacy key', t => {
+  const items = useStorage(t, { 'finops-config-builder': JSON.stringify({ hubName: 'legacy', dataExplorerName: 'legacyadx' }) });
+
+  const state = ConfigProfiles.load();
+  assert.equal(state.schemaVersion, 2);
+  assert.deepEqual(state.profiles.Default, { hubName: 'legacy', dataExplorerName: 'legacyadx', analyticsBackend: 'dataExplorer' });
+  assert.equal(items.has('finops-config-builder'), false);
+  assert.deepEqual(JSON.parse(items.get('finops-config-profiles')), state);
+
+  const stored = { schemaVersion: 1, activeProfile: 'Fabric', profiles: { Fabric: { fabricQueryUri: 'https://x.kusto.fabric.microsoft.com' } } };
+  items.set('finops-config-profiles', JSON.stringify(stored));
+  assert.equal(ConfigProfiles.load().profiles.Fabric.analyticsBackend, 'fabric');
+});
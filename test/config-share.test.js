@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigShare } = require('../cli/core');
+
+test('encode and decode round-trip the values that differ from the defaults', () => {
+  const defaults = { hubName: '', region: 'eastus', scopesToMonitor: [], tags: {} };
+  const config = { hubName: 'contoso', region: 'eastus', scopesToMonitor: ['/subscriptions/a'], tags: { team: 'Ünïcode ✓' }, remoteHubStorageKey: 'secret' };
+
+  const token = ConfigShare.encode(config, defaults, ['remoteHubStorageKey']);
+  assert.match(token, /^1\.[A-Za-z0-9_-]+$/);
+  assert.deepEqual(ConfigShare.decode(token), { hubName: 'contoso', scopesToMonitor: ['/subscriptions/a'], tags: { team: 'Ünïcode ✓' } });
+
+  const url = ConfigShare.buildUrl('https://finops.example/#config-builder', config, defaults, ['remoteHubStorageKey']);
+  assert.equal(url, `https://finops.example/#config=${token}`);
+  assert.deepEqual(ConfigShare.readFragment(new URL(url).hash), ConfigShare.decode(token));
+});
+
+test('decode rejects malformed tokens and unsupported versions', () => {
+  assert.throws(() => ConfigShare.decode('not a token'), /Malformed share link/);
+  assert.throws(() => ConfigShare.decode(`2.${ConfigShare.toBase64Url('{}')}`), /Unsupported share link version: 2/);
+  assert.throws(() => ConfigShare.decode(`1.${ConfigShare.toBase64Url('[1]')}`), /Malformed share link/);
+  assert.equal(ConfigShare.readFragment('#config-builder'), null);
+});
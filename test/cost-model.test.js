@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CostModel } = require('../cli/core');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+const config = {
+  dataVolumeBasis: 'spend',
+  monthlySpend: 100000,
+  exportRetention: 0,
+  ingestionRetention: 13,
+  analyticsBackend: 'storage'
+};
+
+test('getMonthlyRows estimates rows from spend, or takes the row count', () => {
+  assert.equal(CostModel.getMonthlyRows(config), 1000000);
+  assert.equal(CostModel.getMonthlyRows({ dataVolumeBasis: 'rows', monthlyRowCount: 250000, monthlySpend: 100000 }), 250000);
+  assert.equal(CostModel.getMonthlyRows({ dataVolumeBasis: 'spend', monthlySpend: -5 }), 0);
+});
+
+test('growth compounds yearly and retained volume sums the months kept', () => {
+  assert.equal(CostModel.getGrowthFactor(1, 0.2), 1);
+  close(CostModel.getGrowthFactor(13, 0.2), 1.2);
+  close(CostModel.getGrowthFactor(25, 0.2), 1.44);
+  assert.equal(CostModel.getRetainedVolume(3, 13), 3);
+  assert.equal(CostModel.getRetainedVolume(24, 13), 13);
+  close(CostModel.getRetainedVolume(13, 1, 0.2), 1.2);
+});
+
+test('getVolumes counts month-to-date exports once per day', () => {
+  const volumes = CostModel.getVolumes(config);
+
+  assert.equal(volumes.monthlyRows, 1000000);
+  // Each export repeats the days before it: (30 + 1) / 2 days of rows on average
+  close(volumes.dailyExportRows, 1000000 * 31 / 60);
+  close(volumes.exportGbWrittenMonth, 1000000 * 31 / 2 * 300 / 1e9);
+  close(volumes.ingestionGbMonth, 0.15);
+  close(volumes.analyticsGbMonth, 0.1);
+  close(CostModel.getVolumes(config, 13, 0.5).monthlyRows, 1500000);
+});
+
+test('getStorageAt keeps a day of exports and the retained months of ingested data', () => {
+  const volumes = CostModel.getVolumes(config);
+  const storage = CostModel.getStorageAt(config, 24);
+
+  close(storage.exports, volumes.dailyExportGb);
+  close(storage.ingestion, 13 * 0.15);
+  close(storage.hubStorage, storage.exports + storage.ingestion);
+  assert.equal(storage.dataExplorer, 0);
+  close(CostModel.getStorageAt({ ...config, exportRetention: 7 }, 24).exports, 7 * volumes.dailyExportGb);
+  close(CostModel.getStorageAt({ ...config, analyticsBackend: 'fabric' }, 24).oneLake, 13 * 0.1);
+
+  const dataExplorer = CostModel.getStorageAt({ ...config, analyticsBackend: 'dataExplorer', dataExplorerFinalRetentionInMonths: 24, dataExplorerRawRetentionInDays: 0 }, 36);
+  close(dataExplorer.dataExplorer, 24 * 0.1);
+});
+
+test('steady state is the longest retention, and projections end there', () => {
+  assert.equal(CostModel.getSteadyStateMonth(config), 13);
+  assert.equal(CostModel.getSteadyStateMonth({ ...config, ingestionRetention: 0, exportRetention: 0 }), 1);
+  assert.equal(CostModel.getSteadyStateMonth({ ...config, exportRetention: 400 }), 14);
+  assert.equal(CostModel.getSteadyStateMonth({ ...config, analyticsBackend: 'dataExplorer', dataExplorerFinalRetentionInMonths: 36 }), 36);
+
+  assert.deepEqual(CostModel.getProjectionMonths(config), [1, 3, 6, 12, 13]);
+  assert.deepEqual(CostModel.getProjectionMonths({ ...config, ingestionRetention: 36 }), [1, 3, 6, 12, 24, 36]);
+  assert.deepEqual(CostModel.getProjectionMonths({ ...config, ingestionRetention: 1 }), [1]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Currency } = require('../cli/core');
+
+// Select a currency without saving it, restoring the previous selection after the test
+function useCurrency(t, currency, locale) {
+  const previous = { currency: Currency.currency, locale: Currency.locale, rates: Currency.rates, ratesAsOf: Currency.ratesAsOf };
+  t.after(() => Object.assign(Currency, previous));
+  Currency.currency = currency;
+  Currency.locale = locale;
+}
+
+test('convert and toBase use the rate per US dollar', () => {
+  assert.equal(Currency.convert(100, 'USD'), 100);
+  assert.equal(Currency.convert(100, 'EUR'), 100 * Currency.rates.EUR);
+  assert.ok(Math.abs(Currency.toBase(Currency.convert(250, 'JPY'), 'JPY') - 250) < 1e-9);
+  assert.throws(() => Currency.toBase(100, 'XYZ'), /No conversion rate for XYZ/);
+});
+
+test('unknown currencies convert at 1 and fall back when selected', () => {
+  assert.equal(Currency.getRate('XYZ'), 1);
+  assert.throws(() => Currency.select('XYZ'), /No conversion rate for XYZ/);
+});
+
+test('format converts to the selected currency and follows the locale', t => {
+  useCurrency(t, 'EUR', 'de-DE');
+  assert.match(Currency.format(10), /^8,53\s€$/);
+
+  useCurrency(t, 'USD', 'en-US');
+  assert.equal(Currency.format(1234.56), '$1,234.56');
+  assert.equal(Currency.format(1234.56, false), '$1,235');
+});
+
+test('format falls back to the default locale for an unsupported one', t => {
+  useCurrency(t, 'USD', 'not a locale');
+  assert.match(Currency.format(5), /5\.00|5,00/);
+});
+
+test('loadRates replaces the built-in rates, keeping them when the file is wrong', async t => {
+  const originalFetch = globalThis.fetch;
+  t.after(() => { globalThis.fetch = originalFetch; });
+  t.mock.method(console, 'warn', () => {});
+  useCurrency(t, 'SEK', '');
+
+  globalThis.fetch = async () => ({ ok: true, status: 200, json: async () => ({ base: 'EUR', rates: { EUR: 1 } }) });
+  assert.equal(await Currency.loadRates(), false);
+  assert.equal(Currency.rates.SEK, 9.52);
+
+  globalThis.fetch = async () => ({ ok: true, status: 200, json: async () => ({ base: 'USD', asOf: '2026-01-31', rates: { USD: 1, EUR: 0.9 } }) });
+  assert.equal(await Currency.loadRates(), true);
+  assert.deepEqual(Currency.rates, { USD: 1, EUR: 0.9 });
+  assert.equal(Currency.ratesAsOf, '2026-01-31');
+  // The selected currency has no rate any more
+  assert.equal(Currency.currency, 'USD');
+});
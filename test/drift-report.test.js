@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../cli/core');
+
+const { HubConfig, DriftReport } = core;
+const schema = core.readTemplate();
+const target = { resourceGroupName: 'finops-rg', subscriptionId: '12345678-1234-1234-1234-123456789012' };
+const deploymentId = `/subscriptions/${target.subscriptionId}/resourceGroups/${target.resourceGroupName}/providers/Microsoft.Resources/deployments/hub`;
+
+function config(values = {}) {
+  return { ...HubConfig.getDefaultConfig(schema), hubName: 'contoso', tags: { Owner: 'finops' }, ...target, ...values };
+}
+
+// az resource list output for the resources a config deploys
+function resourceList(values) {
+  const resources = DriftReport.getExpectedResources(HubConfig.previewResources(schema, config(values)));
+  return resources.map(resource => ({
+    id: resource.resourceId,
+    name: resource.name,
+    type: resource.type,
+    resourceGroup: target.resourceGroupName,
+    sku: resource.sku,
+    tags: resource.tags
+  }));
+}
+
+// az deployment group show output for a config
+function deploymentShow(values) {
+  const parameters = {};
+  const built = HubConfig.buildParameterValues(schema, config(values));
+  Object.keys(built).forEach(name => {
+    parameters[name] = { type: typeof built[name] === 'string' ? 'String' : 'Object', value: built[name] };
+  });
+  return {
+    id: deploymentId,
+    name: 'hub',
+    resourceGroup: target.resourceGroupName,
+    properties: {
+      parameters: parameters,
+      outputResources: resourceList(values).map(resource => ({ id: resource.id, resourceGroup: target.resourceGroupName }))
+    }
+  };
+}
+
+function check(files, values) {
+  const snapshot = DriftReport.merge(files.map(file => DriftReport.parse(JSON.stringify(file))));
+  return HubConfig.checkDrift(schema, config(values), snapshot);
+}
+
+test('a hub deployed from the configuration has no drift', () => {
+  const report = check([deploymentShow(), resourceList()]);
+
+  assert.equal(report.count, 0);
+  assert.deepEqual(report.checked, { parameters: true, resources: true, details: true });
+});
+
+test('parse reads both commands and rejects other JSON', () => {
+  const deployment = DriftReport.parse(JSON.stringify(deploymentShow()));
+  assert.equal(deployment.source, 'deployment');
+  assert.equal(deployment.deploymentName, 'hub');
+  assert.equal(deployment.resourceGroupName, target.resourceGroupName);
+  assert.equal(deployment.parameters.hubName, 'contoso');
+  assert.equal(deployment.details, false);
+
+  const list = DriftReport.parse(JSON.stringify({ value: resourceList() }));
+  assert.equal(list.source, 'resources');
+  assert.equal(list.subscriptionId, target.subscriptionId);
+  assert.equal(list.parameters, null);
+
+  assert.throws(() => DriftReport.parse('not json'), /isn't JSON/);
+  assert.throws(() => DriftReport.parse('{"hubName": "contoso"}'), /az deployment group show or az resource list/);
+  assert.throws(() => DriftReport.parse('[{"name": "x"}]'), /every entry needs a resource ID/);
+});
+
+test('changed parameters are reported and secure values are skipped', () => {
+  const deployment = deploymentShow();
+  deployment.properties.parameters.storageSku.value = 'Standard_LRS';
+  deployment.properties.parameters.remoteHubStorageKey = { type: 'SecureString' };
+
+  const report = check([deployment]);
+  assert.deepEqual(report.parameters, [{ name: 'storageSku', expected: 'Premium_LRS', actual: 'Standard_LRS' }]);
+  assert.deepEqual(report.checked, { parameters: true, resources: true, details: false });
+});
+
+test('missing resources, SKUs and tags are compared with a resource list', () => {
+  const list = resourceList();
+  const storage = list.find(resource => resource.type === 'Microsoft.Storage/storageAccounts');
+  storage.sku = { name: 'standard_lrs', tier: 'Standard' };
+  storage.tags = { ...storage.tags, owner: 'ops', CostCenter: '42', 'hidden-title': 'Hub storage' };
+  const factory = list.find(resource => resource.type === 'Microsoft.DataFactory/factories');
+
+  const report = check([list.filter(resource => resource !== factory)]);
+  assert.deepEqual(report.missing, [{ type: factory.type, name: factory.name, resourceId: factory.id }]);
+  assert.deepEqual(report.skus, [{ type: storage.type, name: storage.name, property: 'name', expected: 'Premium_LRS', actual: 'standard_lrs' }]);
+  // Tag names are case-insensitive and Azure's hidden- tags are ignored
+  assert.deepEqual(report.tags.map(entry => [entry.tag, entry.expected, entry.actual]), [
+    ['Owner', 'finops', 'ops'],
+    ['CostCenter', undefined, '42']
+  ]);
+  assert.equal(report.checked.parameters, false);
+  assert.equal(report.count, 4);
+});
+
+test('resources are predicted for the deployed resource group', () => {
+  // A profile without a deployment target still predicts the deployed names
+  const report = check([resourceList()], { resourceGroupName: '', subscriptionId: '' });
+  assert.equal(report.count, 0);
+
+  const moved = check([resourceList()], { resourceGroupName: 'other-rg' });
+  assert.deepEqual(moved.target, [{ field: 'resourceGroupName', expected: 'other-rg', actual: target.resourceGroupName }]);
+  assert.deepEqual(moved.missing, []);
+});
+
+test('merge keeps files from one resource group', () => {
+  const other = resourceList().map(resource => ({ ...resource, id: resource.id.replace(target.resourceGroupName, 'other-rg') }));
+
+  assert.throws(() => check([deploymentShow(), other]), /different resource groups/);
+  assert.throws(() => DriftReport.merge([]), /No deployment or resource list/);
+});
+
+test('parseResourceId splits child resource types and names', () => {
+  assert.deepEqual(
+    DriftReport.parseResourceId(`/subscriptions/${target.subscriptionId}/resourceGroups/rg/providers/Microsoft.Kusto/clusters/adx/databases/Hub`),
+    { subscriptionId: target.subscriptionId, resourceGroupName: 'rg', type: 'Microsoft.Kusto/clusters/databases', name: 'adx/Hub' }
+  );
+  assert.equal(DriftReport.parseResourceId('/subscriptions/x/resourceGroups/rg'), null);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExportScripts } = require('../cli/core');
+const { matchSnapshot } = require('./helpers/snapshot');
+
+const subscriptions = [
+  '12345678-1234-1234-1234-123456789012',
+  '87654321-4321-4321-4321-210987654321'
+];
+const generatedAt = new Date(Date.UTC(2025, 0, 15, 9, 30));
+
+// The generated date is shown in the local format, which differs between machines
+function withoutDate(script) {
+  return script.replace(/^# Generated: .*$/m, '# Generated: <date>');
+}
+
+test('generatePowerShellScript shows when it was generated', () => {
+  const script = ExportScripts.generatePowerShellScript('contoso', subscriptions, { generatedAt: generatedAt });
+  assert.match(script, new RegExp(`^# Generated: ${generatedAt.toLocaleString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'm'));
+});
+
+test('generatePowerShellScript matches its snapshot', () => {
+  matchSnapshot('export-script.ps1', withoutDate(ExportScripts.generatePowerShellScript('contoso', subscriptions, { generatedAt: generatedAt })));
+});
+
+test('generatePowerShellScript removes hyphens from the storage account name', () => {
+  const script = ExportScripts.generatePowerShellScript('contoso-finops', subscriptions.slice(0, 1), { generatedAt: generatedAt });
+  assert.match(script, /storageAccounts\/contosofinopsstg"/);
+  assert.match(script, /resourceGroups\/contoso-finops-rg\//);
+});
+
+test('generatePortalInstructions matches its snapshot', () => {
+  matchSnapshot('portal-instructions.html', ExportScripts.generatePortalInstructions('contoso', subscriptions));
+});
+
+test('generatePortalInstructions escapes values in the markup', () => {
+  const html = ExportScripts.generatePortalInstructions('contoso', ['<b>12345678</b>']);
+  assert.match(html, /<code>&lt;b&gt;12345678&lt;\/b&gt;<\/code>/);
+  assert.doesNotMatch(html, /<b>12345678<\/b>/);
+});
+
+test('scope IDs are checked against the format of each scope type', () => {
+  const billingAccount = '12345678-1234-1234-1234-123456789012:87654321-4321-4321-4321-210987654321_2019-05-31';
+  const billingProfile = `/providers/Microsoft.Billing/billingAccounts/${billingAccount}/billingProfiles/AB12-CD34-EF5-GH6`;
+
+  [
+    ['subscription', subscriptions[0]],
+    ['subscription', `/subscriptions/${subscriptions[0]}`],
+    ['managementGroup', 'contoso-finops'],
+    ['managementGroup', '/providers/Microsoft.Management/managementGroups/Contoso_(Prod)'],
+    ['enrollment', '1234567'],
+    ['billingAccount', billingAccount],
+    ['billingProfile', billingProfile],
+    ['invoiceSection', `${billingProfile}/invoiceSections/IJ78-KL90-MN1-OP2/`]
+  ].forEach(([scopeType, id]) => assert.equal(ExportScripts.validateScope(scopeType, id), true, `${scopeType} ${id}`));
+
+  [
+    ['subscription', '1234567'],
+    ['managementGroup', 'contoso.'],
+    ['enrollment', billingAccount],
+    ['billingAccount', '1234567'],
+    // Billing profiles need their billing account
+    ['billingProfile', 'AB12-CD34-EF5-GH6'],
+    ['invoiceSection', billingProfile]
+  ].forEach(([scopeType, id]) => assert.equal(ExportScripts.validateScope(scopeType, id), false, `${scopeType} ${id}`));
+
+  assert.throws(() => ExportScripts.getScopeType('tenant'), /Unknown scope type: tenant/);
+});
+
+test('exports on billing scopes use the scope ID and a directory per scope', () => {
+  const billingProfile = '/providers/Microsoft.Billing/billingAccounts/12345678-1234-1234-1234-123456789012:87654321-4321-4321-4321-210987654321_2019-05-31/billingProfiles/AB12-CD34-EF5-GH6';
+  const script = ExportScripts.generatePowerShellScript('contoso', ['1234567'], { generatedAt: generatedAt, scopeType: 'enrollment' });
+
+  assert.match(script, /@\{ Scope = "\/providers\/Microsoft\.Billing\/billingAccounts\/1234567"; Directory = "billingAccounts\/1234567" \}/);
+  assert.match(script, /^# - Enterprise administrator on each enrollment$/m);
+  assert.equal(ExportScripts.getStorageDirectory(billingProfile), billingProfile.replace('/providers/Microsoft.Billing/', ''));
+  assert.equal(ExportScripts.getStorageDirectory('/providers/Microsoft.Management/managementGroups/contoso'), 'managementGroups/contoso');
+
+  const html = ExportScripts.generatePortalInstructions('contoso', ['contoso'], { scopeType: 'managementGroup' });
+  assert.match(html, /<code>contoso<\/code> → <code>managementGroups\/contoso<\/code>/);
+  assert.match(html, /Enterprise Agreement/);
+  assert.doesNotMatch(html, /subscription-id/i);
+});
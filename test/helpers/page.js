@@ -0,0 +1,160 @@
+/**
+ * Page Harness
+ * Loads docs/index.html in jsdom with its scripts, offline: files under docs/ and the
+ * template are served from disk, other requests (CDN scripts) are blocked. Timers run
+ * on a fake clock so debounced inputs and animations can be stepped through.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole, requestInterceptor } = require('jsdom');
+
+const root = path.join(__dirname, '..', '..');
+const docsDir = path.join(root, 'docs');
+const baseUrl = 'https://finops.example/';
+
+// Remote files the page loads, served from the repository
+const remoteFiles = {
+  'https://raw.githubusercontent.com/EuphoriaLux/finops-hub-deployment/main/template.json': path.join(root, 'template.json'),
+  'https://raw.githubusercontent.com/EuphoriaLux/finops-hub-deployment/main/createUiDefinition.json': path.join(root, 'createUiDefinition.json')
+};
+
+/**
+ * Maps a URL the page requests to a file in the repository
+ * @param {string} url - Absolute URL
+ * @returns {string|null} File path, or null for URLs that aren't served
+ */
+function fileForUrl(url) {
+  if (remoteFiles[url.split('?')[0]]) return remoteFiles[url.split('?')[0]];
+  if (!url.startsWith(baseUrl)) return null;
+
+  const file = path.join(docsDir, decodeURIComponent(new URL(url).pathname));
+  return file.startsWith(docsDir) && fs.existsSync(file) ? file : null;
+}
+
+// Serves page scripts and styles from docs/; anything else (CDN scripts) loads as empty
+const localFiles = requestInterceptor(request => {
+  const file = fileForUrl(request.url);
+  return new Response(file ? fs.readFileSync(file) : '', { status: 200 });
+});
+
+/**
+ * Creates a fake clock for setTimeout and clearTimeout
+ * @returns {Object} {setTimeout, clearTimeout, tick, pending}
+ */
+function createClock() {
+  const timers = new Map();
+  let now = 0;
+  let nextId = 1;
+
+  return {
+    setTimeout: function(callback, delay = 0, ...args) {
+      const id = nextId++;
+      timers.set(id, { at: now + Math.max(0, Number(delay) || 0), callback: callback, args: args });
+      return id;
+    },
+
+    clearTimeout: function(id) {
+      timers.delete(id);
+    },
+
+    // Advance time, running timers that fall due in order (including ones they schedule)
+    tick: function(ms) {
+      const end = now + ms;
+      for (;;) {
+        let nextTimer = null;
+        timers.forEach((timer, id) => {
+          if (timer.at <= end && (!nextTimer || timer.at < nextTimer.timer.at)) {
+            nextTimer = { id: id, timer: timer };
+          }
+        });
+        if (!nextTimer) break;
+
+        timers.delete(nextTimer.id);
+        now = nextTimer.timer.at;
+        nextTimer.timer.callback(...nextTimer.timer.args);
+      }
+      now = end;
+    },
+
+    // Number of timers waiting to run
+    pending: function() {
+      return timers.size;
+    }
+  };
+}
+
+/**
+ * Lets pending promises and file reads settle
+ * @param {number} rounds - Event loop turns to wait
+ */
+async function settle(rounds = 5) {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Loads the documentation page
+ * @param {Object} options - {hash: URL fragment, storage: localStorage entries to start with,
+ *   offline: fail requests for remote files such as the published template}
+ * @returns {Promise<Object>} {window, document, get, clock, alerts, errors, settle, close}
+ *   errors collects exceptions page scripts didn't handle
+ */
+async function loadPage(options = {}) {
+  const clock = createClock();
+  const alerts = [];
+  const virtualConsole = new VirtualConsole();
+  const errors = [];
+  virtualConsole.on('jsdomError', error => {
+    if (error.type === 'unhandled-exception') errors.push(error.cause || error);
+  });
+
+  const dom = new JSDOM(fs.readFileSync(path.join(docsDir, 'index.html'), 'utf8'), {
+    url: baseUrl + (options.hash || ''),
+    runScripts: 'dangerously',
+    resources: { interceptors: [localFiles] },
+    pretendToBeVisual: true,
+    virtualConsole: virtualConsole,
+    beforeParse: window => {
+      Object.keys(options.storage || {}).forEach(key => window.localStorage.setItem(key, options.storage[key]));
+
+      window.setTimeout = clock.setTimeout;
+      window.clearTimeout = clock.clearTimeout;
+      window.alert = message => alerts.push(message);
+      window.scrollTo = () => {};
+      window.HTMLElement.prototype.scrollIntoView = () => {};
+      window.fetch = async url => {
+        const href = new URL(url, baseUrl).href;
+        const file = options.offline && !href.startsWith(baseUrl) ? null : fileForUrl(href);
+        if (!file) {
+          return { ok: false, status: 404, json: async () => null, text: async () => '' };
+        }
+        const text = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+      };
+    }
+  });
+
+  const window = dom.window;
+  await new Promise(resolve => window.addEventListener('load', resolve));
+
+  // Wait for the builder to load template parameters
+  const get = name => window.eval(name);
+  for (let i = 0; i < 50 && get('ConfigBuilder').schema.length === 0; i++) {
+    await settle(1);
+  }
+
+  return {
+    window: window,
+    document: window.document,
+    get: get,
+    clock: clock,
+    alerts: alerts,
+    errors: errors,
+    settle: settle,
+    close: () => window.close()
+  };
+}
+
+module.exports = { loadPage, createClock, settle };
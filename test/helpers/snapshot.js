@@ -0,0 +1,32 @@
+/**
+ * Golden-File Snapshots
+ * Compares output with a file in test/snapshots. Run with UPDATE_SNAPSHOTS=1 to
+ * write the files after an intended change, then review the diff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const snapshotDir = path.join(__dirname, '..', 'snapshots');
+
+/**
+ * Asserts that text matches its snapshot
+ * @param {string} name - Snapshot file name, e.g. 'export-script.ps1'
+ * @param {string} actual - Generated text
+ */
+function matchSnapshot(name, actual) {
+  const file = path.join(snapshotDir, name);
+
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  if (!fs.existsSync(file)) {
+    assert.fail(`Snapshot ${name} doesn't exist. Run UPDATE_SNAPSHOTS=1 npm test to create it.`);
+  }
+
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `Output differs from snapshots/${name}. If the change is intended, run UPDATE_SNAPSHOTS=1 npm test.`);
+}
+
+module.exports = { matchSnapshot };
@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../cli/core');
+
+const { HubConfig, PricingCatalog, TagRules } = core;
+const schema = core.readTemplate();
+const prices = PricingCatalog.basePrices;
+const hoursPerMonth = 730;
+
+function config(values = {}) {
+  return { ...HubConfig.getDefaultConfig(schema), hubName: 'contoso', ...values };
+}
+
+function paramNamed(name) {
+  return schema.parameters.find(param => param.name === name);
+}
+
+test('calculateCosts prices each meter of the estimated usage', () => {
+  const hub = config();
+  const usage = HubConfig.estimateUsage(hub);
+  const costs = HubConfig.calculateCosts(hub);
+
+  assert.equal(costs.storage, usage.storage.gbMonth * prices.storage.premiumLrsGbMonth +
+    usage.storage.writeOps10k * prices.storage.premiumWriteOps10k +
+    usage.storage.readOps10k * prices.storage.premiumReadOps10k);
+  assert.equal(costs.dataFactory, usage.dataFactory.activityRuns1k * prices.dataFactory.activityRuns1k +
+    usage.dataFactory.diuHours * prices.dataFactory.diuHour +
+    usage.dataFactory.pipelineActivityHours * prices.dataFactory.pipelineActivityHour);
+  assert.equal(costs.keyVault, usage.keyVault.operations10k * prices.keyVault.operations10k);
+  assert.equal(costs.dataTransfer, usage.dataTransfer.egressGb * prices.bandwidth.egressGb);
+  assert.equal(costs.dataExplorer, 0);
+  assert.equal(costs.fabric, 0);
+  assert.equal(costs.total, costs.storage + costs.dataFactory + costs.keyVault + costs.eventGrid + costs.dataTransfer);
+});
+
+test('calculateCosts leaves the Event Grid free allowance unbilled', () => {
+  assert.equal(HubConfig.calculateCosts(config({ subscriptionCount: 1 })).eventGrid, 0);
+  assert.ok(Math.abs(HubConfig.calculateCosts(config({ subscriptionCount: 1000 })).eventGrid - (10 - 0.1) * prices.eventGrid.operationsMillion) < 1e-9);
+});
+
+test('calculateCosts bills Dev Data Explorer SKUs for one node without the markup', () => {
+  const hub = config({ analyticsBackend: 'dataExplorer', dataExplorerSku: 'Dev(No SLA)_Standard_D11_v2', dataExplorerCapacity: 5 });
+  const usage = HubConfig.estimateUsage(hub);
+
+  assert.equal(usage.dataExplorer.nodes, 1);
+  assert.equal(usage.dataExplorer.cores, 2);
+  assert.equal(HubConfig.calculateCosts(hub).dataExplorer,
+    2 * hoursPerMonth * prices.dataExplorer.computeCoreHour + usage.dataExplorer.storageGbMonth * prices.storage.standardLrsGbMonth);
+});
+
+test('calculateCosts bills Standard Data Explorer SKUs per core and node with the markup', () => {
+  const hub = config({ analyticsBackend: 'dataExplorer', dataExplorerSku: 'Standard_E8ads_v5', dataExplorerCapacity: 3 });
+  const usage = HubConfig.estimateUsage(hub);
+
+  assert.equal(usage.dataExplorer.cores, 8);
+  assert.equal(HubConfig.calculateCosts(hub).dataExplorer,
+    8 * 3 * hoursPerMonth * (prices.dataExplorer.computeCoreHour + prices.dataExplorer.markupCoreHour) +
+    usage.dataExplorer.storageGbMonth * prices.storage.standardLrsGbMonth);
+});
+
+test('calculateCosts bills Fabric capacity units, except for trials', () => {
+  const trial = config({ analyticsBackend: 'fabric', fabricCapacityUnits: 1 });
+  const f2 = config({ analyticsBackend: 'fabric', fabricCapacityUnits: 2 });
+  const oneLake = HubConfig.estimateUsage(f2).fabric.oneLakeGbMonth * prices.fabric.oneLakeGbMonth;
+
+  assert.equal(HubConfig.calculateCosts(trial).fabric, oneLake);
+  assert.equal(HubConfig.calculateCosts(f2).fabric, 2 * hoursPerMonth * prices.fabric.capacityUnitHour + oneLake);
+});
+
+test('calculateCosts applies regional prices and storage redundancy', () => {
+  const eastus = HubConfig.calculateCosts(config({ region: 'eastus' }));
+  const westeurope = HubConfig.calculateCosts(config({ region: 'westeurope' }));
+  const zrs = HubConfig.calculateCosts(config({ storageSku: 'Premium_ZRS' }));
+  const zrsUsage = HubConfig.estimateUsage(config({ storageSku: 'Premium_ZRS' }));
+
+  assert.ok(Math.abs(westeurope.storage - eastus.storage * PricingCatalog.regionFactors.westeurope.storage) < 1e-9);
+  assert.ok(Math.abs(westeurope.dataFactory - eastus.dataFactory * PricingCatalog.regionFactors.westeurope.compute) < 1e-9);
+  assert.ok(zrs.storage > eastus.storage);
+  assert.equal(zrs.storage, zrsUsage.storage.gbMonth * prices.storage.premiumZrsGbMonth +
+    zrsUsage.storage.writeOps10k * prices.storage.premiumZrsWriteOps10k +
+    zrsUsage.storage.readOps10k * prices.storage.premiumZrsReadOps10k);
+});
+
+test('validateParameter checks template constraints and builder rules', () => {
+  assert.equal(HubConfig.validateParameter(schema, paramNamed('storageSku'), 'Standard_LRS', config()).valid, false);
+  assert.equal(HubConfig.validateParameter(schema, paramNamed('exportRetentionInDays'), -1, config()).valid, false);
+  assert.equal(HubConfig.validateParameter(schema, paramNamed('hubName'), 'Contoso', config()).valid, false);
+  assert.equal(HubConfig.validateParameter(schema, paramNamed('hubName'), 'contoso', config()).valid, true);
+  assert.equal(HubConfig.validateParameter(schema, paramNamed('scopesToMonitor'), ['/subscriptions/bad'], config()).valid, false);
+});
+
+test('validateAll only checks parameters for the selected back-end', () => {
+  assert.deepEqual(HubConfig.validateAll(schema, config()), []);
+  assert.deepEqual(HubConfig.validateAll(schema, config({ fabricQueryUri: 'not a uri' })), []);
+
+  const errors = HubConfig.validateAll(schema, config({ analyticsBackend: 'dataExplorer' }));
+  assert.deepEqual(errors.map(error => error.field), ['dataExplorerName']);
+});
+
+test('validateAll checks tags against a required-tags policy', () => {
+  const tagPolicy = TagRules.parsePolicy(JSON.stringify({ requiredTags: ['Owner'] }));
+
+  assert.deepEqual(HubConfig.validateAll(schema, config(), { tagPolicy: tagPolicy }).map(error => error.field), ['tags']);
+  assert.deepEqual(HubConfig.validateAll(schema, config({ tags: { Owner: 'finops' } }), { tagPolicy: tagPolicy }), []);
+});
+
+test('evaluateRules warns about Dev Data Explorer SKUs whatever the storage redundancy', () => {
+  const warned = values => HubConfig.evaluateRules(schema, config({ analyticsBackend: 'dataExplorer', dataExplorerName: 'contosoadx', ...values }))
+    .some(result => result.id === 'dataExplorer.devNoSla');
+
+  assert.equal(warned({ dataExplorerSku: 'Dev(No SLA)_Standard_D11_v2', storageSku: 'Premium_LRS' }), true);
+  assert.equal(warned({ dataExplorerSku: 'Dev(No SLA)_Standard_E2a_v4', storageSku: 'Premium_ZRS' }), true);
+  assert.equal(warned({ dataExplorerSku: 'Standard_D11_v2', dataExplorerCapacity: 2 }), false);
+});
+
+test('validateEstimationInput requires whole numbers in range', () => {
+  assert.equal(HubConfig.validateEstimationInput('subscriptionCount', 1).valid, true);
+  assert.equal(HubConfig.validateEstimationInput('subscriptionCount', 0).valid, false);
+  assert.equal(HubConfig.validateEstimationInput('commitmentShare', 50.5).valid, false);
+});
+
+test('coerce splits list parameters and parses typed values', () => {
+  assert.deepEqual(HubConfig.coerce(paramNamed('scopesToMonitor'), '/a\n/b, /c'), ['/a', '/b', '/c']);
+  assert.equal(HubConfig.coerce(paramNamed('dataExplorerCapacity'), '3'), 3);
+  assert.equal(HubConfig.coerce(paramNamed('dataExplorerCapacity'), 'three'), undefined);
+  assert.equal(HubConfig.coerce(paramNamed('enablePublicAccess'), 'false'), false);
+});
+
+test('sanitizeConfig converts values it can and drops the ones of the wrong type', () => {
+  const { config, invalid } = HubConfig.sanitizeConfig(schema, {
+    hubName: 'contoso',
+    exportRetention: '7',
+    enablePublicAccess: 'false',
+    scopesToMonitor: '/subscriptions/a',
+    ingestionRetention: 'thirteen',
+    enableInfraEncryption: 'yes',
+    tags: ['team'],
+    monthlySpend: -1,
+    analyticsBackend: 'lake',
+    resourceGroupName: 42,
+    unknownField: 'ignored'
+  });
+
+  assert.deepEqual(config, { hubName: 'contoso', exportRetention: 7, enablePublicAccess: false, scopesToMonitor: ['/subscriptions/a'] });
+  assert.deepEqual(invalid.map(entry => entry.field), ['ingestionRetention', 'enableInfraEncryption', 'tags', 'monthlySpend', 'analyticsBackend', 'resourceGroupName']);
+  assert.deepEqual(invalid[0], { field: 'ingestionRetention', label: 'Processed Data Retention (months)', message: 'Must be a whole number' });
+  assert.equal(HubConfig.sanitizeConfig(schema, { scopesToMonitor: [1] }).invalid[0].message, 'Must be a list of IDs');
+});
+
+test('buildParametersFile uses template defaults for parameters of other back-ends', () => {
+  const file = HubConfig.buildParametersFile(schema, config({ region: 'westeurope', dataExplorerName: 'contosoadx' }));
+
+  assert.equal(file.contentVersion, '1.0.0.0');
+  assert.deepEqual(file.parameters.hubName, { value: 'contoso' });
+  assert.deepEqual(file.parameters.location, { value: 'westeurope' });
+  assert.deepEqual(file.parameters.dataExplorerName, { value: '' });
+  assert.deepEqual(Object.keys(file.parameters), schema.parameters.filter(param => !param.secure).map(param => param.name));
+});
+
+test('buildParametersFile leaves out secure parameters, which are passed at deploy time', () => {
+  const key = 'a2V5'.padEnd(86, 'A') + '==';
+  const remote = config({ remoteHubStorageUri: 'https://remotehub.dfs.core.windows.net/', remoteHubStorageKey: key });
+  const file = HubConfig.buildParametersFile(schema, remote);
+
+  assert.equal(JSON.stringify(file).includes(key), false);
+  assert.equal(file.parameters.remoteHubStorageKey, undefined);
+  assert.deepEqual(file.parameters.remoteHubStorageUri, { value: 'https://remotehub.dfs.core.windows.net/' });
+  assert.deepEqual(HubConfig.getDeployTimeParameters(schema, remote), ['remoteHubStorageKey']);
+  assert.deepEqual(HubConfig.getDeployTimeParameters(schema, config()), []);
+
+  // Other callers still get the value, e.g. for the what-if preview
+  assert.deepEqual(HubConfig.buildParameters(schema, remote).remoteHubStorageKey, { value: key });
+});
+
+// Pinned so a change to uniqueString() or name prediction shows up as a diff. These are the
+// names this implementation produces; they haven't been confirmed against a real deployment.
+// When one is available, replace them with the names Azure gave the same subscription, resource
+// group and hub name.
+test('getDerivedNames predicts names from the hub name', () => {
+  const names = HubConfig.getDerivedNames(schema, config({ subscriptionId: '12345678-1234-1234-1234-123456789012', resourceGroupName: 'rg-finops' }));
+  const byId = id => names.find(entry => entry.id === id).name;
+
+  assert.equal(byId('storage'), 'contosorgmilh7sc3pba');
+  assert.equal(byId('dataFactory'), 'contoso-engine-rgmilh7sc3pba');
+  assert.equal(byId('keyVault'), 'contoso-va-rgmilh7sc3pba');
+  assert.equal(byId('blobManager'), `${byId('storage')}_blobManager`);
+  assert.equal(names.some(entry => entry.id === 'virtualNetwork'), false);
+  assert.equal(HubConfig.getDerivedNames(schema, config({ enablePublicAccess: false })).some(entry => entry.id === 'virtualNetwork'), true);
+});
+
+test('uniqueString hashes its joined arguments to 13 base32 characters', () => {
+  const { ArmExpressions } = core;
+
+  assert.equal(ArmExpressions.uniqueString('test'), 'rbgf3xv4ufgzg');
+  assert.equal(ArmExpressions.uniqueString('/subscriptions/12345678-1234-1234-1234-123456789012/resourceGroups/rg-finops'), '2ftwisulvakyk');
+  assert.equal(ArmExpressions.uniqueString('a', 'b'), ArmExpressions.uniqueString('a-b'));
+  assert.equal(ArmExpressions.evaluate('[uniqueString(\'test\')]', ArmExpressions.createContext()), 'rbgf3xv4ufgzg');
+});
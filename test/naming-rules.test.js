@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NamingRules } = require('../cli/core');
+
+test('validate checks length and characters', () => {
+  assert.deepEqual(NamingRules.validate('storageAccount', 'contosohub'), { valid: true, errors: [] });
+  assert.deepEqual(NamingRules.validate('storageAccount', 'ab').errors, ['2 characters; must be 3-24']);
+  assert.deepEqual(NamingRules.validate('storageAccount', 'Contoso-Hub').errors, ['only lowercase letters and numbers are allowed']);
+  assert.deepEqual(NamingRules.validate('storageAccount', 'a'.repeat(25)).errors, ['25 characters; must be 3-24']);
+  assert.equal(NamingRules.validate('resourceGroup', 'rg_finops.prod(1)').valid, true);
+  assert.throws(() => NamingRules.validate('appService', 'contoso'), /Unknown resource type: appService/);
+});
+
+test('validate checks how names start and end and consecutive hyphens', () => {
+  assert.deepEqual(NamingRules.validate('keyVault', '1contoso-vault').errors, ['must start with a letter']);
+  assert.deepEqual(NamingRules.validate('keyVault', 'contoso-vault-').errors, ['must end with a letter or number']);
+  assert.deepEqual(NamingRules.validate('dataFactory', 'contoso--engine').errors, ['can\'t contain consecutive hyphens']);
+  assert.deepEqual(NamingRules.validate('resourceGroup', 'rg-finops.').errors, ['can\'t end with a period']);
+  assert.deepEqual(NamingRules.validate('dataExplorerCluster', '1adx').errors, ['must start with a letter']);
+});
+
+test('reserved words can\'t be the whole name or, for some, any part of it', () => {
+  assert.equal(NamingRules.findReservedWord('azure'), 'AZURE');
+  assert.equal(NamingRules.findReservedWord('azurehub'), null);
+  assert.equal(NamingRules.findReservedWord('contosologinhub'), 'LOGIN');
+  assert.deepEqual(NamingRules.validate('storageAccount', 'microsofthub').errors, ['can\'t use the reserved word "MICROSOFT"']);
+
+  // Only resources with public endpoints have reserved words
+  assert.equal(NamingRules.validate('managedIdentity', 'windows-identity').valid, true);
+});
+
+test('validateAll keeps the input order and fills in labels', () => {
+  const results = NamingRules.validateAll([
+    { id: 'storage', type: 'storageAccount', name: 'contosohub' },
+    { type: 'keyVault', label: 'Hub vault', name: 'contoso--va' }
+  ]);
+
+  assert.deepEqual(results.map(result => [result.id, result.label, result.valid]), [
+    ['storage', 'Storage account', true],
+    ['keyVault', 'Hub vault', false]
+  ]);
+});
+
+test('findOverflowLengths finds the hub-name lengths that truncate or break derived names', () => {
+  const deriveNames = hubName => [
+    // Too long from a 12-character hub name (12 + 13 > 24)
+    { id: 'storage', type: 'storageAccount', name: hubName + 'abcdefghijklm' },
+    // Cut to 10 characters, so it stops containing the hub name at 11
+    { id: 'vault', type: 'keyVault', name: `${hubName.slice(0, 10)}-vault` },
+    { id: 'identity', type: 'managedIdentity', name: `${hubName}_identity` }
+  ];
+  const results = NamingRules.findOverflowLengths('contoso', deriveNames, 20);
+  const byId = id => results.find(result => result.id === id);
+
+  assert.deepEqual(byId('storage'), { id: 'storage', type: 'storageAccount', label: 'Storage account', truncatedFrom: null, invalidFrom: 12 });
+  assert.equal(byId('vault').truncatedFrom, 11);
+  assert.equal(byId('vault').invalidFrom, null);
+  assert.equal(byId('identity').invalidFrom, null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NetworkPlanner } = require('../cli/core');
+
+const ranges = (...cidrs) => cidrs.map(cidr => ({ cidr: cidr, name: '' }));
+
+test('parseCidr reads IPv4 CIDR blocks and their network', () => {
+  assert.deepEqual(NetworkPlanner.parseCidr('10.20.30.0/26'), { address: 169090560, prefixLength: 26, network: 169090560, size: 64 });
+  assert.equal(NetworkPlanner.parseCidr(' 192.168.1.77/24 ').network, NetworkPlanner.parseCidr('192.168.1.0/24').address);
+  assert.equal(NetworkPlanner.parseCidr('255.255.255.255/32').size, 1);
+  assert.equal(NetworkPlanner.parseCidr('10.0.0.256/24'), null);
+  assert.equal(NetworkPlanner.parseCidr('10.0.0.0/33'), null);
+  assert.equal(NetworkPlanner.parseCidr('10.0.0.0'), null);
+  assert.equal(NetworkPlanner.formatAddress(NetworkPlanner.parseCidr('172.16.254.3/32').address, 32), '172.16.254.3/32');
+});
+
+test('validatePrefix requires a network address of /26 or larger', () => {
+  assert.deepEqual(NetworkPlanner.validatePrefix('10.20.30.0/26'), { valid: true, message: '' });
+  assert.equal(NetworkPlanner.validatePrefix('10.20.30.0/24').valid, true);
+  assert.match(NetworkPlanner.validatePrefix('10.20.30.5/26').message, /did you mean 10\.20\.30\.0\/26\?/);
+  assert.match(NetworkPlanner.validatePrefix('10.20.30.0/27').message, /Must be \/26 or larger/);
+  assert.match(NetworkPlanner.validatePrefix('10.20.30/26').message, /Must be an IPv4 CIDR block/);
+});
+
+test('planSubnets splits the prefix as the template\'s cidrSubnet calls do', () => {
+  assert.deepEqual(NetworkPlanner.planSubnets('10.20.30.0/26').map(subnet => [subnet.name, subnet.cidr, subnet.firstUsable, subnet.lastUsable, subnet.usable]), [
+    ['private-endpoint-subnet', '10.20.30.0/28', '10.20.30.4', '10.20.30.14', 11],
+    ['script-subnet', '10.20.30.16/28', '10.20.30.20', '10.20.30.30', 11],
+    ['dataExplorer-subnet', '10.20.30.32/27', '10.20.30.36', '10.20.30.62', 27]
+  ]);
+  assert.equal(NetworkPlanner.getUnusedAddresses('10.20.30.0/24'), 192);
+  assert.equal(NetworkPlanner.getUnusedAddresses('10.20.30.0/26'), 0);
+  assert.equal(NetworkPlanner.cidrSubnet(NetworkPlanner.parseCidr('10.20.30.0/26'), 27, 2), null);
+  assert.equal(NetworkPlanner.cidrSubnet(NetworkPlanner.parseCidr('10.20.30.0/26'), 25, 0), null);
+});
+
+test('isPrivate accepts RFC 1918 and shared address space only', () => {
+  assert.equal(NetworkPlanner.isPrivate('10.20.30.0/26'), true);
+  assert.equal(NetworkPlanner.isPrivate('172.31.255.192/26'), true);
+  assert.equal(NetworkPlanner.isPrivate('100.64.0.0/26'), true);
+  assert.equal(NetworkPlanner.isPrivate('172.32.0.0/26'), false);
+  assert.equal(NetworkPlanner.isPrivate('8.8.8.0/26'), false);
+  // Larger than the private range it starts in
+  assert.equal(NetworkPlanner.isPrivate('192.168.0.0/15'), false);
+});
+
+test('parseRanges reads pasted ranges with names and az network vnet list output', () => {
+  assert.deepEqual(NetworkPlanner.parseRanges('# existing\n10.0.0.0/16 hub vnet, 10.1.0.0/24; nonsense'), {
+    ranges: [{ cidr: '10.0.0.0/16', name: 'hub vnet' }, { cidr: '10.1.0.0/24', name: '' }],
+    invalid: ['nonsense']
+  });
+
+  const vnets = [{ name: 'spoke', addressSpace: { addressPrefixes: ['10.2.0.0/16', 'fd00::/8'] } }];
+  assert.deepEqual(NetworkPlanner.parseRanges(JSON.stringify(vnets)), { ranges: [{ cidr: '10.2.0.0/16', name: 'spoke' }], invalid: ['fd00::/8'] });
+  assert.deepEqual(NetworkPlanner.parseRanges('[').invalid, ['The JSON couldn\'t be parsed']);
+});
+
+test('findOverlaps lists the ranges that share addresses with the prefix', () => {
+  const existing = ranges('10.20.0.0/16', '10.20.30.64/26', '10.20.30.32/27');
+
+  assert.deepEqual(NetworkPlanner.findOverlaps('10.20.30.0/26', existing).map(range => range.cidr), ['10.20.0.0/16', '10.20.30.32/27']);
+  assert.deepEqual(NetworkPlanner.findOverlaps('10.21.0.0/26', existing), []);
+});
+
+test('suggestPrefix skips used ranges to the first free block', () => {
+  assert.equal(NetworkPlanner.suggestPrefix([]), '10.0.0.0/26');
+  assert.equal(NetworkPlanner.suggestPrefix(ranges('10.0.0.0/26', '10.0.0.64/26')), '10.0.0.128/26');
+  assert.equal(NetworkPlanner.suggestPrefix(ranges('10.0.0.0/16')), '10.1.0.0/26');
+  assert.equal(NetworkPlanner.suggestPrefix(ranges('10.0.0.0/8')), '172.16.0.0/26');
+  assert.equal(NetworkPlanner.suggestPrefix(ranges('10.0.0.0/8'), 24), '172.16.0.0/24');
+  assert.equal(NetworkPlanner.suggestPrefix(ranges('10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '100.64.0.0/10')), null);
+});
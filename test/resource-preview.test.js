@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../cli/core');
+
+const { HubConfig, ResourcePreview, ArmExpressions } = core;
+const schema = core.readTemplate();
+const target = { resourceGroupName: 'finops-rg', subscriptionId: '12345678-1234-1234-1234-123456789012' };
+
+function config(values = {}) {
+  return { ...HubConfig.getDefaultConfig(schema), hubName: 'contoso', ...target, ...values };
+}
+
+function preview(values) {
+  return HubConfig.previewResources(schema, config(values));
+}
+
+// Deployed resources of a type, by name
+function deployed(resources, type) {
+  return resources.filter(resource => resource.type === type && resource.status === 'create').map(resource => resource.name);
+}
+
+// A template with symbolic names, reduced to what TemplateSchema.parseNestedTemplate keeps
+function nestedTemplate(resources, parameters = {}) {
+  return { defaults: parameters, variables: {}, functions: {}, outputs: {}, resources: resources };
+}
+
+function resource(symbolicName, type, name, extra = {}) {
+  return { symbolicName: symbolicName, type: type, name: name, dependsOn: [], existing: false, deployment: null, ...extra };
+}
+
+test('the default configuration deploys storage and Data Factory without Data Explorer or networking', () => {
+  const resources = preview();
+  const names = HubConfig.predictResourceNames(schema, config());
+
+  assert.deepEqual([...new Set(deployed(resources, 'Microsoft.Storage/storageAccounts'))], [names.storage]);
+  assert.deepEqual([...new Set(deployed(resources, 'Microsoft.DataFactory/factories'))], [names.dataFactory]);
+  assert.deepEqual(deployed(resources, 'Microsoft.Kusto/clusters'), []);
+  assert.deepEqual(deployed(resources, 'Microsoft.Network/virtualNetworks'), []);
+  assert.ok(resources.some(resource => resource.label === 'dataExplorer' && resource.status === 'skip'));
+  assert.ok(resources.every(resource => resource.status !== 'unknown'));
+});
+
+test('Data Explorer deploys the cluster, its databases and a script per embedded file', () => {
+  const resources = preview({ analyticsBackend: 'dataExplorer', dataExplorerName: 'contosoadx' });
+
+  assert.deepEqual(deployed(resources, 'Microsoft.Kusto/clusters'), ['contosoadx']);
+  assert.deepEqual(deployed(resources, 'Microsoft.Kusto/clusters/databases'), ['contosoadx/Ingestion', 'contosoadx/Hub']);
+
+  const scripts = deployed(resources, 'Microsoft.Kusto/clusters/databases/scripts');
+  assert.ok(scripts.includes('contosoadx/Ingestion/common'));
+  assert.ok(scripts.every(name => name.startsWith('contosoadx/')));
+
+  // Array templates depend on resource IDs
+  const versioned = resources.find(resource => resource.label === 'ingestion_VersionedScripts');
+  assert.deepEqual(versioned.dependsOn, ['dataExplorer/contosoadx', 'dataExplorer/contosoadx/Ingestion', 'dataExplorer/ingestion_InitScripts']);
+});
+
+test('Fabric skips the Data Explorer deployment even when a cluster name is set', () => {
+  const resources = preview({ analyticsBackend: 'fabric', fabricQueryUri: 'https://contoso.kusto.fabric.microsoft.com', dataExplorerName: 'contosoadx' });
+
+  assert.deepEqual(deployed(resources, 'Microsoft.Kusto/clusters'), []);
+  assert.equal(resources.find(resource => resource.label === 'dataExplorer').status, 'skip');
+});
+
+test('private access deploys the virtual network and private endpoints', () => {
+  const resources = preview({ enablePublicAccess: false, virtualNetworkAddressPrefix: '10.20.30.0/26' });
+  const names = HubConfig.predictResourceNames(schema, config({ enablePublicAccess: false }));
+
+  assert.deepEqual(deployed(resources, 'Microsoft.Network/virtualNetworks'), [names.virtualNetwork]);
+  assert.ok(deployed(resources, 'Microsoft.Network/privateEndpoints').includes(`${names.storage}-blob-ep`));
+
+  // Subnets are declared as existing children of the network
+  const subnets = resources.filter(resource => resource.type === 'Microsoft.Network/virtualNetworks/subnets');
+  assert.deepEqual(subnets.map(subnet => subnet.status), ['existing', 'existing', 'existing']);
+  assert.deepEqual(resources.find(resource => resource.label === 'vNet').dependsOn, ['infrastructure/nsg']);
+
+  // Approving private endpoint connections needs their state after deployment
+  assert.ok(resources.some(resource => resource.status === 'unknown' && /only known during deployment/.test(resource.note)));
+});
+
+test('nested deployments read the outputs of the deployments they reference', () => {
+  const resources = preview();
+  const names = HubConfig.predictResourceNames(schema, config());
+  const triggerManager = resources.find(resource => resource.id === 'dataFactoryResources/triggerManagerIdentity');
+
+  assert.equal(triggerManager.name, names.identities[1]);
+  assert.equal(triggerManager.resourceId,
+    `/subscriptions/${target.subscriptionId}/resourceGroups/${target.resourceGroupName}/providers/Microsoft.ManagedIdentity/userAssignedIdentities/${names.identities[1]}`);
+});
+
+test('copy loops expand per index and conditions can use copyIndex()', () => {
+  const deployment = nestedTemplate([
+    resource('accounts', 'Microsoft.Storage/storageAccounts', '[format(\'st{0}\', parameters(\'names\')[copyIndex()])]', {
+      copy: { name: 'accounts', count: '[length(parameters(\'names\'))]' },
+      condition: '[not(equals(copyIndex(), 1))]'
+    }),
+    resource('vault', 'Microsoft.KeyVault/vaults', 'kv', { dependsOn: ['accounts'] })
+  ], { names: ['a', 'b', 'c'] });
+
+  const resources = ResourcePreview.preview(deployment, {});
+  assert.deepEqual(resources.map(entry => [entry.label, entry.name, entry.status]), [
+    ['accounts[0]', 'sta', 'create'],
+    ['accounts[1]', 'stb', 'skip'],
+    ['accounts[2]', 'stc', 'create'],
+    ['vault', 'kv', 'create']
+  ]);
+
+  // Dependencies on skipped instances are dropped
+  assert.deepEqual(resources[3].dependsOn, ['accounts[0]', 'accounts[2]']);
+});
+
+test('nested deployments get their own parameters and unknown values only affect what uses them', () => {
+  const child = {
+    scope: 'inner',
+    parameters: { prefix: { value: '[parameters(\'hubName\')]' }, later: { value: '[reference(\'somewhere\').outputs.id.value]' } },
+    ...nestedTemplate([
+      resource('known', 'Microsoft.ManagedIdentity/userAssignedIdentities', '[format(\'{0}-id\', parameters(\'prefix\'))]'),
+      resource('unknown', 'Microsoft.ManagedIdentity/userAssignedIdentities', '[parameters(\'later\')]', { condition: '[parameters(\'enabled\')]' })
+    ], { enabled: true })
+  };
+  const deployment = nestedTemplate([resource('module', 'Microsoft.Resources/deployments', 'module', { deployment: child })]);
+
+  const resources = ResourcePreview.preview(deployment, { hubName: 'contoso' });
+  assert.deepEqual(resources.map(entry => [entry.id, entry.name, entry.status]), [
+    ['module', 'module', 'create'],
+    ['module/known', 'contoso-id', 'create'],
+    ['module/unknown', null, 'create']
+  ]);
+  assert.equal(resources[2].note, 'Name: reference(\'somewhere\') is only known during deployment');
+  assert.deepEqual(resources[0].path, []);
+  assert.deepEqual(resources[1].path, ['module']);
+});
+
+test('summarize counts a resource declared by several nested deployments once', () => {
+  const resources = preview();
+  const summary = ResourcePreview.summarize(resources);
+  const storage = resources.filter(resource => resource.type === 'Microsoft.Storage/storageAccounts' && resource.status !== 'skip');
+
+  assert.ok(storage.length > 1);
+  assert.equal(summary.unknown, 0);
+  assert.ok(summary.create > 0 && summary.skip > 0);
+  assert.equal(summary.deployments, resources.filter(resource => resource.type === ResourcePreview.deploymentType && resource.status === 'create').length);
+});
+
+test('the expression functions used by loops and networks match ARM', () => {
+  const context = ArmExpressions.createContext();
+  const scoped = { ...context, copyLoop: 'outer', copyIndexes: { outer: 2, inner: 5 } };
+
+  assert.equal(ArmExpressions.evaluate('[copyIndex()]', scoped), 2);
+  assert.equal(ArmExpressions.evaluate('[copyIndex(1)]', scoped), 3);
+  assert.equal(ArmExpressions.evaluate('[copyIndex(\'inner\', 10)]', scoped), 15);
+  assert.throws(() => ArmExpressions.evaluate('[copyIndex()]', context), /only valid in a copy loop/);
+
+  assert.deepEqual(ArmExpressions.evaluate('[items(createObject(\'b\', 2, \'a\', 1))]', context), [{ key: 'a', value: 1 }, { key: 'b', value: 2 }]);
+  assert.equal(ArmExpressions.evaluate('[cidrSubnet(\'10.20.30.0/26\', 27, 1)]', context), '10.20.30.32/27');
+  assert.equal(ArmExpressions.evaluate('[cidrSubnet(\'10.20.30.0/26\', 28, 1)]', context), '10.20.30.16/28');
+  assert.throws(() => ArmExpressions.evaluate('[cidrSubnet(\'10.20.30.0/26\', 27, 2)]', context), /can't split/);
+});
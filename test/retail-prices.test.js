@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Currency } = require('../cli/core');
+const RetailPrices = require('../docs/js/retail-prices');
+
+// A Retail Prices API item with the fields the meter mappings read
+function item(values) {
+  return {
+    currencyCode: 'USD',
+    tierMinimumUnits: 0,
+    armRegionName: 'westeurope',
+    type: 'Consumption',
+    isPrimaryMeterRegion: true,
+    unitOfMeasure: '1 Hour',
+    ...values
+  };
+}
+
+// Prices are divided by the unit quantity and multiplied back, so compare with a tolerance
+function assertPrice(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} is not ${expected}`);
+}
+
+const keyVaultOperations = { serviceName: 'Key Vault', skuName: 'Standard', meterName: 'Operations', unitOfMeasure: '10K' };
+
+test('splitCsv keeps commas, quotes and line breaks inside quoted cells', () => {
+  const rows = RetailPrices.splitCsv('name,description\r\n"Blob, Premium","Say ""hi""\nthen leave"\nlast,');
+
+  assert.deepEqual(rows, [
+    ['name', 'description'],
+    ['Blob, Premium', 'Say "hi"\nthen leave'],
+    ['last', '']
+  ]);
+});
+
+test('parseCsv maps header names case-insensitively and types numeric columns', () => {
+  const items = RetailPrices.parseCsv([
+    'RetailPrice,ARMREGIONNAME,meterName,serviceName,unitOfMeasure,productName,tierMinimumUnits,isPrimaryMeterRegion',
+    '0.15,westeurope,Data Stored,Storage,1 GB/Month,"Premium Block Blob, v2",,false',
+    ',,,,,,,'
+  ].join('\n'));
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].retailPrice, 0.15);
+  assert.equal(items[0].armRegionName, 'westeurope');
+  assert.equal(items[0].productName, 'Premium Block Blob, v2');
+  assert.equal(items[0].tierMinimumUnits, 0);
+  assert.equal(items[0].isPrimaryMeterRegion, false);
+  assert.throws(() => RetailPrices.parseCsv('retailPrice,meterName\n1,x'), /missing columns: armRegionName, serviceName, unitOfMeasure/);
+  assert.throws(() => RetailPrices.parseCsv('retailPrice'), /no price rows/);
+});
+
+test('parse reads saved API pages and rejects other JSON', () => {
+  const pages = [{ Items: [item({ retailPrice: 1 })] }, { Items: [item({ retailPrice: 2 })] }];
+
+  assert.deepEqual(RetailPrices.parse(JSON.stringify(pages), 'prices.json').map(entry => entry.retailPrice), [1, 2]);
+  assert.equal(RetailPrices.parse(JSON.stringify({ Items: [item({ retailPrice: 3 })] })).length, 1);
+  assert.throws(() => RetailPrices.parse('{"value": []}'), /not an Azure Retail Prices API response/);
+  assert.throws(() => RetailPrices.parseJson('{'), /not valid JSON/);
+});
+
+test('parseUnitQuantity reads the quantity a price is for', () => {
+  assert.equal(RetailPrices.parseUnitQuantity('10K'), 10000);
+  assert.equal(RetailPrices.parseUnitQuantity('1M'), 1000000);
+  assert.equal(RetailPrices.parseUnitQuantity('1 GB/Month'), 1);
+  assert.equal(RetailPrices.parseUnitQuantity('100 Hours'), 100);
+  assert.equal(RetailPrices.parseUnitQuantity('Hour'), 1);
+  assert.equal(RetailPrices.parseUnitQuantity(''), 1);
+});
+
+test('buildRegionPrices uses the lowest tier, then the latest price, per region', () => {
+  const prices = RetailPrices.buildRegionPrices([
+    item({ ...keyVaultOperations, retailPrice: 0.02, tierMinimumUnits: 100 }),
+    item({ ...keyVaultOperations, retailPrice: 0.04, effectiveStartDate: '2024-01-01T00:00:00Z' }),
+    item({ ...keyVaultOperations, retailPrice: 0.03, effectiveStartDate: '2025-01-01T00:00:00Z' }),
+    item({ ...keyVaultOperations, retailPrice: 0.05, armRegionName: 'northeurope' }),
+    item({ ...keyVaultOperations, retailPrice: 0.01, type: 'Reservation' })
+  ]);
+
+  assertPrice(prices.regions.westeurope.keyVault.operations10k, 0.03);
+  assertPrice(prices.regions.northeurope.keyVault.operations10k, 0.05);
+  assert.equal(prices.matchedMeters, 2);
+  assert.equal(prices.sourceCurrency, 'USD');
+});
+
+test('buildRegionPrices scales prices to the catalog unit and per core', () => {
+  const prices = RetailPrices.buildRegionPrices([
+    // $0.50 per 100 activity runs is $5 per 1,000
+    item({ serviceName: 'Azure Data Factory v2', meterName: 'Cloud Orchestration Activity Run', retailPrice: 0.5, unitOfMeasure: '100' }),
+    // A 2-core D11 v2 VM hour
+    item({ serviceName: 'Virtual Machines', armSkuName: 'Standard_D11_v2', productName: 'Virtual Machines Dv2 Series', skuName: 'D11 v2', retailPrice: 0.2 })
+  ]);
+
+  assertPrice(prices.regions.westeurope.dataFactory.activityRuns1k, 5);
+  assertPrice(prices.regions.westeurope.dataExplorer.computeCoreHour, 0.1);
+});
+
+test('buildRegionPrices converts other currencies to US dollars', () => {
+  const prices = RetailPrices.buildRegionPrices([
+    item({ ...keyVaultOperations, currencyCode: 'EUR', retailPrice: 0.0853 })
+  ]);
+
+  assert.equal(prices.sourceCurrency, 'EUR');
+  assertPrice(prices.regions.westeurope.keyVault.operations10k, 0.0853 / Currency.rates.EUR);
+  assert.throws(() => RetailPrices.buildRegionPrices([
+    item({ ...keyVaultOperations, retailPrice: 0.03 }),
+    item({ ...keyVaultOperations, currencyCode: 'EUR', retailPrice: 0.03 })
+  ]), /one currency \(found USD, EUR\)/);
+  assert.throws(() => RetailPrices.buildRegionPrices([item({ serviceName: 'Bandwidth', meterName: 'Egress', retailPrice: 1 })]), /No prices in the file match/);
+});
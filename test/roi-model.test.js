@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RoiModel = require('../docs/js/roi-model');
+
+const profile = { monthlySpend: 100000, commitmentShare: 40, idleShare: 10, setupCost: 20000 };
+
+test('getBases splits spend between the levers', () => {
+  assert.deepEqual(RoiModel.getBases(profile), { commitment: 50000, idle: 10000, governance: 90000 });
+
+  // Shares are clamped to 0-100%
+  assert.deepEqual(RoiModel.getBases({ monthlySpend: 1000, commitmentShare: 150, idleShare: -5 }), { commitment: 0, idle: 0, governance: 1000 });
+  assert.deepEqual(RoiModel.getBases({}), { commitment: 0, idle: 0, governance: 0 });
+});
+
+test('calculate estimates savings, ROI and payback per scenario', () => {
+  const { scenarios } = RoiModel.calculate(profile, 1800);
+
+  // 10% of 50,000 + 50% of 10,000 + 2% of 90,000
+  assert.deepEqual(scenarios.expected.levers, { commitment: 5000, idle: 5000, governance: 1800 });
+  assert.equal(scenarios.expected.savings, 11800);
+  assert.equal(scenarios.expected.netBenefit, 10000);
+  assert.equal(scenarios.expected.roiPercentage, 656);
+  assert.equal(scenarios.expected.paybackMonths, 2);
+  assert.ok(scenarios.low.savings < scenarios.expected.savings && scenarios.expected.savings < scenarios.high.savings);
+});
+
+test('calculate has no payback when savings don\'t cover the hub cost', () => {
+  const { scenarios } = RoiModel.calculate(profile, 20000);
+
+  assert.equal(scenarios.low.paybackMonths, null);
+  assert.equal(scenarios.expected.paybackMonths, null);
+  assert.equal(scenarios.high.savings, 21100);
+  assert.equal(scenarios.high.paybackMonths, 20000 / 1100);
+  assert.equal(RoiModel.calculate(profile, 0).scenarios.expected.roiPercentage, 0);
+});
+
+test('calculate takes custom ranges for some levers', () => {
+  const result = RoiModel.calculate({ ...profile, ranges: { idle: { low: 0, expected: 0, high: 0 } } }, 1000);
+
+  assert.equal(result.scenarios.expected.levers.idle, 0);
+  assert.equal(result.scenarios.expected.levers.commitment, 5000);
+  assert.deepEqual(result.ranges.commitment, RoiModel.defaultRanges.commitment);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../cli/core');
+
+const { RuleEngine, ConfigRules, HubConfig } = core;
+const schema = core.readTemplate();
+
+const rules = [
+  { id: 'size.max', severity: 'error', field: 'size', condition: config => config.size > 10, message: config => `${config.size} is more than 10` },
+  { id: 'size.large', severity: 'warning', field: 'size', dependsOn: ['unit'], condition: config => config.size > 5, message: 'Large', docUrl: 'https://example.com/size' },
+  { id: 'name.hint', severity: 'info', condition: (config, context) => context.hint, message: 'Hint' }
+];
+
+test('evaluate returns the rules whose condition holds, in rule order', () => {
+  assert.deepEqual(RuleEngine.evaluate(rules, { size: 12 }, { hint: true }), [
+    { id: 'size.max', severity: 'error', field: 'size', message: '12 is more than 10', docUrl: null },
+    { id: 'size.large', severity: 'warning', field: 'size', message: 'Large', docUrl: 'https://example.com/size' },
+    { id: 'name.hint', severity: 'info', field: null, message: 'Hint', docUrl: null }
+  ]);
+  assert.deepEqual(RuleEngine.evaluate(rules, { size: 3 }), []);
+});
+
+test('evaluate reports error rules that throw and skips other rules that throw', t => {
+  t.mock.method(console, 'warn', () => {});
+  const throwing = [
+    { id: 'list.blocking', severity: 'error', field: 'list', condition: config => config.list.some(Boolean), message: 'Bad' },
+    { id: 'list.advice', severity: 'warning', condition: config => config.list.some(Boolean), message: 'Advice' }
+  ];
+
+  const results = RuleEngine.evaluate(throwing, {});
+  assert.equal(results.length, 1);
+  assert.equal(results[0].id, 'list.blocking');
+  assert.equal(results[0].severity, 'error');
+  assert.equal(results[0].field, 'list');
+  assert.match(results[0].message, /^Could not be checked \(rule list\.blocking: /);
+});
+
+test('rulesForField and dependentFields look rules up by field', () => {
+  assert.deepEqual(RuleEngine.rulesForField(rules, 'size').map(rule => rule.id), ['size.max', 'size.large']);
+  assert.deepEqual(RuleEngine.dependentFields(rules, 'unit'), ['size']);
+  assert.deepEqual(RuleEngine.dependentFields(rules, 'size'), []);
+});
+
+test('lint finds incomplete and duplicate rules, and ConfigRules passes it', () => {
+  assert.deepEqual(RuleEngine.lint([rules[0], { ...rules[0], severity: 'fatal' }, { severity: 'info' }]), [
+    'Rule size.max is declared more than once',
+    'Rule size.max has an unknown severity: fatal',
+    'Rule #2 has no id',
+    'Rule #2 has no condition',
+    'Rule #2 has no message'
+  ]);
+  assert.deepEqual(RuleEngine.lint(ConfigRules.rules), []);
+});
+
+test('scope rules block configs whose scopes aren\'t a list of IDs', () => {
+  const config = { ...HubConfig.getDefaultConfig(schema), hubName: 'contoso' };
+
+  assert.deepEqual(HubConfig.validateAll(schema, { ...config, scopesToMonitor: 'abc' }).map(error => error.message), ['Must be a JSON array']);
+  const results = HubConfig.evaluateRules(schema, { ...config, scopesToMonitor: ['/subscriptions/x', 42] });
+  assert.equal(results.find(result => result.id === 'scopesToMonitor.format').message, '2 invalid scope ID(s): /subscriptions/x');
+  assert.equal(results.find(result => result.id === 'scopesToMonitor.format').severity, 'error');
+});
@@ -0,0 +1,79 @@
+# Cost Management Export Configuration Script
+# FinOps Hub: contoso
+# Generated: <date>
+#
+# PREREQUISITES:
+# - Azure CLI installed and logged in (az login)
+# - Contributor role on each subscription
+# - Storage account already deployed (contosostg)
+
+# Configuration
+$hubName = "contoso"
+$storageAccountResourceId = "/subscriptions/{YOUR-SUBSCRIPTION}/resourceGroups/contoso-rg/providers/Microsoft.Storage/storageAccounts/contosostg"
+$storageContainer = "msexports"
+
+# Scopes to configure (2 subscription(s)) and the directory for each
+$scopes = @(
+    @{ Scope = "/subscriptions/12345678-1234-1234-1234-123456789012"; Directory = "subscriptions/12345678-1234-1234-1234-123456789012" },
+    @{ Scope = "/subscriptions/87654321-4321-4321-4321-210987654321"; Directory = "subscriptions/87654321-4321-4321-4321-210987654321" }
+)
+
+Write-Host "Configuring Cost Management exports for $($scopes.Count) subscription(s)..." -ForegroundColor Cyan
+Write-Host ""
+
+$successCount = 0
+$failCount = 0
+
+foreach ($entry in $scopes) {
+    $exportName = "ftk-$hubName-focus"
+    $scope = $entry.Scope
+
+    Write-Host "Creating export '$exportName' for subscription $scope..." -ForegroundColor Yellow
+
+    try {
+        # Create the export using Azure CLI
+        az costmanagement export create `
+            --name $exportName `
+            --scope $scope `
+            --storage-account-id $storageAccountResourceId `
+            --storage-container $storageContainer `
+            --storage-directory $entry.Directory `
+            --timeframe MonthToDate `
+            --type Usage `
+            --dataset-version "1.0" `
+            --dataset-configuration '{"dataVersion":"1.0","dataOverwrites":true,"exportFormat":"Parquet","partitionData":true}' `
+            --recurrence Daily `
+            --recurrence-period from="$(Get-Date -Format yyyy-MM-dd)" `
+            --schedule-status Active 2>&1
+
+        if ($LASTEXITCODE -eq 0) {
+            Write-Host "  ✓ Export created successfully" -ForegroundColor Green
+            $successCount++
+        } else {
+            Write-Host "  ✗ Export creation failed" -ForegroundColor Red
+            $failCount++
+        }
+    } catch {
+        Write-Host "  ✗ Error: $_" -ForegroundColor Red
+        $failCount++
+    }
+
+    Write-Host ""
+}
+
+Write-Host "========================================" -ForegroundColor Cyan
+Write-Host "Export Configuration Complete" -ForegroundColor Cyan
+Write-Host "  Success: $successCount" -ForegroundColor Green
+Write-Host "  Failed:  $failCount" -ForegroundColor Red
+Write-Host "========================================" -ForegroundColor Cyan
+
+if ($successCount -gt 0) {
+    Write-Host ""
+    Write-Host "Next Steps:" -ForegroundColor Yellow
+    Write-Host "1. Wait 4-8 hours for the first export to run"
+    Write-Host "2. Check the storage account for exported data"
+    Write-Host "3. Verify Data Factory pipelines are processing the data"
+    Write-Host ""
+    Write-Host "Storage Account: contosostg" -ForegroundColor Cyan
+    Write-Host "Container: msexports" -ForegroundColor Cyan
+}
\ No newline at end of file
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../cli/core');
+const TcoProjection = require('../docs/js/tco-projection');
+
+const { HubConfig, Currency } = core;
+const schema = core.readTemplate();
+
+function config(values = {}) {
+  return { ...HubConfig.getDefaultConfig(schema), hubName: 'contoso', region: 'westeurope', ...values };
+}
+
+function project(values, options = {}) {
+  const hub = config(values);
+  return TcoProjection.project({ years: 3, annualGrowth: 0, region: hub.region, ...options },
+    (month, annualGrowth) => HubConfig.estimateUsage(hub, month, annualGrowth));
+}
+
+test('project adds up months, years and the total', () => {
+  const projection = project({}, { annualGrowth: 0.2 });
+  const sum = values => values.reduce((total, value) => total + value, 0);
+
+  assert.equal(projection.months.length, 36);
+  assert.deepEqual(projection.years.map(year => year.year), [1, 2, 3]);
+  assert.ok(Math.abs(sum(projection.years.map(year => year.total)) - projection.total) < 1e-6);
+  assert.ok(Math.abs(projection.months[35].cumulative - projection.total) < 1e-6);
+
+  // Every cost line lands in exactly one series
+  projection.months.forEach(point => {
+    assert.ok(Math.abs(sum(Object.values(point.series)) - point.costs.total) < 1e-9);
+  });
+});
+
+test('project costs grow with retained data and yearly growth', () => {
+  const flat = project({ ingestionRetention: 13 });
+  const growing = project({ ingestionRetention: 13 }, { annualGrowth: 0.5 });
+
+  // Costs rise until the retention window fills, then stay flat without growth
+  assert.ok(flat.months[11].costs.total > flat.months[0].costs.total);
+  assert.ok(Math.abs(flat.months[35].costs.total - flat.months[24].costs.total) < 1e-9);
+  assert.ok(growing.years[2].total > growing.years[1].total);
+  assert.ok(growing.total > flat.total);
+});
+
+test('getActiveSeries leaves out back-ends the config doesn\'t use', () => {
+  const ids = projection => TcoProjection.getActiveSeries(projection).map(line => line.id);
+
+  assert.deepEqual(ids(project({ analyticsBackend: 'storage' })), ['storage', 'dataFactory', 'other']);
+  assert.ok(ids(project({ analyticsBackend: 'dataExplorer', dataExplorerName: 'contosoadx' })).includes('dataExplorer'));
+});
+
+test('toCsv writes a row per month in the selected currency', t => {
+  const previous = Currency.currency;
+  t.after(() => { Currency.currency = previous; });
+  Currency.currency = 'EUR';
+
+  const projection = project({}, { years: 1 });
+  const lines = TcoProjection.toCsv(projection).trim().split('\n');
+
+  assert.equal(lines.length, 13);
+  assert.equal(lines[0], 'Month,Year,Storage (EUR),Data Factory (EUR),Data Explorer (EUR),Fabric (EUR),Remote Hub (EUR),"Key Vault, Event Grid & Data Transfer (EUR)",Total (EUR),Cumulative (EUR)');
+  assert.equal(lines[12].split(',')[0], '12');
+  assert.equal(lines[12].split(',').pop(), Currency.convert(projection.total).toFixed(2));
+});
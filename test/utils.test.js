@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FinOpsUtils } = require('../cli/core');
+
+const subscriptionId = '12345678-1234-1234-1234-123456789012';
+const billingAccount = '12345678-1234-1234-1234-123456789012:87654321-4321-4321-4321-210987654321_2019-05-31';
+
+test('validateHubName requires 3-24 lowercase letters and numbers', () => {
+  assert.deepEqual(FinOpsUtils.validateHubName(''), { valid: false, message: 'Hub name is required' });
+  assert.equal(FinOpsUtils.validateHubName('ab').valid, false);
+  assert.equal(FinOpsUtils.validateHubName('a'.repeat(25)).valid, false);
+  assert.equal(FinOpsUtils.validateHubName('Contoso').valid, false);
+  assert.equal(FinOpsUtils.validateHubName('contoso-finops').valid, false);
+  assert.equal(FinOpsUtils.validateHubName('contoso01').valid, true);
+  assert.equal(FinOpsUtils.validateHubName('a'.repeat(24)).valid, true);
+});
+
+test('validateSubscriptionId accepts GUIDs in any case, ignoring surrounding spaces', () => {
+  assert.equal(FinOpsUtils.validateSubscriptionId(subscriptionId), true);
+  assert.equal(FinOpsUtils.validateSubscriptionId(` ${subscriptionId.toUpperCase()} `), true);
+  assert.equal(FinOpsUtils.validateSubscriptionId('12345678-1234-1234-1234-12345678901'), false);
+  assert.equal(FinOpsUtils.validateSubscriptionId('not-a-guid'), false);
+});
+
+test('validateScopeId accepts subscription, resource group, management group and billing scopes', () => {
+  [
+    `/subscriptions/${subscriptionId}`,
+    `/subscriptions/${subscriptionId}/resourceGroups/rg-finops`,
+    '/providers/Microsoft.Management/managementGroups/contoso',
+    '/providers/Microsoft.Billing/billingAccounts/1234567',
+    '/providers/Microsoft.Billing/billingAccounts/1234567/departments/42',
+    '/providers/Microsoft.Billing/billingAccounts/1234567/enrollmentAccounts/7654321',
+    `/providers/Microsoft.Billing/billingAccounts/${billingAccount}/billingProfiles/AB12-CD34-EF5-GH6/invoiceSections/IJ78-KL90-MN1-OP2`,
+    `/providers/Microsoft.Billing/billingAccounts/${billingAccount}/customers/${subscriptionId}`
+  ].forEach(scope => assert.equal(FinOpsUtils.validateScopeId(scope), true, scope));
+
+  [
+    '',
+    '/subscriptions/not-a-guid',
+    `/subscriptions/${subscriptionId}/resourceGroups/`,
+    '/providers/Microsoft.Billing/billingAccounts/1234567/invoiceSections/EFGH',
+    '/providers/Microsoft.Billing/billingAccounts/1234:5678_2019-05-31/billingProfiles/ABCD'
+  ].forEach(scope => assert.equal(FinOpsUtils.validateScopeId(scope), false, scope));
+});
+
+test('validateScopeId checks a scope ID against one scope type', () => {
+  assert.equal(FinOpsUtils.validateScopeId('/providers/Microsoft.Billing/billingAccounts/1234567', 'enrollment'), true);
+  assert.equal(FinOpsUtils.validateScopeId('/providers/Microsoft.Billing/billingAccounts/1234567', 'billingAccount'), false);
+  assert.equal(FinOpsUtils.validateScopeId(`/subscriptions/${subscriptionId}/resourceGroups/rg-finops`, 'subscription'), false);
+  assert.throws(() => FinOpsUtils.validateScopeId('/', 'tenant'), /Unknown scope type: tenant/);
+});
+
+test('parseIdList splits on lines, commas and spaces', () => {
+  assert.deepEqual(FinOpsUtils.parseIdList('a, b\nc  d,,'), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(FinOpsUtils.parseIdList(''), []);
+});
+
+test('escapeHtml escapes markup and quotes without a DOM', () => {
+  assert.equal(FinOpsUtils.escapeHtml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  assert.equal(FinOpsUtils.escapeHtml(null), '');
+  assert.equal(FinOpsUtils.escapeHtml(42), '42');
+});
+
+test('isRegionInGeography filters by EU Data Boundary or geography', () => {
+  const westeurope = FinOpsUtils.azureRegions.find(region => region.value === 'westeurope');
+  const eastus = FinOpsUtils.azureRegions.find(region => region.value === 'eastus');
+
+  assert.equal(FinOpsUtils.isRegionInGeography(eastus, ''), true);
+  assert.equal(FinOpsUtils.isRegionInGeography(westeurope, 'eu'), true);
+  assert.equal(FinOpsUtils.isRegionInGeography(eastus, 'eu'), false);
+  assert.equal(FinOpsUtils.isRegionInGeography(eastus, eastus.geography), true);
+  assert.equal(FinOpsUtils.isRegionInGeography(westeurope, eastus.geography), false);
+});